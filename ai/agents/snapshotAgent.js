@@ -1196,6 +1196,45 @@ const getKzExchangeRatesTool = async () => {
   };
 };
 
+const BUDGET_ALERT_KIND_LABELS = {
+  over_budget: 'Перерасход',
+  forecast_over: 'Превышение по прогнозу',
+  threshold: 'Порог бюджета'
+};
+
+const getBudgetAlertsTool = async (args = {}, context = {}) => {
+  if (typeof context?.listBudgetAlerts !== 'function') {
+    return { ok: false, error: 'budget_alerts_unavailable' };
+  }
+  const kind = String(args?.kind || '').trim().toLowerCase();
+  const limitRaw = Math.round(toNum(args?.limit));
+  const limit = limitRaw > 0 ? Math.min(limitRaw, 100) : 30;
+
+  const rows = (await context.listBudgetAlerts())
+    .filter((alert) => !kind || alert?.kind === kind)
+    .slice(0, limit);
+  const alerts = rows.map((alert) => ({
+    kind: alert.kind,
+    kindLabel: BUDGET_ALERT_KIND_LABELS[alert.kind] || alert.kind,
+    budget: alert.label || null,
+    period: alert.period || null,
+    budgetAmount: toNum(alert.amount),
+    actual: toNum(alert.actual),
+    planned: toNum(alert.planned),
+    overBy: Math.max(0, toNum(alert.actual) - toNum(alert.amount)),
+    usedPercent: alert.usedPercent ?? null,
+    message: alert.message || null,
+    raisedAt: alert.createdAt || null
+  }));
+
+  return {
+    ok: true,
+    count: alerts.length,
+    overBudgetCount: alerts.filter((alert) => alert.kind === 'over_budget').length,
+    alerts
+  };
+};
+
 const renderUiWidgetTool = (state, args = {}) => {
   const chartType = String(args?.chartType || 'bar').trim().toLowerCase() || 'bar';
   const groupBy = String(args?.groupBy || 'date').trim().toLowerCase();
@@ -1463,6 +1502,20 @@ const TOOL_DEFINITIONS = [
       }
     }
   },
+  {
+    type: 'function',
+    function: {
+      name: 'get_budget_alerts',
+      description: 'Возвращает активные алерты бюджетов: перерасход (over_budget), превышение с учетом плановых операций (forecast_over) и достижение порога (threshold). Используй для вопросов "где перерасход?", "какие бюджеты превышены?".',
+      parameters: {
+        type: 'object',
+        properties: {
+          kind: { type: 'string', description: 'over_budget | forecast_over | threshold. Если не указан — все активные алерты.' },
+          limit: { type: 'integer', description: 'Лимит алертов.' }
+        }
+      }
+    }
+  },
   {
     type: 'function',
     function: {
@@ -1571,6 +1624,7 @@ const buildSystemPrompt = (state, schemaAwareness = null, classifiedIntent = nul
     'Если пользователь поправил соответствие, немедленно вызови update_semantic_weights, чтобы обучить систему.',
     'СТРОГОЕ ПРАВИЛО ФОРМАТИРОВАНИЯ ЧИСЕЛ: всегда выводи суммы с разделителем тысяч через пробел (допустим неразрывный пробел), никогда не используй запятые для тысяч. Правильно: "1 220 078 KZT". Неправильно: "1,220,078 KZT".',
     'Если пользователь просит график, вызови render_ui_widget и верни структуру uiCommand для рендера.',
+    'Если пользователь спрашивает про перерасход, превышение бюджета или "где мы тратим больше плана", вызови get_budget_alerts и опирайся только на его данные: бюджеты настраиваются отдельно, из операций перерасход не вычисляй.',
     'Ты получаешь Supervisor-классификацию в служебном блоке SUPERVISOR_CLASSIFIED_INTENT_JSON. Следуй ей как приоритетному маршрутизатору.',
     `Текущий Supervisor intent: ${classified.intent || 'UNKNOWN'}.`,
     `Текущая Supervisor targetEntity: ${classified.targetEntity || 'null'}.`,
@@ -1813,7 +1867,8 @@ const run = async ({
   periodAnalytics = null,
   snapshotMeta = null,
   classifiedIntent = null,
-  userId = ''
+  userId = '',
+  listBudgetAlerts = null
 }) => {
   const OPENAI_KEY = process.env.OPENAI_KEY || process.env.OPENAI_API_KEY;
   if (!OPENAI_KEY) {
@@ -1836,7 +1891,7 @@ const run = async ({
   const toolCallsLog = [];
   const model = DEFAULT_MODEL;
   let questionText = String(question || '').trim();
-  const toolUserContext = { userId: String(userId || '').trim() };
+  const toolUserContext = { userId: String(userId || '').trim(), listBudgetAlerts };
 
   const historyMessages = mapHistoryMessages(history);
   const lastAssistantMessage = [...historyMessages].reverse().find((m) => m.role === 'assistant') || null;
@@ -2077,6 +2132,7 @@ const run = async ({
     if (name === 'delete_semantic_alias') return deleteSemanticAliasTool(argsObj, toolUserContext);
     if (name === 'advanced_data_analyzer') return advancedDataAnalyzerTool(state, argsObj);
     if (name === 'get_kz_exchange_rates') return getKzExchangeRatesTool();
+    if (name === 'get_budget_alerts') return getBudgetAlertsTool(argsObj, toolUserContext);
     if (name === 'render_ui_widget') return renderUiWidgetTool(state, argsObj);
     if (name === 'calculator') return safeCalculator(argsObj);
     return { error: `unknown_tool:${name}` };
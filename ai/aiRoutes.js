@@ -17,7 +17,7 @@ module.exports = function createAiRouter(deps) {
     getCompositeUserId,
   } = deps;
 
-  const { Event, Account, Company, Contractor, Individual, Project, Category, ChatHistory } = models;
+  const { Event, Account, Company, Contractor, Individual, Project, Category, ChatHistory, BudgetAlert } = models;
 
   const createDataProvider = require('./dataProvider');
   const dataProvider = createDataProvider({
@@ -1691,7 +1691,7 @@ module.exports = function createAiRouter(deps) {
         const toId = String(op.toAccountId || '');
 
         if (fromId) addDelta(fromId, -amount);
-        if (!op.outOfSystemTransfer && toId) addDelta(toId, amount);
+        if (!op.outOfSystemTransfer && toId) addDelta(toId, op.toAmount ?? amount);
 
         if (!fromId && !toId) {
           const transferParts = _splitTransferAccountLabel(op.account);
@@ -3039,6 +3039,12 @@ module.exports = function createAiRouter(deps) {
           question: q,
           history: historyForAgent,
           userId: String(effectiveUserId || userId || ''),
+          listBudgetAlerts: BudgetAlert
+            ? () => BudgetAlert.find({ userId: effectiveUserId || userId, resolvedAt: null, dismissedAt: null })
+              .sort({ createdAt: -1 })
+              .limit(100)
+              .lean()
+            : null,
           currentContext: req?.body?.currentContext || null,
           snapshot,
           deterministicFacts,
@@ -1,6 +1,9 @@
 // ai/dataProvider.js
 // Direct database access layer for AI assistant
 // Replaces fragile uiSnapshot parsing with reliable MongoDB queries
+// Trashed records (soft delete, see utils/trash.js) never reach the assistant
+
+const { NOT_DELETED } = require('../utils/trash');
 
 /**
  * Creates a data provider for AI assistant queries.
@@ -434,7 +437,7 @@ module.exports = function createDataProvider(deps) {
         const endRef = end ? _localEndOfDay(end) : _localEndOfDay(nowRef);
 
         // Build query
-        const baseQuery = { userId: _uQuery(userId) };
+        const baseQuery = { userId: _uQuery(userId), ...NOT_DELETED };
 
         if (!includeHidden && visibleAccountIds && Array.isArray(visibleAccountIds) && visibleAccountIds.length > 0) {
             baseQuery._id = {
@@ -473,6 +476,7 @@ module.exports = function createDataProvider(deps) {
             // ⚠️ Event.userId is often a String in this DB, while Account.userId is ObjectId
             const opsQuery = {
                 userId: _uQuery(userId),
+                ...NOT_DELETED,
                 $or: [
                     { accountId: acc._id },
                     { fromAccountId: acc._id },
@@ -490,8 +494,8 @@ module.exports = function createDataProvider(deps) {
                     // Regular operation on this account
                     currentBalance += (op.amount || 0);
                 } else if (String(op.toAccountId) === String(acc._id)) {
-                    // Transfer TO this account (income)
-                    currentBalance += Math.abs(op.amount || 0);
+                    // Transfer TO this account (income); toAmount when the accounts differ in currency
+                    currentBalance += Math.abs(op.toAmount ?? op.amount ?? 0);
                 } else if (String(op.fromAccountId) === String(acc._id)) {
                     // Transfer FROM this account (expense)
                     currentBalance -= Math.abs(op.amount || 0);
@@ -506,7 +510,7 @@ module.exports = function createDataProvider(deps) {
                 if (String(op.accountId) === String(acc._id)) {
                     futureBalance += (op.amount || 0);
                 } else if (String(op.toAccountId) === String(acc._id)) {
-                    futureBalance += Math.abs(op.amount || 0);
+                    futureBalance += Math.abs(op.toAmount ?? op.amount ?? 0);
                 } else if (String(op.fromAccountId) === String(acc._id)) {
                     futureBalance -= Math.abs(op.amount || 0);
                 }
@@ -585,7 +589,8 @@ module.exports = function createDataProvider(deps) {
         // Event.userId is Mixed, try both
         const query = {
             userId: _uQuery(userId),
-            date: { $gte: start, $lte: end }
+            date: { $gte: start, $lte: end },
+            ...NOT_DELETED // trashed operations (soft delete)
         };
 
         // Add date range to query
@@ -597,7 +602,7 @@ module.exports = function createDataProvider(deps) {
             .lean();
 
         // Get accounts for intermediary check (use same userId variants) and names for transfers
-        const accountsQuery = _withWorkspaceScope({ userId: _uQuery(userId) }, workspaceId);
+        const accountsQuery = _withWorkspaceScope({ userId: _uQuery(userId), ...NOT_DELETED }, workspaceId);
         const accounts = await Account.find(accountsQuery).lean();
 
         const accNameById = new Map(accounts.map(a => [String(a._id), a.name || 'Счет']));
@@ -627,13 +632,13 @@ module.exports = function createDataProvider(deps) {
         // Companies & individuals maps for transfers
         let companies = [];
         try {
-            companies = await Company.find(_withWorkspaceScope({ userId: _uQuery(userId) }, workspaceId)).lean();
+            companies = await Company.find(_withWorkspaceScope({ userId: _uQuery(userId), ...NOT_DELETED }, workspaceId)).lean();
         } catch (_) { companies = []; }
         const companyNameById = new Map(companies.map(c => [String(c._id), c.name || 'Компания']));
 
         let individuals = [];
         try {
-            individuals = await Individual.find(_withWorkspaceScope({ userId: _uQuery(userId) }, workspaceId)).lean();
+            individuals = await Individual.find(_withWorkspaceScope({ userId: _uQuery(userId), ...NOT_DELETED }, workspaceId)).lean();
         } catch (_) { individuals = []; }
         const individualNameById = new Map(individuals.map(i => [String(i._id), i.name || 'Физлицо']));
 
@@ -720,6 +725,7 @@ module.exports = function createDataProvider(deps) {
                 isFact,
                 amount: absAmount,
                 rawAmount,
+                toAmount: op.toAmount != null ? Math.abs(op.toAmount) : null,
                 isTransfer: kind === 'transfer',
                 isWithdrawal: op.isWithdrawal === true,
                 isPersonalTransferWithdrawal,
@@ -863,11 +869,11 @@ module.exports = function createDataProvider(deps) {
     // ========================
 
     async function getCompanies(userId, workspaceId = null) {
-        const q = _withWorkspaceScope({ userId: _uQuery(userId) }, workspaceId);
+        const q = _withWorkspaceScope({ userId: _uQuery(userId), ...NOT_DELETED }, workspaceId);
         const docs = await Company.find(q).select('name taxRegime taxPercent identificationNumber').lean();
-        const idsFromEvents = await Event.distinct('companyId', _withWorkspaceScope({ userId: _uQuery(userId), companyId: { $ne: null } }, workspaceId));
+        const idsFromEvents = await Event.distinct('companyId', _withWorkspaceScope({ userId: _uQuery(userId), companyId: { $ne: null }, ...NOT_DELETED }, workspaceId));
         const extraDocs = idsFromEvents.length
-            ? await Company.find(_withWorkspaceScope({ userId: _uQuery(userId), _id: { $in: idsFromEvents } }, workspaceId))
+            ? await Company.find(_withWorkspaceScope({ userId: _uQuery(userId), _id: { $in: idsFromEvents }, ...NOT_DELETED }, workspaceId))
                 .select('name taxRegime taxPercent identificationNumber')
                 .lean()
             : [];
@@ -886,11 +892,11 @@ module.exports = function createDataProvider(deps) {
     }
 
     async function getProjects(userId, workspaceId = null) {
-        const q = _withWorkspaceScope({ userId: _uQuery(userId) }, workspaceId);
+        const q = _withWorkspaceScope({ userId: _uQuery(userId), ...NOT_DELETED }, workspaceId);
         const docs = await Project.find(q).select('name title label projectName').lean();
-        const idsFromEvents = await Event.distinct('projectId', _withWorkspaceScope({ userId: _uQuery(userId), projectId: { $ne: null } }, workspaceId));
+        const idsFromEvents = await Event.distinct('projectId', _withWorkspaceScope({ userId: _uQuery(userId), projectId: { $ne: null }, ...NOT_DELETED }, workspaceId));
         const extraDocs = idsFromEvents.length
-            ? await Project.find(_withWorkspaceScope({ userId: _uQuery(userId), _id: { $in: idsFromEvents } }, workspaceId))
+            ? await Project.find(_withWorkspaceScope({ userId: _uQuery(userId), _id: { $in: idsFromEvents }, ...NOT_DELETED }, workspaceId))
                 .select('name title label projectName')
                 .lean()
             : [];
@@ -904,7 +910,8 @@ module.exports = function createDataProvider(deps) {
         if (missingIds.length) {
             const recoveryDocs = await Project.find({
                 userId: _uQuery(userId),
-                _id: { $in: missingIds }
+                _id: { $in: missingIds },
+                ...NOT_DELETED
             }).select('name title label projectName').lean();
             recoveryDocs.forEach((p) => {
                 if (p && p._id) map.set(String(p._id), p);
@@ -927,11 +934,11 @@ module.exports = function createDataProvider(deps) {
     }
 
     async function getCategories(userId, workspaceId = null) {
-        const q = _withWorkspaceScope({ userId: _uQuery(userId) }, workspaceId);
+        const q = _withWorkspaceScope({ userId: _uQuery(userId), ...NOT_DELETED }, workspaceId);
         const docs = await Category.find(q).select('name type').lean();
-        const idsFromEvents = await Event.distinct('categoryId', _withWorkspaceScope({ userId: _uQuery(userId), categoryId: { $ne: null } }, workspaceId));
+        const idsFromEvents = await Event.distinct('categoryId', _withWorkspaceScope({ userId: _uQuery(userId), categoryId: { $ne: null }, ...NOT_DELETED }, workspaceId));
         const extraDocs = idsFromEvents.length
-            ? await Category.find(_withWorkspaceScope({ userId: _uQuery(userId), _id: { $in: idsFromEvents } }, workspaceId))
+            ? await Category.find(_withWorkspaceScope({ userId: _uQuery(userId), _id: { $in: idsFromEvents }, ...NOT_DELETED }, workspaceId))
                 .select('name type')
                 .lean()
             : [];
@@ -945,7 +952,8 @@ module.exports = function createDataProvider(deps) {
         if (missingIds.length) {
             const recoveryDocs = await Category.find({
                 userId: _uQuery(userId),
-                _id: { $in: missingIds }
+                _id: { $in: missingIds },
+                ...NOT_DELETED
             }).select('name type').lean();
             recoveryDocs.forEach((c) => {
                 if (c && c._id) map.set(String(c._id), c);
@@ -958,11 +966,11 @@ module.exports = function createDataProvider(deps) {
     }
 
     async function getContractors(userId, workspaceId = null) {
-        const q = _withWorkspaceScope({ userId: _uQuery(userId) }, workspaceId);
+        const q = _withWorkspaceScope({ userId: _uQuery(userId), ...NOT_DELETED }, workspaceId);
         const docs = await Contractor.find(q).select('name').lean();
-        const idsFromEvents = await Event.distinct('contractorId', _withWorkspaceScope({ userId: _uQuery(userId), contractorId: { $ne: null } }, workspaceId));
+        const idsFromEvents = await Event.distinct('contractorId', _withWorkspaceScope({ userId: _uQuery(userId), contractorId: { $ne: null }, ...NOT_DELETED }, workspaceId));
         const extraDocs = idsFromEvents.length
-            ? await Contractor.find(_withWorkspaceScope({ userId: _uQuery(userId), _id: { $in: idsFromEvents } }, workspaceId))
+            ? await Contractor.find(_withWorkspaceScope({ userId: _uQuery(userId), _id: { $in: idsFromEvents }, ...NOT_DELETED }, workspaceId))
                 .select('name')
                 .lean()
             : [];
@@ -975,11 +983,11 @@ module.exports = function createDataProvider(deps) {
     }
 
     async function getIndividuals(userId, workspaceId = null) {
-        const q = _withWorkspaceScope({ userId: _uQuery(userId) }, workspaceId);
+        const q = _withWorkspaceScope({ userId: _uQuery(userId), ...NOT_DELETED }, workspaceId);
         const docs = await Individual.find(q).select('name').lean();
-        const idsFromEvents = await Event.distinct('individualId', _withWorkspaceScope({ userId: _uQuery(userId), individualId: { $ne: null } }, workspaceId));
+        const idsFromEvents = await Event.distinct('individualId', _withWorkspaceScope({ userId: _uQuery(userId), individualId: { $ne: null }, ...NOT_DELETED }, workspaceId));
         const extraDocs = idsFromEvents.length
-            ? await Individual.find(_withWorkspaceScope({ userId: _uQuery(userId), _id: { $in: idsFromEvents } }, workspaceId))
+            ? await Individual.find(_withWorkspaceScope({ userId: _uQuery(userId), _id: { $in: idsFromEvents }, ...NOT_DELETED }, workspaceId))
                 .select('name')
                 .lean()
             : [];
@@ -1122,7 +1130,7 @@ module.exports = function createDataProvider(deps) {
         // Account directory from MongoDB (full user scope) for precise data-quality classification.
         let systemAccounts = [];
         try {
-            const docs = await Account.find({ userId: _uQuery(userId) })
+            const docs = await Account.find({ userId: _uQuery(userId), ...NOT_DELETED })
                 .select('_id name isExcluded excluded excludeFromTotal excludedFromTotal hidden isHidden')
                 .lean();
             systemAccounts = (docs || []).map((a) => ({
@@ -375,7 +375,7 @@ module.exports = function createQuickJournalAdapter({ Event }) {
     const today = _startOfDayLocal(nowRef);
     const todayStartTs = today.getTime();
 
-    const events = await Event.find({ userId })
+    const events = await Event.find({ userId, isDeleted: { $ne: true } })
       .lean()
       .sort({ date: 1 })
       .populate('accountId companyId contractorId counterpartyIndividualId projectId categoryId individualId fromAccountId toAccountId fromCompanyId toCompanyId fromIndividualId toIndividualId');
@@ -0,0 +1,256 @@
+// routes/billRoutes.js
+// Bills from contractors and their payments (CRUD lives in server.js: generateCRUD / generateBatchUpdate / generateDeleteWithCascade)
+//   GET    /api/bills/all?state=unpaid|partial|paid|cancelled&contractorId=&date=   - bills with paid / unpaid
+//   GET    /api/bills/aging?date=                             - accounts-payable aging (0–30, 31–60, 61–90, 90+ days past due)
+//   GET    /api/bills/due-this-week?date=                     - unpaid bills due this week, plus the overdue ones
+//   GET    /api/bills/:id                                     - bill with its payments
+//   POST   /api/bills/:id/payments                            - { eventId } links an expense operation,
+//                                                               { accountId, amount?, date?, description? } creates one
+//   DELETE /api/bills/:id/payments/:eventId                   - unlink a payment (the operation stays)
+// Linking, unlinking and creating payments change operations: the period lock applies (utils/periodLock.js).
+
+const express = require('express');
+const { NOT_DELETED } = require('../utils/trash');
+const { assertPeriodOpen } = require('../utils/periodLock');
+const { BILL_STATES, createBillService, summarizeBill } = require('../utils/bills');
+
+const EVENT_POPULATE_PATHS = ['accountId', 'companyId', 'contractorId', 'counterpartyIndividualId', 'projectId', 'categoryId', 'categoryIds', 'individualId', 'fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId'];
+
+const _id = (value) => (value ? String(value._id || value) : '');
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const _objectId = (value) => (/^[0-9a-fA-F]{24}$/.test(String(value || '')) ? String(value) : null);
+
+const _error = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// ?date= as the end of that day, now by default
+const _asOf = (value) => {
+    const asOf = value ? new Date(value) : new Date();
+    if (isNaN(asOf.getTime())) throw _error(`Invalid date: ${value}`);
+    if (value) asOf.setHours(23, 59, 59, 999);
+    return asOf;
+};
+
+module.exports = function createBillRouter(deps) {
+    const {
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        getCompositeUserId,
+        buildUserIdQuery,
+        getCurrentWorkspaceActorRole,
+        getClosedPeriodDate,
+        ensureManagerCanAccessOperationAccounts,
+        emitToWorkspace,
+        triggerContextPacketRebuildByDates,
+        getFirstFreeCellIndex,
+        getDateKey,
+        getDayOfYear,
+        buildRevisionActor,
+        eventHistory
+    } = deps;
+
+    const { Event, Bill, Contractor, Project } = models;
+    const billService = createBillService({ Bill, Event, Contractor, Project });
+    const router = express.Router();
+
+    const _loadBill = async (req) => {
+        const userId = await getCompositeUserId(req);
+        const bill = await Bill.findOne({ _id: req.params.id, userId: buildUserIdQuery(userId), ...NOT_DELETED }).lean();
+        if (!bill) throw _error('Bill not found', 404);
+        return { userId, bill };
+    };
+
+    // Bill with its figures over all payments, whatever their date
+    const _summarize = async (userId, bill) => {
+        const payments = await billService.loadPayments(buildUserIdQuery(userId), [bill._id]);
+        return summarizeBill(bill, payments.get(String(bill._id)), new Date());
+    };
+
+    const _afterPaymentChange = async (req, userId, event, reason) => {
+        triggerContextPacketRebuildByDates({
+            userId,
+            workspaceId: req.user.currentWorkspaceId || null,
+            dates: [event.date],
+            reason
+        });
+        await event.populate(EVENT_POPULATE_PATHS);
+    };
+
+    // Link an existing expense operation to the bill
+    const _linkPayment = async (req, userId, bill, summary) => {
+        const event = await Event.findOne({ _id: req.body.eventId, userId: buildUserIdQuery(userId), ...NOT_DELETED });
+        if (!event) throw _error('Event not found', 404);
+        if (event.type !== 'expense' || event.isTransfer || event.isWorkAct || event.isSplitChild) {
+            throw _error('Only expense payments can be linked to a bill');
+        }
+        if (_id(event.billId) === _id(bill._id)) throw _error('Payment is already linked to this bill', 409);
+        if (event.billId) throw _error('Payment is linked to another bill', 409);
+        if (event.contractorId && _id(event.contractorId) !== _id(bill.contractorId)) {
+            throw _error('Payment belongs to another contractor');
+        }
+        const amount = Math.abs(Number(event.amount) || 0);
+        if (amount - summary.unpaid > 0.005) {
+            throw _error(`Payment ${_round(amount)} exceeds the unpaid part of the bill: ${summary.unpaid}`);
+        }
+        await ensureManagerCanAccessOperationAccounts(req, {}, event);
+        const spendsPeriodUnlock = assertPeriodOpen({ closedPeriodDate: await getClosedPeriodDate(req), role: req.workspaceRole, existingEvent: event });
+
+        const before = event.toObject();
+        event.billId = bill._id;
+        if (spendsPeriodUnlock) event.set({ periodUnlockedAt: null, periodUnlockedBy: null });
+        if (!event.contractorId) event.contractorId = bill.contractorId;
+        event.updatedBy = req.user.id;
+        event.updatedByRole = getCurrentWorkspaceActorRole(req);
+        await event.save();
+        await eventHistory.recordUpdate(before, event, buildRevisionActor(req, userId), { billId: bill._id });
+
+        await _afterPaymentChange(req, userId, event, 'bill_payment_linked');
+        emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_updated', event);
+        return event;
+    };
+
+    // Create a payment operation for the bill: contractor, project and category come from the bill
+    const _createPayment = async (req, userId, bill, summary) => {
+        const amount = req.body.amount != null && req.body.amount !== '' ? _round(Math.abs(Number(req.body.amount))) : summary.unpaid;
+        if (!Number.isFinite(amount) || amount <= 0) throw _error(`Invalid amount: ${req.body.amount}`);
+        if (amount - summary.unpaid > 0.005) throw _error(`Amount ${amount} exceeds the unpaid part of the bill: ${summary.unpaid}`);
+        if (!req.body.accountId) throw _error('accountId is required');
+        await ensureManagerCanAccessOperationAccounts(req, { accountId: req.body.accountId });
+
+        const date = req.body.date ? new Date(req.body.date) : new Date();
+        if (isNaN(date.getTime())) throw _error(`Invalid date: ${req.body.date}`);
+        assertPeriodOpen({ closedPeriodDate: await getClosedPeriodDate(req), role: req.workspaceRole, nextDate: date });
+        const dateKey = getDateKey(date);
+        const title = [bill.number ? `Оплата счета №${bill.number}` : 'Оплата счета', bill.contractNumber ? `по договору №${bill.contractNumber}` : null]
+            .filter(Boolean).join(' ');
+
+        const event = new Event({
+            type: 'expense',
+            amount: -amount,
+            description: req.body.description || title,
+            accountId: req.body.accountId,
+            contractorId: bill.contractorId,
+            projectId: bill.projectId || null,
+            categoryId: bill.categoryId || null,
+            billId: bill._id,
+            date,
+            dateKey,
+            dayOfYear: getDayOfYear(date),
+            cellIndex: await getFirstFreeCellIndex(dateKey, userId),
+            userId,
+            createdBy: req.user.id,
+            createdByRole: getCurrentWorkspaceActorRole(req),
+            workspaceId: req.user.currentWorkspaceId
+        });
+        await event.save();
+        await eventHistory.recordCreate(event, buildRevisionActor(req, userId), { billId: bill._id });
+
+        await _afterPaymentChange(req, userId, event, 'bill_payment_created');
+        emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_added', event);
+        return event;
+    };
+
+    router.get('/all', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const state = req.query.state ? String(req.query.state) : null;
+            if (state && !BILL_STATES.includes(state)) return res.status(400).json({ message: `Unsupported state: ${state}` });
+            const contractorId = _objectId(req.query.contractorId);
+
+            const userId = await getCompositeUserId(req);
+            const bills = await billService.list({
+                userIdQuery: buildUserIdQuery(userId),
+                asOf: _asOf(req.query.date),
+                filter: contractorId ? { contractorId } : {},
+                state
+            });
+            res.json(bills);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/bills/all] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.get('/aging', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const report = await billService.aging({ userIdQuery: buildUserIdQuery(userId), asOf: _asOf(req.query.date) });
+            res.json(report);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/bills/aging] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.get('/due-this-week', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const report = await billService.dueThisWeek({ userIdQuery: buildUserIdQuery(userId), date: _asOf(req.query.date) });
+            res.json(report);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/bills/due-this-week] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.get('/:id', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const { userId, bill } = await _loadBill(req);
+            const [summary, payments] = await Promise.all([
+                _summarize(userId, bill),
+                Event.find({ userId: buildUserIdQuery(userId), billId: bill._id, ...NOT_DELETED }).sort({ date: 1 }).populate(EVENT_POPULATE_PATHS).lean()
+            ]);
+            res.json({ ...summary, payments });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/bills/:id] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.post('/:id/payments', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const { userId, bill } = await _loadBill(req);
+            if (bill.status === 'cancelled') return res.status(409).json({ message: 'Bill is cancelled' });
+            const summary = await _summarize(userId, bill);
+            if (summary.state === 'paid') return res.status(409).json({ message: 'Bill is already paid' });
+
+            const event = req.body.eventId
+                ? await _linkPayment(req, userId, bill, summary)
+                : await _createPayment(req, userId, bill, summary);
+            res.status(201).json({ event, bill: await _summarize(userId, bill) });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [POST /api/bills/:id/payments] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.delete('/:id/payments/:eventId', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const { userId, bill } = await _loadBill(req);
+            const event = await Event.findOne({ _id: req.params.eventId, userId: buildUserIdQuery(userId), billId: bill._id, ...NOT_DELETED });
+            if (!event) return res.status(404).json({ message: 'Payment not found' });
+            await ensureManagerCanAccessOperationAccounts(req, {}, event);
+            const spendsPeriodUnlock = assertPeriodOpen({ closedPeriodDate: await getClosedPeriodDate(req), role: req.workspaceRole, existingEvent: event });
+
+            const before = event.toObject();
+            event.billId = null;
+            if (spendsPeriodUnlock) event.set({ periodUnlockedAt: null, periodUnlockedBy: null });
+            event.updatedBy = req.user.id;
+            event.updatedByRole = getCurrentWorkspaceActorRole(req);
+            await event.save();
+            await eventHistory.recordUpdate(before, event, buildRevisionActor(req, userId), { billId: bill._id });
+
+            await _afterPaymentChange(req, userId, event, 'bill_payment_unlinked');
+            emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_updated', event);
+            res.json({ event, bill: await _summarize(userId, bill) });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [DELETE /api/bills/:id/payments/:eventId] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,79 @@
+// routes/budgetRoutes.js
+// Plan-vs-actual and the alert feed for budgets (CRUD lives in server.js: generateCRUD / generateBatchUpdate / generateDeleteWithCascade)
+//   GET  /api/budgets/variance?period=2026-03|2026-Q1|2026 or dateFrom=&dateTo=&type=income|expense&categoryId=&projectId=
+//   GET  /api/budgets/alerts?all=true&limit=      - alert feed (active alerts unless all=true)
+//   POST /api/budgets/alerts/:id/dismiss          - hide an alert from the active feed
+
+const express = require('express');
+const { parseReportRange, periodRangeOfKey } = require('../utils/reports/periods');
+const { BUDGET_TYPES, createBudgetVariance } = require('../utils/budgets');
+
+const _objectId = (value) => (/^[0-9a-fA-F]{24}$/.test(String(value || '')) ? String(value) : null);
+
+module.exports = function createBudgetRouter(deps) {
+    const {
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        getCompositeUserId,
+        buildUserIdQuery,
+        emitToWorkspace,
+        budgetAlerts
+    } = deps;
+
+    const { Event, Budget, Category, Project } = models;
+    const budgetVariance = createBudgetVariance({ Event, Budget, Category, Project });
+    const router = express.Router();
+
+    router.get('/variance', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const range = req.query.period ? periodRangeOfKey(req.query.period) : parseReportRange(req.query);
+            if (!range) return res.status(400).json({ message: `Invalid period: ${req.query.period}` });
+            const type = req.query.type ? String(req.query.type) : null;
+            if (type && !BUDGET_TYPES.includes(type)) return res.status(400).json({ message: `Unsupported type: ${type}` });
+
+            const userId = await getCompositeUserId(req);
+            const report = await budgetVariance.build({
+                userIdQuery: buildUserIdQuery(userId),
+                dateFrom: range.dateFrom,
+                dateTo: range.dateTo,
+                type,
+                categoryId: _objectId(req.query.categoryId),
+                projectId: _objectId(req.query.projectId)
+            });
+            res.json(report);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/budgets/variance] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.get('/alerts', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+            const alerts = await budgetAlerts.list({
+                userIdQuery: buildUserIdQuery(userId),
+                activeOnly: String(req.query.all) !== 'true',
+                limit
+            });
+            res.json(alerts);
+        } catch (err) { res.status(500).json({ message: err.message }); }
+    });
+
+    router.post('/alerts/:id/dismiss', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const alert = await budgetAlerts.dismiss({ id: req.params.id, userIdQuery: buildUserIdQuery(userId), dismissedBy: req.user.id });
+            if (!alert) return res.status(404).json({ message: 'Alert not found' });
+
+            emitToWorkspace(req, req.user.currentWorkspaceId, 'budget_alert_dismissed', alert);
+            res.json(alert);
+        } catch (err) {
+            console.error('❌ [POST /api/budgets/alerts/:id/dismiss] Error:', err.message);
+            res.status(500).json({ message: err.message });
+        }
+    });
+
+    return router;
+};
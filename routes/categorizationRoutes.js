@@ -0,0 +1,169 @@
+// routes/categorizationRoutes.js
+// Auto-categorization rules of the current workspace
+//   GET    /api/categorization-rules        - rules by priority
+//   POST   /api/categorization-rules        - create
+//   PUT    /api/categorization-rules/:id    - update
+//   DELETE /api/categorization-rules/:id    - delete
+//   POST   /api/categorization-rules/test   - { ruleId } or { rule }, dateFrom?, dateTo? -> how many operations would change
+
+const express = require('express');
+const {
+    RULE_TYPES,
+    normalizeCategorizationRule,
+    matchesRule,
+    categorizeOperation
+} = require('../utils/categorization');
+const { NOT_DELETED } = require('../utils/trash');
+
+const SAMPLE_SIZE = 20;
+const RULE_POPULATE_PATHS = ['actions.categoryId', 'actions.projectId', 'actions.contractorId'];
+
+module.exports = function createCategorizationRouter(deps) {
+    const {
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        getCompositeUserId,
+        emitToWorkspace
+    } = deps;
+
+    const { Event, CategorizationRule } = models;
+    const router = express.Router();
+
+    router.get('/', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const rules = await CategorizationRule.find({ userId })
+                .sort({ priority: 1, createdAt: 1 })
+                .populate(RULE_POPULATE_PATHS);
+            res.json(rules);
+        } catch (err) { res.status(500).json({ message: err.message }); }
+    });
+
+    // Declared before /:id routes
+    router.post('/test', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const { ruleId, dateFrom, dateTo } = req.body;
+
+            let rule;
+            if (ruleId) {
+                rule = await CategorizationRule.findOne({ _id: ruleId, userId }).lean();
+                if (!rule) return res.status(404).json({ message: 'Rule not found' });
+            } else {
+                rule = { _id: 'draft', ...normalizeCategorizationRule(req.body.rule || {}) };
+            }
+
+            const query = { userId, ...NOT_DELETED, isTransfer: { $ne: true }, type: { $in: RULE_TYPES } };
+            if (dateFrom || dateTo) {
+                query.date = {};
+                if (dateFrom) query.date.$gte = new Date(dateFrom);
+                if (dateTo) query.date.$lte = new Date(dateTo);
+            }
+
+            // Only this rule, without counterparty defaults: the report shows what the rule itself changes
+            const context = { rules: [rule], counterpartyDefaults: new Map() };
+            const changesByField = {};
+            const sample = [];
+            let scanned = 0;
+            let matched = 0;
+            let wouldChange = 0;
+
+            const cursor = Event.find(query)
+                .select('date type amount description accountId contractorId individualId counterpartyIndividualId categoryId categoryIds projectId excludeFromTotals')
+                .sort({ date: -1 })
+                .lean()
+                .cursor();
+
+            for await (const event of cursor) {
+                scanned++;
+                if (!matchesRule(rule, event)) continue;
+                matched++;
+
+                const { updates } = categorizeOperation(event, context);
+                if (Object.keys(updates).length === 0) continue;
+                wouldChange++;
+                const fields = Object.keys(updates).filter((field) => field !== 'categoryIds');
+                fields.forEach((field) => { changesByField[field] = (changesByField[field] || 0) + 1; });
+                if (sample.length < SAMPLE_SIZE) {
+                    sample.push({
+                        eventId: event._id,
+                        date: event.date,
+                        type: event.type,
+                        amount: event.amount,
+                        description: event.description || null,
+                        changes: fields.map((field) => ({ field, from: event[field] ?? null, to: updates[field] }))
+                    });
+                }
+            }
+
+            res.json({ scanned, matched, wouldChange, changesByField, sample });
+        } catch (err) {
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.post('/', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const fields = normalizeCategorizationRule(req.body);
+            if (fields.priority === undefined) {
+                const last = await CategorizationRule.findOne({ userId }).sort({ priority: -1 }).select('priority').lean();
+                fields.priority = last ? last.priority + 1 : 0;
+            }
+
+            const rule = await CategorizationRule.create({
+                ...fields,
+                userId,
+                workspaceId: req.user.currentWorkspaceId || null,
+                createdBy: req.user.id
+            });
+            await rule.populate(RULE_POPULATE_PATHS);
+
+            emitToWorkspace(req, req.user.currentWorkspaceId, 'categorization_rule_added', rule);
+            res.status(201).json(rule);
+        } catch (err) {
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.put('/:id', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const rule = await CategorizationRule.findOne({ _id: req.params.id, userId });
+            if (!rule) return res.status(404).json({ message: 'Rule not found' });
+
+            // Partial updates: unspecified parts keep their stored values
+            const stored = rule.toObject();
+            const fields = normalizeCategorizationRule({
+                name: req.body.name,
+                priority: req.body.priority,
+                isActive: req.body.isActive,
+                conditions: req.body.conditions || stored.conditions,
+                actions: req.body.actions || stored.actions
+            });
+            Object.keys(fields).forEach((key) => { if (fields[key] !== undefined) rule.set(key, fields[key]); });
+            rule.updatedAt = new Date();
+            await rule.save();
+            await rule.populate(RULE_POPULATE_PATHS);
+
+            emitToWorkspace(req, req.user.currentWorkspaceId, 'categorization_rule_updated', rule);
+            res.json(rule);
+        } catch (err) {
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.delete('/:id', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const rule = await CategorizationRule.findOneAndDelete({ _id: req.params.id, userId });
+            if (!rule) return res.status(404).json({ message: 'Rule not found' });
+
+            emitToWorkspace(req, req.user.currentWorkspaceId, 'categorization_rule_deleted', String(rule._id));
+            res.status(204).send();
+        } catch (err) { res.status(500).json({ message: err.message }); }
+    });
+
+    return router;
+};
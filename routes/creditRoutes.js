@@ -0,0 +1,330 @@
+// routes/creditRoutes.js
+// Loans and credits with generated repayment schedules (see utils/credits.js)
+//   GET  /api/credits                          - credits with their debt position
+//   GET  /api/credits/debt-report?date=&includeClosed=true   - remaining debt per credit as of a date
+//   GET  /api/credits/:id/schedule             - installments (principal + interest) of a credit
+//   POST /api/credits                          - create a credit and its planned repayments;
+//                                                registerReceipt=true also books the loan as an income on accountId
+//   PUT  /api/credits/:id                      - update; schedule changes regenerate the installments not yet due
+// Batch update and delete come from server.js (generateBatchUpdate / generateDeleteWithCascade);
+// batch update ignores the schedule fields and the status, which change only here. Operations created or
+// replaced here pass the period lock (utils/periodLock.js) before the credit is saved.
+
+const express = require('express');
+const { NOT_DELETED } = require('../utils/trash');
+const { assertPeriodOpenForEvents } = require('../utils/periodLock');
+const {
+    CREDIT_SCHEDULE_FIELDS,
+    normalizeCreditFields,
+    buildCreditSchedule,
+    createCreditService
+} = require('../utils/credits');
+
+const EVENT_POPULATE_PATHS = ['accountId', 'companyId', 'contractorId', 'counterpartyIndividualId', 'projectId', 'categoryId', 'categoryIds', 'individualId', 'fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId'];
+const CREDIT_POPULATE_PATHS = ['contractorId', 'individualId', 'projectId', 'categoryId'];
+
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const _same = (a, b) => ((a instanceof Date || b instanceof Date)
+    ? +new Date(a) === +new Date(b)
+    : String(a ?? '') === String(b ?? ''));
+
+module.exports = function createCreditRouter(deps) {
+    const {
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        getCompositeUserId,
+        buildUserIdQuery,
+        getCurrentWorkspaceActorRole,
+        getClosedPeriodDate,
+        ensureManagerCanAccessOperationAccounts,
+        emitToWorkspace,
+        emitEntityEvent,
+        triggerContextPacketRebuildByDates,
+        getFirstFreeCellIndex,
+        getDateKey,
+        getDayOfYear,
+        buildRevisionActor,
+        eventHistory
+    } = deps;
+
+    const { Event, Credit, Contractor, Individual } = models;
+    const creditService = createCreditService({ Credit, Event, Contractor, Individual });
+    const router = express.Router();
+
+    const _newEvent = async (req, userId, credit, data) => {
+        const date = new Date(data.date);
+        const dateKey = getDateKey(date);
+        return new Event({
+            accountId: credit.accountId || null,
+            contractorId: credit.contractorId || null,
+            counterpartyIndividualId: credit.individualId || null,
+            projectId: credit.projectId || null,
+            creditId: credit._id,
+            ...data,
+            date,
+            dateKey,
+            dayOfYear: getDayOfYear(date),
+            cellIndex: await getFirstFreeCellIndex(dateKey, userId),
+            userId,
+            createdBy: req.user.id,
+            createdByRole: getCurrentWorkspaceActorRole(req),
+            workspaceId: req.user.currentWorkspaceId
+        });
+    };
+
+    // Principal and interest expenses for the installments after the ones already booked (except the
+    // replaced ones, about to be removed), on the debt they left
+    const _planInstallments = async (credit, replaced = []) => {
+        const replacedIds = new Set(replaced.map((event) => String(event._id)));
+        const existing = (await Event.find({ creditId: credit._id, creditPart: { $in: ['principal', 'interest'] }, ...NOT_DELETED })
+            .select('date amount creditPart creditPaymentIndex').lean())
+            .filter((event) => !replacedIds.has(String(event._id)));
+        const paidIndexes = new Set(existing.map((event) => event.creditPaymentIndex));
+        const principalPaid = existing
+            .filter((event) => event.creditPart === 'principal')
+            .reduce((total, event) => total + Math.abs(Number(event.amount) || 0), 0);
+
+        const startIndex = paidIndexes.size ? Math.max(...paidIndexes) + 1 : 0;
+        const schedule = buildCreditSchedule({
+            principal: _round((Number(credit.principal) || 0) - principalPaid),
+            annualRate: credit.annualRate,
+            termMonths: (Number(credit.termMonths) || 0) - startIndex,
+            scheduleType: credit.scheduleType,
+            startDate: credit.startDate,
+            firstPaymentDate: credit.firstPaymentDate,
+            startIndex
+        });
+
+        const planned = [];
+        const count = Number(credit.termMonths) || 0;
+        for (const row of schedule) {
+            const parts = [
+                { creditPart: 'principal', amount: row.principal, categoryId: credit.categoryId || null, label: 'основной долг' },
+                { creditPart: 'interest', amount: row.interest, categoryId: credit.interestCategoryId || null, label: 'проценты' }
+            ];
+            for (const part of parts) {
+                if (part.amount < 0.005) continue;
+                planned.push({
+                    type: 'expense',
+                    amount: -part.amount,
+                    categoryId: part.categoryId,
+                    description: `Кредит «${credit.name}»: ${part.label}, платеж ${row.index + 1}/${count}`,
+                    date: row.date,
+                    creditPart: part.creditPart,
+                    creditPaymentIndex: row.index
+                });
+            }
+        }
+        return planned;
+    };
+
+    const _createEvents = async (req, userId, credit, planned) => {
+        const created = [];
+        for (const data of planned) {
+            const event = await _newEvent(req, userId, credit, data);
+            await event.save();
+            created.push(event);
+        }
+        return created;
+    };
+
+    const _emitCreated = async (req, events) => {
+        for (const event of events) {
+            await event.populate(EVENT_POPULATE_PATHS);
+            emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_added', event);
+        }
+    };
+
+    const _summarize = async (userId, credit) => {
+        const installments = await creditService.loadInstallments(buildUserIdQuery(userId), [credit._id]);
+        return creditService.summarize(credit, installments.get(String(credit._id)), new Date());
+    };
+
+    router.get('/', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const credits = await Credit.find({ userId: buildUserIdQuery(userId), ...NOT_DELETED }).sort({ startDate: 1 }).populate(CREDIT_POPULATE_PATHS).lean();
+            const installments = await creditService.loadInstallments(buildUserIdQuery(userId), credits.map((credit) => credit._id));
+            const now = new Date();
+            res.json(credits.map((credit) => ({
+                ...credit,
+                debt: creditService.summarize(credit, installments.get(String(credit._id)), now)
+            })));
+        } catch (err) { res.status(500).json({ message: err.message }); }
+    });
+
+    router.get('/debt-report', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const asOf = req.query.date ? new Date(req.query.date) : new Date();
+            if (isNaN(asOf.getTime())) return res.status(400).json({ message: `Invalid date: ${req.query.date}` });
+            if (req.query.date) asOf.setHours(23, 59, 59, 999);
+
+            const userId = await getCompositeUserId(req);
+            const report = await creditService.debtReport({
+                userIdQuery: buildUserIdQuery(userId),
+                asOf,
+                includeClosed: String(req.query.includeClosed) === 'true'
+            });
+            res.json(report);
+        } catch (err) {
+            console.error('❌ [GET /api/credits/debt-report] Error:', err.message);
+            res.status(500).json({ message: err.message });
+        }
+    });
+
+    router.get('/:id/schedule', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const credit = await Credit.findOne({ _id: req.params.id, userId: buildUserIdQuery(userId), ...NOT_DELETED }).lean();
+            if (!credit) return res.status(404).json({ message: 'Credit not found' });
+
+            const events = await Event.find({ creditId: credit._id, creditPart: { $in: ['principal', 'interest'] }, ...NOT_DELETED })
+                .select('date amount creditPart creditPaymentIndex').sort({ date: 1 }).lean();
+            const byIndex = new Map();
+            events.forEach((event) => {
+                const key = event.creditPaymentIndex;
+                if (!byIndex.has(key)) byIndex.set(key, { index: key, date: event.date, principal: 0, interest: 0, eventIds: [] });
+                const row = byIndex.get(key);
+                row[event.creditPart] += Math.abs(Number(event.amount) || 0);
+                row.eventIds.push(event._id);
+            });
+
+            let balance = Number(credit.principal) || 0;
+            const now = new Date();
+            const schedule = [...byIndex.values()].sort((a, b) => a.index - b.index).map((row) => {
+                balance -= row.principal;
+                return {
+                    ...row,
+                    principal: _round(row.principal),
+                    interest: _round(row.interest),
+                    payment: _round(row.principal + row.interest),
+                    balanceAfter: _round(Math.max(balance, 0)),
+                    isPaid: new Date(row.date) <= now
+                };
+            });
+            res.json({ credit: await _summarize(userId, credit), schedule });
+        } catch (err) { res.status(500).json({ message: err.message }); }
+    });
+
+    router.post('/', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const fields = normalizeCreditFields(req.body);
+            if (req.body.registerReceipt === true && !fields.accountId) return res.status(400).json({ message: 'accountId is required to register the receipt' });
+            await ensureManagerCanAccessOperationAccounts(req, { accountId: fields.accountId });
+
+            const credit = new Credit({
+                ...fields,
+                userId,
+                workspaceId: req.user.currentWorkspaceId || null,
+                createdBy: req.user.id
+            });
+
+            const planned = [];
+            if (req.body.registerReceipt === true) {
+                planned.push({
+                    type: 'income',
+                    amount: credit.principal,
+                    categoryId: null,
+                    description: `Получение кредита «${credit.name}»`,
+                    date: credit.startDate,
+                    creditPart: 'receipt'
+                });
+            }
+            planned.push(...await _planInstallments(credit));
+            assertPeriodOpenForEvents({
+                closedPeriodDate: await getClosedPeriodDate(req),
+                role: req.workspaceRole,
+                nextDates: planned.map((data) => data.date)
+            });
+
+            await credit.save();
+            const created = await _createEvents(req, userId, credit, planned);
+
+            await eventHistory.recordCreate(created, buildRevisionActor(req, userId), { creditId: credit._id });
+            triggerContextPacketRebuildByDates({
+                userId,
+                workspaceId: req.user.currentWorkspaceId || null,
+                dates: created.map((event) => event.date),
+                reason: 'credit_created'
+            });
+
+            await credit.populate(CREDIT_POPULATE_PATHS);
+            emitEntityEvent(req, userId, 'credit_added', credit);
+            await _emitCreated(req, created);
+
+            res.status(201).json({ credit, createdCount: created.length, debt: await _summarize(userId, credit.toObject({ depopulate: true })) });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [POST /api/credits] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.put('/:id', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const credit = await Credit.findOne({ _id: req.params.id, userId: buildUserIdQuery(userId), ...NOT_DELETED });
+            if (!credit) return res.status(404).json({ message: 'Credit not found' });
+
+            const fields = normalizeCreditFields(req.body, { partial: true });
+            const scheduleChanged = CREDIT_SCHEDULE_FIELDS.some((field) => fields[field] !== undefined && !_same(fields[field], credit[field]));
+            if (fields.accountId !== undefined) await ensureManagerCanAccessOperationAccounts(req, { accountId: fields.accountId });
+
+            Object.assign(credit, fields);
+            if (credit.firstPaymentDate && credit.firstPaymentDate < credit.startDate) {
+                return res.status(400).json({ message: 'firstPaymentDate cannot be earlier than startDate' });
+            }
+
+            const regenerate = scheduleChanged || fields.status === 'closed';
+            let removed = [];
+            let planned = [];
+            if (regenerate) {
+                // Installments not due yet are replaced; paid ones stay as the history of the loan
+                const now = new Date();
+                removed = await Event.find({
+                    creditId: credit._id,
+                    creditPart: { $in: ['principal', 'interest'] },
+                    date: { $gt: now },
+                    ...NOT_DELETED
+                }).lean();
+                if (credit.status === 'active') planned = await _planInstallments(credit, removed);
+                assertPeriodOpenForEvents({
+                    closedPeriodDate: await getClosedPeriodDate(req),
+                    role: req.workspaceRole,
+                    events: removed,
+                    nextDates: planned.map((data) => data.date)
+                });
+            }
+            await credit.save();
+
+            let created = [];
+            if (regenerate) {
+                if (removed.length) await Event.deleteMany({ _id: { $in: removed.map((event) => event._id) } });
+                created = await _createEvents(req, userId, credit, planned);
+
+                const actorInfo = buildRevisionActor(req, userId);
+                await eventHistory.recordDelete(removed, actorInfo, { creditId: credit._id, regenerated: true });
+                await eventHistory.recordCreate(created, actorInfo, { creditId: credit._id });
+                triggerContextPacketRebuildByDates({
+                    userId,
+                    workspaceId: req.user.currentWorkspaceId || null,
+                    dates: [...removed, ...created].map((event) => event.date),
+                    reason: 'credit_schedule_updated'
+                });
+            }
+
+            await credit.populate(CREDIT_POPULATE_PATHS);
+            emitEntityEvent(req, userId, 'credit_updated', credit);
+            removed.forEach((event) => emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_deleted', String(event._id)));
+            await _emitCreated(req, created);
+
+            res.json({ credit, removedCount: removed.length, createdCount: created.length, debt: await _summarize(userId, credit.toObject({ depopulate: true })) });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [PUT /api/credits/:id] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,267 @@
+// routes/dealRoutes.js
+// Deals and receivables (CRUD lives in server.js: generateCRUD / generateBatchUpdate / generateDeleteWithCascade)
+//   GET  /api/deals/all?status=open|closed|cancelled&date=       - deals with received / acted / outstanding
+//   GET  /api/deals/aging?date=                                  - receivables aging (0–30, 31–60, 61–90, 90+ days past due)
+//   GET  /api/deals/:id                                          - deal with tranche schedule, receipts and work acts
+//   PUT  /api/deals/:id/tranches                                 - { totalAmount?, tranches? } contract amount and schedule; receipts of
+//                                                                  a removed tranche lose their dealTrancheId (batch update ignores both)
+//   POST /api/deals/:id/tranches/:trancheId/register             - { accountId, date?, amount?, description? }, receipt as an income operation
+//   POST /api/deals/:id/acts                                     - { amount, date?, description? }, work act of the deal
+// Receipts and acts are not added to the closed period, receipts of a closed period keep their tranche (utils/periodLock.js).
+
+const express = require('express');
+const { NOT_DELETED } = require('../utils/trash');
+const { assertPeriodOpen, assertPeriodOpenForEvents } = require('../utils/periodLock');
+const { DEAL_STATUSES, normalizeDealFields, createDealService } = require('../utils/deals');
+
+const EVENT_POPULATE_PATHS = ['accountId', 'companyId', 'contractorId', 'counterpartyIndividualId', 'projectId', 'categoryId', 'categoryIds', 'individualId', 'fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId'];
+
+const _id = (value) => (value ? String(value._id || value) : '');
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const _error = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// ?date= as the end of that day, now by default
+const _asOf = (value) => {
+    const asOf = value ? new Date(value) : new Date();
+    if (isNaN(asOf.getTime())) throw _error(`Invalid date: ${value}`);
+    if (value) asOf.setHours(23, 59, 59, 999);
+    return asOf;
+};
+
+module.exports = function createDealRouter(deps) {
+    const {
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        getCompositeUserId,
+        buildUserIdQuery,
+        getCurrentWorkspaceActorRole,
+        getClosedPeriodDate,
+        ensureManagerCanAccessOperationAccounts,
+        emitToWorkspace,
+        emitEntityEvent,
+        triggerContextPacketRebuildByDates,
+        getFirstFreeCellIndex,
+        getDateKey,
+        getDayOfYear,
+        buildRevisionActor,
+        eventHistory
+    } = deps;
+
+    const { Event, Deal, Contractor, Individual, Project } = models;
+    const dealService = createDealService({ Deal, Event, Contractor, Individual, Project });
+    const router = express.Router();
+
+    const _loadDeal = async (req) => {
+        const userId = await getCompositeUserId(req);
+        const deal = await Deal.findOne({ _id: req.params.id, userId: buildUserIdQuery(userId), ...NOT_DELETED }).lean();
+        if (!deal) throw _error('Deal not found', 404);
+        return { userId, deal };
+    };
+
+    // Deal with its figures over all operations, whatever their date
+    const _summarize = async (userId, deal) => {
+        const operations = await dealService.loadOperations(buildUserIdQuery(userId), [deal._id], null);
+        return dealService.summarize(deal, operations.get(String(deal._id)), new Date());
+    };
+
+    // Income operation of the deal: client, project and category come from the deal
+    const _createDealEvent = async (req, userId, deal, data) => {
+        const date = data.date ? new Date(data.date) : new Date();
+        if (isNaN(date.getTime())) throw _error(`Invalid date: ${data.date}`);
+        assertPeriodOpen({ closedPeriodDate: await getClosedPeriodDate(req), role: req.workspaceRole, nextDate: date });
+        const dateKey = getDateKey(date);
+
+        const event = new Event({
+            type: 'income',
+            amount: data.amount,
+            description: data.description || deal.name,
+            accountId: data.accountId || null,
+            companyId: deal.companyId || null,
+            contractorId: deal.contractorId || null,
+            counterpartyIndividualId: deal.counterpartyIndividualId || null,
+            projectId: deal.projectId || null,
+            categoryId: deal.categoryId || null,
+            isWorkAct: !!data.isWorkAct,
+            isDealTranche: !data.isWorkAct,
+            dealId: deal._id,
+            dealTrancheId: data.dealTrancheId || null,
+            date,
+            dateKey,
+            dayOfYear: getDayOfYear(date),
+            cellIndex: await getFirstFreeCellIndex(dateKey, userId),
+            userId,
+            createdBy: req.user.id,
+            createdByRole: getCurrentWorkspaceActorRole(req),
+            workspaceId: req.user.currentWorkspaceId
+        });
+        await event.save();
+        await eventHistory.recordCreate(event, buildRevisionActor(req, userId), { dealId: deal._id });
+
+        triggerContextPacketRebuildByDates({
+            userId,
+            workspaceId: req.user.currentWorkspaceId || null,
+            dates: [event.date],
+            reason: data.isWorkAct ? 'deal_act_created' : 'deal_tranche_registered'
+        });
+
+        await event.populate(EVENT_POPULATE_PATHS);
+        emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_added', event);
+        return event;
+    };
+
+    router.get('/all', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const status = req.query.status ? String(req.query.status) : null;
+            if (status && !DEAL_STATUSES.includes(status)) return res.status(400).json({ message: `Unsupported status: ${status}` });
+
+            const userId = await getCompositeUserId(req);
+            const deals = await dealService.list({ userIdQuery: buildUserIdQuery(userId), status, asOf: _asOf(req.query.date) });
+            res.json(deals);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/deals/all] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.get('/aging', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const report = await dealService.aging({ userIdQuery: buildUserIdQuery(userId), asOf: _asOf(req.query.date) });
+            res.json(report);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/deals/aging] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.get('/:id', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const { userId, deal } = await _loadDeal(req);
+            const [summary, operations] = await Promise.all([
+                _summarize(userId, deal),
+                Event.find({ userId: buildUserIdQuery(userId), dealId: deal._id, ...NOT_DELETED }).sort({ date: 1 }).populate(EVENT_POPULATE_PATHS).lean()
+            ]);
+            res.json({
+                ...summary,
+                receipts: operations.filter((event) => !event.isWorkAct),
+                acts: operations.filter((event) => event.isWorkAct)
+            });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/deals/:id] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.put('/:id/tranches', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const deal = await Deal.findOne({ _id: req.params.id, userId: buildUserIdQuery(userId), ...NOT_DELETED });
+            if (!deal) return res.status(404).json({ message: 'Deal not found' });
+
+            const fields = normalizeDealFields(
+                { totalAmount: req.body.totalAmount, tranches: req.body.tranches },
+                { partial: true, current: deal.toObject() }
+            );
+
+            // Receipts registered against a tranche that is gone join the unassigned pool
+            let unlinked = [];
+            if (fields.tranches !== undefined) {
+                const keptIds = fields.tranches.map((tranche) => _id(tranche._id)).filter(Boolean);
+                unlinked = await Event.find({
+                    userId: buildUserIdQuery(userId),
+                    dealId: deal._id,
+                    dealTrancheId: { $ne: null, $nin: keptIds },
+                    ...NOT_DELETED
+                });
+            }
+            const spentUnlocks = assertPeriodOpenForEvents({
+                closedPeriodDate: await getClosedPeriodDate(req),
+                role: req.workspaceRole,
+                events: unlinked
+            });
+
+            deal.set(fields);
+            await deal.save();
+
+            const actor = buildRevisionActor(req, userId);
+            for (const event of unlinked) {
+                const before = event.toObject();
+                event.dealTrancheId = null;
+                if (spentUnlocks.has(String(event._id))) event.set({ periodUnlockedAt: null, periodUnlockedBy: null });
+                event.updatedBy = req.user.id;
+                event.updatedByRole = getCurrentWorkspaceActorRole(req);
+                await event.save();
+                await eventHistory.recordUpdate(before, event, actor, { dealId: deal._id });
+                await event.populate(EVENT_POPULATE_PATHS);
+                emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_updated', event);
+            }
+
+            emitEntityEvent(req, userId, 'deal_updated', deal);
+            res.json({ deal: await _summarize(userId, deal.toObject()), unlinkedEventIds: unlinked.map((event) => String(event._id)) });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [PUT /api/deals/:id/tranches] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.post('/:id/tranches/:trancheId/register', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const { userId, deal } = await _loadDeal(req);
+            if (deal.status === 'cancelled') return res.status(409).json({ message: 'Deal is cancelled' });
+
+            const summary = await _summarize(userId, deal);
+            const tranche = summary.tranches.find((row) => String(row._id) === String(req.params.trancheId));
+            if (!tranche) return res.status(404).json({ message: 'Tranche not found' });
+            if (tranche.isPaid) return res.status(409).json({ message: 'Tranche is already paid' });
+
+            const amount = req.body.amount != null && req.body.amount !== '' ? _round(Math.abs(Number(req.body.amount))) : tranche.unpaid;
+            if (!Number.isFinite(amount) || amount <= 0) return res.status(400).json({ message: `Invalid amount: ${req.body.amount}` });
+            if (amount - tranche.unpaid > 0.005) {
+                return res.status(400).json({ message: `Amount ${amount} exceeds the unpaid part of the tranche: ${tranche.unpaid}` });
+            }
+            if (!req.body.accountId) return res.status(400).json({ message: 'accountId is required' });
+            await ensureManagerCanAccessOperationAccounts(req, { accountId: req.body.accountId });
+
+            const event = await _createDealEvent(req, userId, deal, {
+                amount,
+                date: req.body.date,
+                accountId: req.body.accountId,
+                description: req.body.description || `${deal.name}: ${tranche.title}`,
+                dealTrancheId: tranche._id
+            });
+            res.status(201).json({ event, deal: await _summarize(userId, deal) });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [POST /api/deals/:id/tranches/:trancheId/register] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.post('/:id/acts', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const { userId, deal } = await _loadDeal(req);
+            if (deal.status === 'cancelled') return res.status(409).json({ message: 'Deal is cancelled' });
+
+            const amount = _round(Math.abs(Number(req.body.amount)));
+            if (!Number.isFinite(amount) || amount <= 0) return res.status(400).json({ message: `Invalid amount: ${req.body.amount}` });
+
+            const event = await _createDealEvent(req, userId, deal, {
+                amount,
+                date: req.body.date,
+                description: req.body.description || `${deal.name}: акт выполненных работ`,
+                isWorkAct: true
+            });
+            res.status(201).json({ event, deal: await _summarize(userId, deal) });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [POST /api/deals/:id/acts] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,125 @@
+// routes/eventHistoryRoutes.js
+// Operation change history (audit trail)
+//   GET  /api/events/:id/history   - revisions with field-level diffs
+//   POST /api/events/:id/revert    - admin: restore operation fields from a revision
+//   POST /api/events/:id/unlock    - admin: { reason? } allow one change of an operation in the closed period
+//                                    (utils/periodLock.js), recorded as an 'unlock' revision
+
+const express = require('express');
+const { NOT_DELETED } = require('../utils/trash');
+const { isInClosedPeriod, assertPeriodOpen } = require('../utils/periodLock');
+
+const EVENT_POPULATE_PATHS = ['accountId', 'companyId', 'contractorId', 'counterpartyIndividualId', 'projectId', 'categoryId', 'categoryIds', 'individualId', 'fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId'];
+
+module.exports = function createEventHistoryRouter(deps) {
+    const {
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        getCompositeUserId,
+        buildUserIdQuery,
+        getClosedPeriodDate,
+        buildRevisionActor,
+        emitToWorkspace,
+        triggerContextPacketRebuildByDates,
+        eventHistory
+    } = deps;
+
+    const { Event, EventRevision } = models;
+    const router = express.Router();
+
+    router.get('/events/:id/history', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            // Trashed operations keep their history
+            const event = await Event.findOne({ _id: req.params.id, userId: buildUserIdQuery(userId) }).select('_id').lean();
+            if (!event) return res.status(404).json({ message: 'Event not found' });
+
+            const revisions = await EventRevision.find({ eventId: event._id }).sort({ revision: 1 }).lean();
+            res.json(revisions);
+        } catch (err) { res.status(500).json({ message: err.message }); }
+    });
+
+    router.post('/events/:id/revert', isAuthenticated, checkWorkspacePermission(['admin']), async (req, res) => {
+        try {
+            const { revisionId } = req.body;
+            const userId = await getCompositeUserId(req);
+
+            const event = await Event.findOne({ _id: req.params.id, userId: buildUserIdQuery(userId), ...NOT_DELETED });
+            if (!event) return res.status(404).json({ message: 'Event not found' });
+
+            const revision = await EventRevision.findOne({ _id: revisionId, eventId: event._id }).lean();
+            if (!revision) return res.status(404).json({ message: 'Revision not found' });
+
+            const before = event.toObject();
+            // Fields the operation did not have at that revision are unset
+            const restoredFields = {};
+            eventHistory.trackedFields.forEach((field) => {
+                restoredFields[field] = Object.prototype.hasOwnProperty.call(revision.snapshot || {}, field)
+                    ? revision.snapshot[field]
+                    : undefined;
+            });
+
+            const spendsPeriodUnlock = assertPeriodOpen({
+                closedPeriodDate: await getClosedPeriodDate(req),
+                role: req.workspaceRole,
+                existingEvent: event,
+                nextDate: restoredFields.date || null
+            });
+
+            event.set({
+                ...restoredFields,
+                ...(spendsPeriodUnlock ? { periodUnlockedAt: null, periodUnlockedBy: null } : {}),
+                updatedBy: req.user.id,
+                updatedByRole: req.workspaceRole
+            });
+            await event.save();
+
+            await eventHistory.recordRevert(before, event, buildRevisionActor(req, userId), revision);
+            await event.populate(EVENT_POPULATE_PATHS);
+
+            triggerContextPacketRebuildByDates({
+                userId,
+                workspaceId: req.user.currentWorkspaceId || null,
+                dates: [before.date, event.date],
+                reason: 'event_reverted'
+            });
+
+            emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_updated', event);
+
+            res.json(event);
+        } catch (err) {
+            res.status(err.statusCode || 400).json({ message: err.message });
+        }
+    });
+
+    router.post('/events/:id/unlock', isAuthenticated, checkWorkspacePermission(['admin']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const event = await Event.findOne({ _id: req.params.id, userId: buildUserIdQuery(userId), ...NOT_DELETED });
+            if (!event) return res.status(404).json({ message: 'Event not found' });
+
+            const closedPeriodDate = await getClosedPeriodDate(req);
+            if (!isInClosedPeriod(event.date, closedPeriodDate)) {
+                return res.status(400).json({ message: 'Операция не относится к закрытому периоду' });
+            }
+
+            event.set({ periodUnlockedAt: new Date(), periodUnlockedBy: String(req.user.id) });
+            await event.save();
+            await eventHistory.recordUnlock(event, buildRevisionActor(req, userId), {
+                closedPeriodDate,
+                reason: req.body?.reason ? String(req.body.reason).trim() : null
+            });
+            await event.populate(EVENT_POPULATE_PATHS);
+
+            emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_updated', event);
+
+            res.json(event);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [POST /api/events/:id/unlock] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,192 @@
+// routes/exportRoutes.js
+// Streamed export of the operations journal
+//   GET /api/export/events?format=csv|xlsx|json&dateFrom=&dateTo=&types=income,expense,transfer
+//       &accountIds=&projectIds=&categoryIds=&contractorIds=&individualIds=&includeTransfers=true|false
+//   GET /api/export/1c?format=enterprise_data|client_bank&<same filters>  - documents for 1C
+//   GET /api/export/1c/cost-items     - categories with their 1C cost items
+//   PUT /api/export/1c/cost-items     - { items: [{ categoryId, code, name }] }, empty code and name remove the mapping
+
+const express = require('express');
+const {
+    EXPORT_WRITERS,
+    parseExportFilters,
+    buildExportQuery,
+    loadEntityNames,
+    toExportRow
+} = require('../utils/export');
+const {
+    ONE_C_FORMATS,
+    ONE_C_WRITERS,
+    COST_ITEM_KIND,
+    loadOneCContext,
+    toOneCDocument
+} = require('../utils/export1c');
+const { NOT_DELETED } = require('../utils/trash');
+
+module.exports = function createExportRouter(deps) {
+    const {
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        getCompositeUserId,
+        buildUserIdQuery,
+        emitToWorkspace
+    } = deps;
+
+    const { Event, Account, Category, CategoryMapping, Workspace } = models;
+    const router = express.Router();
+
+    router.get('/events', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        let filters;
+        try {
+            filters = parseExportFilters(req.query);
+        } catch (err) {
+            return res.status(err.statusCode || 400).json({ message: err.message });
+        }
+
+        let cursor = null;
+        try {
+            const userId = await getCompositeUserId(req);
+            const userIdQuery = buildUserIdQuery(userId);
+            const nameOf = await loadEntityNames(models, userIdQuery);
+            const writer = EXPORT_WRITERS[filters.format];
+
+            cursor = Event.find(buildExportQuery(userIdQuery, filters))
+                .sort({ date: 1, _id: 1 })
+                .lean()
+                .batchSize(500)
+                .cursor();
+
+            async function* rows() {
+                for await (const event of cursor) yield toExportRow(event, nameOf);
+            }
+
+            const fileName = `operations_${new Date().toISOString().slice(0, 10)}.${writer.extension}`;
+            res.setHeader('Content-Type', writer.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+            const count = await writer.write(res, rows());
+            console.log(`📤 [GET /api/export/events] ${filters.format}: ${count} rows`);
+        } catch (err) {
+            console.error('❌ [GET /api/export/events] Error:', err.message);
+            if (cursor) cursor.close().catch(() => {});
+            // Headers are gone once streaming started: the client sees a truncated download
+            if (!res.headersSent) res.status(500).json({ message: err.message });
+            else res.destroy(err);
+        }
+    });
+
+    router.get('/1c', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        let filters;
+        try {
+            filters = parseExportFilters(req.query, ONE_C_FORMATS);
+        } catch (err) {
+            return res.status(err.statusCode || 400).json({ message: err.message });
+        }
+
+        let cursor = null;
+        try {
+            const userId = await getCompositeUserId(req);
+            const userIdQuery = buildUserIdQuery(userId);
+            const context = await loadOneCContext(models, userIdQuery);
+            const writer = ONE_C_WRITERS[filters.format];
+
+            cursor = Event.find(buildExportQuery(userIdQuery, filters))
+                .sort({ date: 1, _id: 1 })
+                .lean()
+                .batchSize(500)
+                .cursor();
+
+            async function* documents() {
+                for await (const event of cursor) yield toOneCDocument(event, context);
+            }
+
+            const headerAccounts = filters.accountIds.length
+                ? filters.accountIds.map((id) => context.accounts.get(id)).filter(Boolean)
+                : (await Account.find({ userId: userIdQuery, ...NOT_DELETED, isCashRegister: { $ne: true } }).select('accountNumber').lean());
+
+            const workspace = req.user.currentWorkspaceId
+                ? await Workspace.findById(req.user.currentWorkspaceId).select('name').lean()
+                : null;
+
+            const fileName = `1c_${filters.format}_${new Date().toISOString().slice(0, 10)}.${writer.extension}`;
+            res.setHeader('Content-Type', writer.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+            const { exported, skipped } = await writer.write(res, documents(), {
+                dateFrom: filters.dateFrom,
+                dateTo: filters.dateTo,
+                accounts: headerAccounts,
+                sender: workspace?.name || ''
+            });
+            console.log(`📤 [GET /api/export/1c] ${filters.format}: ${exported} documents, ${skipped} skipped`);
+        } catch (err) {
+            console.error('❌ [GET /api/export/1c] Error:', err.message);
+            if (cursor) cursor.close().catch(() => {});
+            if (!res.headersSent) res.status(500).json({ message: err.message });
+            else res.destroy(err);
+        }
+    });
+
+    router.get('/1c/cost-items', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const [categories, mappings] = await Promise.all([
+                Category.find({ userId, ...NOT_DELETED }).select('name type').sort({ order: 1, name: 1 }).lean(),
+                CategoryMapping.find({ userId, kind: COST_ITEM_KIND }).lean()
+            ]);
+            const byCategory = new Map(mappings.map((mapping) => [String(mapping.categoryId), mapping]));
+
+            res.json(categories.map((category) => {
+                const mapping = byCategory.get(String(category._id));
+                return {
+                    categoryId: category._id,
+                    categoryName: category.name,
+                    categoryType: category.type || null,
+                    code: mapping?.code || null,
+                    name: mapping?.name || null
+                };
+            }));
+        } catch (err) { res.status(500).json({ message: err.message }); }
+    });
+
+    router.put('/1c/cost-items', isAuthenticated, checkWorkspacePermission(['admin']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const items = Array.isArray(req.body.items) ? req.body.items : null;
+            if (!items) return res.status(400).json({ message: 'items array is required' });
+
+            const categoryIds = items.map((item) => String(item.categoryId || '')).filter((id) => /^[0-9a-fA-F]{24}$/.test(id));
+            if (categoryIds.length !== items.length) return res.status(400).json({ message: 'Every item needs a valid categoryId' });
+            const known = await Category.countDocuments({ _id: { $in: categoryIds }, userId });
+            if (known !== new Set(categoryIds).size) return res.status(400).json({ message: 'Unknown category in items' });
+
+            const operations = items.map((item) => {
+                const code = String(item.code ?? '').trim() || null;
+                const name = String(item.name ?? '').trim() || null;
+                const filter = { userId, kind: COST_ITEM_KIND, categoryId: item.categoryId };
+                if (!code && !name) return { deleteOne: { filter } };
+                return {
+                    updateOne: {
+                        filter,
+                        update: {
+                            $set: { code, name, updatedBy: req.user.id, updatedAt: new Date() },
+                            $setOnInsert: { workspaceId: req.user.currentWorkspaceId || null }
+                        },
+                        upsert: true
+                    }
+                };
+            });
+            if (operations.length) await CategoryMapping.bulkWrite(operations);
+
+            const mappings = await CategoryMapping.find({ userId, kind: COST_ITEM_KIND }).lean();
+            emitToWorkspace(req, req.user.currentWorkspaceId, 'category_mappings_updated', { kind: COST_ITEM_KIND });
+            res.json(mappings);
+        } catch (err) {
+            console.error('❌ [PUT /api/export/1c/cost-items] Error:', err.message);
+            res.status(500).json({ message: err.message });
+        }
+    });
+
+    return router;
+};
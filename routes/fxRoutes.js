@@ -0,0 +1,125 @@
+// routes/fxRoutes.js
+// Exchange rates (see utils/fx.js); the FX gain report is GET /api/reports/fx-revaluation
+//   GET    /api/fx/rates?currency=&dateFrom=&dateTo=    - rates of the workspace and the shared NBK / file rates
+//   GET    /api/fx/convert?amount=&from=&to=&date=      - convert an amount at the rate of a date
+//   POST   /api/fx/rates                                - { currency, date, rate } manual rate of the workspace
+//   DELETE /api/fx/rates/:id                            - remove a manual rate
+//   POST   /api/fx/rates/sync?date=                     - load NBK rates of a day (local file when the bank is unreachable)
+//   POST   /api/fx/rates/import-file                    - load the local rates file (FX_RATES_FILE)
+
+const express = require('express');
+const { DEFAULT_BASE_CURRENCY, normalizeCurrency } = require('../utils/fx');
+const { parseReportRange } = require('../utils/reports/periods');
+
+const MAX_RATES = 5000;
+
+module.exports = function createFxRouter(deps) {
+    const {
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        getCompositeUserId,
+        buildUserIdQuery,
+        getWorkspaceSettings,
+        fxService
+    } = deps;
+
+    const { ExchangeRate } = models;
+    const router = express.Router();
+
+    router.get('/rates', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const { dateFrom, dateTo } = parseReportRange(req.query);
+            const userId = await getCompositeUserId(req);
+            const query = {
+                date: { $gte: dateFrom, $lte: dateTo },
+                $or: [{ userId: null }, { userId: buildUserIdQuery(userId) }]
+            };
+            if (req.query.currency) {
+                const currency = normalizeCurrency(req.query.currency);
+                if (!currency) return res.status(400).json({ message: `Invalid currency: ${req.query.currency}` });
+                query.currency = currency;
+            }
+            const rates = await ExchangeRate.find(query).sort({ date: -1, currency: 1 }).limit(MAX_RATES).lean();
+            res.json(rates.map((rate) => ({ ...rate, isManual: rate.userId != null })));
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/fx/rates] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.get('/convert', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const baseCurrency = (await getWorkspaceSettings(req)).baseCurrency || DEFAULT_BASE_CURRENCY;
+            const from = normalizeCurrency(req.query.from);
+            const to = normalizeCurrency(req.query.to) || baseCurrency;
+            const amount = Number(req.query.amount ?? 1);
+            if (!from) return res.status(400).json({ message: `Invalid currency: ${req.query.from}` });
+            if (!Number.isFinite(amount)) return res.status(400).json({ message: `Invalid amount: ${req.query.amount}` });
+            const date = req.query.date ? new Date(req.query.date) : new Date();
+            if (isNaN(date.getTime())) return res.status(400).json({ message: `Invalid date: ${req.query.date}` });
+            if (req.query.date) date.setHours(23, 59, 59, 999);
+
+            const userId = await getCompositeUserId(req);
+            const rates = await fxService.loadRates(buildUserIdQuery(userId), [from, to], date);
+            const result = rates.convert(amount, from, to, date);
+            if (result === null) return res.status(404).json({ message: `No exchange rate for ${[...rates.missing].join(', ')} on this date` });
+            res.json({ amount, from, to, date, result: Math.round(result * 100) / 100, rate: result / (amount || 1) });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/fx/convert] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.post('/rates', isAuthenticated, checkWorkspacePermission(['admin']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const row = await fxService.setManualRate({
+                ...req.body,
+                userId,
+                workspaceId: req.user.currentWorkspaceId || null,
+                createdBy: req.user.id
+            });
+            const rate = await ExchangeRate.findOne({ userId, currency: row.currency, date: row.date }).lean();
+            res.status(201).json(rate);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [POST /api/fx/rates] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.delete('/rates/:id', isAuthenticated, checkWorkspacePermission(['admin']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            // Shared NBK / file rates are not the workspace's to delete
+            const rate = await ExchangeRate.findOneAndDelete({ _id: req.params.id, userId: buildUserIdQuery(userId) });
+            if (!rate) return res.status(404).json({ message: 'Rate not found' });
+            res.json({ deleted: true, _id: rate._id });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [DELETE /api/fx/rates/:id] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.post('/rates/sync', isAuthenticated, checkWorkspacePermission(['admin']), async (req, res) => {
+        try {
+            const date = req.query.date ? new Date(req.query.date) : new Date();
+            if (isNaN(date.getTime())) return res.status(400).json({ message: `Invalid date: ${req.query.date}` });
+            res.json(await fxService.syncDailyRates(date));
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [POST /api/fx/rates/sync] Error:', err.message);
+            res.status(err.statusCode || 502).json({ message: err.message });
+        }
+    });
+
+    router.post('/rates/import-file', isAuthenticated, checkWorkspacePermission(['admin']), async (req, res) => {
+        try {
+            res.json({ source: 'file', count: await fxService.importRatesFile() });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [POST /api/fx/rates/import-file] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    return router;
+};
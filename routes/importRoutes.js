@@ -0,0 +1,716 @@
+// routes/importRoutes.js
+// Bank statement import: parse -> preview (with duplicate marks) -> commit
+//   GET  /api/import/formats     - registered statement parsers
+//   POST /api/import/preview     - { fileName, content (base64), format?, accountName?, matchWindowDays? } -> opData rows
+//   POST /api/import/operations  - { operations, selectedRows?, duplicateMode?: skip|merge|import, matchWindowDays?, fileName?, format? }
+//                                  transfer rows: { type: 'transfer', fromAccount, toAccount, transferPurpose, transferReason, ... }
+//                                  rows dated in the closed period (utils/periodLock.js) are skipped as 'closed_period';
+//                                  the batch is saved first: a commit that fails half-way leaves a 'failed' batch to roll back
+//   GET    /api/import/batches       - import history
+//   DELETE /api/import/batches/:id   - roll back a batch: created operations are deleted (also from trash), merged
+//                                      ones get back the values the merge replaced (unless edited since); operations
+//                                      of a closed period need an unlock first; auto-created entities nothing refers to
+//                                      any more are deleted
+
+const express = require('express');
+const { listParsers, parseStatement } = require('../utils/import');
+const {
+    normalizeMatchWindowDays,
+    buildImportFingerprint,
+    createDuplicateDetector
+} = require('../utils/import/duplicates');
+const { NOT_DELETED, ENTITY_REFERENCE_FIELDS, ENTITY_DEPENDENT_FIELDS } = require('../utils/trash');
+const { TRANSFER_PURPOSES, buildTransferEventData } = require('../utils/transfers');
+const { getEventFieldChanges } = require('../utils/eventHistory');
+const { isInClosedPeriod, assertPeriodOpen, assertPeriodOpenForEvents } = require('../utils/periodLock');
+
+const EVENT_POPULATE_PATHS = ['accountId', 'companyId', 'contractorId', 'counterpartyIndividualId', 'projectId', 'categoryId', 'categoryIds', 'individualId', 'fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId'];
+const DUPLICATE_ACTIONS = ['skip', 'merge', 'import'];
+
+const _id = (value) => (value ? String(value._id || value) : '');
+
+module.exports = function createImportRouter(deps) {
+    const {
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        getCompositeUserId,
+        buildUserIdQuery,
+        getCurrentWorkspaceActorRole,
+        getWorkspaceSettings,
+        getClosedPeriodDate,
+        buildRevisionActor,
+        findOrCreateEntity,
+        emitToWorkspace,
+        emitEntityEvent,
+        triggerContextPacketRebuildByDates,
+        getFirstFreeCellIndex,
+        getDateKey,
+        getDayOfYear,
+        eventHistory,
+        categorizer,
+        trashService
+    } = deps;
+
+    const { Event, Account, Contractor, Individual, Category, Project, Company, ImportBatch, RecurrenceRule } = models;
+    const entityModels = { account: Account, company: Company, individual: Individual, contractor: Contractor, project: Project, category: Category };
+    const duplicateDetector = createDuplicateDetector({ Event });
+    const router = express.Router();
+
+    const _lower = (value) => String(value || '').trim().toLowerCase();
+    const _accountNumber = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+    // Existing directory entries by name (accounts also by IBAN, contractors by БИН/ИИН); nothing is created here
+    const _loadDirectoryIndex = async (userId) => {
+        const [accounts, contractors, individuals] = await Promise.all([
+            Account.find({ userId, ...NOT_DELETED }).select('name accountNumber companyId individualId').lean(),
+            Contractor.find({ userId, ...NOT_DELETED }).select('name identificationNumber').lean(),
+            Individual.find({ userId, ...NOT_DELETED }).select('name').lean()
+        ]);
+        const byName = (items) => new Map(items.map((item) => [_lower(item.name), item]));
+        return {
+            accounts: byName(accounts),
+            accountsByNumber: new Map(accounts
+                .filter((item) => item.accountNumber)
+                .map((item) => [_accountNumber(item.accountNumber), item])),
+            contractors: byName(contractors),
+            individuals: byName(individuals),
+            contractorsByBin: new Map(contractors
+                .filter((item) => item.identificationNumber)
+                .map((item) => [String(item.identificationNumber).replace(/\D/g, ''), item]))
+        };
+    };
+
+    const _findAccount = (value, index) => {
+        if (!value) return null;
+        return index.accounts.get(_lower(value)) || index.accountsByNumber.get(_accountNumber(value)) || null;
+    };
+
+    const _sameOwner = (a, b) => _id(a.companyId) === _id(b.companyId) && _id(a.individualId) === _id(b.individualId);
+
+    // Same owner -> internal; business -> individual-only account -> personal; anything else -> inter_company
+    const _inferTransferPurpose = (fromAccount, toAccount) => {
+        if (!fromAccount || !toAccount || _sameOwner(fromAccount, toAccount)) return 'internal';
+        if (fromAccount.companyId && !toAccount.companyId && toAccount.individualId) return 'personal';
+        return 'inter_company';
+    };
+
+    /**
+     * A statement row whose counterparty account is one of ours is one leg of a transfer.
+     * Returns the row rewritten as a transfer (statementType keeps the original direction).
+     */
+    const _detectTransferLeg = (row, index) => {
+        if (row.type === 'transfer' || !row.counterpartyAccount) return row;
+        const ownAccount = _findAccount(row.account, index);
+        const otherAccount = index.accountsByNumber.get(_accountNumber(row.counterpartyAccount));
+        if (!otherAccount || (ownAccount && String(ownAccount._id) === String(otherAccount._id))) return row;
+
+        const ownName = ownAccount ? ownAccount.name : row.account;
+        const isOutgoing = row.type === 'expense';
+        const fromAccount = isOutgoing ? ownAccount : otherAccount;
+        const toAccount = isOutgoing ? otherAccount : ownAccount;
+        return {
+            ...row,
+            type: 'transfer',
+            statementType: row.type,
+            fromAccount: isOutgoing ? ownName : otherAccount.name,
+            toAccount: isOutgoing ? otherAccount.name : ownName,
+            transferPurpose: _inferTransferPurpose(fromAccount, toAccount),
+            transferReason: null,
+            contractor: null
+        };
+    };
+
+    const _resolveCandidate = (row, key, index) => {
+        const isTransfer = row.type === 'transfer';
+        const contractor = isTransfer ? null : ((row.counterpartyBin && index.contractorsByBin.get(row.counterpartyBin))
+            || index.contractors.get(_lower(row.contractor))
+            || null);
+        const individual = (!isTransfer && !contractor) ? (index.individuals.get(_lower(row.individual || row.contractor)) || null) : null;
+        const account = _findAccount(row.account, index);
+        const candidate = {
+            key,
+            date: new Date(row.date),
+            type: row.type,
+            amount: Math.abs(Number(row.amount) || 0),
+            accountId: account?._id || null,
+            fromAccountId: isTransfer ? (_findAccount(row.fromAccount, index)?._id || null) : null,
+            toAccountId: isTransfer ? (_findAccount(row.toAccount, index)?._id || null) : null,
+            contractorId: contractor?._id || null,
+            individualId: individual?._id || null,
+            description: row.description || null,
+            bankReference: row.bankReference || null
+        };
+        candidate.fingerprint = buildImportFingerprint(candidate);
+        return { candidate, account, contractor, individual };
+    };
+
+    // What categorization rules / counterparty defaults would fill in, with names for the preview table
+    const _suggestCategorization = async (userId, rows, resolved) => {
+        const ruleContext = await categorizer.loadContext(userId);
+        const results = rows.map((row, i) => {
+            const { candidate } = resolved[i];
+            if (row.type === 'transfer') return null;
+            const { updates, ruleIds } = categorizer.categorize({
+                ...candidate,
+                categoryId: row.category || null,
+                projectId: row.project || null,
+                contractorId: candidate.contractorId || (row.contractor && !candidate.individualId ? row.contractor : null),
+                excludeFromTotals: false
+            }, ruleContext);
+            delete updates.categoryIds;
+            return Object.keys(updates).length ? { ...updates, ruleIds } : null;
+        });
+
+        const idsOf = (field) => results.map((item) => item?.[field]).filter(Boolean);
+        const [categories, projects, contractors] = await Promise.all([
+            Category.find({ _id: { $in: idsOf('categoryId') } }).select('name').lean(),
+            Project.find({ _id: { $in: idsOf('projectId') } }).select('name').lean(),
+            Contractor.find({ _id: { $in: idsOf('contractorId') } }).select('name').lean()
+        ]);
+        const names = new Map([...categories, ...projects, ...contractors].map((doc) => [String(doc._id), doc.name]));
+        return results.map((item) => item && {
+            ...item,
+            categoryName: item.categoryId ? names.get(String(item.categoryId)) || null : undefined,
+            projectName: item.projectId ? names.get(String(item.projectId)) || null : undefined,
+            contractorName: item.contractorId ? names.get(String(item.contractorId)) || null : undefined
+        });
+    };
+
+    const _resolveWindowDays = async (req, requested) => {
+        if (requested !== undefined && requested !== null && requested !== '') return normalizeMatchWindowDays(requested);
+        const settings = await getWorkspaceSettings(req);
+        return normalizeMatchWindowDays(settings.importDuplicateWindowDays);
+    };
+
+    router.get('/formats', isAuthenticated, (req, res) => {
+        res.json(listParsers());
+    });
+
+    router.post('/preview', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const { fileName, content, format, accountName, matchWindowDays } = req.body;
+            if (!content || typeof content !== 'string') {
+                return res.status(400).json({ message: 'File content (base64) is required' });
+            }
+
+            const userId = await getCompositeUserId(req);
+            const buffer = Buffer.from(content, 'base64');
+            const parsed = await parseStatement({
+                fileName,
+                buffer,
+                format: format || null,
+                options: { accountName: accountName ? String(accountName).trim() : null }
+            });
+
+            const windowDays = await _resolveWindowDays(req, matchWindowDays);
+            const index = await _loadDirectoryIndex(userId);
+            const sourceRows = parsed.rows.map((row) => _detectTransferLeg(row, index));
+            const resolved = sourceRows.map((row, i) => _resolveCandidate(row, i, index));
+            const duplicates = await duplicateDetector.findDuplicates({
+                userId,
+                candidates: resolved.map((item) => item.candidate),
+                windowDays
+            });
+            const suggestions = await _suggestCategorization(userId, sourceRows, resolved);
+            const closedPeriodDate = await getClosedPeriodDate(req);
+
+            // Known accounts (by IBAN) and counterparties (by БИН/ИИН) are shown under their directory names
+            const rows = sourceRows.map((row, i) => {
+                const { candidate, account, contractor } = resolved[i];
+                return {
+                    ...row,
+                    account: account ? account.name : row.account,
+                    contractor: contractor ? contractor.name : row.contractor,
+                    contractorMatched: !!contractor,
+                    accountMatched: !!candidate.accountId,
+                    fingerprint: candidate.fingerprint,
+                    duplicate: duplicates.get(i) || null,
+                    closedPeriod: isInClosedPeriod(row.date, closedPeriodDate),
+                    autoCategorization: suggestions[i]
+                };
+            });
+
+            res.json({
+                ...parsed,
+                fileName: fileName || null,
+                matchWindowDays: windowDays,
+                duplicateCount: rows.filter((row) => row.duplicate?.status === 'duplicate').length,
+                possibleDuplicateCount: rows.filter((row) => row.duplicate?.status === 'possible_duplicate').length,
+                transferCount: rows.filter((row) => row.type === 'transfer').length,
+                closedPeriodCount: rows.filter((row) => row.closedPeriod).length,
+                closedPeriodDate,
+                rows
+            });
+        } catch (err) {
+            console.error('❌ [POST /api/import/preview] Error:', err.message);
+            res.status(err.statusCode || 400).json({ message: err.message });
+        }
+    });
+
+    router.post('/operations', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        const { operations, selectedRows, matchWindowDays, fileName, format } = req.body;
+        const duplicateMode = DUPLICATE_ACTIONS.includes(req.body.duplicateMode) ? req.body.duplicateMode : 'skip';
+        const userId = await getCompositeUserId(req);
+        if (!Array.isArray(operations)) { return res.status(400).json({ message: 'Invalid data' }); }
+        const selectedSet = (selectedRows && Array.isArray(selectedRows)) ? new Set(selectedRows) : null;
+        const rowsToImport = operations
+            .map((opData, index) => ({ opData, index }))
+            .filter(({ opData, index }) => (!selectedSet || selectedSet.has(index))
+                && opData && opData.date && opData.amount
+                && !isNaN(new Date(opData.date).getTime()));
+
+        const caches = { categories: {}, projects: {}, accounts: {}, companies: {}, contractors: {}, individuals: {}, prepayments: {} };
+        const createdOps = []; const cellIndexCache = new Map();
+        const mergedDocs = []; const skipped = []; const createdEntities = [];
+        const batchTransfers = []; // transfers created by this commit, to pair legs from two statements uploaded together
+        const batch = new ImportBatch({
+            userId,
+            workspaceId: req.user.currentWorkspaceId || null,
+            fileName: fileName ? String(fileName).trim() : null,
+            format: format || null,
+            rowCount: rowsToImport.length,
+            status: 'pending',
+            createdBy: req.user.id,
+            createdByRole: getCurrentWorkspaceActorRole(req)
+        });
+        let insertedDocs = [];
+        const recordProgress = () => {
+            batch.importedCount = insertedDocs.length;
+            batch.mergedCount = mergedDocs.length;
+            batch.skippedCount = skipped.length;
+            batch.mergedEventIds = mergedDocs.map((doc) => doc._id);
+            batch.createdEntities = createdEntities;
+        };
+        try {
+            // The batch exists before the first write, so whatever this commit writes can be rolled back
+            await batch.save();
+
+            // Re-run duplicate detection on the server: the preview marks are advisory only
+            const windowDays = await _resolveWindowDays(req, matchWindowDays);
+            const index = await _loadDirectoryIndex(userId);
+            const duplicates = await duplicateDetector.findDuplicates({
+                userId,
+                candidates: rowsToImport.map(({ opData, index: rowIndex }) => _resolveCandidate(opData, rowIndex, index).candidate),
+                windowDays
+            });
+
+            const actor = buildRevisionActor(req, userId);
+            const actorRole = getCurrentWorkspaceActorRole(req);
+            const ruleContext = await categorizer.loadContext(userId);
+            const closedPeriodDate = await getClosedPeriodDate(req);
+
+            const resolveAccountId = async (value) => {
+                const known = _findAccount(value, index);
+                if (known) return known._id;
+                return findOrCreateEntity(Account, value, caches.accounts, userId, createdEntities);
+            };
+
+            const nextCellIndex = async (dateKey) => {
+                const cellIndex = cellIndexCache.has(dateKey) ? cellIndexCache.get(dateKey) : await getFirstFreeCellIndex(dateKey, userId);
+                cellIndexCache.set(dateKey, cellIndex + 1);
+                return cellIndex;
+            };
+
+            const saveMerged = async (existingEvent, previousState, meta) => {
+                existingEvent.updatedBy = req.user.id;
+                existingEvent.updatedByRole = actorRole;
+                await existingEvent.save();
+                batch.mergedChanges.push({
+                    eventId: existingEvent._id,
+                    changes: getEventFieldChanges(eventHistory.pickTrackedFields(previousState), eventHistory.pickTrackedFields(existingEvent))
+                });
+                await eventHistory.recordUpdate(previousState, existingEvent, actor, { ...meta, importBatchId: batch._id });
+                await existingEvent.populate(EVENT_POPULATE_PATHS);
+                mergedDocs.push(existingEvent);
+                emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_updated', existingEvent);
+            };
+
+            // Merge only fills what the existing operation is missing; amounts and dates stay untouched
+            const fillBlanks = (existingEvent, fill) => {
+                let changed = false;
+                Object.keys(fill).forEach((field) => {
+                    if (fill[field] && !existingEvent[field]) { existingEvent[field] = fill[field]; changed = true; }
+                });
+                if (changed && existingEvent.categoryId && !(existingEvent.categoryIds || []).length) {
+                    existingEvent.categoryIds = [existingEvent.categoryId];
+                }
+                return changed;
+            };
+
+            const importTransferRow = async (opData, rowIndex, duplicate, action) => {
+                const date = new Date(opData.date);
+                const fromAccountId = await resolveAccountId(opData.fromAccount);
+                const toAccountId = await resolveAccountId(opData.toAccount);
+                const statementAccountId = opData.account ? await resolveAccountId(opData.account) : null;
+                const accounts = await Account.find({ _id: { $in: [fromAccountId, toAccountId].filter(Boolean) } })
+                    .select('companyId individualId').lean();
+                const accountById = new Map(accounts.map((item) => [String(item._id), item]));
+                const fromOwner = accountById.get(String(fromAccountId)) || {};
+                const toOwner = accountById.get(String(toAccountId)) || {};
+
+                const transferParams = {
+                    amount: opData.amount,
+                    fromAccountId,
+                    toAccountId,
+                    fromCompanyId: await findOrCreateEntity(Company, opData.fromCompany, caches.companies, userId, createdEntities) || fromOwner.companyId,
+                    toCompanyId: await findOrCreateEntity(Company, opData.toCompany, caches.companies, userId, createdEntities) || toOwner.companyId,
+                    fromIndividualId: await findOrCreateEntity(Individual, opData.fromIndividual, caches.individuals, userId, createdEntities) || fromOwner.individualId,
+                    toIndividualId: await findOrCreateEntity(Individual, opData.toIndividual, caches.individuals, userId, createdEntities) || toOwner.individualId,
+                    categoryId: await findOrCreateEntity(Category, opData.category, caches.categories, userId, createdEntities),
+                    transferPurpose: TRANSFER_PURPOSES.includes(opData.transferPurpose) ? opData.transferPurpose : 'internal',
+                    transferReason: opData.transferReason || null,
+                    description: opData.description ? String(opData.description).trim() : null
+                };
+                const transferData = buildTransferEventData(transferParams);
+                if (!fromAccountId || (!transferData.isWithdrawal && !toAccountId)) {
+                    skipped.push({ rowIndex, eventId: null, status: 'invalid_transfer' });
+                    return;
+                }
+
+                // The second leg of a transfer created a moment ago from the other statement in this upload
+                const pairedLeg = batchTransfers.find((item) => !item.paired
+                    && String(item.fromAccountId) === String(fromAccountId)
+                    && String(item.toAccountId || '') === String(toAccountId || '')
+                    && Math.abs(item.amount - Math.abs(opData.amount)) < 0.005
+                    && Math.abs(item.date - date) <= (windowDays + 1) * 24 * 60 * 60 * 1000
+                    && item.statementAccountId && statementAccountId
+                    && String(item.statementAccountId) !== String(statementAccountId));
+                if (pairedLeg) {
+                    pairedLeg.paired = true;
+                    skipped.push({ rowIndex, eventId: null, status: 'paired_leg' });
+                    return;
+                }
+
+                const bankReference = opData.bankReference ? String(opData.bankReference).trim() : null;
+                const importFingerprint = buildImportFingerprint({
+                    date, type: 'transfer', amount: opData.amount, fromAccountId, toAccountId, description: transferData.description, bankReference
+                });
+
+                if (duplicate && action === 'merge') {
+                    const existingEvent = await Event.findOne({ _id: duplicate.eventId, userId, ...NOT_DELETED });
+                    if (!existingEvent) return;
+                    const previousState = existingEvent.toObject();
+
+                    if (duplicate.status === 'transfer_leg') {
+                        // The plain income/expense from the other statement becomes the single transfer Event
+                        Object.assign(existingEvent, {
+                            accountId: null,
+                            companyId: null,
+                            individualId: null,
+                            contractorId: null,
+                            counterpartyIndividualId: null,
+                            projectId: null,
+                            categoryIds: [],
+                            ...transferData,
+                            description: transferParams.description || existingEvent.description || transferData.description,
+                            bankReference: existingEvent.bankReference || bankReference,
+                            importFingerprint
+                        });
+                        await saveMerged(existingEvent, previousState, { source: 'import_transfer_leg' });
+                        return;
+                    }
+
+                    if (fillBlanks(existingEvent, { description: transferParams.description, categoryId: transferParams.categoryId, bankReference, importFingerprint })) {
+                        await saveMerged(existingEvent, previousState, { source: 'import_merge' });
+                    } else {
+                        skipped.push({ rowIndex, eventId: duplicate.eventId, status: duplicate.status });
+                    }
+                    return;
+                }
+
+                const dateKey = getDateKey(date);
+                createdOps.push({
+                    ...transferData,
+                    date,
+                    dayOfYear: getDayOfYear(date),
+                    dateKey,
+                    cellIndex: await nextCellIndex(dateKey),
+                    bankReference,
+                    importFingerprint,
+                    importBatchId: batch._id,
+                    userId,
+                    createdBy: req.user.id,
+                    createdByRole: actorRole
+                });
+                batchTransfers.push({ fromAccountId, toAccountId, statementAccountId, amount: Math.abs(opData.amount), date });
+            };
+
+            const importPlainRow = async (opData, rowIndex, duplicate, action) => {
+                const date = new Date(opData.date);
+                const statementCategoryId = await findOrCreateEntity(Category, opData.category, caches.categories, userId, createdEntities);
+                const statementProjectId = await findOrCreateEntity(Project, opData.project, caches.projects, userId, createdEntities);
+                const accountId = await resolveAccountId(opData.account);
+                const companyId = await findOrCreateEntity(Company, opData.company, caches.companies, userId, createdEntities);
+                const individualId = await findOrCreateEntity(Individual, opData.individual, caches.individuals, userId, createdEntities);
+                const matchedContractorId = await findOrCreateEntity(Contractor, opData.contractor, caches.contractors, userId, createdEntities);
+                const description = opData.description ? String(opData.description).trim() : undefined;
+                const bankReference = opData.bankReference ? String(opData.bankReference).trim() : null;
+                // Fingerprint uses the statement values, before rules fill anything in
+                const importFingerprint = buildImportFingerprint({
+                    date, type: opData.type, amount: opData.amount, accountId, contractorId: matchedContractorId, individualId, description, bankReference
+                });
+
+                // Categorization rules and counterparty defaults fill what the row left empty
+                const { updates: ruleUpdates } = categorizer.categorize({
+                    type: opData.type, amount: opData.amount, description, accountId,
+                    contractorId: matchedContractorId, individualId, categoryId: statementCategoryId, projectId: statementProjectId, excludeFromTotals: false
+                }, ruleContext);
+                const categoryId = ruleUpdates.categoryId || statementCategoryId;
+                const projectId = ruleUpdates.projectId || statementProjectId;
+                const contractorId = ruleUpdates.contractorId || matchedContractorId;
+                const excludeFromTotals = ruleUpdates.excludeFromTotals === true;
+
+                if (duplicate && action === 'merge') {
+                    const existingEvent = await Event.findOne({ _id: duplicate.eventId, userId, ...NOT_DELETED });
+                    if (!existingEvent) return;
+                    const previousState = existingEvent.toObject();
+                    const fill = { description, categoryId, projectId, companyId, individualId, contractorId, bankReference, importFingerprint };
+                    if (existingEvent.isTransfer || existingEvent.contractorId || existingEvent.individualId) {
+                        delete fill.contractorId;
+                        delete fill.individualId;
+                    }
+                    if (fillBlanks(existingEvent, fill)) {
+                        await saveMerged(existingEvent, previousState, { source: 'import_merge' });
+                    } else {
+                        skipped.push({ rowIndex, eventId: duplicate.eventId, status: duplicate.status });
+                    }
+                    return;
+                }
+
+                const dateKey = getDateKey(date);
+                createdOps.push({
+                    date,
+                    dayOfYear: getDayOfYear(date),
+                    dateKey,
+                    cellIndex: await nextCellIndex(dateKey),
+                    type: opData.type,
+                    amount: opData.amount,
+                    description,
+                    bankReference,
+                    importFingerprint,
+                    importBatchId: batch._id,
+                    categoryId,
+                    categoryIds: categoryId ? [categoryId] : [],
+                    projectId,
+                    accountId,
+                    companyId,
+                    individualId,
+                    contractorId,
+                    excludeFromTotals,
+                    isTransfer: false,
+                    userId,
+                    createdBy: req.user.id,
+                    createdByRole: actorRole
+                });
+            };
+
+            for (const { opData, index: rowIndex } of rowsToImport) {
+                // Nothing is added to or merged into a closed period
+                if (isInClosedPeriod(opData.date, closedPeriodDate)) {
+                    skipped.push({ rowIndex, eventId: null, status: 'closed_period' });
+                    continue;
+                }
+                const duplicate = duplicates.get(rowIndex) || null;
+                // "duplicate" follows duplicateMode, an existing other leg of a transfer is merged into it,
+                // "possible_duplicate" is imported unless the row says otherwise
+                let defaultAction = 'import';
+                if (duplicate?.status === 'duplicate') defaultAction = duplicateMode;
+                else if (duplicate?.status === 'transfer_leg') defaultAction = 'merge';
+                const action = DUPLICATE_ACTIONS.includes(opData.duplicateAction) ? opData.duplicateAction : defaultAction;
+
+                if (duplicate && action === 'skip') {
+                    skipped.push({ rowIndex, eventId: duplicate.eventId, status: duplicate.status });
+                    continue;
+                }
+
+                if (opData.type === 'transfer') await importTransferRow(opData, rowIndex, duplicate, action);
+                else await importPlainRow(opData, rowIndex, duplicate, action);
+            }
+
+            if (createdOps.length > 0) {
+                insertedDocs = await Event.insertMany(createdOps);
+                await eventHistory.recordCreate(insertedDocs, actor, { importBatchId: batch._id });
+                emitToWorkspace(req, req.user.currentWorkspaceId, 'operations_imported', insertedDocs.length);
+            }
+
+            recordProgress();
+            batch.status = 'active';
+            await batch.save();
+
+            if (insertedDocs.length > 0 || mergedDocs.length > 0) {
+                triggerContextPacketRebuildByDates({
+                    userId,
+                    workspaceId: req.user.currentWorkspaceId || null,
+                    dates: [...insertedDocs, ...mergedDocs].map((doc) => doc?.date).filter(Boolean),
+                    reason: 'operations_imported'
+                });
+            }
+
+            res.status(insertedDocs.length > 0 ? 201 : 200).json({
+                batch,
+                operations: insertedDocs,
+                merged: mergedDocs,
+                skipped,
+                duplicateMode,
+                matchWindowDays: windowDays
+            });
+        } catch (err) {
+            console.error('❌ [POST /api/import/operations] Error:', err.message);
+            // Merges, inserted operations and created entities written so far stay recorded on the failed batch
+            if (!batch.isNew) {
+                recordProgress();
+                batch.status = 'failed';
+                await batch.save().catch((saveErr) => console.error('❌ [POST /api/import/operations] Batch save error:', saveErr.message));
+            }
+            res.status(500).json({ message: 'Import error', details: err.message, batchId: batch.isNew ? null : batch._id });
+        }
+    });
+
+    router.get('/batches', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const query = { userId: buildUserIdQuery(userId) };
+            if (req.query.status) query.status = req.query.status;
+            // Managers see only their own imports
+            if (req.workspaceRole === 'manager') query.createdBy = String(req.user.id);
+
+            const limit = Math.min(Number(req.query.limit) || 100, 500);
+            const batches = await ImportBatch.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+            res.json(batches);
+        } catch (err) {
+            res.status(500).json({ message: err.message });
+        }
+    });
+
+    // An auto-created entity is removed only if nothing references it any more: operations (trashed ones
+    // included), recurrence templates and the other records of ENTITY_DEPENDENT_FIELDS
+    const _isEntityUsed = async (entityType, entityId, userId) => {
+        // Templates keep ids as strings
+        const refersTo = (fields) => fields.map((field) => ({ [field]: { $in: [entityId, String(entityId)] } }));
+        const fields = ENTITY_REFERENCE_FIELDS[entityType] || [];
+        if (fields.length > 0) {
+            if (await Event.exists({ userId, $or: refersTo(fields) })) return true;
+            if (await RecurrenceRule.exists({ userId, $or: refersTo(fields.map((field) => `template.${field}`)) })) return true;
+        }
+        for (const [modelName, dependentFields] of Object.entries(ENTITY_DEPENDENT_FIELDS[entityType] || {})) {
+            if (await models[modelName].exists({ userId, $or: refersTo(dependentFields) })) return true;
+        }
+        return false;
+    };
+
+    router.delete('/batches/:id', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const batch = await ImportBatch.findOne({ _id: req.params.id, userId: buildUserIdQuery(userId) });
+            if (!batch) return res.status(404).json({ message: 'Import batch not found' });
+            if (batch.status === 'rolled_back') return res.status(409).json({ message: 'Import batch is already rolled back' });
+            if (req.workspaceRole === 'manager' && String(batch.createdBy) !== String(req.user.id)) {
+                return res.status(403).json({ message: 'Managers can roll back only their own imports' });
+            }
+
+            const batchEvents = await Event.find({ importBatchId: batch._id, userId: batch.userId }).lean();
+            const parentIds = batchEvents.filter((event) => event.isSplitParent).map((event) => event._id);
+            const children = parentIds.length > 0
+                ? await Event.find({ parentOpId: { $in: parentIds }, importBatchId: { $ne: batch._id } }).lean()
+                : [];
+            const allEvents = [...batchEvents, ...children];
+            const liveEvents = allEvents.filter((event) => !event.isDeleted);
+
+            // Merged operations get back what the merge replaced; a field edited after the import keeps its value
+            const restoredEvents = [];
+            const keptMergedFields = [];
+            for (const merged of batch.mergedChanges || []) {
+                const event = await Event.findOne({ _id: merged.eventId, ...NOT_DELETED });
+                if (!event) continue;
+                const before = event.toObject();
+                const current = eventHistory.pickTrackedFields(event);
+                merged.changes.forEach((change) => {
+                    if (JSON.stringify(current[change.field] ?? null) !== JSON.stringify(change.to ?? null)) {
+                        keptMergedFields.push({ eventId: String(event._id), field: change.field });
+                        return;
+                    }
+                    event.set(change.field, change.from ?? null);
+                });
+                if (event.isModified()) restoredEvents.push({ event, before });
+            }
+
+            // Nothing is written until every deleted and restored operation has passed the period lock
+            const closedPeriodDate = await getClosedPeriodDate(req);
+            assertPeriodOpenForEvents({ closedPeriodDate, role: req.workspaceRole, events: liveEvents });
+            restoredEvents.forEach((item) => {
+                item.spendsPeriodUnlock = assertPeriodOpen({
+                    closedPeriodDate,
+                    role: req.workspaceRole,
+                    existingEvent: item.before,
+                    nextDate: item.event.date
+                });
+            });
+
+            const actor = buildRevisionActor(req, userId);
+            await eventHistory.recordDelete(liveEvents, actor, { importBatchId: batch._id, rollback: true });
+            if (allEvents.length > 0) {
+                // Operations of the batch already in trash go too: their trash entries must not offer them back
+                await Event.deleteMany({ _id: { $in: allEvents.map((event) => event._id) } });
+                await trashService.forgetEvents(allEvents.map((event) => event._id));
+            }
+
+            for (const { event, before, spendsPeriodUnlock } of restoredEvents) {
+                if (spendsPeriodUnlock) event.set({ periodUnlockedAt: null, periodUnlockedBy: null });
+                event.updatedBy = req.user.id;
+                event.updatedByRole = req.workspaceRole;
+                await event.save();
+                await eventHistory.recordUpdate(before, event, actor, { importBatchId: batch._id, rollback: true });
+            }
+
+            const removedEntities = [];
+            const keptEntities = [];
+            for (const created of batch.createdEntities || []) {
+                const model = entityModels[created.entityType];
+                if (!model) continue;
+                const entity = await model.findOne({ _id: created.entityId, userId: batch.userId, ...NOT_DELETED }).select('_id').lean();
+                if (!entity) continue;
+                if (await _isEntityUsed(created.entityType, created.entityId, batch.userId)) {
+                    keptEntities.push(created);
+                    continue;
+                }
+                await model.deleteOne({ _id: created.entityId });
+                removedEntities.push(created);
+            }
+
+            batch.status = 'rolled_back';
+            batch.rolledBackAt = new Date();
+            batch.rolledBackBy = req.user.id;
+            await batch.save();
+
+            triggerContextPacketRebuildByDates({
+                userId,
+                workspaceId: req.user.currentWorkspaceId || null,
+                dates: [...liveEvents, ...restoredEvents.map(({ event }) => event)].map((event) => event.date).filter(Boolean),
+                reason: 'import_batch_rolled_back'
+            });
+
+            liveEvents.forEach((event) => emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_deleted', String(event._id)));
+            for (const { event } of restoredEvents) {
+                await event.populate(EVENT_POPULATE_PATHS);
+                emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_updated', event);
+            }
+            removedEntities.forEach((created) => emitEntityEvent(req, userId, `${created.entityType}_deleted`, String(created.entityId)));
+            emitToWorkspace(req, req.user.currentWorkspaceId, 'import_batch_rolled_back', { batchId: String(batch._id) });
+
+            res.json({
+                batch,
+                deletedEventIds: allEvents.map((event) => String(event._id)),
+                restoredEventIds: restoredEvents.map(({ event }) => String(event._id)),
+                keptMergedFields,
+                removedEntities,
+                keptEntities
+            });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [DELETE /api/import/batches/:id] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,222 @@
+// routes/payrollRoutes.js
+// Monthly payroll runs and the payroll register (see utils/payroll.js).
+// Employees themselves are CRUD from server.js (generateCRUD / generateBatchUpdate / generateDeleteWithCascade).
+//   POST /api/payroll/runs                     - { month: 'YYYY-MM', employeeIds? } plan salary, IPN, OPV, SO and OSMS
+//                                                operations of the month; running it again replaces the ones not paid yet
+//                                                (moved to the trash) and drops those of employees no longer paid that month;
+//                                                nothing is written if one of them falls into the closed period
+//   GET  /api/payroll/register?month=&date=    - payroll register of a month
+
+const express = require('express');
+const { NOT_DELETED } = require('../utils/trash');
+const { assertPeriodOpenForEvents } = require('../utils/periodLock');
+const {
+    PAYROLL_PARTS,
+    PAYROLL_CATEGORY_NAMES,
+    PAYROLL_PART_LABELS,
+    parsePayrollMonth,
+    calculatePayroll,
+    payrollDatesOf,
+    createPayrollService
+} = require('../utils/payroll');
+
+const EVENT_POPULATE_PATHS = ['accountId', 'companyId', 'contractorId', 'counterpartyIndividualId', 'projectId', 'categoryId', 'categoryIds', 'individualId', 'fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId'];
+const PART_AMOUNT_FIELDS = { salary: 'net', ipn: 'ipn', opv: 'opv', so: 'so', osms: 'osms' };
+
+const _isObjectId = (value) => /^[0-9a-fA-F]{24}$/.test(String(value || ''));
+
+// ?date= as the end of that day, now by default
+const _asOf = (value) => {
+    const asOf = value ? new Date(value) : new Date();
+    if (isNaN(asOf.getTime())) {
+        const error = new Error(`Invalid date: ${value}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    if (value) asOf.setHours(23, 59, 59, 999);
+    return asOf;
+};
+
+module.exports = function createPayrollRouter(deps) {
+    const {
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        getCompositeUserId,
+        buildUserIdQuery,
+        getCurrentWorkspaceActorRole,
+        getClosedPeriodDate,
+        findOrCreateEntity,
+        emitToWorkspace,
+        triggerContextPacketRebuildByDates,
+        getFirstFreeCellIndex,
+        getDateKey,
+        getDayOfYear,
+        buildRevisionActor,
+        trashService,
+        eventHistory
+    } = deps;
+
+    const { Event, Employee, Individual, Category } = models;
+    const payrollService = createPayrollService({ Employee, Event, Individual });
+    const router = express.Router();
+
+    const _categoryIds = async (userId) => {
+        const cache = {};
+        const entries = await Promise.all(PAYROLL_PARTS.map(async (part) => [part, await findOrCreateEntity(Category, PAYROLL_CATEGORY_NAMES[part], cache, userId)]));
+        return Object.fromEntries(entries);
+    };
+
+    router.post('/runs', isAuthenticated, checkWorkspacePermission(['admin']), async (req, res) => {
+        try {
+            const month = parsePayrollMonth(req.body.month);
+            const employeeIds = Array.isArray(req.body.employeeIds) ? req.body.employeeIds.filter(_isObjectId) : null;
+            const userId = await getCompositeUserId(req);
+            const userIdQuery = buildUserIdQuery(userId);
+            const now = new Date();
+
+            const employees = await payrollService.employeesForMonth({ userIdQuery, month, employeeIds });
+            const actorInfo = buildRevisionActor(req, userId);
+
+            const created = [];
+            const skipped = [];
+            const runnable = [];
+            employees.forEach((employee) => {
+                if (employee.accountId) runnable.push(employee);
+                else skipped.push({ employeeId: employee._id, name: employee.name, reason: 'Не указан счет для выплаты' });
+            });
+            // Skipped employees keep their operations: nothing replaces them in this run
+            const skippedIds = new Set(skipped.map((row) => String(row.employeeId)));
+
+            // Paid parts stay as they are; the planned ones are recalculated, or dropped for employees
+            // no longer paid that month (dismissed, zero salary, deleted)
+            const existing = await Event.find({
+                userId: userIdQuery,
+                payrollMonth: month.key,
+                employeeId: employeeIds ? { $in: employeeIds } : { $ne: null },
+                ...NOT_DELETED
+            });
+            const paidPartsByEmployee = new Map();
+            const removed = [];
+            existing.forEach((event) => {
+                const employeeId = String(event.employeeId);
+                if (new Date(event.date) > now) {
+                    if (!skippedIds.has(employeeId)) removed.push(event);
+                    return;
+                }
+                if (!paidPartsByEmployee.has(employeeId)) paidPartsByEmployee.set(employeeId, new Set());
+                paidPartsByEmployee.get(employeeId).add(event.payrollPart);
+            });
+
+            const plans = runnable.map((employee) => {
+                const paidParts = paidPartsByEmployee.get(String(employee._id)) || new Set();
+                const amounts = calculatePayroll(employee.gross, { year: month.year, applyStandardDeduction: employee.applyStandardDeduction !== false });
+                const parts = PAYROLL_PARTS.filter((part) => !paidParts.has(part) && amounts[PART_AMOUNT_FIELDS[part]] >= 0.005);
+                return { employee, amounts, parts, dates: payrollDatesOf(employee, month) };
+            });
+            assertPeriodOpenForEvents({
+                closedPeriodDate: await getClosedPeriodDate(req),
+                role: req.workspaceRole,
+                events: removed,
+                nextDates: plans.flatMap(({ parts, dates }) => parts.map((part) => dates[part]))
+            });
+
+            const categoryIds = await _categoryIds(userId);
+            if (removed.length) {
+                const trashed = await trashService.trashOperations({
+                    events: removed,
+                    userId,
+                    workspaceId: req.user.currentWorkspaceId || null,
+                    deletedBy: req.user.id,
+                    entityType: 'operations',
+                    label: `Зарплата за ${month.key}`
+                });
+                await eventHistory.recordDelete(
+                    removed.map((event) => event.toObject()),
+                    actorInfo,
+                    { payrollMonth: month.key, regenerated: true, trashEntryId: trashed.entry._id }
+                );
+            }
+
+            for (const { employee, amounts, parts, dates } of plans) {
+                const createdForEmployee = [];
+                for (const part of parts) {
+                    const amount = amounts[PART_AMOUNT_FIELDS[part]];
+                    const date = dates[part];
+                    const dateKey = getDateKey(date);
+                    const event = new Event({
+                        type: 'expense',
+                        amount: -amount,
+                        description: `${employee.name}: ${PAYROLL_PART_LABELS[part]} за ${month.key}`,
+                        accountId: employee.accountId,
+                        companyId: employee.companyId || null,
+                        counterpartyIndividualId: part === 'salary' ? employee.individualId : null,
+                        projectId: employee.projectId || null,
+                        categoryId: categoryIds[part] || null,
+                        isSalary: part === 'salary',
+                        employeeId: employee._id,
+                        payrollMonth: month.key,
+                        payrollPart: part,
+                        date,
+                        dateKey,
+                        dayOfYear: getDayOfYear(date),
+                        cellIndex: await getFirstFreeCellIndex(dateKey, userId),
+                        userId,
+                        createdBy: req.user.id,
+                        createdByRole: getCurrentWorkspaceActorRole(req),
+                        workspaceId: req.user.currentWorkspaceId
+                    });
+                    await event.save();
+                    createdForEmployee.push(event);
+                }
+                if (createdForEmployee.length) {
+                    await eventHistory.recordCreate(createdForEmployee, actorInfo, { payrollMonth: month.key, employeeId: employee._id });
+                    created.push(...createdForEmployee);
+                }
+            }
+
+            const touched = [...created, ...removed];
+            if (touched.length) {
+                triggerContextPacketRebuildByDates({
+                    userId,
+                    workspaceId: req.user.currentWorkspaceId || null,
+                    dates: touched.map((event) => event.date),
+                    reason: 'payroll_run'
+                });
+            }
+            removed.forEach((event) => emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_deleted', String(event._id)));
+            for (const event of created) {
+                await event.populate(EVENT_POPULATE_PATHS);
+                emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_added', event);
+            }
+
+            res.status(201).json({
+                month: month.key,
+                createdCount: created.length,
+                removedCount: removed.length,
+                skipped,
+                register: await payrollService.register({ userIdQuery, month, asOf: now })
+            });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [POST /api/payroll/runs] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.get('/register', isAuthenticated, checkWorkspacePermission(['admin', 'analyst']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const report = await payrollService.register({
+                userIdQuery: buildUserIdQuery(userId),
+                month: parsePayrollMonth(req.query.month),
+                asOf: _asOf(req.query.date)
+            });
+            res.json(report);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/payroll/register] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    return router;
+};
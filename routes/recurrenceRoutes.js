@@ -0,0 +1,455 @@
+// routes/recurrenceRoutes.js
+// Recurring operations: attach a recurrence rule to an Event and edit the series
+//   GET    /api/recurrences
+//   POST   /api/events/:id/recurrence            - turn an operation into a series
+//   PUT    /api/events/:id/recurrence?scope=      - edit this | following | all (a new schedule for "all" only
+//                                                   replaces the planned occurrences after today); replaced
+//                                                   occurrences go to trash as one entry
+//   DELETE /api/events/:id/recurrence?scope=      - delete this | following | all
+// Every occurrence an edit or delete touches, and the start of a new schedule, are checked against
+// the closed period before the first write (utils/periodLock.js).
+
+const express = require('express');
+const {
+    RECURRENCE_TEMPLATE_FIELDS,
+    DEFAULT_HORIZON_DAYS,
+    normalizeRecurrenceRule,
+    listOccurrences,
+    buildRecurrenceTemplate
+} = require('../utils/recurrence');
+const { NOT_DELETED } = require('../utils/trash');
+const { assertPeriodOpen, assertPeriodOpenForEvents } = require('../utils/periodLock');
+
+const EVENT_POPULATE_PATHS = ['accountId', 'companyId', 'contractorId', 'counterpartyIndividualId', 'projectId', 'categoryId', 'categoryIds', 'individualId', 'fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId'];
+const RULE_FIELDS = ['frequency', 'interval', 'endDate', 'count'];
+const SCOPES = ['this', 'following', 'all'];
+
+module.exports = function createRecurrenceRouter(deps) {
+    const {
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        canEdit,
+        canDelete,
+        getCompositeUserId,
+        buildUserIdQuery,
+        getCurrentWorkspaceActorRole,
+        getClosedPeriodDate,
+        ensureManagerCanAccessOperationAccounts,
+        normalizeEventCategoryFields,
+        emitToWorkspace,
+        triggerContextPacketRebuildByDates,
+        getDateKey,
+        getDayOfYear,
+        buildRevisionActor,
+        recurrenceMaterializer,
+        trashService,
+        eventHistory
+    } = deps;
+
+    const { Event, RecurrenceRule } = models;
+    const router = express.Router();
+
+    const _pickTemplateUpdates = (body = {}) => {
+        const updates = {};
+        RECURRENCE_TEMPLATE_FIELDS.forEach((field) => {
+            if (Object.prototype.hasOwnProperty.call(body, field)) updates[field] = body[field];
+        });
+        return normalizeEventCategoryFields(updates);
+    };
+
+    const _hasRuleChanges = (ruleBody) => !!ruleBody && RULE_FIELDS.some((field) => Object.prototype.hasOwnProperty.call(ruleBody, field));
+
+    const _dayBefore = (date) => {
+        const result = new Date(date);
+        result.setDate(result.getDate() - 1);
+        result.setHours(23, 59, 59, 999);
+        return result;
+    };
+
+    const _endOfToday = () => {
+        const result = new Date();
+        result.setHours(23, 59, 59, 999);
+        return result;
+    };
+
+    const _emitAdded = async (req, events) => {
+        for (const event of events) {
+            await event.populate(EVENT_POPULATE_PATHS);
+            emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_added', event);
+        }
+    };
+
+    const _emitDeleted = (req, ids) => {
+        ids.forEach((id) => emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_deleted', String(id)));
+    };
+
+    const _loadOccurrence = async (req) => {
+        const userId = await getCompositeUserId(req);
+        const event = await Event.findOne({ _id: req.params.id, userId: buildUserIdQuery(userId), ...NOT_DELETED });
+        return { userId, event };
+    };
+
+    // Occurrences replaced when the series is regenerated go to trash together, as one entry
+    const _trashOccurrences = async (req, userId, filter, label) => {
+        const rows = await Event.find({ ...filter, ...NOT_DELETED }).lean();
+        if (rows.length === 0) return { rows, trashEntryId: null };
+        const trashed = await trashService.trashOperations({
+            events: rows,
+            userId,
+            workspaceId: req.user.currentWorkspaceId || null,
+            deletedBy: req.user.id,
+            entityType: 'operations',
+            label
+        });
+        return { rows, trashEntryId: trashed.entry._id };
+    };
+
+    router.get('/recurrences', isAuthenticated, async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const rules = await RecurrenceRule.find({ userId, isActive: true }).sort({ startDate: 1 }).lean();
+            res.json(rules);
+        } catch (err) { res.status(500).json({ message: err.message }); }
+    });
+
+    router.post('/events/:id/recurrence', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), canEdit, async (req, res) => {
+        try {
+            const { userId, event } = await _loadOccurrence(req);
+            if (!event) return res.status(404).json({ message: 'Event not found' });
+            if (event.recurrenceId) return res.status(409).json({ message: 'Operation is already part of a recurring series' });
+            if (event.isSplitParent || event.isSplitChild) {
+                return res.status(400).json({ message: 'Split operations cannot be made recurring' });
+            }
+
+            const ruleData = normalizeRecurrenceRule({ ...req.body, startDate: event.date });
+            const rule = new RecurrenceRule({
+                ...ruleData,
+                userId,
+                workspaceId: req.user.currentWorkspaceId || null,
+                sourceEventId: event._id,
+                template: buildRecurrenceTemplate(event),
+                createdBy: req.user.id,
+                createdByRole: getCurrentWorkspaceActorRole(req)
+            });
+            await rule.save();
+
+            const before = event.toObject();
+            event.recurrenceId = rule._id;
+            event.recurrenceIndex = 0;
+            await event.save();
+
+            const created = await recurrenceMaterializer.materializeRule(rule, {
+                horizonDays: Number(req.body.horizonDays) || undefined
+            });
+
+            const actorInfo = buildRevisionActor(req, userId);
+            await eventHistory.recordUpdate(before, event, actorInfo, { recurrenceId: rule._id });
+            await eventHistory.recordCreate(created, actorInfo);
+
+            triggerContextPacketRebuildByDates({
+                userId,
+                workspaceId: req.user.currentWorkspaceId || null,
+                dates: created.map((doc) => doc.date),
+                reason: 'recurrence_created'
+            });
+
+            await event.populate(EVENT_POPULATE_PATHS);
+            emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_updated', event);
+            await _emitAdded(req, created);
+
+            res.status(201).json({ rule, event, created });
+        } catch (err) {
+            res.status(err.statusCode || 400).json({ message: err.message });
+        }
+    });
+
+    router.put('/events/:id/recurrence', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), canEdit, async (req, res) => {
+        try {
+            const scope = req.query.scope || req.body.scope || 'this';
+            if (!SCOPES.includes(scope)) return res.status(400).json({ message: `Unknown scope: ${scope}` });
+
+            const { userId, event } = await _loadOccurrence(req);
+            if (!event) return res.status(404).json({ message: 'Event not found' });
+            if (!event.recurrenceId) return res.status(400).json({ message: 'Operation is not part of a recurring series' });
+
+            const rule = await RecurrenceRule.findOne({ _id: event.recurrenceId, userId });
+            if (!rule) return res.status(404).json({ message: 'Recurrence rule not found' });
+
+            const updates = _pickTemplateUpdates(req.body.updates || {});
+            const ruleBody = req.body.rule || null;
+            await ensureManagerCanAccessOperationAccounts(req, updates, event);
+
+            const actor = { updatedBy: req.user.id, updatedByRole: getCurrentWorkspaceActorRole(req) };
+            const actorInfo = buildRevisionActor(req, userId);
+            const closedPeriodDate = await getClosedPeriodDate(req);
+            const effectiveScope = (scope === 'following' && event.recurrenceIndex === 0) ? 'all' : scope;
+
+            // --- this occurrence only: becomes an exception the generator will not touch
+            if (effectiveScope === 'this') {
+                const singleUpdate = { ...updates, ...actor, isRecurrenceException: true };
+                if (req.body.updates?.date) {
+                    singleUpdate.date = new Date(req.body.updates.date);
+                    singleUpdate.dateKey = getDateKey(singleUpdate.date);
+                    singleUpdate.dayOfYear = getDayOfYear(singleUpdate.date);
+                }
+                const spendsPeriodUnlock = assertPeriodOpen({
+                    closedPeriodDate,
+                    role: req.workspaceRole,
+                    existingEvent: event,
+                    nextDate: singleUpdate.date || null
+                });
+                if (spendsPeriodUnlock) Object.assign(singleUpdate, { periodUnlockedAt: null, periodUnlockedBy: null });
+                const updated = await Event.findOneAndUpdate({ _id: event._id }, singleUpdate, { new: true });
+                await eventHistory.recordUpdate(event, updated, actorInfo, { recurrenceScope: 'this' });
+                await updated.populate(EVENT_POPULATE_PATHS);
+                emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_updated', updated);
+                return res.json({ rule, updated: [updated], created: [], deletedIds: [] });
+            }
+
+            // --- this and following: close the current rule and start a new one from this occurrence
+            if (effectiveScope === 'following') {
+                const splitIndex = event.recurrenceIndex;
+                const startDate = req.body.updates?.date ? new Date(req.body.updates.date) : event.date;
+                const ruleInput = {
+                    frequency: rule.frequency,
+                    interval: rule.interval,
+                    endDate: rule.endDate,
+                    count: rule.count ? Math.max(1, rule.count - splitIndex) : null,
+                    ...(ruleBody || {}),
+                    startDate
+                };
+                const newRuleData = normalizeRecurrenceRule(ruleInput);
+
+                const replaced = await Event.find({
+                    recurrenceId: rule._id,
+                    recurrenceIndex: { $gte: splitIndex },
+                    isRecurrenceException: { $ne: true },
+                    ...NOT_DELETED
+                }).select('date periodUnlockedAt').lean();
+                assertPeriodOpenForEvents({ closedPeriodDate, role: req.workspaceRole, events: replaced, nextDates: [startDate] });
+
+                rule.endDate = _dayBefore(event.date);
+                rule.count = splitIndex;
+                rule.isCompleted = true;
+                await rule.save();
+
+                const { rows: removed, trashEntryId } = await _trashOccurrences(req, userId, {
+                    recurrenceId: rule._id,
+                    recurrenceIndex: { $gte: splitIndex },
+                    isRecurrenceException: { $ne: true }
+                }, rule.template?.description || event.description || null);
+
+                const newRule = new RecurrenceRule({
+                    ...newRuleData,
+                    userId,
+                    workspaceId: rule.workspaceId,
+                    sourceEventId: rule.sourceEventId,
+                    parentRuleId: rule._id,
+                    template: { ...rule.template, ...updates },
+                    createdBy: req.user.id,
+                    createdByRole: actor.updatedByRole
+                });
+                await newRule.save();
+                const created = await recurrenceMaterializer.materializeRule(newRule);
+                await eventHistory.recordDelete(removed, actorInfo, { recurrenceScope: 'following', trashEntryId });
+                await eventHistory.recordCreate(created, actorInfo);
+
+                triggerContextPacketRebuildByDates({
+                    userId,
+                    workspaceId: req.user.currentWorkspaceId || null,
+                    dates: [...removed.map((row) => row.date), ...created.map((doc) => doc.date)],
+                    reason: 'recurrence_updated'
+                });
+
+                _emitDeleted(req, removed.map((row) => row._id));
+                await _emitAdded(req, created);
+
+                return res.json({ rule: newRule, updated: [], created, deletedIds: removed.map((row) => String(row._id)) });
+            }
+
+            // --- whole series
+            const ruleChanged = _hasRuleChanges(ruleBody);
+            const hasTemplateUpdates = Object.keys(updates).length > 0;
+            let ruleData = null;
+            let keptUntil = null;
+            let next = null;
+            if (ruleChanged) {
+                // Executed occurrences and the source operation stay in this rule; planned ones after today
+                // are replaced by a new rule that continues the series on the new schedule
+                ruleData = normalizeRecurrenceRule({
+                    frequency: rule.frequency,
+                    interval: rule.interval,
+                    endDate: rule.endDate,
+                    count: rule.count,
+                    ...ruleBody,
+                    startDate: rule.startDate
+                });
+                const source = rule.sourceEventId ? await Event.findById(rule.sourceEventId).select('date').lean() : null;
+                keptUntil = _endOfToday();
+                if (source && new Date(source.date) > keptUntil) keptUntil.setTime(new Date(source.date).getTime());
+
+                const horizon = new Date();
+                horizon.setDate(horizon.getDate() + DEFAULT_HORIZON_DAYS);
+                next = listOccurrences(ruleData, horizon).find((occurrence) => occurrence.date > keptUntil);
+            }
+
+            const touchedFilters = [
+                ...(hasTemplateUpdates ? [{ isRecurrenceException: { $ne: true } }] : []),
+                ...(ruleChanged ? [{ date: { $gt: keptUntil } }] : [])
+            ];
+            const touched = touchedFilters.length
+                ? await Event.find({ recurrenceId: rule._id, ...NOT_DELETED, $or: touchedFilters }).select('date periodUnlockedAt').lean()
+                : [];
+            const spentUnlocks = assertPeriodOpenForEvents({
+                closedPeriodDate,
+                role: req.workspaceRole,
+                events: touched,
+                nextDates: next ? [next.date] : []
+            });
+
+            rule.template = { ...rule.template, ...updates };
+            rule.markModified('template');
+
+            let seriesRule = rule;
+            let created = [];
+            let removed = [];
+            let trashEntryId = null;
+            if (ruleChanged) {
+                // Planned exceptions no longer line up with the new schedule: keep them as standalone operations
+                await Event.updateMany(
+                    { recurrenceId: rule._id, isRecurrenceException: true, date: { $gt: keptUntil } },
+                    { recurrenceId: null, recurrenceIndex: null, isRecurrenceException: false }
+                );
+                ({ rows: removed, trashEntryId } = await _trashOccurrences(req, userId, {
+                    recurrenceId: rule._id,
+                    date: { $gt: keptUntil },
+                    isRecurrenceException: { $ne: true },
+                    ...(rule.sourceEventId ? { _id: { $ne: rule.sourceEventId } } : {})
+                }, rule.template?.description || event.description || null));
+
+                const lastKept = await Event.findOne({ recurrenceId: rule._id, ...NOT_DELETED }).sort({ recurrenceIndex: -1 }).select('recurrenceIndex').lean();
+                const remainingCount = ruleData.count && next ? ruleData.count - next.index : null;
+
+                rule.endDate = keptUntil;
+                rule.count = lastKept ? lastKept.recurrenceIndex + 1 : null;
+                rule.isCompleted = true;
+                await rule.save();
+
+                if (next && (!ruleData.count || remainingCount > 0)) {
+                    seriesRule = new RecurrenceRule({
+                        frequency: ruleData.frequency,
+                        interval: ruleData.interval,
+                        endDate: ruleData.endDate,
+                        count: remainingCount,
+                        startDate: next.date,
+                        userId,
+                        workspaceId: rule.workspaceId,
+                        sourceEventId: rule.sourceEventId,
+                        parentRuleId: rule._id,
+                        template: rule.template,
+                        createdBy: req.user.id,
+                        createdByRole: actor.updatedByRole
+                    });
+                    await seriesRule.save();
+                    created = await recurrenceMaterializer.materializeRule(seriesRule);
+                }
+                await eventHistory.recordDelete(removed, actorInfo, { recurrenceScope: 'all', trashEntryId });
+                await eventHistory.recordCreate(created, actorInfo);
+            } else {
+                await rule.save();
+            }
+
+            // Template changes apply to the occurrences kept in the original rule
+            const seriesFilter = { recurrenceId: rule._id, isRecurrenceException: { $ne: true }, ...NOT_DELETED };
+            const beforeById = new Map((await Event.find(seriesFilter).lean()).map((row) => [String(row._id), row]));
+            if (hasTemplateUpdates) {
+                await Event.updateMany(seriesFilter, { ...updates, ...actor });
+                if (spentUnlocks.size) {
+                    await Event.updateMany({ ...seriesFilter, _id: { $in: [...spentUnlocks] } }, { periodUnlockedAt: null, periodUnlockedBy: null });
+                }
+            }
+            const updated = await Event.find(seriesFilter).populate(EVENT_POPULATE_PATHS);
+            for (const doc of updated) {
+                await eventHistory.recordUpdate(beforeById.get(String(doc._id)), doc, actorInfo, { recurrenceScope: 'all' });
+            }
+
+            triggerContextPacketRebuildByDates({
+                userId,
+                workspaceId: req.user.currentWorkspaceId || null,
+                dates: [...removed.map((row) => row.date), ...updated.map((doc) => doc.date), ...created.map((doc) => doc.date)],
+                reason: 'recurrence_updated'
+            });
+
+            _emitDeleted(req, removed.map((row) => row._id));
+            updated.forEach((doc) => emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_updated', doc));
+            await _emitAdded(req, created);
+
+            res.json({ rule: seriesRule, updated, created, deletedIds: removed.map((row) => String(row._id)) });
+        } catch (err) {
+            res.status(err.statusCode || 400).json({ message: err.message });
+        }
+    });
+
+    router.delete('/events/:id/recurrence', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), canDelete, async (req, res) => {
+        try {
+            const scope = req.query.scope || 'this';
+            if (!SCOPES.includes(scope)) return res.status(400).json({ message: `Unknown scope: ${scope}` });
+
+            const { userId, event } = await _loadOccurrence(req);
+            if (!event) return res.status(200).json({ message: 'Already deleted or not found' });
+            if (!event.recurrenceId) return res.status(400).json({ message: 'Operation is not part of a recurring series' });
+
+            const rule = await RecurrenceRule.findOne({ _id: event.recurrenceId, userId });
+            const effectiveScope = (scope === 'following' && event.recurrenceIndex === 0) ? 'all' : scope;
+
+            let targets = [event];
+            if (effectiveScope === 'following') {
+                targets = await Event.find({ recurrenceId: event.recurrenceId, recurrenceIndex: { $gte: event.recurrenceIndex }, ...NOT_DELETED }).lean();
+            } else if (effectiveScope === 'all') {
+                targets = await Event.find({ recurrenceId: event.recurrenceId, ...NOT_DELETED }).lean();
+            }
+            assertPeriodOpenForEvents({ closedPeriodDate: await getClosedPeriodDate(req), role: req.workspaceRole, events: targets });
+
+            const trashed = await trashService.trashOperations({
+                events: targets,
+                userId,
+                workspaceId: req.user.currentWorkspaceId || null,
+                deletedBy: req.user.id,
+                entityType: effectiveScope === 'this' ? 'operation' : 'operations',
+                label: event.description || null
+            });
+            await eventHistory.recordDelete(
+                await Event.find({ _id: { $in: trashed.eventIds } }),
+                buildRevisionActor(req, userId),
+                { trashEntryId: trashed.entry._id, recurrenceScope: effectiveScope }
+            );
+
+            if (rule && effectiveScope === 'this' && Number.isInteger(event.recurrenceIndex)) {
+                rule.excludedIndexes = [...new Set([...(rule.excludedIndexes || []), event.recurrenceIndex])];
+                await rule.save();
+            } else if (rule && effectiveScope === 'following') {
+                rule.endDate = _dayBefore(event.date);
+                rule.count = event.recurrenceIndex;
+                rule.isCompleted = true;
+                await rule.save();
+            } else if (rule && effectiveScope === 'all') {
+                rule.isActive = false;
+                await rule.save();
+            }
+
+            triggerContextPacketRebuildByDates({
+                userId,
+                workspaceId: req.user.currentWorkspaceId || null,
+                dates: trashed.dates,
+                reason: 'recurrence_deleted'
+            });
+
+            _emitDeleted(req, trashed.eventIds);
+
+            res.json({ success: true, deletedIds: trashed.eventIds });
+        } catch (err) { res.status(err.statusCode || 500).json({ message: err.message }); }
+    });
+
+    return router;
+};
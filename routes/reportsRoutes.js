@@ -0,0 +1,264 @@
+// routes/reportsRoutes.js
+// Financial reports of the current workspace
+//   GET /api/reports/cash-flow?dateFrom=&dateTo=&groupBy=day|week|month|quarter&accountIds=&includeExcluded=true|false
+//   GET /api/reports/pnl?dateFrom=&dateTo=&groupBy=&basis=accrual|cash&breakdown=project|company
+//   GET /api/reports/balance-sheet?date=&includeExcluded=true|false
+//   GET /api/reports/project-profitability?dateFrom=&dateTo=&basis=accrual|cash
+//   GET /api/reports/fx-revaluation?dateFrom=&dateTo=   - realized / unrealized exchange differences on foreign-currency accounts
+//   GET /api/reports/pnl/mapping      - categories with their P&L lines
+//   PUT /api/reports/pnl/mapping      - { items: [{ categoryId, line }] }, line null resets to the default
+//   GET /api/reports/project-profitability/rules  - overhead allocation rules
+//   PUT /api/reports/project-profitability/rules  - { rules: [{ categoryId (null = default), method, shares: [{ projectId, percent }] }] }, replaces the set
+
+const express = require('express');
+const { parseReportRange } = require('../utils/reports/periods');
+const { createCashFlowReport } = require('../utils/reports/cashFlow');
+const {
+    PNL_MAPPING_KIND,
+    PNL_LINES,
+    PNL_LINE_LABELS,
+    PNL_BASES,
+    PNL_BREAKDOWNS,
+    createProfitLossReport
+} = require('../utils/reports/profitLoss');
+const { createBalanceSheetReport } = require('../utils/reports/balanceSheet');
+const {
+    OVERHEAD_METHODS,
+    normalizeAllocationRules,
+    createProjectProfitabilityReport
+} = require('../utils/reports/projectProfitability');
+const { createFxRevaluationReport } = require('../utils/reports/fxRevaluation');
+const { DEFAULT_BASE_CURRENCY } = require('../utils/fx');
+const { NOT_DELETED } = require('../utils/trash');
+
+const _ids = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((item) => String(item).trim())
+    .filter((item) => /^[0-9a-fA-F]{24}$/.test(item));
+
+const _flag = (value) => ['true', '1', 'yes'].includes(String(value ?? '').toLowerCase());
+
+module.exports = function createReportsRouter(deps) {
+    const {
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        getCompositeUserId,
+        buildUserIdQuery,
+        getManagerAccessibleAccountIds,
+        emitToWorkspace,
+        getWorkspaceSettings,
+        snapshotService,
+        fxService
+    } = deps;
+
+    const { Event, Account, Category, Project, Company, Contractor, Individual, CategoryMapping, OverheadAllocationRule, Deal, Credit } = models;
+    const cashFlowReport = createCashFlowReport({ Event, Account, Category });
+    const profitLossReport = createProfitLossReport({ Event, Account, Category, Project, Company, Individual, CategoryMapping });
+    const balanceSheetReport = createBalanceSheetReport({ Event, Account, Contractor, Individual, Project, Deal, Credit, snapshotService, profitLossReport });
+    const projectProfitabilityReport = createProjectProfitabilityReport({ Event, Category, Project, OverheadAllocationRule, profitLossReport });
+    const fxRevaluationReport = createFxRevaluationReport({ Event, Account, fxService });
+    const router = express.Router();
+
+    const _baseCurrency = async (req) => (await getWorkspaceSettings(req)).baseCurrency || DEFAULT_BASE_CURRENCY;
+
+    router.get('/cash-flow', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const range = parseReportRange(req.query);
+            const userId = await getCompositeUserId(req);
+
+            const report = await cashFlowReport.build({
+                ...range,
+                userIdQuery: buildUserIdQuery(userId),
+                accountIds: _ids(req.query.accountIds),
+                // Managers see only the accounts shared with them
+                allowedAccountIds: await getManagerAccessibleAccountIds(req),
+                includeExcluded: _flag(req.query.includeExcluded)
+            });
+            res.json(report);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/reports/cash-flow] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.get('/pnl', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const range = parseReportRange(req.query);
+            const basis = String(req.query.basis || 'accrual').toLowerCase();
+            if (!PNL_BASES.includes(basis)) return res.status(400).json({ message: `Unsupported basis: ${basis}` });
+            const breakdown = req.query.breakdown ? String(req.query.breakdown).toLowerCase() : null;
+            if (breakdown && !PNL_BREAKDOWNS.includes(breakdown)) return res.status(400).json({ message: `Unsupported breakdown: ${breakdown}` });
+
+            const userId = await getCompositeUserId(req);
+            const report = await profitLossReport.build({ ...range, userIdQuery: buildUserIdQuery(userId), basis, breakdown });
+            res.json(report);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/reports/pnl] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.get('/balance-sheet', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            // Same cut-off as /api/snapshot: end of the requested day
+            const asOf = req.query.date ? new Date(req.query.date) : new Date();
+            if (isNaN(asOf.getTime())) return res.status(400).json({ message: `Invalid date: ${req.query.date}` });
+            asOf.setHours(23, 59, 59, 999);
+
+            const userId = await getCompositeUserId(req);
+            const report = await balanceSheetReport.build({
+                userId,
+                userIdQuery: buildUserIdQuery(userId),
+                asOf,
+                includeExcluded: _flag(req.query.includeExcluded),
+                baseCurrency: await _baseCurrency(req)
+            });
+            res.json(report);
+        } catch (err) {
+            console.error('❌ [GET /api/reports/balance-sheet] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.get('/project-profitability', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const range = parseReportRange(req.query);
+            const basis = String(req.query.basis || 'accrual').toLowerCase();
+            if (!PNL_BASES.includes(basis)) return res.status(400).json({ message: `Unsupported basis: ${basis}` });
+
+            const userId = await getCompositeUserId(req);
+            const report = await projectProfitabilityReport.build({
+                userIdQuery: buildUserIdQuery(userId),
+                dateFrom: range.dateFrom,
+                dateTo: range.dateTo,
+                basis
+            });
+            res.json(report);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/reports/project-profitability] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.get('/fx-revaluation', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const { dateFrom, dateTo } = parseReportRange(req.query);
+            const userId = await getCompositeUserId(req);
+            const report = await fxRevaluationReport.build({
+                userIdQuery: buildUserIdQuery(userId),
+                dateFrom,
+                dateTo,
+                baseCurrency: await _baseCurrency(req)
+            });
+            res.json(report);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/reports/fx-revaluation] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.get('/project-profitability/rules', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            res.json({
+                methods: OVERHEAD_METHODS,
+                rules: await projectProfitabilityReport.loadRules(buildUserIdQuery(userId))
+            });
+        } catch (err) { res.status(500).json({ message: err.message }); }
+    });
+
+    router.put('/project-profitability/rules', isAuthenticated, checkWorkspacePermission(['admin']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const rules = normalizeAllocationRules(req.body.rules);
+
+            const categoryIds = rules.map((rule) => rule.categoryId).filter(Boolean);
+            const projectIds = [...new Set(rules.flatMap((rule) => rule.shares.map((share) => share.projectId)))];
+            const [knownCategories, knownProjects] = await Promise.all([
+                categoryIds.length ? Category.countDocuments({ _id: { $in: categoryIds }, userId }) : 0,
+                projectIds.length ? Project.countDocuments({ _id: { $in: projectIds }, userId }) : 0
+            ]);
+            if (knownCategories !== categoryIds.length) return res.status(400).json({ message: 'Unknown category in rules' });
+            if (knownProjects !== projectIds.length) return res.status(400).json({ message: 'Unknown project in rules' });
+
+            await OverheadAllocationRule.deleteMany({ userId: buildUserIdQuery(userId) });
+            if (rules.length) {
+                await OverheadAllocationRule.insertMany(rules.map((rule) => ({
+                    ...rule,
+                    userId,
+                    workspaceId: req.user.currentWorkspaceId || null,
+                    updatedBy: req.user.id,
+                    updatedAt: new Date()
+                })));
+            }
+
+            const saved = await projectProfitabilityReport.loadRules(buildUserIdQuery(userId));
+            emitToWorkspace(req, req.user.currentWorkspaceId, 'allocation_rules_updated', saved);
+            res.json(saved);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [PUT /api/reports/project-profitability/rules] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.get('/pnl/mapping', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const [categories, lineByCategory] = await Promise.all([
+                Category.find({ userId, ...NOT_DELETED }).select('name type').sort({ order: 1, name: 1 }).lean(),
+                profitLossReport.loadLineMapping(userId)
+            ]);
+
+            res.json({
+                lines: PNL_LINES.map((line) => ({ key: line, label: PNL_LINE_LABELS[line] })),
+                categories: categories.map((category) => ({
+                    categoryId: category._id,
+                    categoryName: category.name,
+                    categoryType: category.type || null,
+                    line: lineByCategory.get(String(category._id)) || null,
+                    defaultLine: category.type === 'income' ? 'revenue' : 'operating_expenses'
+                }))
+            });
+        } catch (err) { res.status(500).json({ message: err.message }); }
+    });
+
+    router.put('/pnl/mapping', isAuthenticated, checkWorkspacePermission(['admin']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const items = Array.isArray(req.body.items) ? req.body.items : null;
+            if (!items) return res.status(400).json({ message: 'items array is required' });
+
+            const categoryIds = _ids(items.map((item) => String(item.categoryId || '')));
+            if (categoryIds.length !== items.length) return res.status(400).json({ message: 'Every item needs a valid categoryId' });
+            const invalid = items.find((item) => item.line && !PNL_LINES.includes(item.line));
+            if (invalid) return res.status(400).json({ message: `Unknown P&L line: ${invalid.line}` });
+            const known = await Category.countDocuments({ _id: { $in: categoryIds }, userId });
+            if (known !== new Set(categoryIds).size) return res.status(400).json({ message: 'Unknown category in items' });
+
+            const operations = items.map((item) => {
+                const filter = { userId, kind: PNL_MAPPING_KIND, categoryId: item.categoryId };
+                if (!item.line) return { deleteOne: { filter } };
+                return {
+                    updateOne: {
+                        filter,
+                        update: {
+                            $set: { code: item.line, name: PNL_LINE_LABELS[item.line], updatedBy: req.user.id, updatedAt: new Date() },
+                            $setOnInsert: { workspaceId: req.user.currentWorkspaceId || null }
+                        },
+                        upsert: true
+                    }
+                };
+            });
+            if (operations.length) await CategoryMapping.bulkWrite(operations);
+
+            const lineByCategory = await profitLossReport.loadLineMapping(userId);
+            emitToWorkspace(req, req.user.currentWorkspaceId, 'category_mappings_updated', { kind: PNL_MAPPING_KIND });
+            res.json(Object.fromEntries(lineByCategory));
+        } catch (err) {
+            console.error('❌ [PUT /api/reports/pnl/mapping] Error:', err.message);
+            res.status(500).json({ message: err.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,231 @@
+// routes/splitRoutes.js
+// Splitting an operation across projects (see utils/splits.js)
+//   POST /api/events/:id/split   - { children: [{ projectId, amount, description? }] }, splits an operation
+//   PUT  /api/events/:id/split   - same body, replaces the parts of a split operation
+// Parts must sum to the operation amount. Parent and children are written in one transaction when
+// MongoDB runs as a replica set (a standalone server has no transactions: the same writes run without
+// one), removed parts go to the trash and clients get a single 'operation_split' event:
+// { parent, children, deletedChildIds }.
+
+const express = require('express');
+const { NOT_DELETED } = require('../utils/trash');
+const { assertPeriodOpen } = require('../utils/periodLock');
+const {
+    assertSplittable,
+    normalizeSplitParts,
+    buildSplitChildData,
+    buildSplitMeta
+} = require('../utils/splits');
+
+const EVENT_POPULATE_PATHS = ['accountId', 'companyId', 'contractorId', 'counterpartyIndividualId', 'projectId', 'categoryId', 'categoryIds', 'individualId', 'fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId'];
+
+module.exports = function createSplitRouter(deps) {
+    const {
+        mongoose,
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        canEdit,
+        getCompositeUserId,
+        buildUserIdQuery,
+        getCurrentWorkspaceActorRole,
+        getClosedPeriodDate,
+        ensureManagerCanAccessOperationAccounts,
+        emitToWorkspace,
+        triggerContextPacketRebuildByDates,
+        buildRevisionActor,
+        getFirstFreeCellIndex,
+        trashService,
+        eventHistory
+    } = deps;
+
+    const { Event, Project } = models;
+    const router = express.Router();
+
+    // Cleared after the first "Transaction numbers are only allowed on a replica set member or mongos"
+    let transactionsSupported = true;
+    const _isTransactionUnsupported = (err) => err?.code === 20 && /replica set/i.test(err.message || '');
+
+    /**
+     * Run the writes in a transaction, or without one on a standalone server
+     * @param {Function} work - async (session|null) => result
+     * @returns {Promise<*>} result of work
+     */
+    const _withTransaction = async (work) => {
+        if (transactionsSupported) {
+            let result = null;
+            const session = await mongoose.startSession();
+            try {
+                await session.withTransaction(async () => { result = await work(session); });
+                return result;
+            } catch (err) {
+                if (!_isTransactionUnsupported(err)) throw err;
+                transactionsSupported = false;
+                console.warn('⚠️ [split] MongoDB is not a replica set: splits are written without a transaction');
+            } finally {
+                await session.endSession();
+            }
+        }
+        return work(null);
+    };
+
+    /**
+     * Load and validate the parent and the requested parts
+     * @returns {Promise<{userId, parent, parts}>}
+     */
+    const _prepare = async (req) => {
+        const userId = await getCompositeUserId(req);
+        const parent = await Event.findOne({ _id: req.params.id, userId: buildUserIdQuery(userId), ...NOT_DELETED });
+        if (!parent) {
+            const error = new Error('Event not found');
+            error.statusCode = 404;
+            throw error;
+        }
+        assertSplittable(parent);
+        await ensureManagerCanAccessOperationAccounts(req, {}, parent);
+        assertPeriodOpen({ closedPeriodDate: await getClosedPeriodDate(req), role: req.workspaceRole, existingEvent: parent });
+
+        const parts = normalizeSplitParts(parent, req.body.children);
+        const projectIds = parts.map((part) => part.projectId);
+        const known = await Project.countDocuments({ _id: { $in: projectIds }, userId: buildUserIdQuery(userId), ...NOT_DELETED });
+        if (known !== projectIds.length) {
+            const error = new Error('Unknown project in split parts');
+            error.statusCode = 400;
+            throw error;
+        }
+        return { userId, parent, parts };
+    };
+
+    /**
+     * Write the split: parent flags, children created / updated in one transaction, removed children trashed
+     * @returns {Promise<{parent, created, updated: Array<{before, after}>, deleted, trashEntryId}>}
+     */
+    const _applySplit = async (req, parent, parts, existingChildren) => {
+        const actorFields = { updatedBy: req.user.id, updatedByRole: getCurrentWorkspaceActorRole(req) };
+        const parentPlain = parent.toObject();
+        const childByProject = new Map();
+        const deleted = [];
+        existingChildren.forEach((child) => {
+            const key = String(child.projectId || '');
+            // Duplicate parts of one project (client-built splits) are merged into one
+            if (childByProject.has(key)) deleted.push(child);
+            else childByProject.set(key, child);
+        });
+        const keep = new Set(parts.map((part) => part.projectId));
+        childByProject.forEach((child, key) => { if (!keep.has(key)) deleted.push(child); });
+
+        // New parts take the free cells of the parent's day one after another
+        const newParts = parts.filter((part) => !childByProject.has(part.projectId));
+        const firstCellIndex = newParts.length ? await getFirstFreeCellIndex(parent.dateKey, parent.userId) : 0;
+
+        // withTransaction may retry the callback: everything it produces is rebuilt on every attempt
+        const result = await _withTransaction(async (session) => {
+            const created = [];
+            const updated = [];
+
+            for (const part of parts) {
+                const childData = buildSplitChildData(parentPlain, part);
+                const existing = childByProject.get(part.projectId);
+                if (existing) {
+                    const after = await Event.findOneAndUpdate(
+                        { _id: existing._id },
+                        { ...childData, ...actorFields },
+                        { new: true, session }
+                    );
+                    updated.push({ before: existing, after });
+                } else {
+                    const [child] = await Event.create([{
+                        ...childData,
+                        cellIndex: firstCellIndex + created.length,
+                        createdBy: req.user.id,
+                        createdByRole: actorFields.updatedByRole
+                    }], { session });
+                    created.push(child);
+                }
+            }
+
+            // The project moves to the parts, the parent would count it twice in project balances;
+            // the split spends a closed-period unlock of the parent
+            const parentAfter = await Event.findOneAndUpdate(
+                { _id: parent._id },
+                { isSplitParent: true, splitMeta: buildSplitMeta(parts), projectId: null, periodUnlockedAt: null, periodUnlockedBy: null, ...actorFields },
+                { new: true, session }
+            );
+            return { parent: parentAfter, created, updated, deleted, trashEntryId: null };
+        });
+
+        // Removed parts stay restorable from the trash (trash writes do not take part in the transaction)
+        if (deleted.length) {
+            const trashed = await trashService.trashOperations({
+                events: deleted,
+                userId: parent.userId,
+                workspaceId: req.user.currentWorkspaceId || null,
+                deletedBy: req.user.id,
+                entityType: 'operations',
+                label: parent.description || null
+            });
+            result.trashEntryId = trashed.entry._id;
+        }
+        return result;
+    };
+
+    const _finish = async (req, res, userId, parentBefore, result, statusCode) => {
+        const actorInfo = buildRevisionActor(req, userId);
+        await eventHistory.recordUpdate(parentBefore, result.parent, actorInfo, { split: true });
+        await eventHistory.recordCreate(result.created, actorInfo, { splitParentId: result.parent._id });
+        for (const { before, after } of result.updated) {
+            await eventHistory.recordUpdate(before, after, actorInfo, { splitParentId: result.parent._id });
+        }
+        await eventHistory.recordDelete(result.deleted, actorInfo, { splitParentId: result.parent._id, trashEntryId: result.trashEntryId });
+
+        triggerContextPacketRebuildByDates({
+            userId,
+            workspaceId: req.user.currentWorkspaceId || null,
+            dates: [result.parent.date],
+            reason: 'event_split'
+        });
+
+        const children = await Event.find({ parentOpId: result.parent._id, ...NOT_DELETED }).populate(EVENT_POPULATE_PATHS);
+        await result.parent.populate(EVENT_POPULATE_PATHS);
+        const payload = {
+            parent: result.parent,
+            children,
+            deletedChildIds: result.deleted.map((child) => String(child._id))
+        };
+        emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_split', payload);
+        res.status(statusCode).json(payload);
+    };
+
+    router.post('/events/:id/split', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), canEdit, async (req, res) => {
+        try {
+            const { userId, parent, parts } = await _prepare(req);
+            if (parent.isSplitParent) return res.status(409).json({ message: 'Operation is already split, use PUT to change the parts' });
+
+            const parentBefore = parent.toObject();
+            // Leftover children of an earlier client-side split are reused or removed
+            const existingChildren = await Event.find({ parentOpId: parent._id, ...NOT_DELETED });
+            const result = await _applySplit(req, parent, parts, existingChildren);
+            await _finish(req, res, userId, parentBefore, result, 201);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [POST /api/events/:id/split] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.put('/events/:id/split', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), canEdit, async (req, res) => {
+        try {
+            const { userId, parent, parts } = await _prepare(req);
+            if (!parent.isSplitParent) return res.status(409).json({ message: 'Operation is not split, use POST to split it' });
+
+            const parentBefore = parent.toObject();
+            const existingChildren = await Event.find({ parentOpId: parent._id, ...NOT_DELETED });
+            const result = await _applySplit(req, parent, parts, existingChildren);
+            await _finish(req, res, userId, parentBefore, result, 200);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [PUT /api/events/:id/split] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,196 @@
+// routes/taxRoutes.js
+// Tax accrual per company / entrepreneur / cash register and planned tax payments (see utils/taxes.js)
+//   GET  /api/taxes/summary?year=&date=   - income, tax base, accrued and forecast tax per entity and period,
+//                                           with the paid part and the payment due date
+//   POST /api/taxes/planned?year=         - create or update planned tax payments on the due dates;
+//                                           payments already dated in the past are left as they are; nothing is
+//                                           written if a payment to change or create falls into the closed period
+
+const express = require('express');
+const { NOT_DELETED } = require('../utils/trash');
+const { assertPeriodOpenForEvents } = require('../utils/periodLock');
+const { TAX_CATEGORY_NAME, parseTaxYear, createTaxService } = require('../utils/taxes');
+
+const EVENT_POPULATE_PATHS = ['accountId', 'companyId', 'contractorId', 'counterpartyIndividualId', 'projectId', 'categoryId', 'categoryIds', 'individualId', 'fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId'];
+const FORM_LABELS = { 910: 'ФНО 910', 100: 'ФНО 100 (КПН)', 220: 'ФНО 220 (ИПН)' };
+
+// ?date= as the end of that day, now by default
+const _asOf = (value) => {
+    const asOf = value ? new Date(value) : new Date();
+    if (isNaN(asOf.getTime())) {
+        const error = new Error(`Invalid date: ${value}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    if (value) asOf.setHours(23, 59, 59, 999);
+    return asOf;
+};
+
+module.exports = function createTaxRouter(deps) {
+    const {
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        getCompositeUserId,
+        buildUserIdQuery,
+        getCurrentWorkspaceActorRole,
+        getClosedPeriodDate,
+        findOrCreateEntity,
+        emitToWorkspace,
+        triggerContextPacketRebuildByDates,
+        getFirstFreeCellIndex,
+        getDateKey,
+        getDayOfYear,
+        buildRevisionActor,
+        eventHistory
+    } = deps;
+
+    const { Event, Account, Company, Individual, Category } = models;
+    const taxService = createTaxService({ Event, Account, Company, Individual });
+    const router = express.Router();
+
+    const _ownerFields = (entity) => {
+        if (entity.entityType === 'company') return { companyId: entity.entityId };
+        if (entity.entityType === 'individual') return { individualId: entity.entityId };
+        return {};
+    };
+
+    router.get('/summary', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const report = await taxService.summary({
+                userIdQuery: buildUserIdQuery(userId),
+                year: parseTaxYear(req.query.year),
+                asOf: _asOf(req.query.date)
+            });
+            res.json(report);
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [GET /api/taxes/summary] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    router.post('/planned', isAuthenticated, checkWorkspacePermission(['admin']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const userIdQuery = buildUserIdQuery(userId);
+            const now = new Date();
+            const report = await taxService.summary({ userIdQuery, year: parseTaxYear(req.query.year || req.body.year), asOf: now });
+
+            // Periods still to pay: their planned payments may be removed or moved, the due ones get a payment
+            const openPeriods = report.entities.flatMap((entity) => entity.periods.filter((period) => period.dueDate > now));
+            const plannedIds = openPeriods.flatMap((period) => period.plannedEventIds);
+            const spentUnlocks = assertPeriodOpenForEvents({
+                closedPeriodDate: await getClosedPeriodDate(req),
+                role: req.workspaceRole,
+                events: plannedIds.length ? await Event.find({ _id: { $in: plannedIds }, ...NOT_DELETED }).select('date periodUnlockedAt').lean() : [],
+                nextDates: openPeriods.filter((period) => period.due >= 0.005).map((period) => period.dueDate)
+            });
+            const categoryId = await findOrCreateEntity(Category, TAX_CATEGORY_NAME, {}, userId);
+
+            const created = [];
+            const updated = [];
+            const removed = [];
+            const skipped = [];
+            const actorInfo = buildRevisionActor(req, userId);
+
+            for (const entity of report.entities) {
+                for (const period of entity.periods) {
+                    // The payment term has passed: whatever was planned is the user's business now
+                    if (period.dueDate <= now) continue;
+
+                    // Planned payments of the period that are not due yet; the earliest one is kept
+                    const planned = period.plannedEventIds.length
+                        ? await Event.find({ _id: { $in: period.plannedEventIds }, ...NOT_DELETED }).sort({ date: 1 })
+                        : [];
+                    const [current, ...extra] = planned;
+                    const stale = period.due < 0.005 ? planned : extra;
+
+                    if (stale.length) {
+                        await Event.deleteMany({ _id: { $in: stale.map((event) => event._id) } });
+                        await eventHistory.recordDelete(stale.map((event) => event.toObject()), actorInfo, { taxKey: period.taxKey });
+                        removed.push(...stale);
+                    }
+                    if (period.due < 0.005) continue;
+                    if (!entity.payAccountId) {
+                        skipped.push({ taxKey: period.taxKey, name: entity.name, reason: 'Нет счета для оплаты налога' });
+                        continue;
+                    }
+
+                    const description = `Налог ${FORM_LABELS[entity.form]}: ${entity.name}, ${period.label}`;
+                    if (current) {
+                        if (Math.abs(Math.abs(Number(current.amount) || 0) - period.due) < 0.005 && +current.date === +period.dueDate) continue;
+                        const before = current.toObject();
+                        current.amount = -period.due;
+                        current.description = description;
+                        if (+current.date !== +period.dueDate) {
+                            current.date = period.dueDate;
+                            current.dateKey = getDateKey(period.dueDate);
+                            current.dayOfYear = getDayOfYear(period.dueDate);
+                            current.cellIndex = await getFirstFreeCellIndex(current.dateKey, userId);
+                        }
+                        if (spentUnlocks.has(String(current._id))) current.set({ periodUnlockedAt: null, periodUnlockedBy: null });
+                        current.updatedBy = req.user.id;
+                        current.updatedByRole = getCurrentWorkspaceActorRole(req);
+                        await current.save();
+                        await eventHistory.recordUpdate(before, current, actorInfo, { taxKey: period.taxKey });
+                        updated.push(current);
+                        continue;
+                    }
+
+                    const dateKey = getDateKey(period.dueDate);
+                    const event = new Event({
+                        type: 'expense',
+                        amount: -period.due,
+                        description,
+                        accountId: entity.payAccountId,
+                        ..._ownerFields(entity),
+                        categoryId,
+                        taxKey: period.taxKey,
+                        date: period.dueDate,
+                        dateKey,
+                        dayOfYear: getDayOfYear(period.dueDate),
+                        cellIndex: await getFirstFreeCellIndex(dateKey, userId),
+                        userId,
+                        createdBy: req.user.id,
+                        createdByRole: getCurrentWorkspaceActorRole(req),
+                        workspaceId: req.user.currentWorkspaceId
+                    });
+                    await event.save();
+                    await eventHistory.recordCreate(event, actorInfo, { taxKey: period.taxKey });
+                    created.push(event);
+                }
+            }
+
+            const touched = [...created, ...updated, ...removed];
+            if (touched.length) {
+                triggerContextPacketRebuildByDates({
+                    userId,
+                    workspaceId: req.user.currentWorkspaceId || null,
+                    dates: touched.map((event) => event.date),
+                    reason: 'tax_payments_planned'
+                });
+            }
+            removed.forEach((event) => emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_deleted', String(event._id)));
+            for (const event of [...created, ...updated]) {
+                await event.populate(EVENT_POPULATE_PATHS);
+                emitToWorkspace(req, req.user.currentWorkspaceId, created.includes(event) ? 'operation_added' : 'operation_updated', event);
+            }
+
+            res.json({
+                year: report.year,
+                createdCount: created.length,
+                updatedCount: updated.length,
+                removedCount: removed.length,
+                skipped,
+                created,
+                updated
+            });
+        } catch (err) {
+            if (!err.statusCode) console.error('❌ [POST /api/taxes/planned] Error:', err.message);
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    });
+
+    return router;
+};
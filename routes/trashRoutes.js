@@ -0,0 +1,119 @@
+// routes/trashRoutes.js
+// Trash bin for soft-deleted operations and directory entities
+//   GET    /api/trash               - trash entries of the current workspace
+//   POST   /api/trash/:id/restore   - restore entity, cascaded operations and nullified references
+//   DELETE /api/trash/:id           - purge permanently (admin)
+// Restore and purge change operations too: those of a closed period need an unlock (utils/periodLock.js).
+
+const express = require('express');
+const { NOT_DELETED } = require('../utils/trash');
+const { assertPeriodOpenForEvents } = require('../utils/periodLock');
+
+const PERIOD_LOCK_FIELDS = 'date periodUnlockedAt';
+
+module.exports = function createTrashRouter(deps) {
+    const {
+        models,
+        isAuthenticated,
+        checkWorkspacePermission,
+        getCompositeUserId,
+        getClosedPeriodDate,
+        emitToWorkspace,
+        emitEntityEvent,
+        triggerContextPacketRebuildByDates,
+        buildRevisionActor,
+        trashService,
+        eventHistory
+    } = deps;
+
+    const { Event, TrashEntry } = models;
+    const router = express.Router();
+
+    // Operations of the entry and, on restore, the live ones whose references come back
+    const _assertEntryPeriodOpen = async (req, entry, { withRelinked = false } = {}) => {
+        const closedPeriodDate = await getClosedPeriodDate(req);
+        if (!closedPeriodDate) return new Set();
+        const relinkedIds = withRelinked ? (entry.nullifiedRefs || []).map((ref) => ref.eventId) : [];
+        const [trashed, relinked] = await Promise.all([
+            entry.eventIds?.length ? Event.find({ _id: { $in: entry.eventIds }, trashEntryId: entry._id }).select(PERIOD_LOCK_FIELDS).lean() : [],
+            relinkedIds.length ? Event.find({ _id: { $in: relinkedIds }, ...NOT_DELETED }).select(PERIOD_LOCK_FIELDS).lean() : []
+        ]);
+        return assertPeriodOpenForEvents({ closedPeriodDate, role: req.workspaceRole, events: [...trashed, ...relinked] });
+    };
+
+    router.get('/', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const query = { userId };
+            // Managers only see what they deleted themselves
+            if (req.workspaceRole === 'manager') query.deletedBy = req.user.id;
+
+            const entries = await TrashEntry.find(query).sort({ deletedAt: -1 }).lean();
+            res.json(entries.map((entry) => ({
+                ...entry,
+                eventCount: entry.eventIds?.length || 0,
+                nullifiedCount: entry.nullifiedRefs?.length || 0
+            })));
+        } catch (err) { res.status(500).json({ message: err.message }); }
+    });
+
+    router.post('/:id/restore', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const entry = await TrashEntry.findOne({ _id: req.params.id, userId });
+            if (!entry) return res.status(404).json({ message: 'Trash entry not found' });
+            if (req.workspaceRole === 'manager' && String(entry.deletedBy) !== String(req.user.id)) {
+                return res.status(403).json({ message: 'Вы можете восстанавливать только удаленное вами' });
+            }
+            const spentUnlocks = await _assertEntryPeriodOpen(req, entry, { withRelinked: true });
+
+            const restored = await trashService.restoreEntry(entry);
+            const touchedIds = [...restored.eventIds, ...restored.relinkedEventIds];
+            if (spentUnlocks.size) {
+                await Event.updateMany({ _id: { $in: [...spentUnlocks] } }, { periodUnlockedAt: null, periodUnlockedBy: null });
+            }
+            const events = touchedIds.length > 0
+                ? await Event.find({ _id: { $in: touchedIds } })
+                    .populate('accountId companyId contractorId counterpartyIndividualId projectId categoryId individualId fromAccountId toAccountId fromCompanyId toCompanyId fromIndividualId toIndividualId')
+                : [];
+
+            const restoredSet = new Set(restored.eventIds);
+            await eventHistory.recordRestore(
+                events.filter((event) => restoredSet.has(String(event._id))),
+                buildRevisionActor(req, userId),
+                { trashEntryId: entry._id }
+            );
+
+            triggerContextPacketRebuildByDates({
+                userId,
+                workspaceId: req.user.currentWorkspaceId || null,
+                dates: events.map((event) => event.date),
+                reason: 'trash_restored'
+            });
+
+            if (restored.entity) {
+                emitEntityEvent(req, userId, `${entry.entityType}_added`, restored.entity);
+            }
+            events.forEach((event) => {
+                const eventName = restoredSet.has(String(event._id)) ? 'operation_added' : 'operation_updated';
+                emitToWorkspace(req, req.user.currentWorkspaceId, eventName, event);
+            });
+
+            res.json({ success: true, entity: restored.entity, events });
+        } catch (err) { res.status(err.statusCode || 500).json({ message: err.message }); }
+    });
+
+    router.delete('/:id', isAuthenticated, checkWorkspacePermission(['admin']), async (req, res) => {
+        try {
+            const userId = await getCompositeUserId(req);
+            const entry = await TrashEntry.findOne({ _id: req.params.id, userId });
+            if (!entry) return res.status(200).json({ message: 'Already purged or not found' });
+            await _assertEntryPeriodOpen(req, entry);
+
+            const purgedOpsCount = await trashService.purgeEntry(entry);
+            res.json({ success: true, purgedOpsCount });
+        } catch (err) { res.status(err.statusCode || 500).json({ message: err.message }); }
+    });
+
+    return router;
+};
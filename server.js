@@ -10,6 +10,37 @@ const MongoStore = require('connect-mongo');
 const http = require('http'); // 🟢 Native Node.js HTTP module
 const socketIo = require('socket.io'); // 🟢 Socket.io
 const createAiRouter = require('./ai/aiRoutes'); // 🟣 AI assistant routes (extracted)
+const createRecurrenceRouter = require('./routes/recurrenceRoutes'); // 🔁 Recurring operations
+const createSplitRouter = require('./routes/splitRoutes'); // ✂️ Split operations across projects
+const { createRecurrenceMaterializer } = require('./utils/recurrence');
+const createTrashRouter = require('./routes/trashRoutes'); // 🗑️ Trash bin (soft delete)
+const { createTrashService, NOT_DELETED, DEFAULT_RETENTION_DAYS } = require('./utils/trash');
+const createEventHistoryRouter = require('./routes/eventHistoryRoutes'); // 📜 Operation audit trail
+const { createEventHistory, hasMeaningfulEventChanges } = require('./utils/eventHistory');
+const createImportRouter = require('./routes/importRoutes'); // 🏦 Bank statement import
+const { normalizeMatchWindowDays } = require('./utils/import/duplicates');
+const { normalizeClosedPeriodDate, assertPeriodOpen } = require('./utils/periodLock');
+const { TRANSFER_FEE_CATEGORY_NAME, resolveTransferAmounts, buildTransferEventData, buildTransferFeeEventData } = require('./utils/transfers');
+const createCategorizationRouter = require('./routes/categorizationRoutes'); // 🏷️ Auto-categorization rules
+const { createCategorizer } = require('./utils/categorization');
+const createExportRouter = require('./routes/exportRoutes'); // 📤 Filtered journal export
+const createReportsRouter = require('./routes/reportsRoutes'); // 📊 Financial reports
+const createBudgetRouter = require('./routes/budgetRoutes'); // 🎯 Budgets: plan vs actual
+const { BUDGET_TYPES, normalizeBudgetFields, createBudgetVariance } = require('./utils/budgets');
+const { BUDGET_ALERT_KINDS, createBudgetAlerts } = require('./utils/budgetAlerts');
+const { createSnapshotService } = require('./utils/snapshot');
+const { OVERHEAD_METHODS } = require('./utils/reports/projectProfitability');
+const createDealRouter = require('./routes/dealRoutes'); // 🤝 Deals and receivables
+const { DEAL_STATUSES, normalizeDealFields } = require('./utils/deals');
+const createBillRouter = require('./routes/billRoutes'); // 🧾 Bills from contractors (payables)
+const { BILL_STATUSES, normalizeBillFields } = require('./utils/bills');
+const createCreditRouter = require('./routes/creditRoutes'); // 🏦 Loans and credits
+const { CREDIT_SCHEDULE_TYPES, CREDIT_STATUSES, CREDIT_PARTS, CREDIT_SCHEDULE_FIELDS, normalizeCreditFields } = require('./utils/credits');
+const createTaxRouter = require('./routes/taxRoutes'); // 🧮 Tax accrual and planned tax payments
+const createPayrollRouter = require('./routes/payrollRoutes'); // 👥 Payroll runs and register
+const { PAYROLL_PARTS, normalizeEmployeeFields } = require('./utils/payroll');
+const createFxRouter = require('./routes/fxRoutes'); // 💱 Exchange rates
+const { DEFAULT_BASE_CURRENCY, FX_RATE_SOURCES, normalizeCurrency, createFxService } = require('./utils/fx');
 const crypto = require('crypto'); // 🟢 For invitation tokens
 
 // 🟢 Загрузка .env
@@ -199,7 +230,15 @@ const workspaceSchema = new mongoose.Schema({
         accessibleAccountIds: { type: [String], default: [] },
         sharedAt: { type: Date, default: Date.now }
     }],
-    isShared: { type: Boolean, default: false }
+    isShared: { type: Boolean, default: false },
+
+    // Workspace-level settings (PUT /api/workspaces/:id/settings)
+    settings: {
+        importDuplicateWindowDays: { type: Number, default: 3 }, // ± days for statement duplicate matching
+        baseCurrency: { type: String, default: DEFAULT_BASE_CURRENCY }, // reports and snapshot totals are converted to it
+        autoCategorizeManualEvents: { type: Boolean, default: false }, // run categorization rules on POST /api/events
+        closedPeriodDate: { type: Date, default: null } // operations on or before it are read-only (utils/periodLock.js)
+    }
 });
 const Workspace = mongoose.model('Workspace', workspaceSchema);
 
@@ -232,6 +271,14 @@ const invitationSchema = new mongoose.Schema({
 });
 const Invitation = mongoose.model('Invitation', invitationSchema);
 
+// 🗑️ Soft delete: trashed rows stay in place until the retention purge (see utils/trash.js)
+const softDeleteFields = {
+    isDeleted: { type: Boolean, default: false },
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: String, default: null },
+    trashEntryId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrashEntry', default: null }
+};
+
 const accountSchema = new mongoose.Schema({
     name: String,
     order: { type: Number, default: 0 },
@@ -243,6 +290,9 @@ const accountSchema = new mongoose.Schema({
     companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', default: null },
     individualId: { type: mongoose.Schema.Types.ObjectId, ref: 'Individual', default: null },
     contractorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contractor', default: null },
+    accountNumber: { type: String, default: null }, // IBAN/ИИК: matches statement files and transfer legs on import
+    currency: { type: String, default: null }, // ISO code, null = workspace base currency
+    ...softDeleteFields,
     userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
     workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', index: true }
 });
@@ -255,6 +305,7 @@ const companySchema = new mongoose.Schema({
     taxRegime: { type: String, default: 'simplified' },
     taxPercent: { type: Number, default: 3 },
     identificationNumber: { type: String, default: null },  // ИИН/БИН
+    ...softDeleteFields,
     userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
     workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', index: true }
 });
@@ -271,6 +322,7 @@ const individualSchema = new mongoose.Schema({
     defaultCategoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
     defaultProjectIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Project' }],
     defaultCategoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    ...softDeleteFields,
     userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
     workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', index: true }
 });
@@ -287,6 +339,7 @@ const contractorSchema = new mongoose.Schema({
     identificationNumber: { type: String, default: null },  // БИН/ИИН
     contractNumber: { type: String, default: null },        // Номер договора
     contractDate: { type: Date, default: null },            // Дата договора
+    ...softDeleteFields,
     userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
     workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', index: true }
 });
@@ -295,6 +348,7 @@ const Contractor = mongoose.model('Contractor', contractorSchema);
 const projectSchema = new mongoose.Schema({
     name: String,
     order: { type: Number, default: 0 },
+    ...softDeleteFields,
     userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
     workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', index: true }
 });
@@ -303,6 +357,7 @@ const Project = mongoose.model('Project', projectSchema);
 const categorySchema = new mongoose.Schema({
     name: String,
     order: { type: Number, default: 0 },
+    ...softDeleteFields,
     userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
     workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', index: true },
     type: { type: String, enum: ['income', 'expense'] },
@@ -311,6 +366,155 @@ const categorySchema = new mongoose.Schema({
 });
 const Category = mongoose.model('Category', categorySchema);
 
+// 🟢 NEW: Budget Schema (planned income / expense per category and/or project for a period)
+const budgetSchema = new mongoose.Schema({
+    name: { type: String, default: null },
+    type: { type: String, enum: BUDGET_TYPES, required: true },
+    period: { type: String, required: true }, // 2026-03 | 2026-Q1 | 2026
+    dateFrom: { type: Date, required: true },  // derived from period
+    dateTo: { type: Date, required: true },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+    amount: { type: Number, required: true },
+    alertThreshold: { type: Number, default: null }, // % of the amount used that raises a warning alert
+    ...softDeleteFields,
+    userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', index: true }
+});
+budgetSchema.index({ userId: 1, dateFrom: 1 });
+const Budget = mongoose.model('Budget', budgetSchema);
+
+// 🟢 NEW: BudgetAlert Schema (feed of threshold / overrun alerts raised by operations)
+const budgetAlertSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', default: null },
+    budgetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Budget', required: true },
+    kind: { type: String, enum: BUDGET_ALERT_KINDS, required: true },
+    period: { type: String, default: null },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+    label: { type: String, default: null },
+    message: { type: String, default: null },
+    amount: { type: Number, default: 0 },
+    actual: { type: Number, default: 0 },
+    planned: { type: Number, default: 0 },
+    usedPercent: { type: Number, default: null },
+    eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', default: null }, // operation that raised it
+    createdBy: { type: String, required: false },
+    createdAt: { type: Date, default: Date.now },
+    resolvedAt: { type: Date, default: null },  // budget got back under this level
+    dismissedAt: { type: Date, default: null },
+    dismissedBy: { type: String, default: null }
+});
+budgetAlertSchema.index({ userId: 1, budgetId: 1, resolvedAt: 1 });
+const BudgetAlert = mongoose.model('BudgetAlert', budgetAlertSchema);
+
+// 🟢 NEW: Deal Schema (contract with a client: amount, payment tranches; receipts and work acts are Events with dealId)
+const dealSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    description: { type: String, default: null },
+    contractorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contractor', default: null },
+    counterpartyIndividualId: { type: mongoose.Schema.Types.ObjectId, ref: 'Individual', default: null },
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', default: null },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null }, // income category of receipts
+    totalAmount: { type: Number, default: 0 },
+    startDate: { type: Date, default: Date.now },
+    status: { type: String, enum: DEAL_STATUSES, default: 'open' },
+    tranches: [{
+        title: String,
+        amount: { type: Number, required: true },
+        dueDate: { type: Date, required: true }
+    }],
+    ...softDeleteFields,
+    userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', index: true },
+    createdAt: { type: Date, default: Date.now }
+});
+const Deal = mongoose.model('Deal', dealSchema);
+
+// 🟢 NEW: Bill Schema (obligation to a contractor; payments are expense Events with billId)
+const billSchema = new mongoose.Schema({
+    contractorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contractor', required: true },
+    number: { type: String, default: null },
+    description: { type: String, default: null },
+    amount: { type: Number, required: true },
+    issueDate: { type: Date, default: Date.now },
+    dueDate: { type: Date, required: true },
+    contractNumber: { type: String, default: null }, // from Contractor.contractNumber unless given
+    contractDate: { type: Date, default: null },
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null }, // expense category of payments
+    status: { type: String, enum: BILL_STATUSES, default: 'open' },
+    ...softDeleteFields,
+    userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', index: true },
+    createdBy: { type: String, required: false },
+    createdAt: { type: Date, default: Date.now }
+});
+billSchema.index({ userId: 1, dueDate: 1 });
+const Bill = mongoose.model('Bill', billSchema);
+
+// 🟢 NEW: Credit Schema (loan with a repayment schedule materialized into Events with creditId)
+const creditSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    contractorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contractor', default: null }, // lender: bank or company
+    individualId: { type: mongoose.Schema.Types.ObjectId, ref: 'Individual', default: null },  // lender: person
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'Account', default: null },        // receipt and repayments
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },         // principal repayments
+    interestCategoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null }, // interest payments
+    principal: { type: Number, required: true },
+    annualRate: { type: Number, default: 0 }, // % per year
+    termMonths: { type: Number, required: true },
+    scheduleType: { type: String, enum: CREDIT_SCHEDULE_TYPES, default: 'annuity' },
+    startDate: { type: Date, required: true },
+    firstPaymentDate: { type: Date, default: null }, // a month after startDate when not set
+    status: { type: String, enum: CREDIT_STATUSES, default: 'active' },
+    ...softDeleteFields,
+    userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', index: true },
+    createdBy: { type: String, required: false },
+    createdAt: { type: Date, default: Date.now }
+});
+const Credit = mongoose.model('Credit', creditSchema);
+
+// 🟢 NEW: Employee Schema (salary terms of a person; payroll runs create Events with employeeId)
+const employeeSchema = new mongoose.Schema({
+    individualId: { type: mongoose.Schema.Types.ObjectId, ref: 'Individual', required: true },
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', default: null },   // employer
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'Account', default: null },   // salary and contributions are paid from it
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+    position: { type: String, default: null },
+    salary: { type: Number, default: 0 }, // monthly gross
+    payDay: { type: Number, default: 10 }, // day of the next month the salary is paid on
+    hireDate: { type: Date, default: Date.now },
+    terminationDate: { type: Date, default: null },
+    applyStandardDeduction: { type: Boolean, default: true }, // standard IPN deduction
+    ...softDeleteFields,
+    userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', index: true },
+    createdBy: { type: String, required: false },
+    createdAt: { type: Date, default: Date.now }
+});
+const Employee = mongoose.model('Employee', employeeSchema);
+
+// 🟢 NEW: ExchangeRate Schema (tenge per unit of a currency on a day; userId null = shared NBK / file rates)
+const exchangeRateSchema = new mongoose.Schema({
+    currency: { type: String, required: true },
+    date: { type: Date, required: true }, // start of the day
+    rate: { type: Number, required: true },
+    source: { type: String, enum: FX_RATE_SOURCES, default: 'manual' },
+    userId: { type: mongoose.Schema.Types.Mixed, default: null }, // workspace manual rates override shared ones
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', default: null },
+    createdBy: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+exchangeRateSchema.index({ userId: 1, currency: 1, date: 1 }, { unique: true });
+exchangeRateSchema.index({ currency: 1, date: 1 });
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
 const eventSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true }, // Support both ObjectId and String
     createdBy: { type: String, required: false }, // Track who created this operation
@@ -323,6 +527,7 @@ const eventSchema = new mongoose.Schema({
     cellIndex: Number,
     type: String,
     amount: Number,
+    currency: { type: String, default: null }, // ISO code, null = currency of the account (see utils/fx.js)
     description: String,
 
     categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
@@ -348,6 +553,11 @@ const eventSchema = new mongoose.Schema({
     toCompanyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company' },
     fromIndividualId: { type: mongoose.Schema.Types.ObjectId, ref: 'Individual' },
     toIndividualId: { type: mongoose.Schema.Types.ObjectId, ref: 'Individual' },
+    // Перевод между валютами: списано fromAmount (= amount) в валюте источника, зачислено toAmount
+    // в валюте получателя, exchangeRate = toAmount / fromAmount (см. utils/transfers.js)
+    fromAmount: { type: Number, default: null },
+    toAmount: { type: Number, default: null },
+    exchangeRate: { type: Number, default: null },
     excludeFromTotals: { type: Boolean, default: false },
     offsetIncomeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', default: null }, // Взаимозачет: ссылка на доход
     categoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
@@ -357,6 +567,34 @@ const eventSchema = new mongoose.Schema({
     isSplitParent: { type: Boolean, default: false },
     splitMeta: { type: Array, default: [] }, // [{ projectId, amount }]
     isSalary: { type: Boolean, default: false },
+    isWorkAct: { type: Boolean, default: false }, // Акт выполненных работ: признание выручки без движения денег
+    // Сделки: поступления по траншам и акты сделки
+    dealId: { type: mongoose.Schema.Types.ObjectId, ref: 'Deal', default: null },
+    dealTrancheId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    isDealTranche: { type: Boolean, default: false },
+    billId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill', default: null }, // Оплата счета поставщика (частичная или полная)
+    // Кредиты: получение, платежи по графику (основной долг и проценты отдельными операциями)
+    creditId: { type: mongoose.Schema.Types.ObjectId, ref: 'Credit', default: null },
+    creditPart: { type: String, enum: [...CREDIT_PARTS, null], default: null },
+    creditPaymentIndex: { type: Number, default: null },
+    // Налоги: плановый платеж за период, "<entityType>:<entityId>:<period>" (см. utils/taxes.js)
+    taxKey: { type: String, default: null },
+    // Зарплата: операции расчета за месяц (к выплате, ИПН, ОПВ, СО, ОСМС)
+    employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', default: null },
+    payrollMonth: { type: String, default: null }, // YYYY-MM
+    payrollPart: { type: String, enum: [...PAYROLL_PARTS, null], default: null },
+    // Повторяющиеся операции (аренда, зарплаты, подписки)
+    recurrenceId: { type: mongoose.Schema.Types.ObjectId, ref: 'RecurrenceRule', default: null },
+    recurrenceIndex: { type: Number, default: null },
+    isRecurrenceException: { type: Boolean, default: false }, // edited as "this occurrence", generator skips it
+    // Импорт выписок: номер документа банка и отпечаток строки для поиска дублей
+    bankReference: { type: String, default: null },
+    importFingerprint: { type: String, default: null },
+    importBatchId: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportBatch', default: null },
+    // Закрытый период: разблокировка администратором на одно изменение (см. utils/periodLock.js)
+    periodUnlockedAt: { type: Date, default: null },
+    periodUnlockedBy: { type: String, default: null },
+    ...softDeleteFields,
     createdAt: { type: Date, default: Date.now }
 });
 
@@ -364,9 +602,191 @@ const eventSchema = new mongoose.Schema({
 eventSchema.index({ userId: 1, date: 1 });
 // 🚀 PERFORMANCE: Compound index for dateKey queries (critical for /api/events?dateKey=...)
 eventSchema.index({ userId: 1, dateKey: 1 });
+eventSchema.index({ recurrenceId: 1, recurrenceIndex: 1 }, { sparse: true });
+eventSchema.index({ userId: 1, importFingerprint: 1 }, { sparse: true });
+eventSchema.index({ importBatchId: 1 }, { sparse: true });
+eventSchema.index({ dealId: 1 }, { sparse: true });
+eventSchema.index({ billId: 1 }, { sparse: true });
+eventSchema.index({ creditId: 1, creditPaymentIndex: 1 }, { sparse: true });
+eventSchema.index({ userId: 1, taxKey: 1 }, { sparse: true });
+eventSchema.index({ userId: 1, payrollMonth: 1 }, { sparse: true });
 
 const Event = mongoose.model('Event', eventSchema);
 
+// 🟢 NEW: RecurrenceRule Schema (series of operations materialized into Event)
+const recurrenceRuleSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', default: null },
+    frequency: { type: String, enum: ['daily', 'weekly', 'monthly', 'last_working_day'], required: true },
+    interval: { type: Number, default: 1 },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, default: null },
+    count: { type: Number, default: null },
+    template: { type: Object, default: {} }, // Event fields copied into every occurrence
+    excludedIndexes: { type: [Number], default: [] }, // occurrences deleted as "this occurrence"
+    sourceEventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', default: null },
+    parentRuleId: { type: mongoose.Schema.Types.ObjectId, ref: 'RecurrenceRule', default: null }, // set when split by "this and following"
+    generatedUntil: { type: Date, default: null },
+    isCompleted: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: String, required: false },
+    createdByRole: { type: String, required: false },
+    createdAt: { type: Date, default: Date.now }
+});
+const RecurrenceRule = mongoose.model('RecurrenceRule', recurrenceRuleSchema);
+
+// 🟢 NEW: TrashEntry Schema (one user delete action = one entry, restorable as a whole)
+const trashEntrySchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', default: null },
+    entityType: { type: String, required: true }, // operation | operations | account | company | individual | contractor | project | category | budget | deal | bill | credit
+    entityId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    label: { type: String, default: null },
+    eventIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Event' }], // operations trashed together with the entity
+    nullifiedRefs: [{
+        eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event' },
+        field: String
+    }],
+    deletedBy: { type: String, default: null },
+    deletedAt: { type: Date, default: Date.now, index: true }
+});
+const TrashEntry = mongoose.model('TrashEntry', trashEntrySchema);
+
+const trashService = createTrashService({
+    Event,
+    TrashEntry,
+    entityModels: { account: Account, company: Company, individual: Individual, contractor: Contractor, project: Project, category: Category, budget: Budget, deal: Deal, bill: Bill, credit: Credit, employee: Employee }
+});
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+// 🟢 NEW: EventRevision Schema (immutable audit trail of every create/update/delete of an operation)
+const eventRevisionSchema = new mongoose.Schema({
+    eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true },
+    userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', default: null },
+    revision: { type: Number, required: true },
+    action: { type: String, enum: ['create', 'update', 'delete', 'restore', 'revert', 'unlock'], required: true },
+    changes: [{
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+    snapshot: { type: Object, default: {} }, // operation fields after the action
+    meta: { type: Object, default: null },
+    actorId: { type: String, default: null },
+    actorRole: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+eventRevisionSchema.index({ eventId: 1, revision: 1 }, { unique: true });
+eventRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function (next) {
+    next(new Error('Event revisions are immutable'));
+});
+const EventRevision = mongoose.model('EventRevision', eventRevisionSchema);
+
+const eventHistory = createEventHistory({ Event, EventRevision });
+
+// 🟢 NEW: ImportBatch Schema (one statement import; rollback removes its operations and unused auto-created entities)
+const importBatchSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', default: null },
+    fileName: { type: String, default: null },
+    format: { type: String, default: null }, // statement parser id
+    rowCount: { type: Number, default: 0 }, // rows submitted for import
+    importedCount: { type: Number, default: 0 },
+    mergedCount: { type: Number, default: 0 },
+    skippedCount: { type: Number, default: 0 },
+    mergedEventIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Event' }], // existing operations filled by merge
+    // Field values the merge replaced, put back on rollback: [{ field, from, to }] per operation
+    mergedChanges: [{
+        _id: false,
+        eventId: mongoose.Schema.Types.ObjectId,
+        changes: { type: Array, default: [] }
+    }],
+    createdEntities: [{
+        _id: false,
+        entityType: String, // account | company | individual | contractor | project | category
+        entityId: mongoose.Schema.Types.ObjectId,
+        name: String
+    }],
+    // pending while the commit writes; failed if it stopped half-way (what was written is recorded and can be rolled back)
+    status: { type: String, enum: ['pending', 'active', 'failed', 'rolled_back'], default: 'active' },
+    rolledBackAt: { type: Date, default: null },
+    rolledBackBy: { type: String, default: null },
+    createdBy: { type: String, required: false },
+    createdByRole: { type: String, required: false },
+    createdAt: { type: Date, default: Date.now }
+});
+importBatchSchema.index({ userId: 1, createdAt: -1 });
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+// 🟢 NEW: CategorizationRule Schema (per-workspace auto-categorization, see utils/categorization.js)
+const categorizationRuleSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', default: null },
+    name: { type: String, default: null },
+    priority: { type: Number, default: 0 }, // lower runs first
+    isActive: { type: Boolean, default: true },
+    conditions: {
+        descriptionRegex: { type: String, default: null },
+        contractorIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contractor' }],
+        individualIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Individual' }],
+        accountIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Account' }],
+        amountMin: { type: Number, default: null },
+        amountMax: { type: Number, default: null },
+        types: { type: [String], default: [] } // income | expense
+    },
+    actions: {
+        categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+        projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+        contractorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contractor', default: null },
+        excludeFromTotals: { type: Boolean, default: null }
+    },
+    createdBy: { type: String, required: false },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+const CategorizationRule = mongoose.model('CategorizationRule', categorizationRuleSchema);
+const categorizer = createCategorizer({ CategorizationRule, Contractor, Individual });
+const fxService = createFxService({ ExchangeRate, ratesFile: process.env.FX_RATES_FILE || null });
+const snapshotService = createSnapshotService({ Event, Individual, Account, fxService });
+const budgetAlerts = createBudgetAlerts({
+    Budget,
+    BudgetAlert,
+    budgetVariance: createBudgetVariance({ Event, Budget, Category, Project })
+});
+
+// 🟢 NEW: CategoryMapping Schema (category -> external code per workspace: 1C cost items, P&L lines)
+const categoryMappingSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', default: null },
+    kind: { type: String, enum: ['1c_cost_item', 'pnl_line'], required: true },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+    code: { type: String, default: null },
+    name: { type: String, default: null },
+    updatedBy: { type: String, required: false },
+    updatedAt: { type: Date, default: Date.now }
+});
+categoryMappingSchema.index({ userId: 1, kind: 1, categoryId: 1 }, { unique: true });
+const CategoryMapping = mongoose.model('CategoryMapping', categoryMappingSchema);
+
+// 🟢 NEW: OverheadAllocationRule Schema (how overhead without a project is spread over projects)
+const overheadAllocationRuleSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', default: null },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null }, // null: default rule
+    method: { type: String, enum: OVERHEAD_METHODS, required: true },
+    shares: [{
+        _id: false,
+        projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+        percent: { type: Number, required: true }
+    }], // fixed_percent only
+    updatedBy: { type: String, required: false },
+    updatedAt: { type: Date, default: Date.now }
+});
+overheadAllocationRuleSchema.index({ userId: 1, categoryId: 1 }, { unique: true });
+const OverheadAllocationRule = mongoose.model('OverheadAllocationRule', overheadAllocationRuleSchema);
+
 // 🟢 NEW: ChatHistory Schema for Conversational AI
 const chatHistorySchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.Mixed, required: true, index: true }, // Support both ObjectId and composite String
@@ -515,7 +935,8 @@ const _parseDateKey = (dateKey) => {
     const date = new Date(year, 0, 1); date.setDate(doy); return date;
 };
 
-const findOrCreateEntity = async (model, name, cache, userId) => {
+// createdLog (optional array) collects entities created here, e.g. for import batch rollback
+const findOrCreateEntity = async (model, name, cache, userId, createdLog = null) => {
     if (!name || typeof name !== 'string' || name.trim() === '' || !userId) { return null; }
     const trimmedName = name.trim();
     const lowerName = trimmedName.toLowerCase();
@@ -523,7 +944,7 @@ const findOrCreateEntity = async (model, name, cache, userId) => {
     const escapeRegExp = (string) => { return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); };
     const trimmedNameEscaped = escapeRegExp(trimmedName);
     const regex = new RegExp(`^\\s*${trimmedNameEscaped}\\s*$`, 'i');
-    const existing = await model.findOne({ name: { $regex: regex }, userId: userId });
+    const existing = await model.findOne({ name: { $regex: regex }, userId: userId, ...NOT_DELETED });
     if (existing) { cache[lowerName] = existing._id; return existing._id; }
     try {
         let createData = { name: trimmedName, userId: userId };
@@ -535,12 +956,15 @@ const findOrCreateEntity = async (model, name, cache, userId) => {
         await newEntity.save();
 
         cache[lowerName] = newEntity._id;
+        if (Array.isArray(createdLog)) {
+            createdLog.push({ entityType: model.modelName.toLowerCase(), entityId: newEntity._id, name: trimmedName });
+        }
         return newEntity._id;
     } catch (err) { return null; }
 };
 
 const getFirstFreeCellIndex = async (dateKey, userId) => {
-    const events = await Event.find({ dateKey: dateKey, userId: userId }, 'cellIndex');
+    const events = await Event.find({ dateKey: dateKey, userId: userId, ...NOT_DELETED }, 'cellIndex');
     const used = new Set(events.map(e => e.cellIndex));
     let idx = 0; while (used.has(idx)) { idx++; }
     return idx;
@@ -742,6 +1166,14 @@ function getCurrentWorkspaceActorRole(req) {
     return share?.role || req.user.role || null;
 }
 
+// 🟢 Support both ObjectId and String for userId (legacy data)
+function buildUserIdQuery(userId) {
+    if (typeof userId === 'string' && /^[0-9a-fA-F]{24}$/.test(userId)) {
+        return { $in: [userId, new mongoose.Types.ObjectId(userId)] };
+    }
+    return userId;
+}
+
 function normalizeOptionalId(value) {
     if (!value || value === 'null' || value === 'undefined' || value === '') return null;
     if (typeof value === 'object' && value !== null) {
@@ -785,25 +1217,14 @@ function normalizeEventCategoryFields(data = {}) {
     return normalized;
 }
 
-function normalizeComparableEventValue(value) {
-    if (value instanceof Date) return value.toISOString();
-    if (Array.isArray(value)) return value.map(normalizeComparableEventValue);
-    if (value && typeof value === 'object') {
-        if (value._id) return String(value._id);
-        if (typeof value.toString === 'function') {
-            const asString = value.toString();
-            if (asString && asString !== '[object Object]') return asString;
-        }
-    }
-    return value ?? null;
-}
-
-function hasMeaningfulEventChanges(existingEvent, updatedData = {}) {
-    return Object.keys(updatedData).some((key) => {
-        const prevValue = normalizeComparableEventValue(existingEvent?.[key]);
-        const nextValue = normalizeComparableEventValue(updatedData[key]);
-        return JSON.stringify(prevValue) !== JSON.stringify(nextValue);
-    });
+// Who made the change, for EventRevision records
+function buildRevisionActor(req, userId) {
+    return {
+        userId,
+        workspaceId: req.user?.currentWorkspaceId || null,
+        actorId: req.user?.id ? String(req.user.id) : null,
+        actorRole: getCurrentWorkspaceActorRole(req)
+    };
 }
 
 function getWorkspaceStorageUserId(workspace) {
@@ -853,6 +1274,49 @@ async function ensureManagerCanAccessOperationAccounts(req, payload = {}, existi
     }
 }
 
+// 💱 An operation on an account is in the account currency; Event.currency is only stored when given
+async function normalizeEventCurrency(req, payload = {}, existingEvent = null) {
+    if (!Object.prototype.hasOwnProperty.call(payload, 'currency')) return;
+    if (payload.currency === null || payload.currency === '') {
+        payload.currency = null;
+        return;
+    }
+    const currency = normalizeCurrency(payload.currency);
+    const error = new Error(`Invalid currency: ${payload.currency}`);
+    error.statusCode = 400;
+    if (!currency) throw error;
+
+    const accountId = payload.accountId !== undefined ? normalizeEntityId(payload.accountId) : normalizeEntityId(existingEvent?.accountId);
+    if (accountId) {
+        const account = await Account.findById(accountId).select('currency').lean();
+        const accountCurrency = normalizeCurrency(account?.currency) || (await getWorkspaceSettings(req)).baseCurrency || DEFAULT_BASE_CURRENCY;
+        if (account && accountCurrency !== currency) {
+            error.message = `Operation currency ${currency} differs from the account currency ${accountCurrency}`;
+            throw error;
+        }
+    }
+    payload.currency = currency;
+}
+
+// 💱 Editing a cross-currency transfer keeps fromAmount = amount and the credited toAmount consistent:
+// a new amount without toAmount is credited at the stored exchangeRate
+function normalizeTransferAmounts(payload = {}, existingEvent = null) {
+    const isTransfer = existingEvent?.isTransfer || existingEvent?.type === 'transfer';
+    const has = (field) => Object.prototype.hasOwnProperty.call(payload, field) && payload[field] !== null && payload[field] !== '';
+    if (!isTransfer || (existingEvent.toAmount == null && !has('toAmount'))) return;
+    if (!has('amount') && !has('toAmount') && !has('exchangeRate')) return;
+
+    const fromAmount = Math.abs(Number(has('amount') ? payload.amount : existingEvent.amount));
+    const rate = Number(has('exchangeRate') ? payload.exchangeRate : existingEvent.exchangeRate);
+    const toAmount = has('toAmount') ? Math.abs(Number(payload.toAmount)) : Math.round(fromAmount * rate * 100) / 100;
+    if (!(fromAmount > 0) || !(toAmount > 0)) {
+        const error = new Error('Invalid transfer amounts');
+        error.statusCode = 400;
+        throw error;
+    }
+    Object.assign(payload, { amount: fromAmount, fromAmount, toAmount, exchangeRate: toAmount / fromAmount });
+}
+
 // QUICK-only mode: deep/chat/context-packet rebuild is disabled.
 function triggerContextPacketRebuildByDates() {
     return;
@@ -973,7 +1437,7 @@ app.get('/api/auth/me', async (req, res) => {
         }
 
         // Earliest operation date for this user (used by frontend to cap “all-time” loads)
-        const firstEvent = await Event.findOne({ userId: effectiveUserId })
+        const firstEvent = await Event.findOne({ userId: effectiveUserId, ...NOT_DELETED })
             .sort({ date: 1 })
             .select('date')
             .lean();
@@ -1430,6 +1894,70 @@ app.put('/api/workspaces/:id', isAuthenticated, checkWorkspacePermission(['admin
     }
 });
 
+// 🟢 Workspace settings: whitelisted keys with their normalizers
+const WORKSPACE_SETTING_NORMALIZERS = {
+    importDuplicateWindowDays: (value) => normalizeMatchWindowDays(value, null),
+    autoCategorizeManualEvents: (value) => (typeof value === 'boolean' ? value : null),
+    baseCurrency: (value) => normalizeCurrency(value),
+    closedPeriodDate: (value) => normalizeClosedPeriodDate(value)
+};
+// Settings that accept null to clear them
+const NULLABLE_WORKSPACE_SETTINGS = new Set(['closedPeriodDate']);
+
+const getWorkspaceSettings = async (req) => {
+    const workspaceId = await getWorkspaceId(req);
+    if (!workspaceId) return {};
+    const workspace = await Workspace.findById(workspaceId).select('settings').lean();
+    return workspace?.settings || {};
+};
+
+// 🔒 Operations on or before this date are read-only (utils/periodLock.js)
+const getClosedPeriodDate = async (req) => (await getWorkspaceSettings(req)).closedPeriodDate || null;
+
+// GET /api/workspaces/:id/settings
+app.get('/api/workspaces/:id/settings', isAuthenticated, checkWorkspacePermission(['admin', 'manager', 'analyst']), async (req, res) => {
+    try {
+        const currentWorkspaceId = await getWorkspaceId(req);
+        if (String(currentWorkspaceId) !== String(req.params.id)) {
+            return res.status(403).json({ message: 'Settings are available for the current workspace only' });
+        }
+        res.json(await getWorkspaceSettings(req));
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// PUT /api/workspaces/:id/settings - Update whitelisted settings (admin only)
+app.put('/api/workspaces/:id/settings', isAuthenticated, checkWorkspacePermission(['admin']), async (req, res) => {
+    try {
+        const currentWorkspaceId = await getWorkspaceId(req);
+        if (String(currentWorkspaceId) !== String(req.params.id)) {
+            return res.status(403).json({ message: 'Settings are available for the current workspace only' });
+        }
+
+        const $set = {};
+        for (const [key, normalize] of Object.entries(WORKSPACE_SETTING_NORMALIZERS)) {
+            if (!Object.prototype.hasOwnProperty.call(req.body || {}, key)) continue;
+            const value = normalize(req.body[key]);
+            if (value === undefined || (value === null && !NULLABLE_WORKSPACE_SETTINGS.has(key))) {
+                return res.status(400).json({ message: `Invalid value for setting '${key}'` });
+            }
+            $set[`settings.${key}`] = value;
+        }
+        if (Object.keys($set).length === 0) {
+            return res.status(400).json({ message: 'No supported settings provided' });
+        }
+
+        const workspace = await Workspace.findByIdAndUpdate(req.params.id, { $set }, { new: true }).select('settings').lean();
+        if (!workspace) return res.status(404).json({ message: 'Workspace not found' });
+
+        emitToWorkspace(req, req.params.id, 'workspace_settings_updated', workspace.settings);
+        res.json(workspace.settings);
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
 // DELETE /api/workspaces/:id - Delete workspace
 app.delete('/api/workspaces/:id', isAuthenticated, async (req, res) => {
     try {
@@ -1940,7 +2468,7 @@ app.post('/api/workspaces/:id/thumbnail', isAuthenticated, async (req, res) => {
 app.get('/api/accounts', isAuthenticated, async (req, res) => {
     try {
         const userId = await getCompositeUserId(req); // 🟢 UPDATED: Use composite ID (async)
-        const query = { userId };
+        const query = { userId, ...NOT_DELETED };
         const data = await Account.find(query).sort({ order: 1 }).lean();
         res.json(data);
     } catch (err) { res.status(500).json({ message: err.message }); }
@@ -1949,7 +2477,7 @@ app.get('/api/accounts', isAuthenticated, async (req, res) => {
 app.get('/api/companies', isAuthenticated, async (req, res) => {
     try {
         const userId = await getCompositeUserId(req); // 🟢 UPDATED (async)
-        const query = { userId };
+        const query = { userId, ...NOT_DELETED };
         const data = await Company.find(query).sort({ order: 1 }).lean();
         res.json(data);
     } catch (err) { res.status(500).json({ message: err.message }); }
@@ -1958,7 +2486,7 @@ app.get('/api/companies', isAuthenticated, async (req, res) => {
 app.get('/api/contractors', isAuthenticated, async (req, res) => {
     try {
         const userId = await getCompositeUserId(req); // 🟢 UPDATED (async)
-        const query = { userId };
+        const query = { userId, ...NOT_DELETED };
         const data = await Contractor.find(query).sort({ order: 1 }).lean();
         res.json(data);
     } catch (err) { res.status(500).json({ message: err.message }); }
@@ -1967,7 +2495,7 @@ app.get('/api/contractors', isAuthenticated, async (req, res) => {
 app.get('/api/projects', isAuthenticated, async (req, res) => {
     try {
         const userId = await getCompositeUserId(req); // 🟢 UPDATED (async)
-        const query = { userId };
+        const query = { userId, ...NOT_DELETED };
         const data = await Project.find(query).sort({ order: 1 }).lean();
         res.json(data);
     } catch (err) { res.status(500).json({ message: err.message }); }
@@ -2082,33 +2610,32 @@ app.delete('/api/projects/:id', isAuthenticated, async (req, res) => {
         const userId = await getCompositeUserId(req);
         const workspaceId = req.user.currentWorkspaceId || null;
 
-        const project = await Project.findOne({ _id: id, userId });
+        // Default behavior for inline delete: keep operations and only nullify project binding.
+        const trashed = await trashService.trashEntity({
+            entityType: 'project',
+            id,
+            userId,
+            workspaceId,
+            deletedBy: req.user.id,
+            deleteOperations: deleteOperations === 'true',
+            closedPeriodDate: await getClosedPeriodDate(req),
+            role: getCurrentWorkspaceActorRole(req)
+        });
 
-        if (!project) {
+        if (!trashed) {
             return res.status(404).json({ error: 'Project not found' });
         }
 
-        const relatedOps = await Event.find({
-            userId,
-            projectId: id,
-            isDeleted: { $ne: true }
-        });
-        const affectedDates = relatedOps.map((op) => op?.date).filter(Boolean);
-        const relatedOpIds = relatedOps.map((op) => op?._id).filter(Boolean);
-        let deletedOpsCount = 0;
-
-        if (deleteOperations === 'true') {
-            if (relatedOpIds.length > 0) {
-                await Event.deleteMany({ _id: { $in: relatedOpIds } });
-                deletedOpsCount = relatedOpIds.length;
-            }
-        } else if (relatedOpIds.length > 0) {
-            // Default behavior for inline delete: keep operations and only nullify project binding.
-            await Event.updateMany({ userId, projectId: id }, { projectId: null });
+        const affectedDates = trashed.dates;
+        const deletedOpsCount = trashed.eventIds.length;
+        if (deletedOpsCount > 0) {
+            await eventHistory.recordDelete(
+                await Event.find({ _id: { $in: trashed.eventIds } }),
+                buildRevisionActor(req, userId),
+                { trashEntryId: trashed.entry._id, cascadeFrom: 'project' }
+            );
         }
 
-        await Project.deleteOne({ _id: id, userId });
-
         if (affectedDates.length > 0) {
             triggerContextPacketRebuildByDates({
                 userId,
@@ -2126,6 +2653,7 @@ app.delete('/api/projects/:id', isAuthenticated, async (req, res) => {
 
         res.json({ success: true, message: 'Project deleted', deletedOpsCount });
     } catch (error) {
+        if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, message: error.message });
         console.error('Delete project error:', error);
         res.status(500).json({ error: 'Failed to delete project' });
     }
@@ -2165,7 +2693,7 @@ app.post('/api/projects/reorder', isAuthenticated, async (req, res) => {
 app.get('/api/individuals', isAuthenticated, async (req, res) => {
     try {
         const userId = await getCompositeUserId(req); // 🟢 UPDATED (async)
-        const query = { userId };
+        const query = { userId, ...NOT_DELETED };
         const data = await Individual.find(query).sort({ order: 1 }).lean();
         res.json(data);
     } catch (err) { res.status(500).json({ message: err.message }); }
@@ -2174,7 +2702,7 @@ app.get('/api/individuals', isAuthenticated, async (req, res) => {
 app.get('/api/categories', isAuthenticated, async (req, res) => {
     try {
         const userId = await getCompositeUserId(req); // 🟢 UPDATED (async)
-        const query = { userId };
+        const query = { userId, ...NOT_DELETED };
         const data = await Category.find(query).sort({ order: 1 }).lean();
         res.json(data);
     } catch (err) { res.status(500).json({ message: err.message }); }
@@ -2182,17 +2710,6 @@ app.get('/api/categories', isAuthenticated, async (req, res) => {
 
 
 
-app.get('/api/deals/all', isAuthenticated, async (req, res) => {
-    try {
-        const userId = await getCompositeUserId(req); // 🔥 FIX
-        const deals = await Event.find({
-            userId,
-            type: 'income',
-            $or: [{ totalDealAmount: { $gt: 0 } }, { isDealTranche: true }]
-        }).sort({ date: -1 }).lean();
-        res.json(deals);
-    } catch (err) { res.status(500).json({ message: err.message }); }
-});
 
 // =================================================================
 // END INVITATION ROUTES
@@ -2204,7 +2721,7 @@ app.get('/api/deals/all', isAuthenticated, async (req, res) => {
 // =================================================================
 app.use('/api/ai', createAiRouter({
     mongoose,
-    models: { Event, Account, Company, Contractor, Individual, Project, Category, ChatHistory },
+    models: { Event, Account, Company, Contractor, Individual, Project, Category, ChatHistory, BudgetAlert },
     FRONTEND_URL,
     isAuthenticated,
     getCompositeUserId, // 🔥 NEW: For database queries with correct workspace isolation
@@ -2253,120 +2770,9 @@ app.get('/api/snapshot', isAuthenticated, async (req, res) => {
 
         now.setHours(23, 59, 59, 999);
 
-        const retailInd = await Individual.findOne({ userId, name: { $regex: /^(розничные клиенты|розница)$/i } });
-        const retailIdObj = retailInd ? retailInd._id : null;
-
-        const aggregationResult = await Event.aggregate([
-            { $match: { userId: userId, date: { $lte: now } } }, // 🔥 FIX: Use string userId, not ObjectId
-            {
-                $project: {
-                    type: 1, amount: 1, isTransfer: 1,
-                    transferPurpose: 1, transferReason: 1,
-                    categoryId: 1, accountId: 1, fromAccountId: 1, toAccountId: 1,
-                    companyId: 1, fromCompanyId: 1, toCompanyId: 1,
-                    individualId: 1, fromIndividualId: 1, toIndividualId: 1, counterpartyIndividualId: 1,
-                    contractorId: 1, projectId: 1,
-                    absAmount: { $abs: "$amount" },
-                    isSystemWithdrawalTransfer: {
-                        $and: [
-                            { $or: ["$isTransfer", { $eq: ["$type", "transfer"] }] },
-                            { $eq: ["$transferPurpose", "personal"] },
-                            { $eq: ["$transferReason", "personal_use"] }
-                        ]
-                    },
-                    isWorkAct: { $ifNull: ["$isWorkAct", false] },
-                    isWriteOff: { $and: [{ $eq: ["$type", "expense"] }, { $not: ["$accountId"] }, { $eq: ["$counterpartyIndividualId", retailIdObj] }] }
-                }
-            },
-            {
-                $facet: {
-                    accounts: [
-                        {
-                            $project: {
-                                impacts: {
-                                    $cond: {
-                                        if: { $or: ["$isTransfer", { $eq: ["$type", "transfer"] }] },
-                                        then: {
-                                            $cond: {
-                                                if: "$isSystemWithdrawalTransfer",
-                                                then: [{ id: "$fromAccountId", val: { $multiply: ["$absAmount", -1] } }],
-                                                else: [{ id: "$fromAccountId", val: { $multiply: ["$absAmount", -1] } }, { id: "$toAccountId", val: "$absAmount" }]
-                                            }
-                                        },
-                                        else: { $cond: { if: { $and: ["$accountId", { $eq: ["$isWorkAct", false] }] }, then: [{ id: "$accountId", val: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", { $multiply: ["$absAmount", -1] }] } }], else: [] } }
-                                    }
-                                }
-                            }
-                        },
-                        { $unwind: "$impacts" }, { $match: { "impacts.id": { $ne: null } } }, { $group: { _id: "$impacts.id", total: { $sum: "$impacts.val" } } }
-                    ],
-                    companies: [
-                        {
-                            $project: {
-                                impacts: {
-                                    $cond: {
-                                        if: { $or: ["$isTransfer", { $eq: ["$type", "transfer"] }] },
-                                        then: {
-                                            $cond: {
-                                                if: "$isSystemWithdrawalTransfer",
-                                                then: [{ id: "$fromCompanyId", val: { $multiply: ["$absAmount", -1] } }],
-                                                else: [{ id: "$fromCompanyId", val: { $multiply: ["$absAmount", -1] } }, { id: "$toCompanyId", val: "$absAmount" }]
-                                            }
-                                        },
-                                        else: { $cond: { if: { $or: ["$isWriteOff", "$isWorkAct"] }, then: [], else: [{ id: "$companyId", val: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", { $multiply: ["$absAmount", -1] }] } }] } }
-                                    }
-                                }
-                            }
-                        },
-                        { $unwind: "$impacts" }, { $match: { "impacts.id": { $ne: null } } }, { $group: { _id: "$impacts.id", total: { $sum: "$impacts.val" } } }
-                    ],
-                    individuals: [
-                        {
-                            $project: {
-                                impacts: {
-                                    $cond: {
-                                        if: { $or: ["$isTransfer", { $eq: ["$type", "transfer"] }] },
-                                        then: {
-                                            $cond: {
-                                                if: "$isSystemWithdrawalTransfer",
-                                                then: [{ id: "$fromIndividualId", val: { $multiply: ["$absAmount", -1] } }],
-                                                else: [{ id: "$fromIndividualId", val: { $multiply: ["$absAmount", -1] } }, { id: "$toIndividualId", val: "$absAmount" }]
-                                            }
-                                        },
-                                        else: { $cond: { if: "$isWriteOff", then: [], else: [{ id: "$individualId", val: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", { $multiply: ["$absAmount", -1] }] } }, { id: "$counterpartyIndividualId", val: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", { $multiply: ["$absAmount", -1] }] } }] } }
-                                    }
-                                }
-                            }
-                        },
-                        { $unwind: "$impacts" }, { $match: { "impacts.id": { $ne: null } } }, { $group: { _id: "$impacts.id", total: { $sum: "$impacts.val" } } }
-                    ],
-                    contractors: [
-                        { $match: { isTransfer: { $ne: true }, type: { $ne: 'transfer' }, isWriteOff: false, isWorkAct: false, contractorId: { $ne: null } } },
-                        { $group: { _id: "$contractorId", total: { $sum: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", { $multiply: ["$absAmount", -1] }] } } } }
-                    ],
-                    projects: [
-                        { $match: { isTransfer: { $ne: true }, type: { $ne: 'transfer' }, isWriteOff: false, isWorkAct: false, projectId: { $ne: null } } },
-                        { $group: { _id: "$projectId", total: { $sum: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", { $multiply: ["$absAmount", -1] }] } } } }
-                    ],
-                    categories: [
-                        { $match: { isTransfer: { $ne: true }, type: { $ne: 'transfer' }, isWriteOff: false, categoryId: { $ne: null } } },
-                        { $group: { _id: "$categoryId", income: { $sum: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", 0] } }, expense: { $sum: { $cond: [{ $eq: ["$type", "expense"] }, "$absAmount", 0] } }, total: { $sum: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", { $multiply: ["$absAmount", -1] }] } } } }
-                    ]
-                }
-            }
-        ]);
-
-        const results = aggregationResult[0];
-        const accountBalances = {}; const companyBalances = {}; const individualBalances = {}; const contractorBalances = {}; const projectBalances = {}; const categoryTotals = {};
-
-        results.accounts.forEach(item => { const id = item._id.toString(); if (accountBalances[id] === undefined) accountBalances[id] = 0; accountBalances[id] += item.total; });
-        results.companies.forEach(item => companyBalances[item._id.toString()] = item.total);
-        results.individuals.forEach(item => individualBalances[item._id.toString()] = item.total);
-        results.contractors.forEach(item => contractorBalances[item._id.toString()] = item.total);
-        results.projects.forEach(item => projectBalances[item._id.toString()] = item.total);
-        results.categories.forEach(item => { categoryTotals[item._id.toString()] = { income: item.income, expense: item.expense, total: item.total }; });
-
-        res.json({ timestamp: now, totalBalance: 0, accountBalances, companyBalances, individualBalances, contractorBalances, projectBalances, categoryTotals });
+        const baseCurrency = (await getWorkspaceSettings(req)).baseCurrency || DEFAULT_BASE_CURRENCY;
+        const balances = await snapshotService.computeBalances(userId, now, { baseCurrency });
+        res.json({ timestamp: now, totalBalance: 0, ...balances });
     } catch (err) { res.status(500).json({ message: err.message }); }
 });
 
@@ -2460,7 +2866,7 @@ app.get('/api/events/all-for-export', isAuthenticated, async (req, res) => {
     try {
         const userId = await getCompositeUserId(req); // 🔥 FIX: Use composite ID
         // 🟢 PERFORMANCE: .lean() used
-        const events = await Event.find({ userId: userId })
+        const events = await Event.find({ userId: userId, ...NOT_DELETED })
             .lean()
             .sort({ date: 1 })
             .populate('accountId companyId contractorId counterpartyIndividualId projectId categoryId individualId fromAccountId toAccountId fromCompanyId toCompanyId fromIndividualId toIndividualId');
@@ -2468,11 +2874,6 @@ app.get('/api/events/all-for-export', isAuthenticated, async (req, res) => {
     } catch (err) { res.status(500).json({ message: err.message }); }
 });
 
-app.get('/api/deals/all', isAuthenticated, async (req, res) => {
-    try {
-    } catch (err) { res.status(500).json({ message: err.message }); }
-});
-
 app.get('/api/events', isAuthenticated, async (req, res) => {
     try {
         const { dateKey, day, startDate, endDate } = req.query;
@@ -2491,7 +2892,7 @@ app.get('/api/events', isAuthenticated, async (req, res) => {
             userIdQuery = userId;
         }
 
-        let query = { userId: userIdQuery };
+        let query = { userId: userIdQuery, ...NOT_DELETED };
 
         if (dateKey) {
             query.dateKey = dateKey;
@@ -2516,11 +2917,36 @@ app.get('/api/events', isAuthenticated, async (req, res) => {
     } catch (err) { res.status(500).json({ message: err.message }); }
 });
 
+// 🎯 Budget alerts: re-check the budgets an operation touches in the background (see utils/budgetAlerts.js).
+// Alerts go to the whole workspace, the author included, so the emit carries no sender socket.
+const raiseBudgetAlerts = (req, userId, events) => {
+    const workspaceId = req.user.currentWorkspaceId || null;
+    budgetAlerts.checkEvents({
+        userId,
+        userIdQuery: buildUserIdQuery(userId),
+        workspaceId,
+        events: events.map((event) => (event && typeof event.toObject === 'function' ? event.toObject() : event)),
+        createdBy: req.user.id
+    })
+        .then((alerts) => alerts.forEach((alert) => emitToWorkspace({ io: req.io, headers: {} }, workspaceId, 'budget_alert', alert)))
+        .catch((err) => console.error('❌ [budget alerts] Error:', err.message));
+};
+
 app.post('/api/events', isAuthenticated, checkWorkspacePermission(['admin', 'manager']), async (req, res) => {
     try {
         const data = normalizeEventCategoryFields(req.body);
         const userId = await getCompositeUserId(req); // 🟢 UPDATED: Use composite ID (async)
         await ensureManagerCanAccessOperationAccounts(req, data);
+        await normalizeEventCurrency(req, data);
+
+        // 🏷️ Auto-categorization: per request (applyRules) or workspace default
+        const applyRules = data.applyRules === true
+            || (data.applyRules !== false && (await getWorkspaceSettings(req)).autoCategorizeManualEvents === true);
+        delete data.applyRules;
+        if (applyRules && !data.isTransfer) {
+            const ruleContext = await categorizer.loadContext(userId);
+            Object.assign(data, categorizer.categorize(data, ruleContext).updates);
+        }
         let date, dateKey, dayOfYear;
 
         // 🟢 FIX: TRUST CLIENT DATEKEY IF PROVIDED!
@@ -2555,6 +2981,10 @@ app.post('/api/events', isAuthenticated, checkWorkspacePermission(['admin', 'man
             return res.status(400).json({ message: 'Missing date info' });
         }
 
+        assertPeriodOpen({ closedPeriodDate: await getClosedPeriodDate(req), role: req.workspaceRole, nextDate: date });
+        delete data.periodUnlockedAt;
+        delete data.periodUnlockedBy;
+
         const newEvent = new Event({
             ...data,
             date,
@@ -2574,6 +3004,7 @@ app.post('/api/events', isAuthenticated, checkWorkspacePermission(['admin', 'man
         });
 
         await newEvent.save();
+        await eventHistory.recordCreate(newEvent, buildRevisionActor(req, userId));
 
         await newEvent.populate(['accountId', 'companyId', 'contractorId', 'counterpartyIndividualId', 'projectId', 'categoryId', 'categoryIds', 'individualId', 'fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId']);
 
@@ -2585,6 +3016,7 @@ app.post('/api/events', isAuthenticated, checkWorkspacePermission(['admin', 'man
         });
 
         emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_added', newEvent);
+        raiseBudgetAlerts(req, userId, [newEvent]);
 
         res.status(201).json(newEvent);
     } catch (err) {
@@ -2615,11 +3047,12 @@ app.put('/api/events/:id', checkWorkspacePermission(['admin', 'manager']), canEd
         }
 
         // Fetch the event to check ownership
-        const existingEvent = await Event.findOne({ _id: id, userId: userIdQuery });
+        const existingEvent = await Event.findOne({ _id: id, userId: userIdQuery, ...NOT_DELETED });
         if (!existingEvent) {
             return res.status(404).json({ message: 'Event not found' });
         }
         const previousDate = existingEvent.date;
+        const previousState = existingEvent.toObject();
 
         // Check ownership for manager role (req.workspaceRole set by checkWorkspacePermission middleware)
         // Admin has full access, manager only own operations
@@ -2632,7 +3065,8 @@ app.put('/api/events/:id', checkWorkspacePermission(['admin', 'manager']), canEd
         // Admin can edit ANY operation (no ownership check)
 
         await ensureManagerCanAccessOperationAccounts(req, updatedData, existingEvent);
-
+        await normalizeEventCurrency(req, updatedData, existingEvent);
+        normalizeTransferAmounts(updatedData, existingEvent);
 
         if (updatedData.date) {
             updatedData.date = new Date(updatedData.date);
@@ -2651,6 +3085,16 @@ app.put('/api/events/:id', checkWorkspacePermission(['admin', 'manager']), canEd
             updatedData.dayOfYear = _getDayOfYear(updatedData.date);
         }
 
+        // 🔒 Closed period: read-only for managers, admins change an operation once per unlock
+        delete updatedData.periodUnlockedAt;
+        delete updatedData.periodUnlockedBy;
+        const spendsPeriodUnlock = assertPeriodOpen({
+            closedPeriodDate: await getClosedPeriodDate(req),
+            role: req.workspaceRole,
+            existingEvent,
+            nextDate: updatedData.date || null
+        });
+
         const comparableUpdatedData = { ...rawUpdatedData };
         if (Object.prototype.hasOwnProperty.call(rawUpdatedData, 'date') || Object.prototype.hasOwnProperty.call(rawUpdatedData, 'dateKey')) {
             comparableUpdatedData.date = updatedData.date;
@@ -2682,8 +3126,11 @@ app.put('/api/events/:id', checkWorkspacePermission(['admin', 'manager']), canEd
             updatedData.updatedByRole = actorRole;
         }
 
+        if (spendsPeriodUnlock) Object.assign(updatedData, { periodUnlockedAt: null, periodUnlockedBy: null });
+
         const updatedEvent = await Event.findOneAndUpdate({ _id: id, userId: userIdQuery }, updatedData, { new: true });
         if (!updatedEvent) { return res.status(404).json({ message: 'Not found' }); }
+        await eventHistory.recordUpdate(previousState, updatedEvent, buildRevisionActor(req, userId));
         await updatedEvent.populate(['accountId', 'companyId', 'contractorId', 'counterpartyIndividualId', 'projectId', 'categoryId', 'categoryIds', 'individualId', 'fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId']);
 
         triggerContextPacketRebuildByDates({
@@ -2694,6 +3141,7 @@ app.put('/api/events/:id', checkWorkspacePermission(['admin', 'manager']), canEd
         });
 
         emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_updated', updatedEvent);
+        raiseBudgetAlerts(req, userId, [updatedEvent, previousState]);
 
         res.status(200).json(updatedEvent);
     } catch (err) {
@@ -2720,7 +3168,7 @@ app.delete('/api/events/:id', checkWorkspacePermission(['admin', 'manager']), ca
             userIdQuery = userId;
         }
 
-        const eventToDelete = await Event.findOne({ _id: id, userId: userIdQuery });
+        const eventToDelete = await Event.findOne({ _id: id, userId: userIdQuery, ...NOT_DELETED });
 
         if (!eventToDelete) {
             return res.status(200).json({ message: 'Already deleted or not found' });
@@ -2734,34 +3182,41 @@ app.delete('/api/events/:id', checkWorkspacePermission(['admin', 'manager']), ca
                 return res.status(403).json({ message: 'Managers can only delete their own operations' });
             }
         }
-        // Proceed with regular delete
+        assertPeriodOpen({ closedPeriodDate: await getClosedPeriodDate(req), role: req.workspaceRole, existingEvent: eventToDelete });
 
-        const affectedDates = [eventToDelete.date];
-        await Event.deleteOne({ _id: id });
-
-        // Cascade delete split children if parent
-        if (eventToDelete.isSplitParent) {
-            const splitChildren = await Event.find({ parentOpId: eventToDelete._id }).select('date').lean();
-            affectedDates.push(...splitChildren.map((row) => row?.date).filter(Boolean));
-            await Event.deleteMany({ parentOpId: eventToDelete._id });
-        }
+        // Soft delete: the operation (and its split children) goes to the trash bin
+        const trashed = await trashService.trashOperations({
+            events: [eventToDelete],
+            userId,
+            workspaceId: req.user.currentWorkspaceId || null,
+            deletedBy: req.user.id
+        });
+        await eventHistory.recordDelete(
+            await Event.find({ _id: { $in: trashed.eventIds } }),
+            buildRevisionActor(req, userId),
+            { trashEntryId: trashed.entry._id }
+        );
 
         triggerContextPacketRebuildByDates({
             userId,
             workspaceId: req.user.currentWorkspaceId || null,
-            dates: affectedDates,
+            dates: trashed.dates,
             reason: 'event_deleted'
         });
 
         emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_deleted', id);
 
         res.status(200).json(eventToDelete);
-    } catch (err) { res.status(500).json({ message: err.message }); }
+    } catch (err) { res.status(err.statusCode || 500).json({ message: err.message }); }
 });
 
+// 💱 POST /api/transfers - { amount | fromAmount, toAmount?, exchangeRate?, fee?, ... }
+// Between accounts of different currencies the credited toAmount is given directly, or derived from
+// exchangeRate, or from the rates of the day (utils/fx.js). fee is a bank charge on the source account.
 app.post('/api/transfers', isAuthenticated, async (req, res) => {
     const {
-        amount, date, dateKey,
+        amount, fromAmount, toAmount, exchangeRate, fee,
+        date, dateKey,
         fromAccountId, toAccountId,
         fromCompanyId, toCompanyId,
         fromIndividualId, toIndividualId,
@@ -2771,8 +3226,6 @@ app.post('/api/transfers', isAuthenticated, async (req, res) => {
 
     const userId = await getCompositeUserId(req); // 🔥 FIX: Use composite ID
 
-    const safeId = (val) => (val && val !== 'null' && val !== 'undefined' && val !== '') ? val : null;
-
     try {
         let finalDate, finalDateKey, finalDayOfYear;
         if (date) {
@@ -2790,79 +3243,68 @@ app.post('/api/transfers', isAuthenticated, async (req, res) => {
         }
         else { return res.status(400).json({ message: 'Missing date' }); }
 
-        if (transferPurpose === 'personal' && transferReason === 'personal_use') {
-            const cellIndex = await getFirstFreeCellIndex(finalDateKey, userId);
-            const withdrawalEvent = new Event({
-                type: 'transfer', amount: Math.abs(amount),
-                isTransfer: true,
-                isWithdrawal: true,
-                accountId: safeId(fromAccountId),
-                companyId: safeId(fromCompanyId),
-                individualId: safeId(fromIndividualId),
-                fromAccountId: safeId(fromAccountId),
-                toAccountId: safeId(toAccountId),
-                fromCompanyId: safeId(fromCompanyId),
-                toCompanyId: safeId(toCompanyId),
-                fromIndividualId: safeId(fromIndividualId),
-                toIndividualId: safeId(toIndividualId),
-                transferPurpose: 'personal',
-                transferReason: 'personal_use',
-                categoryId: null,
-                destination: 'Личные нужды', description: 'Вывод на личные цели',
-                date: finalDate, dateKey: finalDateKey, dayOfYear: finalDayOfYear, cellIndex, userId,
-                createdBy: req.user.id,
-                createdByRole: getCurrentWorkspaceActorRole(req)
-            });
-            await withdrawalEvent.save();
-            await withdrawalEvent.populate([
-                'accountId', 'companyId', 'individualId',
-                'fromAccountId', 'toAccountId',
-                'fromCompanyId', 'toCompanyId',
-                'fromIndividualId', 'toIndividualId'
-            ]);
-
-            triggerContextPacketRebuildByDates({
-                userId,
-                workspaceId: req.user.currentWorkspaceId || null,
-                dates: [withdrawalEvent.date],
-                reason: 'transfer_created'
-            });
-
-            emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_added', withdrawalEvent);
-
-            return res.status(201).json(withdrawalEvent);
-        }
-
-        const groupId = `tr_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
-        const cellIndex = await getFirstFreeCellIndex(finalDateKey, userId);
-        let desc = 'Внутренний перевод';
-        if (transferPurpose === 'personal') {
-            desc = 'Перевод на личную карту (Развитие бизнеса)';
-        } else if (transferPurpose === 'inter_company') {
-            desc = fromIndividualId ? 'Вложение средств (Личные -> Бизнес)' : 'Межкомпанийский перевод';
-        }
+        assertPeriodOpen({ closedPeriodDate: await getClosedPeriodDate(req), role: req.workspaceRole, nextDate: finalDate });
+
+        const accountIds = [fromAccountId, toAccountId].map(normalizeEntityId).filter(Boolean);
+        const accounts = accountIds.length ? await Account.find({ _id: { $in: accountIds } }).select('currency').lean() : [];
+        const baseCurrency = (await getWorkspaceSettings(req)).baseCurrency || DEFAULT_BASE_CURRENCY;
+        const currencyOf = (accountId) => {
+            const account = accounts.find((item) => String(item._id) === String(normalizeEntityId(accountId)));
+            return account ? (normalizeCurrency(account.currency) || baseCurrency) : null;
+        };
+        const fromCurrency = currencyOf(fromAccountId) || baseCurrency;
+        const toCurrency = currencyOf(toAccountId);
+
+        let marketRate = null;
+        if (toCurrency && toCurrency !== fromCurrency && toAmount == null && exchangeRate == null) {
+            const rates = await fxService.loadRates(buildUserIdQuery(userId), [fromCurrency, toCurrency], finalDate);
+            marketRate = rates.convert(1, fromCurrency, toCurrency, finalDate);
+        }
+        const amounts = resolveTransferAmounts({ amount, fromAmount, toAmount, exchangeRate, fee }, { fromCurrency, toCurrency, marketRate });
+
+        const transferData = buildTransferEventData({
+            amount: amounts.fromAmount,
+            toAmount: amounts.toAmount,
+            exchangeRate: amounts.exchangeRate,
+            fromAccountId, toAccountId,
+            fromCompanyId, toCompanyId,
+            fromIndividualId, toIndividualId,
+            categoryId,
+            transferPurpose, transferReason
+        });
 
         const transferEvent = new Event({
-            type: 'transfer', amount: Math.abs(amount),
-            fromAccountId: safeId(fromAccountId),
-            toAccountId: safeId(toAccountId),
-            fromCompanyId: safeId(fromCompanyId),
-            toCompanyId: safeId(toCompanyId),
-            fromIndividualId: safeId(fromIndividualId),
-            toIndividualId: safeId(toIndividualId),
-            categoryId: safeId(categoryId),
-            isTransfer: true,
-            transferPurpose: transferPurpose || 'internal',
-            transferReason: transferReason || null,
-            transferGroupId: groupId, description: desc,
-            date: finalDate, dateKey: finalDateKey, dayOfYear: finalDayOfYear, cellIndex, userId,
+            ...transferData,
+            date: finalDate, dateKey: finalDateKey, dayOfYear: finalDayOfYear,
+            cellIndex: await getFirstFreeCellIndex(finalDateKey, userId),
+            userId,
             createdBy: req.user.id,
             createdByRole: getCurrentWorkspaceActorRole(req)
         });
-
         await transferEvent.save();
 
-        await transferEvent.populate(['fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId', 'categoryId']);
+        let feeEvent = null;
+        if (amounts.fee > 0) {
+            feeEvent = new Event({
+                ...buildTransferFeeEventData(transferEvent, {
+                    fee: amounts.fee,
+                    categoryId: await findOrCreateEntity(Category, TRANSFER_FEE_CATEGORY_NAME, {}, userId)
+                }),
+                date: finalDate, dateKey: finalDateKey, dayOfYear: finalDayOfYear,
+                cellIndex: await getFirstFreeCellIndex(finalDateKey, userId),
+                userId,
+                createdBy: req.user.id,
+                createdByRole: getCurrentWorkspaceActorRole(req)
+            });
+            await feeEvent.save();
+        }
+
+        await eventHistory.recordCreate(feeEvent ? [transferEvent, feeEvent] : transferEvent, buildRevisionActor(req, userId));
+
+        await transferEvent.populate(transferData.isWithdrawal
+            ? ['accountId', 'companyId', 'individualId', 'fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId']
+            : ['fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId', 'categoryId']);
+        if (feeEvent) await feeEvent.populate(['accountId', 'companyId', 'individualId', 'categoryId']);
 
         triggerContextPacketRebuildByDates({
             userId,
@@ -2872,72 +3314,16 @@ app.post('/api/transfers', isAuthenticated, async (req, res) => {
         });
 
         emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_added', transferEvent);
+        if (feeEvent) emitToWorkspace(req, req.user.currentWorkspaceId, 'operation_added', feeEvent);
 
-        res.status(201).json(transferEvent);
+        res.status(201).json(feeEvent ? { ...transferEvent.toObject(), feeEvent } : transferEvent);
 
     } catch (err) {
-        console.error('[SERVER ERROR] Transfer failed:', err);
-        res.status(400).json({ message: err.message });
+        if (!err.statusCode) console.error('[SERVER ERROR] Transfer failed:', err);
+        res.status(err.statusCode || 400).json({ message: err.message });
     }
 });
 
-app.post('/api/import/operations', isAuthenticated, async (req, res) => {
-    const { operations, selectedRows } = req.body;
-    const userId = await getCompositeUserId(req);
-    if (!Array.isArray(operations)) { return res.status(400).json({ message: 'Invalid data' }); }
-    let rowsToImport = (selectedRows && Array.isArray(selectedRows)) ? operations.filter((_, index) => new Set(selectedRows).has(index)) : operations;
-    const caches = { categories: {}, projects: {}, accounts: {}, companies: {}, contractors: {}, individuals: {}, prepayments: {} };
-    const createdOps = []; const cellIndexCache = new Map();
-    try {
-        for (let i = 0; i < rowsToImport.length; i++) {
-            const opData = rowsToImport[i];
-            if (opData.type === 'transfer' || !opData.date || !opData.amount) continue;
-            const date = new Date(opData.date); if (isNaN(date.getTime())) continue;
-            const dayOfYear = _getDayOfYear(date); const dateKey = _getDateKey(date);
-
-            const categoryId = await findOrCreateEntity(Category, opData.category, caches.categories, userId);
-            const projectId = await findOrCreateEntity(Project, opData.project, caches.projects, userId);
-            const accountId = await findOrCreateEntity(Account, opData.account, caches.accounts, userId);
-            const companyId = await findOrCreateEntity(Company, opData.company, caches.companies, userId);
-            const individualId = await findOrCreateEntity(Individual, opData.individual, caches.individuals, userId);
-            const contractorId = await findOrCreateEntity(Contractor, opData.contractor, caches.contractors, userId);
-
-            let nextCellIndex = cellIndexCache.has(dateKey) ? cellIndexCache.get(dateKey) : await getFirstFreeCellIndex(dateKey, userId);
-            cellIndexCache.set(dateKey, nextCellIndex + 1);
-            createdOps.push({
-                date,
-                dayOfYear,
-                dateKey,
-                cellIndex: nextCellIndex,
-                type: opData.type,
-                amount: opData.amount,
-                categoryId,
-                projectId,
-                accountId,
-                companyId,
-                individualId,
-                contractorId,
-                isTransfer: false,
-                userId,
-                createdBy: req.user.id,
-                createdByRole: getCurrentWorkspaceActorRole(req)
-            });
-        }
-        if (createdOps.length > 0) {
-            const insertedDocs = await Event.insertMany(createdOps);
-            triggerContextPacketRebuildByDates({
-                userId,
-                workspaceId: req.user.currentWorkspaceId || null,
-                dates: insertedDocs.map((doc) => doc?.date).filter(Boolean),
-                reason: 'operations_imported'
-            });
-            emitToWorkspace(req, req.user.currentWorkspaceId, 'operations_imported', insertedDocs.length);
-            res.status(201).json(insertedDocs);
-        }
-        else { res.status(200).json([]); }
-    } catch (err) { res.status(500).json({ message: 'Import error', details: err.message }); }
-});
-
 const generateCRUD = (model, path, emitEventName = null) => {
     if (!emitEventName) {
         if (model === Account) emitEventName = 'account';
@@ -2946,17 +3332,23 @@ const generateCRUD = (model, path, emitEventName = null) => {
         else if (model === Contractor) emitEventName = 'contractor';
         else if (model === Project) emitEventName = 'project';
         else if (model === Category) emitEventName = 'category';
+        else if (model === Budget) emitEventName = 'budget';
+        else if (model === Deal) emitEventName = 'deal';
+        else if (model === Bill) emitEventName = 'bill';
+        else if (model === Credit) emitEventName = 'credit';
+        else if (model === Employee) emitEventName = 'employee';
     }
 
     app.get(`/api/${path}`, isAuthenticated, async (req, res) => {
         try {
             const userId = await getCompositeUserId(req);
 
-            let query = model.find({ userId: userId }).sort({ _id: 1 });
+            let query = model.find({ userId: userId, ...NOT_DELETED }).sort({ _id: 1 });
             if (model.schema.paths.order) { query = query.sort({ order: 1 }); }
             if (path === 'contractors' || path === 'individuals') {
                 query = query.populate('defaultProjectId').populate('defaultCategoryId').populate('defaultProjectIds').populate('defaultCategoryIds');
             }
+            if (path === 'employees') query = query.populate('individualId');
 
             res.json(await query);
         } catch (err) { res.status(500).json({ message: err.message }); }
@@ -3017,6 +3409,9 @@ const generateCRUD = (model, path, emitEventName = null) => {
                 createData.individualId = req.body.individualId || null;
                 createData.isExcluded = req.body.isExcluded || false; // 🟢 Added isExcluded
                 createData.isCashRegister = req.body.isCashRegister || false; // 🟢 Added isCashRegister
+                createData.accountNumber = req.body.accountNumber ? String(req.body.accountNumber).replace(/\s+/g, '').toUpperCase() : null;
+                createData.currency = normalizeCurrency(req.body.currency);
+                if (req.body.currency && !createData.currency) throw new Error(`Invalid currency: ${req.body.currency}`);
                 createData.taxRegime = req.body.taxRegime || null;
                 createData.taxPercent = (req.body.taxPercent != null && req.body.taxPercent !== '')
                     ? Number(req.body.taxPercent)
@@ -3067,6 +3462,34 @@ const generateCRUD = (model, path, emitEventName = null) => {
                 }
             }
 
+            if (path === 'budgets') {
+                Object.assign(createData, normalizeBudgetFields(req.body));
+            }
+
+            if (path === 'deals') {
+                Object.assign(createData, normalizeDealFields(req.body));
+                createData.createdBy = req.user.id;
+            }
+
+            if (path === 'bills') {
+                Object.assign(createData, normalizeBillFields(req.body));
+                createData.createdBy = req.user.id;
+                // Contract details default to the contractor card
+                if (!createData.contractNumber) {
+                    const contractor = await Contractor.findOne({ _id: createData.contractorId, userId: userId }).select('contractNumber contractDate').lean();
+                    if (!contractor) throw new Error('Contractor not found');
+                    createData.contractNumber = contractor.contractNumber || null;
+                    createData.contractDate = createData.contractDate || contractor.contractDate || null;
+                }
+            }
+
+            if (path === 'employees') {
+                Object.assign(createData, normalizeEmployeeFields(req.body));
+                createData.createdBy = req.user.id;
+                const individual = await Individual.findOne({ _id: createData.individualId, userId: userId, ...NOT_DELETED }).select('_id').lean();
+                if (!individual) throw new Error('Individual not found');
+            }
+
             const newItem = new model(createData);
             const savedItem = await newItem.save();
 
@@ -3079,6 +3502,15 @@ const generateCRUD = (model, path, emitEventName = null) => {
     });
 };
 
+// Set by the server and by trash / restore only, never by a batch update
+const BATCH_UPDATE_SYSTEM_FIELDS = ['_id', 'userId', 'workspaceId', 'createdAt', 'isDeleted', 'deletedAt', 'deletedBy', 'trashEntryId'];
+// Fields with operations behind them, ignored by a batch update: they change through their own routes,
+// which keep those operations in sync under the period lock (PUT /api/credits/:id, PUT /api/deals/:id/tranches)
+const BATCH_UPDATE_ROUTED_FIELDS = {
+    credits: [...CREDIT_SCHEDULE_FIELDS, 'status'],
+    deals: ['totalAmount', 'tranches']
+};
+
 const generateBatchUpdate = (model, path, emitEventName = null) => {
     if (!emitEventName) {
         if (model === Account) emitEventName = 'account';
@@ -3087,20 +3519,38 @@ const generateBatchUpdate = (model, path, emitEventName = null) => {
         else if (model === Contractor) emitEventName = 'contractor';
         else if (model === Project) emitEventName = 'project';
         else if (model === Category) emitEventName = 'category';
+        else if (model === Budget) emitEventName = 'budget';
+        else if (model === Deal) emitEventName = 'deal';
+        else if (model === Bill) emitEventName = 'bill';
+        else if (model === Credit) emitEventName = 'credit';
+        else if (model === Employee) emitEventName = 'employee';
     }
 
     app.put(`/api/${path}/batch-update`, isAuthenticated, async (req, res) => {
         try {
             const items = req.body; const userId = await getCompositeUserId(req);
-            const updatePromises = items.map(item => {
-                const updateData = { ...item }; delete updateData._id; delete updateData.userId;
-                return model.findOneAndUpdate({ _id: item._id, userId: userId }, updateData, { new: true });
+            if (!Array.isArray(items)) return res.status(400).json({ message: 'Expected an array of items' });
+            // Every item is checked before the first write: one invalid row leaves all of them unchanged
+            const updates = items.map((item) => {
+                if (!item || !item._id) throw new Error('Every item needs an _id');
+                const ignored = [...BATCH_UPDATE_SYSTEM_FIELDS, ...(BATCH_UPDATE_ROUTED_FIELDS[path] || [])];
+                let updateData = Object.fromEntries(Object.entries(item).filter(([key]) => !key.startsWith('$') && !ignored.includes(key)));
+                if (path === 'budgets') updateData = { ...updateData, ...normalizeBudgetFields(updateData, { partial: true }) };
+                if (path === 'deals') updateData = { ...updateData, ...normalizeDealFields(updateData, { partial: true }) };
+                if (path === 'bills') updateData = { ...updateData, ...normalizeBillFields(updateData, { partial: true }) };
+                if (path === 'credits') updateData = { ...updateData, ...normalizeCreditFields(updateData, { partial: true }) };
+                if (path === 'employees') updateData = { ...updateData, ...normalizeEmployeeFields(updateData, { partial: true }) };
+                if (path === 'accounts' && item.currency !== undefined) updateData.currency = normalizeCurrency(item.currency);
+                const invalid = new model(updateData).validateSync(Object.keys(updateData));
+                if (invalid) throw invalid;
+                return { _id: item._id, updateData };
             });
-            await Promise.all(updatePromises);
-            let query = model.find({ userId: userId });
+            await Promise.all(updates.map(({ _id, updateData }) => model.findOneAndUpdate({ _id, userId: userId }, updateData, { new: true })));
+            let query = model.find({ userId: userId, ...NOT_DELETED });
             if (model.schema.paths.order) query = query.sort({ order: 1 });
             if (path === 'contractors' || path === 'individuals') query = query.populate('defaultProjectId').populate('defaultCategoryId').populate('defaultProjectIds').populate('defaultCategoryIds');
             if (path === 'credits') { query = query.populate('contractorId').populate('individualId').populate('projectId').populate('categoryId'); }
+            if (path === 'employees') query = query.populate('individualId');
 
             const updatedList = await query;
 
@@ -3121,64 +3571,47 @@ const generateDeleteWithCascade = (model, path, foreignKeyField, emitEventName =
         else if (model === Contractor) emitEventName = 'contractor';
         else if (model === Project) emitEventName = 'project';
         else if (model === Category) emitEventName = 'category';
+        else if (model === Budget) emitEventName = 'budget';
+        else if (model === Deal) emitEventName = 'deal';
+        else if (model === Bill) emitEventName = 'bill';
+        else if (model === Credit) emitEventName = 'credit';
+        else if (model === Employee) emitEventName = 'employee';
     }
 
     app.delete(`/api/${path}/:id`, isAuthenticated, async (req, res) => {
         try {
             const { id } = req.params; const { deleteOperations } = req.query; const userId = await getCompositeUserId(req);
-            const deletedEntity = await model.findOneAndDelete({ _id: id, userId });
-            if (!deletedEntity) { return res.status(404).json({ message: 'Entity not found' }); }
-
-            let deletedOpsCount = 0;
-            let opsDeleted = false;
-            const affectedDates = [];
             const workspaceId = req.user.currentWorkspaceId || null;
-            const loadRelatedOps = async () => {
-                if (foreignKeyField === 'accountId') {
-                    return Event.find({ userId, $or: [{ accountId: id }, { fromAccountId: id }, { toAccountId: id }] });
-                }
-                if (foreignKeyField === 'companyId') {
-                    return Event.find({ userId, $or: [{ companyId: id }, { fromCompanyId: id }, { toCompanyId: id }] });
-                }
-                if (foreignKeyField === 'individualId') {
-                    return Event.find({ userId, $or: [{ individualId: id }, { counterpartyIndividualId: id }, { fromIndividualId: id }, { toIndividualId: id }] });
-                }
-                return Event.find({ userId, [foreignKeyField]: id });
-            };
-
-            if (deleteOperations === 'true') {
-                const relatedOps = await loadRelatedOps();
-                affectedDates.push(...relatedOps.map((op) => op?.date).filter(Boolean));
-
-                const idsToDelete = relatedOps.map(op => op._id);
-                if (idsToDelete.length > 0) {
-                    await Event.deleteMany({ _id: { $in: idsToDelete } });
-                    deletedOpsCount = idsToDelete.length;
-                    opsDeleted = true;
-                    if (req.io) idsToDelete.forEach(opId => emitToUser(req, userId, 'operation_deleted', opId));
-                }
 
-            } else {
-                const relatedOps = await loadRelatedOps();
-                affectedDates.push(...relatedOps.map((op) => op?.date).filter(Boolean));
-
-                let update = { [foreignKeyField]: null };
-                if (foreignKeyField === 'accountId') { await Event.updateMany({ userId, accountId: id }, { accountId: null }); await Event.updateMany({ userId, fromAccountId: id }, { fromAccountId: null }); await Event.updateMany({ userId, toAccountId: id }, { toAccountId: null }); }
-                else if (foreignKeyField === 'companyId') { await Event.updateMany({ userId, companyId: id }, { companyId: null }); await Event.updateMany({ userId, fromCompanyId: id }, { fromCompanyId: null }); await Event.updateMany({ userId, toCompanyId: id }, { toCompanyId: null }); }
-                else if (foreignKeyField === 'individualId') {
-                    await Event.updateMany({ userId, individualId: id }, { individualId: null });
-                    await Event.updateMany({ userId, counterpartyIndividualId: id }, { counterpartyIndividualId: null });
-                    await Event.updateMany({ userId, fromIndividualId: id }, { fromIndividualId: null });
-                    await Event.updateMany({ userId, toIndividualId: id }, { toIndividualId: null });
-                }
-                else await Event.updateMany({ userId, [foreignKeyField]: id }, update);
+            // Soft delete: entity goes to the trash bin together with its operations (deleteOperations=true)
+            // or with the list of references that were nullified, so restore can undo both
+            const trashed = await trashService.trashEntity({
+                entityType: emitEventName,
+                id,
+                userId,
+                workspaceId,
+                deletedBy: req.user.id,
+                deleteOperations: deleteOperations === 'true',
+                closedPeriodDate: await getClosedPeriodDate(req),
+                role: getCurrentWorkspaceActorRole(req)
+            });
+            if (!trashed) { return res.status(404).json({ message: 'Entity not found' }); }
+
+            const deletedOpsCount = trashed.eventIds.length;
+            if (deletedOpsCount > 0) {
+                await eventHistory.recordDelete(
+                    await Event.find({ _id: { $in: trashed.eventIds } }),
+                    buildRevisionActor(req, userId),
+                    { trashEntryId: trashed.entry._id, cascadeFrom: emitEventName }
+                );
             }
+            if (req.io) trashed.eventIds.forEach(opId => emitToUser(req, userId, 'operation_deleted', opId));
 
-            if (affectedDates.length > 0) {
+            if (trashed.dates.length > 0) {
                 triggerContextPacketRebuildByDates({
                     userId,
                     workspaceId,
-                    dates: affectedDates,
+                    dates: trashed.dates,
                     reason: `${path}_cascade_${deleteOperations === 'true' ? 'delete_ops' : 'nullify_refs'}`
                 });
             }
@@ -3188,7 +3621,7 @@ const generateDeleteWithCascade = (model, path, foreignKeyField, emitEventName =
             }
 
             res.status(200).json({ message: 'Deleted', id, deletedOpsCount });
-        } catch (err) { res.status(500).json({ message: err.message }); }
+        } catch (err) { res.status(err.statusCode || 500).json({ message: err.message }); }
     });
 };
 
@@ -3198,6 +3631,10 @@ generateCRUD(Individual, 'individuals');
 generateCRUD(Contractor, 'contractors');
 generateCRUD(Project, 'projects');
 generateCRUD(Category, 'categories');
+generateCRUD(Budget, 'budgets');
+generateCRUD(Deal, 'deals');
+generateCRUD(Bill, 'bills');
+generateCRUD(Employee, 'employees');
 
 
 
@@ -3208,6 +3645,11 @@ generateBatchUpdate(Individual, 'individuals');
 generateBatchUpdate(Contractor, 'contractors');
 generateBatchUpdate(Project, 'projects');
 generateBatchUpdate(Category, 'categories');
+generateBatchUpdate(Budget, 'budgets');
+generateBatchUpdate(Deal, 'deals');
+generateBatchUpdate(Bill, 'bills');
+generateBatchUpdate(Credit, 'credits');
+generateBatchUpdate(Employee, 'employees');
 
 
 generateDeleteWithCascade(Account, 'accounts', 'accountId');
@@ -3216,6 +3658,104 @@ generateDeleteWithCascade(Individual, 'individuals', 'individualId');
 generateDeleteWithCascade(Contractor, 'contractors', 'contractorId');
 generateDeleteWithCascade(Project, 'projects', 'projectId');
 generateDeleteWithCascade(Category, 'categories', 'categoryId');
+generateDeleteWithCascade(Budget, 'budgets', null);
+generateDeleteWithCascade(Deal, 'deals', 'dealId');
+generateDeleteWithCascade(Bill, 'bills', 'billId');
+generateDeleteWithCascade(Credit, 'credits', 'creditId');
+generateDeleteWithCascade(Employee, 'employees', 'employeeId');
+
+// =================================================================
+// 🟢 FEATURE ROUTERS (routes/*.js)
+// =================================================================
+const recurrenceMaterializer = createRecurrenceMaterializer({
+    Event,
+    RecurrenceRule,
+    getFirstFreeCellIndex,
+    getDateKey: _getDateKey,
+    getDayOfYear: _getDayOfYear
+});
+
+const routeDeps = {
+    mongoose,
+    models: { Event, Account, Company, Contractor, Individual, Project, Category, Workspace, RecurrenceRule, TrashEntry, EventRevision, ImportBatch, CategorizationRule, CategoryMapping, Budget, BudgetAlert, OverheadAllocationRule, Deal, Bill, Credit, Employee, ExchangeRate },
+    isAuthenticated,
+    checkWorkspacePermission,
+    canEdit,
+    canDelete,
+    getCompositeUserId,
+    buildUserIdQuery,
+    getCurrentWorkspaceActorRole,
+    getWorkspaceSettings,
+    getClosedPeriodDate,
+    buildRevisionActor,
+    findOrCreateEntity,
+    ensureManagerCanAccessOperationAccounts,
+    getManagerAccessibleAccountIds,
+    normalizeEventCategoryFields,
+    emitToWorkspace,
+    emitEntityEvent,
+    triggerContextPacketRebuildByDates,
+    getFirstFreeCellIndex,
+    getDateKey: _getDateKey,
+    getDayOfYear: _getDayOfYear,
+    recurrenceMaterializer,
+    trashService,
+    eventHistory,
+    categorizer,
+    snapshotService,
+    fxService,
+    budgetAlerts
+};
+
+app.use('/api', createRecurrenceRouter(routeDeps));
+app.use('/api', createSplitRouter(routeDeps));
+app.use('/api/trash', createTrashRouter(routeDeps));
+app.use('/api', createEventHistoryRouter(routeDeps));
+app.use('/api/import', createImportRouter(routeDeps));
+app.use('/api/categorization-rules', createCategorizationRouter(routeDeps));
+app.use('/api/export', createExportRouter(routeDeps));
+app.use('/api/reports', createReportsRouter(routeDeps));
+app.use('/api/budgets', createBudgetRouter(routeDeps));
+app.use('/api/deals', createDealRouter(routeDeps));
+app.use('/api/bills', createBillRouter(routeDeps));
+app.use('/api/credits', createCreditRouter(routeDeps));
+app.use('/api/taxes', createTaxRouter(routeDeps));
+app.use('/api/payroll', createPayrollRouter(routeDeps));
+app.use('/api/fx', createFxRouter(routeDeps));
+
+// 🟢 Background jobs: no request context, so socket emits go straight to the workspace room
+const systemEmitContext = { io, headers: {} };
+const DAILY_JOB_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const runDailyJobs = async () => {
+    try {
+        const created = await recurrenceMaterializer.extendOpenRules();
+        await eventHistory.recordCreate(created, { actorRole: 'system' });
+        const rulesById = new Map();
+        for (const event of created) {
+            const ruleId = String(event.recurrenceId);
+            if (!rulesById.has(ruleId)) rulesById.set(ruleId, await RecurrenceRule.findById(ruleId).select('workspaceId').lean());
+            emitToWorkspace(systemEmitContext, rulesById.get(ruleId)?.workspaceId, 'operation_added', event);
+        }
+        if (created.length > 0) console.log(`🔁 [Recurrence] Materialized ${created.length} future occurrences`);
+    } catch (err) {
+        console.error('❌ [Recurrence] Daily extension failed:', err);
+    }
+
+    try {
+        const synced = await fxService.syncDailyRates();
+        console.log(`💱 [FX] ${synced.count} rates loaded from ${synced.source}${synced.error ? ` (NBK: ${synced.error})` : ''}`);
+    } catch (err) {
+        console.error('❌ [FX] Daily rates sync failed:', err.message);
+    }
+
+    try {
+        const purged = await trashService.purgeExpired(TRASH_RETENTION_DAYS);
+        if (purged > 0) console.log(`🗑️ [Trash] Purged ${purged} entries older than ${TRASH_RETENTION_DAYS} days`);
+    } catch (err) {
+        console.error('❌ [Trash] Retention purge failed:', err);
+    }
+};
 
 
 
@@ -3229,6 +3769,8 @@ mongoose.connect(DB_URL, {
         server.listen(PORT, () => {
             console.log(`✅ Сервер запущен на порту ${PORT}`);
         });
+        runDailyJobs();
+        setInterval(runDailyJobs, DAILY_JOB_INTERVAL_MS);
     })
     .catch(err => {
         console.error('❌ Ошибка подключения к MongoDB:', err.message);
@@ -0,0 +1,76 @@
+// test/balanceSheet.test.js
+// Management balance sheet: cash at the rate of the date, deal receivables and advances, contractor
+// positions from supplier acts, loans, and owner equity as the balancing figure.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBalanceSheetReport } = require('../utils/reports/balanceSheet');
+const { createMemoryModel } = require('./helpers/memoryModel');
+
+const AS_OF = new Date(2026, 2, 31, 23, 59);
+const _event = (_id, fields) => ({ _id, userId: 'u1', date: new Date(2026, 2, 10), ...fields });
+
+const _report = () => createBalanceSheetReport({
+    Account: createMemoryModel([
+        { _id: 'A', userId: 'u1', name: 'Kaspi', initialBalance: 1000 },
+        { _id: 'U', userId: 'u1', name: 'USD', initialBalance: 0 },
+        { _id: 'X', userId: 'u1', name: 'Вне учета', initialBalance: 500, isExcluded: true }
+    ]),
+    Contractor: createMemoryModel([
+        { _id: 'client', name: 'ТОО Клиент' },
+        { _id: 'client2', name: 'ТОО Заказчик' },
+        { _id: 'supplier', name: 'ТОО Поставщик' },
+        { _id: 'supplier2', name: 'ИП Подрядчик' },
+        { _id: 'bank', name: 'Банк' }
+    ]),
+    Individual: createMemoryModel([]),
+    Project: createMemoryModel([{ _id: 'P', name: 'Ремонт' }]),
+    Deal: createMemoryModel([{ _id: 'D1', name: 'Поставка', totalAmount: 5000, contractorId: 'client' }]),
+    Credit: createMemoryModel([{ _id: 'C1', userId: 'u1', name: 'Кредит', status: 'active', principal: 1000, startDate: new Date(2026, 0, 1), contractorId: 'bank' }]),
+    Event: createMemoryModel([
+        _event('receipt', { type: 'income', amount: 600, dealId: 'D1', contractorId: 'client' }),
+        _event('act', { type: 'income', amount: 1000, isWorkAct: true, dealId: 'D1', contractorId: 'client' }),
+        _event('late-act', { type: 'income', amount: 4000, isWorkAct: true, dealId: 'D1', date: new Date(2026, 3, 2) }),
+        _event('prepayment', { type: 'prepayment', amount: 800, contractorId: 'client2', projectId: 'P' }),
+        _event('supply', { type: 'expense', amount: -1000, isWorkAct: true, contractorId: 'supplier' }),
+        _event('supply2', { type: 'expense', amount: -200, isWorkAct: true, contractorId: 'supplier2' }),
+        _event('withdrawal', { type: 'transfer', isTransfer: true, amount: 150, fromAccountId: 'A', transferPurpose: 'personal', transferReason: 'personal_use' }),
+        _event('principal', { type: 'expense', amount: -400, creditId: 'C1', creditPart: 'principal', date: new Date(2026, 1, 1) })
+    ]),
+    snapshotService: {
+        computeBalances: async () => ({
+            accountBalances: { A: 2000, U: 100, X: 0 },
+            accountCurrencies: { U: 'USD' },
+            ratesToBase: { USD: 500 },
+            contractorBalances: { supplier: -300, supplier2: -500, client: 600, client2: 800 },
+            missingRates: []
+        })
+    },
+    profitLossReport: { totalsUpTo: async () => ({ net_profit: 1200 }) }
+});
+
+test('assets, liabilities and equity balance out', async () => {
+    const sheet = await _report().build({ userId: 'u1', userIdQuery: 'u1', asOf: AS_OF, baseCurrency: 'KZT' });
+
+    assert.deepEqual(sheet.assets.cash.accounts.map((row) => [row.name, row.originalBalance, row.balance]), [['Kaspi', 3000, 3000], ['USD', 100, 50000]]);
+    assert.deepEqual(sheet.excludedAccounts.map((row) => row.name), ['Вне учета']);
+
+    assert.deepEqual(sheet.assets.receivables.deals.map((row) => [row.dealName, row.name, row.acted, row.received, row.amount]), [
+        ['Поставка', 'ТОО Клиент', 1000, 600, 400]
+    ]);
+    assert.deepEqual(sheet.assets.advancesPaid.contractors.map((row) => [row.name, row.amount]), [['ИП Подрядчик', 300]]);
+    assert.equal(sheet.assets.total, 53700);
+
+    assert.deepEqual(sheet.liabilities.payables.contractors.map((row) => [row.name, row.acted, row.paid, row.amount]), [['ТОО Поставщик', 1000, 300, 700]]);
+    assert.deepEqual(sheet.liabilities.advancesReceived.deals.map((row) => [row.name, row.projectName, row.amount]), [['ТОО Заказчик', 'Ремонт', 800]]);
+    assert.deepEqual(sheet.liabilities.loans.credits.map((row) => [row.lenderName, row.amount]), [['Банк', 600]]);
+    assert.equal(sheet.liabilities.total, 2100);
+
+    assert.deepEqual(sheet.equity, { retainedEarnings: 1200, ownerEquity: 50400, ownerWithdrawals: 150, total: 51600 });
+});
+
+test('excluded accounts are counted in cash when asked for', async () => {
+    const sheet = await _report().build({ userId: 'u1', userIdQuery: 'u1', asOf: AS_OF, baseCurrency: 'KZT', includeExcluded: true });
+    assert.equal(sheet.assets.cash.total, 53500);
+    assert.deepEqual(sheet.excludedAccounts, []);
+});
@@ -0,0 +1,94 @@
+// test/bills.test.js
+// Bills from contractors: field validation, paid / unpaid state from linked payments, the
+// accounts-payable aging and the bills due this week.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeBillFields, summarizeBill, createBillService } = require('../utils/bills');
+const { createMemoryModel } = require('./helpers/memoryModel');
+
+const SUPPLIER = '64b0000000000000000000c1';
+const OTHER = '64b0000000000000000000c2';
+
+const _status = (statusCode) => (err) => err.statusCode === statusCode;
+const ASOF = new Date(2026, 2, 18, 12);
+
+const _bill = (_id, fields) => ({ _id, userId: 'u1', status: 'open', contractorId: SUPPLIER, issueDate: new Date(2026, 0, 10), ...fields });
+const _payment = (_id, billId, amount, date) => ({ _id, userId: 'u1', type: 'expense', billId, amount: -amount, date });
+
+test('a bill needs a contractor, a positive amount and a due date not before the issue date', () => {
+    const fields = normalizeBillFields({ contractorId: SUPPLIER, number: ' 17 ', amount: '1500.555', issueDate: '2026-03-10', dueDate: '2026-03-10' });
+    assert.deepEqual([fields.number, fields.amount, fields.status, fields.projectId], ['17', 1500.56, 'open', null]);
+    assert.deepEqual(normalizeBillFields({ status: 'cancelled' }, { partial: true }), { status: 'cancelled' });
+
+    const valid = { contractorId: SUPPLIER, amount: 100, dueDate: '2026-03-10' };
+    assert.throws(() => normalizeBillFields({ ...valid, contractorId: null }), _status(400));
+    assert.throws(() => normalizeBillFields({ ...valid, amount: 0 }), _status(400));
+    assert.throws(() => normalizeBillFields({ ...valid, dueDate: null }), _status(400));
+    assert.throws(() => normalizeBillFields({ ...valid, issueDate: '2026-03-11' }), _status(400));
+    assert.throws(() => normalizeBillFields({ ...valid, status: 'paid' }), _status(400));
+});
+
+test('the state follows the payments', () => {
+    const bill = _bill('b', { amount: 1000, dueDate: new Date(2026, 2, 1) });
+    const summary = (payments, extra = {}) => summarizeBill({ ...bill, ...extra }, payments, ASOF);
+
+    assert.deepEqual((({ state, unpaid, isOverdue, daysOverdue, bucket }) => ({ state, unpaid, isOverdue, daysOverdue, bucket }))(summary([])), {
+        state: 'unpaid', unpaid: 1000, isOverdue: true, daysOverdue: 17, bucket: '0_30'
+    });
+    assert.deepEqual([summary([{ amount: -400 }]).state, summary([{ amount: -400 }]).unpaid], ['partial', 600]);
+    const overpaid = summary([{ amount: -700 }, { amount: -500 }]);
+    assert.deepEqual([overpaid.state, overpaid.unpaid, overpaid.overpaid, overpaid.bucket], ['paid', 0, 200, null]);
+    assert.deepEqual([summary([], { status: 'cancelled' }).state, summary([], { status: 'cancelled' }).unpaid], ['cancelled', 0]);
+});
+
+test('aging counts unpaid open bills issued by the date, per contractor', async () => {
+    const service = createBillService({
+        Bill: createMemoryModel([
+            _bill('b1', { amount: 1000, dueDate: new Date(2026, 0, 15) }),
+            _bill('b2', { amount: 500, dueDate: new Date(2026, 3, 1) }),
+            _bill('b3', { amount: 300, dueDate: new Date(2026, 2, 10), contractorId: OTHER }),
+            _bill('paid', { amount: 200, dueDate: new Date(2026, 1, 1) }),
+            _bill('cancelled', { amount: 900, dueDate: new Date(2026, 1, 1), status: 'cancelled' }),
+            _bill('future', { amount: 800, dueDate: new Date(2026, 4, 1), issueDate: new Date(2026, 2, 25) })
+        ]),
+        Event: createMemoryModel([
+            _payment('p1', 'b1', 400, new Date(2026, 1, 1)),
+            _payment('p2', 'paid', 200, new Date(2026, 1, 1)),
+            _payment('late', 'b1', 600, new Date(2026, 2, 20))
+        ]),
+        Contractor: createMemoryModel([{ _id: SUPPLIER, name: 'ТОО Поставщик' }, { _id: OTHER, name: 'ИП Подрядчик' }]),
+        Project: createMemoryModel([])
+    });
+
+    const report = await service.aging({ userIdQuery: 'u1', asOf: ASOF });
+    assert.deepEqual(report.contractors.map((row) => [row.name, row.notDue, row.overdue, row.total, row.bills.map((bill) => bill._id)]), [
+        ['ТОО Поставщик', 500, 600, 1100, ['b1', 'b2']],
+        ['ИП Подрядчик', 0, 300, 300, ['b3']]
+    ]);
+    assert.deepEqual(report.totals.buckets, { '0_30': 300, '31_60': 0, '61_90': 600, '90_plus': 0 });
+
+    // As of today the later payment settles b1 as well
+    const paid = await service.list({ userIdQuery: 'u1', state: 'paid' });
+    assert.deepEqual(paid.map((bill) => bill._id), ['b1', 'paid']);
+});
+
+test('bills due this week are listed apart from the ones already overdue', async () => {
+    const service = createBillService({
+        Bill: createMemoryModel([
+            _bill('overdue', { amount: 100, dueDate: new Date(2026, 2, 13) }),
+            _bill('monday', { amount: 200, dueDate: new Date(2026, 2, 16) }),
+            _bill('sunday', { amount: 300, dueDate: new Date(2026, 2, 22, 18) }),
+            _bill('next', { amount: 400, dueDate: new Date(2026, 2, 23) })
+        ]),
+        Event: createMemoryModel([]),
+        Contractor: createMemoryModel([]),
+        Project: createMemoryModel([])
+    });
+
+    const week = await service.dueThisWeek({ userIdQuery: 'u1', date: ASOF });
+    assert.deepEqual(week.weekStart, new Date(2026, 2, 16));
+    assert.deepEqual(week.bills.map((bill) => bill._id), ['monday', 'sunday']);
+    assert.deepEqual(week.overdue.map((bill) => bill._id), ['overdue']);
+    assert.deepEqual(week.totals, { dueThisWeek: 500, overdue: 100, total: 600 });
+});
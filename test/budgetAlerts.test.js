@@ -0,0 +1,75 @@
+// test/budgetAlerts.test.js
+// Budget alerts: one alert per budget and level, escalation, resolution when the budget recovers,
+// and operations that touch no expense budget.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBudgetAlerts } = require('../utils/budgetAlerts');
+const { createMemoryModel } = require('./helpers/memoryModel');
+
+const RENT = '64b0000000000000000000a1';
+
+const _setup = () => {
+    const row = {
+        _id: 'b1', type: 'expense', period: '2026-03', categoryId: RENT, categoryName: 'Аренда', projectId: null, projectName: null,
+        amount: 1000, actual: 0, planned: 0, forecast: 0, usedPercent: 0, alertThreshold: 80
+    };
+    const Budget = createMemoryModel([
+        { _id: 'b1', userId: 'u1', type: 'expense', categoryId: RENT, dateFrom: new Date(2026, 2, 1), dateTo: new Date(2026, 2, 31, 23, 59) }
+    ]);
+    const BudgetAlert = createMemoryModel([], { name: 'BudgetAlert' });
+    const budgetVariance = { build: async ({ budgetIds }) => ({ budgets: budgetIds.includes('b1') ? [{ ...row }] : [] }) };
+    const alerts = createBudgetAlerts({ Budget, BudgetAlert, budgetVariance });
+    const spend = (actual, forecast = actual) => Object.assign(row, { actual, forecast, usedPercent: actual / 10 });
+    return { BudgetAlert, alerts, spend };
+};
+
+const EXPENSE = { _id: 'e1', type: 'expense', date: new Date(2026, 2, 10), categoryId: RENT };
+const _check = (alerts, events = [EXPENSE]) => alerts.checkEvents({ userId: 'u1', userIdQuery: 'u1', events, createdBy: 'm1' });
+
+test('crossing the threshold raises one alert, reaching a higher level escalates', async () => {
+    const { BudgetAlert, alerts, spend } = _setup();
+
+    spend(500);
+    assert.deepEqual(await _check(alerts), []);
+
+    spend(850);
+    const [threshold] = await _check(alerts);
+    assert.equal(threshold.kind, 'threshold');
+    assert.equal(threshold.message, 'Бюджет «Аренда» за 2026-03 израсходован на 85% (порог 80%)');
+    assert.equal(threshold.eventId, 'e1');
+    assert.deepEqual(await _check(alerts), []);
+
+    spend(900, 1200);
+    assert.deepEqual((await _check(alerts)).map((alert) => alert.kind), ['forecast_over']);
+    spend(1100);
+    const [over] = await _check(alerts);
+    assert.equal(over.kind, 'over_budget');
+    assert.ok(over.message.startsWith('Перерасход бюджета «Аренда» за 2026-03'));
+    assert.equal(BudgetAlert.docs.filter((alert) => !alert.resolvedAt).length, 3);
+});
+
+test('alerts above the level a budget is back to are resolved', async () => {
+    const { BudgetAlert, alerts, spend } = _setup();
+    spend(1100);
+    await _check(alerts);
+
+    // Back under the amount but still over the threshold: the threshold alert takes over
+    spend(850);
+    assert.deepEqual((await _check(alerts)).map((alert) => alert.kind), ['threshold']);
+    assert.ok(BudgetAlert.docs[0].resolvedAt instanceof Date);
+    assert.deepEqual(await _check(alerts), []);
+
+    spend(100);
+    await _check(alerts);
+    assert.ok(BudgetAlert.docs.every((alert) => alert.resolvedAt));
+});
+
+test('incomes and operations outside every budget are not checked', async () => {
+    const { BudgetAlert, alerts, spend } = _setup();
+    spend(1100);
+    assert.deepEqual(await _check(alerts, [{ ...EXPENSE, type: 'income' }]), []);
+    assert.deepEqual(await _check(alerts, [{ ...EXPENSE, date: new Date(2026, 3, 1) }]), []);
+    assert.deepEqual(await _check(alerts, [{ ...EXPENSE, categoryId: '64b0000000000000000000a2' }]), []);
+    assert.equal(BudgetAlert.docs.length, 0);
+});
@@ -0,0 +1,81 @@
+// test/budgets.test.js
+// Budgets: field validation, which operations count against a budget, and the plan-vs-actual
+// report with actual / planned split at "now".
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeBudgetFields, budgetMatchesEvent, createBudgetVariance } = require('../utils/budgets');
+const { createMemoryModel } = require('./helpers/memoryModel');
+
+const RENT = '64b0000000000000000000a1';
+const OFFICE = '64b0000000000000000000a2';
+const PROJECT = '64b0000000000000000000b1';
+
+const _status = (statusCode) => (err) => err.statusCode === statusCode;
+const _budget = (_id, body) => ({ _id, userId: 'u1', ...body, ...normalizeBudgetFields(body) });
+const _event = (_id, fields) => ({ _id, userId: 'u1', ...fields });
+
+test('budget fields are validated and the period becomes a date range', () => {
+    const fields = normalizeBudgetFields({ type: 'expense', period: '2026-q1', categoryId: RENT, amount: '1500', alertThreshold: '80' });
+    assert.equal(fields.period, '2026-Q1');
+    assert.deepEqual([fields.dateFrom, fields.dateTo], [new Date(2026, 0, 1), new Date(new Date(2026, 3, 1).getTime() - 1)]);
+    assert.equal(fields.amount, 1500);
+    assert.equal(fields.alertThreshold, 80);
+    assert.deepEqual(normalizeBudgetFields({ amount: 10 }, { partial: true }), { amount: 10 });
+
+    const valid = { type: 'expense', period: '2026-03', categoryId: RENT, amount: 100 };
+    assert.throws(() => normalizeBudgetFields({ ...valid, type: 'transfer' }), _status(400));
+    assert.throws(() => normalizeBudgetFields({ ...valid, period: '2026-13' }), _status(400));
+    assert.throws(() => normalizeBudgetFields({ ...valid, categoryId: null }), _status(400));
+    assert.throws(() => normalizeBudgetFields({ ...valid, amount: -1 }), _status(400));
+    assert.throws(() => normalizeBudgetFields({ ...valid, alertThreshold: 120 }), _status(400));
+});
+
+test('an operation counts against budgets of its type, period, category and project', () => {
+    const budget = _budget('b', { type: 'expense', period: '2026-03', categoryId: RENT, projectId: PROJECT, amount: 100 });
+    const event = { type: 'expense', date: new Date(2026, 2, 31, 23), categoryIds: [RENT], projectId: PROJECT };
+    assert.equal(budgetMatchesEvent(budget, event), true);
+    assert.equal(budgetMatchesEvent(budget, { ...event, date: new Date(2026, 3, 1) }), false);
+    assert.equal(budgetMatchesEvent(budget, { ...event, projectId: null }), false);
+    assert.equal(budgetMatchesEvent(budget, { ...event, categoryIds: [OFFICE] }), false);
+    assert.equal(budgetMatchesEvent({ ...budget, type: 'income' }, { ...event, type: 'prepayment' }), true);
+});
+
+test('the variance report splits actual and planned and flags overspending', async () => {
+    const variance = createBudgetVariance({
+        Budget: createMemoryModel([
+            _budget('rent', { type: 'expense', period: '2026-03', categoryId: RENT, amount: 1000 }),
+            _budget('office', { type: 'expense', period: '2026-03', categoryId: OFFICE, amount: 500 }),
+            _budget('sales', { type: 'income', period: '2026-Q1', projectId: PROJECT, amount: 5000 }),
+            _budget('trashed', { type: 'expense', period: '2026-03', categoryId: RENT, amount: 1, isDeleted: true })
+        ]),
+        Event: createMemoryModel([
+            _event('r1', { type: 'expense', amount: -800, categoryId: RENT, date: new Date(2026, 2, 5) }),
+            _event('r2', { type: 'expense', amount: -300, categoryIds: [RENT], date: new Date(2026, 2, 10) }),
+            _event('r3', { type: 'expense', amount: -999, categoryId: RENT, isTransfer: true, date: new Date(2026, 2, 11) }),
+            _event('r4', { type: 'expense', amount: -50, categoryId: RENT, excludeFromTotals: true, date: new Date(2026, 2, 12) }),
+            _event('r5', { type: 'expense', amount: -200, categoryId: RENT, date: new Date(2026, 2, 25) }),
+            _event('o1', { type: 'expense', amount: -100, categoryId: OFFICE, date: new Date(2026, 2, 3) }),
+            _event('o2', { type: 'expense', amount: -450, categoryId: OFFICE, date: new Date(2026, 2, 28) }),
+            _event('i1', { type: 'income', amount: 2000, projectId: PROJECT, date: new Date(2026, 1, 1) }),
+            _event('i2', { type: 'prepayment', amount: 1000, projectId: PROJECT, date: new Date(2026, 2, 30) }),
+            _event('i3', { type: 'income', amount: 500, projectId: PROJECT, isWorkAct: true, date: new Date(2026, 2, 1) })
+        ]),
+        Category: createMemoryModel([{ _id: RENT, name: 'Аренда' }, { _id: OFFICE, name: 'Офис' }]),
+        Project: createMemoryModel([{ _id: PROJECT, name: 'Ремонт' }])
+    });
+
+    const report = await variance.build({ userIdQuery: 'u1', dateFrom: new Date(2026, 2, 1), dateTo: new Date(2026, 2, 31), now: new Date(2026, 2, 20) });
+    assert.deepEqual(report.budgets.map((row) => [row._id, row.actual, row.planned, row.forecast, row.status]), [
+        ['rent', 1100, 200, 1300, 'over_budget'],
+        ['office', 100, 450, 550, 'forecast_over'],
+        ['sales', 2000, 1000, 3000, 'forecast_below']
+    ]);
+    assert.deepEqual([report.budgets[0].remaining, report.budgets[0].usedPercent, report.budgets[0].categoryName], [-100, 110, 'Аренда']);
+    assert.equal(report.budgets[2].projectName, 'Ремонт');
+    assert.deepEqual(report.totals.expense, { amount: 1500, actual: 1200, planned: 650, forecast: 1850 });
+    assert.deepEqual(report.overBudgetCategories.map((row) => [row.budgetId, row.overBy]), [['rent', 100]]);
+
+    const closed = await variance.build({ userIdQuery: 'u1', budgetIds: ['sales'], now: new Date(2026, 3, 5) });
+    assert.deepEqual(closed.budgets.map((row) => [row.actual, row.status]), [[3000, 'below_plan']]);
+});
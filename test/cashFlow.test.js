@@ -0,0 +1,88 @@
+// test/cashFlow.test.js
+// Cash-flow statement: account impacts of each operation kind, opening and closing balances,
+// internal transfers, withdrawals, excluded operations and offsets.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { accountImpacts, createCashFlowReport } = require('../utils/reports/cashFlow');
+const { createMemoryModel } = require('./helpers/memoryModel');
+
+const _event = (_id, fields) => ({ _id, userId: 'u1', ...fields });
+
+test('each operation kind moves the right accounts', () => {
+    assert.deepEqual(accountImpacts({ type: 'expense', amount: -300, accountId: 'a' }), [{ accountId: 'a', amount: -300, kind: 'expense' }]);
+    assert.deepEqual(accountImpacts({ type: 'income', amount: 300, accountId: 'a', isWorkAct: true }), []);
+    assert.deepEqual(accountImpacts({ type: 'transfer', amount: 100, toAmount: 49000, fromAccountId: 'usd', toAccountId: 'kzt' }), [
+        { accountId: 'usd', amount: -100, kind: 'transfer_out' },
+        { accountId: 'kzt', amount: 49000, kind: 'transfer_in' }
+    ]);
+    assert.deepEqual(
+        accountImpacts({ isTransfer: true, amount: 50, fromAccountId: 'a', toAccountId: 'b', transferPurpose: 'personal', transferReason: 'personal_use' }),
+        [{ accountId: 'a', amount: -50, kind: 'withdrawal' }]
+    );
+    assert.equal(accountImpacts({ type: 'income', amount: 10, accountId: 'a', transferGroupId: 'tg' })[0].kind, 'transfer_in');
+});
+
+test('the statement rolls balances through the periods and keeps non-operating movements off the category lines', async () => {
+    const report = createCashFlowReport({
+        Account: createMemoryModel([
+            { _id: 'A', userId: 'u1', name: 'Kaspi', initialBalance: 1000 },
+            { _id: 'B', userId: 'u1', name: 'Halyk', initialBalance: 0 },
+            { _id: 'X', userId: 'u1', name: 'Вне учета', initialBalance: 999, isExcluded: true }
+        ]),
+        Category: createMemoryModel([{ _id: 'sales', name: 'Продажи', type: 'income' }, { _id: 'rent', name: 'Аренда', type: 'expense' }]),
+        Event: createMemoryModel([
+            _event('feb', { type: 'income', amount: 500, accountId: 'A', date: new Date(2026, 1, 20) }),
+            _event('sale', { type: 'income', amount: 2000, accountId: 'A', categoryId: 'sales', date: new Date(2026, 2, 5) }),
+            _event('rent', { type: 'expense', amount: -300, accountId: 'A', categoryIds: ['rent'], date: new Date(2026, 2, 6) }),
+            _event('internal', { type: 'transfer', isTransfer: true, amount: 400, fromAccountId: 'A', toAccountId: 'B', date: new Date(2026, 2, 7) }),
+            _event('out', { type: 'transfer', isTransfer: true, amount: 100, fromAccountId: 'A', toAccountId: 'X', date: new Date(2026, 2, 8) }),
+            _event('personal', {
+                type: 'transfer', isTransfer: true, amount: 50, fromAccountId: 'B', transferPurpose: 'personal', transferReason: 'personal_use', date: new Date(2026, 2, 9)
+            }),
+            _event('excluded', { type: 'expense', amount: -70, accountId: 'B', categoryId: 'rent', excludeFromTotals: true, date: new Date(2026, 2, 10) }),
+            _event('offset', { type: 'expense', amount: -200, accountId: 'A', categoryId: 'rent', offsetIncomeId: 'sale', date: new Date(2026, 2, 11) }),
+            _event('act', { type: 'income', amount: 9000, accountId: 'A', isWorkAct: true, date: new Date(2026, 2, 12) }),
+            _event('trashed', { type: 'expense', amount: -5000, accountId: 'A', isDeleted: true, date: new Date(2026, 2, 13) }),
+            _event('april', { type: 'income', amount: 100, accountId: 'B', date: new Date(2026, 3, 2) })
+        ])
+    });
+
+    const result = await report.build({ userIdQuery: 'u1', dateFrom: new Date(2026, 2, 1), dateTo: new Date(2026, 3, 30, 23, 59), groupBy: 'month' });
+    assert.deepEqual(result.accounts.map((account) => account.name), ['Kaspi', 'Halyk']);
+
+    const [march, april] = result.periods;
+    assert.equal(march.key, '2026-03');
+    assert.equal(march.opening, 1500);
+    assert.equal(march.inflows, 1800);
+    assert.equal(march.outflows, 300);
+    assert.equal(march.offsets, 200);
+    assert.deepEqual(march.transfers, { in: 0, out: 100, withdrawals: 50, internal: 400, net: -150 });
+    assert.deepEqual(march.excluded, { inflows: 0, outflows: 70 });
+    assert.equal(march.closing, 2780);
+    assert.deepEqual([april.opening, april.closing], [2780, 2880]);
+
+    assert.deepEqual(result.categories.map((line) => [line.name, line.inflows, line.outflows]), [
+        ['Продажи', 1800, 0],
+        ['Аренда', 0, 300],
+        ['Без категории', 100, 0]
+    ]);
+    assert.deepEqual(result.categories[0].byPeriod['2026-03'], { inflows: 1800, outflows: 0, net: 1800 });
+    assert.equal(result.totals.closing, 2880);
+    assert.equal(result.totals.inflows, 1900);
+});
+
+test('an offset nets against its income even when the income is outside the range', async () => {
+    const report = createCashFlowReport({
+        Account: createMemoryModel([{ _id: 'A', userId: 'u1', name: 'Kaspi' }]),
+        Category: createMemoryModel([{ _id: 'sales', name: 'Продажи' }]),
+        Event: createMemoryModel([
+            _event('sale', { type: 'income', amount: 1000, accountId: 'A', categoryId: 'sales', date: new Date(2026, 1, 5) }),
+            _event('offset', { type: 'expense', amount: -400, accountId: 'A', categoryId: 'rent', offsetIncomeId: 'sale', date: new Date(2026, 2, 5) })
+        ])
+    });
+
+    const result = await report.build({ userIdQuery: 'u1', dateFrom: new Date(2026, 2, 1), dateTo: new Date(2026, 2, 31, 23, 59), groupBy: 'month' });
+    assert.deepEqual(result.categories.map((line) => [line.categoryId, line.inflows]), [['sales', -400]]);
+    assert.deepEqual([result.totals.opening, result.totals.outflows, result.totals.closing], [1000, 0, 600]);
+});
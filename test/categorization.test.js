@@ -0,0 +1,99 @@
+// test/categorization.test.js
+// Auto-categorization: rule validation, condition matching, priority order and counterparty defaults
+// that only fill what an operation is missing.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    normalizeCategorizationRule,
+    matchesRule,
+    categorizeOperation,
+    createCategorizer
+} = require('../utils/categorization');
+const { createMemoryModel } = require('./helpers/memoryModel');
+
+const ACCOUNT = '64b000000000000000000001';
+const CONTRACTOR = '64b0000000000000000000c1';
+const RENT = '64b0000000000000000000a1';
+const OFFICE = '64b0000000000000000000a2';
+const PROJECT = '64b0000000000000000000b1';
+
+const _status = (statusCode) => (err) => err.statusCode === statusCode;
+
+const _rule = (_id, conditions, actions) => ({
+    _id,
+    conditions: { contractorIds: [], individualIds: [], accountIds: [], amountMin: null, amountMax: null, types: [], ...conditions },
+    actions: { categoryId: null, projectId: null, contractorId: null, excludeFromTotals: null, ...actions }
+});
+
+test('a rule needs a valid condition and an action', () => {
+    const rule = normalizeCategorizationRule({
+        name: ' Аренда ',
+        conditions: { descriptionRegex: 'аренд', types: ['expense', 'transfer'], accountIds: [ACCOUNT, 'bad'], amountMin: '100' },
+        actions: { categoryId: RENT, excludeFromTotals: 'yes' }
+    });
+    assert.equal(rule.name, 'Аренда');
+    assert.deepEqual(rule.conditions.types, ['expense']);
+    assert.deepEqual(rule.conditions.accountIds, [ACCOUNT]);
+    assert.equal(rule.conditions.amountMin, 100);
+    assert.deepEqual(rule.actions, { categoryId: RENT, projectId: null, contractorId: null, excludeFromTotals: null });
+
+    assert.throws(() => normalizeCategorizationRule({ conditions: {}, actions: { categoryId: RENT } }), _status(400));
+    assert.throws(() => normalizeCategorizationRule({ conditions: { types: ['income'] }, actions: {} }), _status(400));
+    assert.throws(() => normalizeCategorizationRule({ conditions: { descriptionRegex: '(' }, actions: { categoryId: RENT } }), _status(400));
+    assert.throws(() => normalizeCategorizationRule({ conditions: { amountMin: 10, amountMax: 5 }, actions: { categoryId: RENT } }), _status(400));
+});
+
+test('every condition must hold and transfers never match', () => {
+    const rule = _rule('r1', { descriptionRegex: 'аренд', types: ['expense'], accountIds: [ACCOUNT], amountMin: 100, amountMax: 1000 }, { categoryId: RENT });
+    const op = { type: 'expense', amount: -500, accountId: ACCOUNT, description: 'Оплата АРЕНДЫ' };
+    assert.equal(matchesRule(rule, op), true);
+    assert.equal(matchesRule(rule, { ...op, amount: 1500 }), false);
+    assert.equal(matchesRule(rule, { ...op, type: 'income' }), false);
+    assert.equal(matchesRule(rule, { ...op, description: 'Канцтовары' }), false);
+    assert.equal(matchesRule(rule, { ...op, accountId: '64b000000000000000000002' }), false);
+    assert.equal(matchesRule(rule, { ...op, isTransfer: true }), false);
+});
+
+test('the first rule to set a field owns it and values already on the operation win', () => {
+    const rules = [
+        _rule('r1', { descriptionRegex: 'аренд' }, { contractorId: CONTRACTOR }),
+        // Sees the contractor set by the rule above
+        _rule('r2', { contractorIds: [CONTRACTOR] }, { categoryId: RENT, excludeFromTotals: true }),
+        _rule('r3', { types: ['expense'] }, { categoryId: OFFICE, projectId: PROJECT })
+    ];
+    const op = { type: 'expense', amount: 200, description: 'Аренда склада' };
+
+    const result = categorizeOperation(op, { rules });
+    assert.deepEqual(result.ruleIds, ['r1', 'r2', 'r3']);
+    assert.deepEqual(result.updates, {
+        contractorId: CONTRACTOR, categoryId: RENT, excludeFromTotals: true, projectId: PROJECT, categoryIds: [RENT]
+    });
+
+    const picked = categorizeOperation({ ...op, categoryId: OFFICE, categoryIds: [OFFICE], projectId: PROJECT }, { rules });
+    assert.deepEqual(picked.updates, { contractorId: CONTRACTOR, excludeFromTotals: true });
+    assert.deepEqual(picked.ruleIds, ['r1', 'r2']);
+});
+
+test('counterparty defaults fill what the rules left empty', async () => {
+    const categorizer = createCategorizer({
+        CategorizationRule: createMemoryModel([
+            { _id: 'r1', userId: 'u1', isActive: true, ..._rule('r1', { descriptionRegex: 'проект' }, { projectId: PROJECT }) },
+            { _id: 'r2', userId: 'u1', isActive: false, ..._rule('r2', { types: ['expense'] }, { categoryId: OFFICE }) }
+        ]),
+        Contractor: createMemoryModel([
+            { _id: CONTRACTOR, userId: 'u1', defaultCategoryIds: [RENT, OFFICE], defaultProjectId: '64b0000000000000000000b2' },
+            { _id: 'deleted', userId: 'u1', isDeleted: true, defaultCategoryId: RENT }
+        ]),
+        Individual: createMemoryModel([])
+    });
+
+    const context = await categorizer.loadContext('u1');
+    assert.deepEqual(context.rules.map((rule) => rule._id), ['r1']);
+    assert.deepEqual([...context.counterpartyDefaults.keys()], [CONTRACTOR]);
+
+    const { updates, ruleIds } = categorizer.categorize({ type: 'expense', amount: 10, contractorId: CONTRACTOR, description: 'По проекту' }, context);
+    assert.deepEqual(ruleIds, ['r1']);
+    assert.deepEqual(updates, { projectId: PROJECT, categoryId: RENT, categoryIds: [RENT] });
+    assert.deepEqual(categorizer.categorize({ type: 'transfer', isTransfer: true, contractorId: CONTRACTOR }, context).updates, {});
+});
@@ -0,0 +1,74 @@
+// test/credits.test.js
+// Credit repayment schedules: annuity and differentiated installments, payment dates, continuation.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCreditSchedule, normalizeCreditFields } = require('../utils/credits');
+
+const _day = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+const _sum = (rows, field) => Math.round(rows.reduce((total, row) => total + row[field], 0) * 100) / 100;
+
+test('annuity: equal payments, shrinking interest, the last one closes the debt', () => {
+    const rows = buildCreditSchedule({ principal: 1200000, annualRate: 12, termMonths: 12, startDate: new Date(2026, 0, 31) });
+    assert.equal(rows.length, 12);
+    assert.deepEqual(rows[0], {
+        index: 0,
+        date: rows[0].date,
+        payment: 106618.55,
+        principal: 94618.55,
+        interest: 12000,
+        balanceAfter: 1105381.45
+    });
+    rows.forEach((row) => assert.ok(Math.abs(row.payment - 106618.55) <= 0.05, `payment ${row.index}: ${row.payment}`));
+    assert.ok(rows[11].interest < rows[0].interest);
+    assert.equal(rows[11].balanceAfter, 0);
+    assert.equal(_sum(rows, 'principal'), 1200000);
+});
+
+test('differentiated: equal principal parts plus interest on the remaining debt', () => {
+    const rows = buildCreditSchedule({
+        principal: 120000,
+        annualRate: 12,
+        termMonths: 12,
+        scheduleType: 'differentiated',
+        startDate: new Date(2026, 0, 15)
+    });
+    assert.deepEqual(rows.slice(0, 2).map((row) => [row.principal, row.interest, row.payment]), [[10000, 1200, 11200], [10000, 1100, 11100]]);
+    assert.deepEqual([rows[11].payment, rows[11].balanceAfter], [10100, 0]);
+    assert.equal(_sum(rows, 'interest'), 7800);
+});
+
+test('installments fall monthly after the receipt or from firstPaymentDate, clamped to the month end', () => {
+    const fromStart = buildCreditSchedule({ principal: 300, annualRate: 10, termMonths: 3, startDate: new Date(2026, 0, 31) });
+    assert.deepEqual(fromStart.map((row) => _day(row.date)), [[2026, 2, 28], [2026, 3, 31], [2026, 4, 30]]);
+
+    const fromFirst = buildCreditSchedule({ principal: 300, annualRate: 10, termMonths: 2, startDate: new Date(2026, 0, 31), firstPaymentDate: new Date(2026, 1, 5) });
+    assert.deepEqual(fromFirst.map((row) => _day(row.date)), [[2026, 2, 5], [2026, 3, 5]]);
+});
+
+test('zero rate splits the principal evenly, rounding goes to the last installment', () => {
+    const rows = buildCreditSchedule({ principal: 100, annualRate: 0, termMonths: 3, startDate: new Date(2026, 0, 1) });
+    assert.deepEqual(rows.map((row) => [row.principal, row.interest]), [[33.33, 0], [33.33, 0], [33.34, 0]]);
+});
+
+test('a continued schedule keeps the installment numbering and dates', () => {
+    const rows = buildCreditSchedule({ principal: 600000, annualRate: 12, termMonths: 6, startDate: new Date(2026, 0, 31), startIndex: 6 });
+    assert.equal(rows[0].index, 6);
+    assert.deepEqual(_day(rows[0].date), [2026, 8, 31]);
+    assert.equal(rows[0].interest, 6000);
+    assert.equal(_sum(rows, 'principal'), 600000);
+});
+
+test('no schedule without a term or a debt; invalid credit fields are a 400', () => {
+    assert.deepEqual(buildCreditSchedule({ principal: 0, annualRate: 12, termMonths: 12, startDate: new Date() }), []);
+    assert.deepEqual(buildCreditSchedule({ principal: 1000, annualRate: 12, termMonths: 0, startDate: new Date() }), []);
+
+    const valid = { name: 'Кредит', principal: 1000, annualRate: 12, termMonths: 12, startDate: '2026-01-31' };
+    assert.equal(normalizeCreditFields(valid).scheduleType, 'annuity');
+    [
+        { ...valid, principal: -5 },
+        { ...valid, termMonths: 1.5 },
+        { ...valid, scheduleType: 'balloon' },
+        { ...valid, firstPaymentDate: '2026-01-01' }
+    ].forEach((body) => assert.throws(() => normalizeCreditFields(body), (err) => err.statusCode === 400));
+});
@@ -0,0 +1,102 @@
+// test/deals.test.js
+// Deals: field validation against the schedule, receipts applied to tranches, aging buckets and
+// the receivables aging of open deals.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeDealFields, agingBucketOf, applyReceiptsToTranches, createDealService } = require('../utils/deals');
+const { createMemoryModel } = require('./helpers/memoryModel');
+
+const CLIENT = '64b0000000000000000000c1';
+const PROJECT = '64b0000000000000000000b1';
+const T1 = '64b0000000000000000000e1';
+const T2 = '64b0000000000000000000e2';
+const T3 = '64b0000000000000000000e3';
+
+const _status = (statusCode) => (err) => err.statusCode === statusCode;
+const ASOF = new Date(2026, 3, 30, 12);
+
+const DEAL = {
+    _id: 'D1', userId: 'u1', name: 'Поставка', status: 'open', contractorId: CLIENT, projectId: PROJECT, totalAmount: 3000,
+    tranches: [
+        { _id: T3, title: 'Финал', amount: 500, dueDate: new Date(2026, 4, 15) },
+        { _id: T1, title: 'Аванс', amount: 1000, dueDate: new Date(2026, 2, 1) },
+        { _id: T2, title: 'Этап', amount: 1000, dueDate: new Date(2026, 3, 10) }
+    ]
+};
+const RECEIPTS = [
+    { _id: 'r1', userId: 'u1', dealId: 'D1', type: 'income', amount: 700, dealTrancheId: T2, date: new Date(2026, 3, 12) },
+    { _id: 'r2', userId: 'u1', dealId: 'D1', type: 'income', amount: 500, date: new Date(2026, 2, 20) }
+];
+
+test('a deal needs a client, valid tranches and a schedule within the contract amount', () => {
+    const fields = normalizeDealFields({
+        name: ' Поставка ', contractorId: CLIENT, startDate: '2026-03-01',
+        tranches: [{ amount: '1000', dueDate: '2026-03-01' }, { _id: T2, title: 'Этап', amount: 500.555, dueDate: '2026-04-10' }]
+    });
+    assert.equal(fields.name, 'Поставка');
+    assert.equal(fields.status, 'open');
+    assert.equal(fields.totalAmount, 1500.56);
+    assert.deepEqual(fields.tranches.map((tranche) => [tranche._id, tranche.title, tranche.amount]), [[undefined, 'Транш 1', 1000], [T2, 'Этап', 500.56]]);
+
+    const valid = { name: 'Сделка', contractorId: CLIENT, totalAmount: 1000 };
+    assert.throws(() => normalizeDealFields({ ...valid, contractorId: null }), _status(400));
+    assert.throws(() => normalizeDealFields({ ...valid, status: 'lost' }), _status(400));
+    assert.throws(() => normalizeDealFields({ ...valid, tranches: [{ amount: 0, dueDate: '2026-03-01' }] }), _status(400));
+    assert.throws(() => normalizeDealFields({ ...valid, tranches: [{ amount: 100, dueDate: 'скоро' }] }), _status(400));
+    assert.throws(() => normalizeDealFields({ ...valid, tranches: [{ amount: 1200, dueDate: '2026-03-01' }] }), _status(400));
+
+    // A partial update is checked against the stored side it does not change
+    assert.deepEqual(normalizeDealFields({ totalAmount: 2500 }, { partial: true, current: DEAL }), { totalAmount: 2500 });
+    assert.throws(() => normalizeDealFields({ totalAmount: 2000 }, { partial: true, current: DEAL }), _status(400));
+});
+
+test('days past due fall into aging buckets, due today is not overdue', () => {
+    assert.deepEqual([0, 1, 30, 31, 60, 61, 90, 91, 400].map(agingBucketOf), [null, '0_30', '0_30', '31_60', '31_60', '61_90', '61_90', '90_plus', '90_plus']);
+});
+
+test('registered receipts pay their tranche, the rest goes to the earliest unpaid ones', () => {
+    const tranches = applyReceiptsToTranches(DEAL, RECEIPTS, ASOF);
+    assert.deepEqual(tranches.map((tranche) => [tranche.title, tranche.received, tranche.unpaid, tranche.daysOverdue, tranche.bucket]), [
+        ['Аванс', 500, 500, 60, '31_60'],
+        ['Этап', 700, 300, 20, '0_30'],
+        ['Финал', 0, 500, 0, null]
+    ]);
+
+    // An overpaid tranche passes the overflow on
+    const overpaid = applyReceiptsToTranches(DEAL, [{ amount: 1500, dealTrancheId: T2 }], ASOF);
+    assert.deepEqual(overpaid.map((tranche) => [tranche.received, tranche.isPaid]), [[500, false], [1000, true], [0, false]]);
+});
+
+test('the aging report groups unpaid tranches of open deals by client', async () => {
+    const service = createDealService({
+        Deal: createMemoryModel([
+            DEAL,
+            { _id: 'D2', userId: 'u1', name: 'Закрыта', status: 'closed', contractorId: CLIENT, totalAmount: 100, tranches: [{ _id: 'x', amount: 100, dueDate: new Date(2026, 0, 1) }] },
+            { _id: 'D3', userId: 'u1', name: 'Услуги', status: 'open', counterpartyIndividualId: 'i1', totalAmount: 1000, tranches: [{ _id: 'y', amount: 1000, dueDate: new Date(2026, 0, 1) }] }
+        ]),
+        Event: createMemoryModel([
+            ...RECEIPTS,
+            { _id: 'act', userId: 'u1', dealId: 'D1', type: 'income', isWorkAct: true, amount: 2000, date: new Date(2026, 3, 1) },
+            { _id: 'late', userId: 'u1', dealId: 'D1', type: 'income', amount: 999, date: new Date(2026, 4, 1) }
+        ]),
+        Contractor: createMemoryModel([{ _id: CLIENT, name: 'ТОО Клиент' }]),
+        Individual: createMemoryModel([{ _id: 'i1', name: 'Иванов' }]),
+        Project: createMemoryModel([{ _id: PROJECT, name: 'Ремонт' }])
+    });
+
+    const [deal] = await service.list({ userIdQuery: 'u1', ids: ['D1'], asOf: ASOF });
+    assert.deepEqual(
+        [deal.received, deal.acted, deal.outstanding, deal.receivable, deal.advance, deal.overdue, deal.unscheduled],
+        [1200, 2000, 1800, 800, 0, 800, 500]
+    );
+
+    const report = await service.aging({ userIdQuery: 'u1', asOf: ASOF });
+    assert.deepEqual(report.clients.map((row) => [row.name, row.notDue, row.overdue, row.unscheduled, row.total]), [
+        ['Иванов', 0, 1000, 0, 1000],
+        ['ТОО Клиент', 500, 800, 500, 1800]
+    ]);
+    assert.equal(report.clients[1].deals[0].projectName, 'Ремонт');
+    assert.deepEqual(report.totals.buckets, { '0_30': 300, '31_60': 500, '61_90': 0, '90_plus': 1000 });
+    assert.equal(report.totals.total, 2800);
+});
@@ -0,0 +1,100 @@
+// test/duplicates.test.js
+// Import duplicate detection: fingerprints, fuzzy matches within the window, transfer legs and
+// one existing operation matched at most once.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    buildImportFingerprint,
+    compareWithEvent,
+    createDuplicateDetector
+} = require('../utils/import/duplicates');
+
+const ACCOUNT = '64b000000000000000000001';
+const OTHER_ACCOUNT = '64b000000000000000000002';
+const CONTRACTOR = '64b0000000000000000000c1';
+
+const _row = (fields = {}) => ({
+    date: new Date(2026, 2, 10, 9, 0),
+    type: 'expense',
+    amount: 15000,
+    accountId: ACCOUNT,
+    description: 'Оплата аренды за март',
+    ...fields
+});
+
+test('the fingerprint ignores the time of day, the sign and description punctuation', () => {
+    const base = buildImportFingerprint(_row());
+    assert.equal(buildImportFingerprint(_row({ date: new Date(2026, 2, 10, 18, 30), amount: -15000 })), base);
+    assert.equal(buildImportFingerprint(_row({ description: 'ОПЛАТА аренды, за март!' })), base);
+    assert.notEqual(buildImportFingerprint(_row({ amount: 15000.01 })), base);
+    assert.notEqual(buildImportFingerprint(_row({ bankReference: 'A-1' })), base);
+});
+
+test('a matching fingerprint is a duplicate whatever else differs', () => {
+    const match = compareWithEvent({ ..._row(), fingerprint: 'abc', amount: 1 }, { ..._row(), importFingerprint: 'abc' }, 3);
+    assert.deepEqual(match, { status: 'duplicate', reasons: ['fingerprint'] });
+});
+
+test('same day with the same description is a duplicate, a day apart only a possible one', () => {
+    const event = _row({ amount: -15000 });
+    assert.equal(compareWithEvent(_row(), event, 3).status, 'duplicate');
+    assert.equal(compareWithEvent(_row({ date: new Date(2026, 2, 11) }), event, 3).status, 'possible_duplicate');
+    assert.equal(compareWithEvent(_row({ date: new Date(2026, 2, 20) }), event, 3), null);
+});
+
+test('different bank references, counterparties, accounts or amounts rule a match out', () => {
+    const event = _row({ bankReference: 'REF-1', contractorId: CONTRACTOR });
+    assert.equal(compareWithEvent(_row({ bankReference: 'REF-2' }), event, 3), null);
+    assert.equal(compareWithEvent(_row({ bankReference: 'REF-1' }), event, 3).status, 'duplicate');
+    assert.equal(compareWithEvent(_row({ contractorId: '64b0000000000000000000c2' }), _row({ contractorId: CONTRACTOR }), 3), null);
+    assert.equal(compareWithEvent(_row({ accountId: OTHER_ACCOUNT }), _row(), 3), null);
+    assert.equal(compareWithEvent(_row({ amount: 15001 }), _row(), 3), null);
+});
+
+test('a transfer row whose leg is booked as a plain expense is a transfer_leg', () => {
+    const candidate = _row({ type: 'transfer', accountId: null, fromAccountId: ACCOUNT, toAccountId: OTHER_ACCOUNT });
+    const match = compareWithEvent(candidate, _row({ amount: -15000 }), 3);
+    assert.equal(match.status, 'transfer_leg');
+    assert.deepEqual(match.reasons, ['amount', 'from_account']);
+});
+
+test('an incoming leg matches on the target account, a different bank reference on that account does not', () => {
+    const candidate = _row({ type: 'transfer', accountId: OTHER_ACCOUNT, fromAccountId: ACCOUNT, toAccountId: OTHER_ACCOUNT, bankReference: 'T-7' });
+    const income = _row({ type: 'income', accountId: OTHER_ACCOUNT });
+    assert.deepEqual(compareWithEvent(candidate, income, 3), { status: 'transfer_leg', reasons: ['amount', 'to_account'] });
+    assert.equal(compareWithEvent(candidate, { ...income, bankReference: 'T-8' }, 3), null);
+    assert.equal(compareWithEvent(candidate, _row({ type: 'income', accountId: ACCOUNT }), 3), null);
+});
+
+test('a transfer already in the books covers the same transfer and either plain leg', () => {
+    const transfer = _row({ type: 'transfer', isTransfer: true, accountId: null, fromAccountId: ACCOUNT, toAccountId: OTHER_ACCOUNT });
+    assert.equal(compareWithEvent({ ...transfer }, transfer, 3).status, 'duplicate');
+    assert.equal(compareWithEvent({ ...transfer, date: new Date(2026, 2, 12) }, transfer, 3).status, 'possible_duplicate');
+    assert.equal(compareWithEvent({ ...transfer, fromAccountId: OTHER_ACCOUNT, toAccountId: ACCOUNT }, transfer, 3), null);
+
+    assert.equal(compareWithEvent(_row(), transfer, 3).status, 'duplicate');
+    assert.equal(compareWithEvent(_row({ type: 'income', accountId: OTHER_ACCOUNT }), transfer, 3).status, 'duplicate');
+    assert.equal(compareWithEvent(_row({ type: 'income' }), transfer, 3), null);
+});
+
+test('the transfer fingerprint depends on the direction', () => {
+    const transfer = _row({ type: 'transfer', accountId: null, fromAccountId: ACCOUNT, toAccountId: OTHER_ACCOUNT });
+    assert.notEqual(buildImportFingerprint(transfer), buildImportFingerprint({ ...transfer, fromAccountId: OTHER_ACCOUNT, toAccountId: ACCOUNT }));
+});
+
+test('findDuplicates matches every existing operation at most once, best match first', async () => {
+    const existing = [{ _id: 'e1', ..._row({ amount: -15000 }) }];
+    const Event = { find: () => ({ select: () => ({ lean: async () => existing }) }) };
+    const detector = createDuplicateDetector({ Event });
+
+    const result = await detector.findDuplicates({
+        userId: 'u1',
+        candidates: [
+            { key: 'later', ..._row({ date: new Date(2026, 2, 11) }) },
+            { key: 'same-day', ..._row() }
+        ]
+    });
+    assert.deepEqual(result.get('same-day'), { status: 'duplicate', eventId: 'e1', reasons: ['amount', 'account', 'description', 'date'] });
+    assert.equal(result.has('later'), false);
+});
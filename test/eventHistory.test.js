@@ -0,0 +1,78 @@
+// test/eventHistory.test.js
+// Audit trail: field-level diffs, snapshots without bookkeeping fields, consecutive revision numbers
+// and renumbering after a concurrent write took the same number.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventFieldChanges, createEventHistory } = require('../utils/eventHistory');
+
+const Event = {
+    schema: { paths: Object.fromEntries(['_id', 'userId', 'date', 'amount', 'description', 'categoryIds', 'updatedBy', 'isDeleted'].map((field) => [field, {}])) }
+};
+
+// Stored revisions plus an optional one-time unique-index conflict on the first insert
+const _revisionStore = ({ conflictOnce = false } = {}) => {
+    const docs = [];
+    let conflict = conflictOnce;
+    return {
+        docs,
+        aggregate: async ([{ $match }]) => {
+            const ids = $match.eventId.$in.map(String);
+            const last = new Map();
+            docs.filter((doc) => ids.includes(String(doc.eventId)))
+                .forEach((doc) => last.set(String(doc.eventId), Math.max(last.get(String(doc.eventId)) || 0, doc.revision)));
+            return [...last.entries()].map(([_id, value]) => ({ _id, last: value }));
+        },
+        insertMany: async (rows) => {
+            if (conflict) {
+                conflict = false;
+                // Somebody else stored revision 1 of the first event meanwhile
+                docs.push({ ...rows[0], actorId: 'other' });
+                const err = new Error('E11000 duplicate key');
+                err.code = 11000;
+                err.writeErrors = [{ index: 0, code: 11000 }];
+                err.insertedDocs = rows.slice(1);
+                docs.push(...rows.slice(1));
+                throw err;
+            }
+            docs.push(...rows);
+            return rows;
+        }
+    };
+};
+
+test('changes list only the fields that differ, dates and ids compared by value', () => {
+    const date = new Date(2026, 2, 1);
+    const changes = getEventFieldChanges(
+        { amount: -5000, date, categoryIds: [{ _id: 'c1' }], description: null },
+        { amount: -5000, date: new Date(date), categoryIds: ['c1'], description: 'Аренда' }
+    );
+    assert.deepEqual(changes, [{ field: 'description', from: null, to: 'Аренда' }]);
+});
+
+test('revisions are numbered per operation and keep a snapshot without bookkeeping fields', async () => {
+    const EventRevision = _revisionStore();
+    const history = createEventHistory({ Event, EventRevision });
+    const actor = { userId: 'u1', actorId: 'a1', actorRole: 'admin' };
+    const before = { _id: 'e1', userId: 'u1', amount: -5000, description: 'Аренда', updatedBy: 'a1', isDeleted: false };
+
+    await history.recordCreate([before, { _id: 'e2', amount: 100 }], actor);
+    const [update] = await history.recordUpdate(before, { ...before, amount: -5500, updatedBy: 'm1' }, actor, { source: 'test' });
+    assert.equal(update.revision, 2);
+    assert.deepEqual(update.changes, [{ field: 'amount', from: -5000, to: -5500 }]);
+    assert.deepEqual(update.snapshot, { amount: -5500, description: 'Аренда' });
+    assert.deepEqual(update.meta, { source: 'test' });
+
+    // Nothing tracked changed: no revision
+    assert.deepEqual(await history.recordUpdate(before, { ...before, updatedBy: 'x' }, actor), []);
+    assert.deepEqual(EventRevision.docs.map((doc) => [doc.eventId, doc.revision, doc.action]), [['e1', 1, 'create'], ['e2', 1, 'create'], ['e1', 2, 'update']]);
+});
+
+test('a revision number taken concurrently is assigned again', async () => {
+    const EventRevision = _revisionStore({ conflictOnce: true });
+    const history = createEventHistory({ Event, EventRevision });
+
+    await history.recordDelete([{ _id: 'e1', amount: 1 }, { _id: 'e2', amount: 2 }], { userId: 'u1', actorId: 'me' });
+    const mine = EventRevision.docs.filter((doc) => doc.actorId === 'me');
+    assert.deepEqual(mine.map((doc) => [doc.eventId, doc.revision]).sort(), [['e1', 2], ['e2', 1]]);
+});
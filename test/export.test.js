@@ -0,0 +1,100 @@
+// test/export.test.js
+// Operations export: query-string filters, the Event query they build, flat rows with names,
+// and the CSV / JSON writers.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const {
+    parseExportFilters,
+    buildExportQuery,
+    toExportRow,
+    writeCsv,
+    writeJson
+} = require('../utils/export');
+const { matches } = require('./helpers/memoryModel');
+
+const ACCOUNT = '64b000000000000000000001';
+const OTHER_ACCOUNT = '64b000000000000000000002';
+const CATEGORY = '64b0000000000000000000a1';
+
+const _status = (statusCode) => (err) => err.statusCode === statusCode;
+
+const EVENTS = [
+    { _id: 'income', userId: 'u1', type: 'income', amount: 500, accountId: ACCOUNT, date: new Date(2026, 2, 5) },
+    { _id: 'expense', userId: 'u1', type: 'expense', amount: -200, accountId: OTHER_ACCOUNT, categoryIds: [CATEGORY], date: new Date(2026, 2, 31, 18) },
+    { _id: 'transfer', userId: 'u1', type: 'transfer', isTransfer: true, amount: 100, fromAccountId: OTHER_ACCOUNT, toAccountId: ACCOUNT, date: new Date(2026, 2, 10) },
+    { _id: 'part', userId: 'u1', type: 'expense', amount: -50, accountId: ACCOUNT, isSplitChild: true, date: new Date(2026, 2, 5) },
+    { _id: 'trashed', userId: 'u1', type: 'income', amount: 10, accountId: ACCOUNT, isDeleted: true, date: new Date(2026, 2, 5) },
+    { _id: 'april', userId: 'u1', type: 'income', amount: 10, accountId: ACCOUNT, date: new Date(2026, 3, 1) }
+];
+
+const _exported = (query) => {
+    const filter = buildExportQuery('u1', parseExportFilters(query));
+    return EVENTS.filter((event) => matches(event, filter)).map((event) => event._id);
+};
+
+const _collect = async (write, rows) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    const count = await write(stream, rows);
+    return { count, text: Buffer.concat(chunks).toString('utf8') };
+};
+
+test('filters are read from the query string and bad values are rejected', () => {
+    const filters = parseExportFilters({ format: 'XLSX', types: 'income,bogus', accountIds: `${ACCOUNT},bad`, includeTransfers: 'no' });
+    assert.equal(filters.format, 'xlsx');
+    assert.deepEqual(filters.types, ['income']);
+    assert.deepEqual(filters.accountIds, [ACCOUNT]);
+    assert.equal(filters.includeTransfers, false);
+    assert.equal(parseExportFilters({ dateTo: '2026-03-31' }).dateTo.getHours(), 23);
+
+    assert.throws(() => parseExportFilters({ format: 'pdf' }), _status(400));
+    assert.throws(() => parseExportFilters({ dateFrom: 'вчера' }), _status(400));
+});
+
+test('the query leaves out split parts and trashed operations and honours the filters', () => {
+    assert.deepEqual(_exported({}), ['income', 'expense', 'transfer', 'april']);
+    assert.deepEqual(_exported({ dateFrom: '2026-03-01', dateTo: '2026-03-31' }), ['income', 'expense', 'transfer']);
+    assert.deepEqual(_exported({ types: 'expense' }), ['expense']);
+    assert.deepEqual(_exported({ types: 'transfer' }), ['transfer']);
+    assert.deepEqual(_exported({ includeTransfers: 'false' }), ['income', 'expense', 'april']);
+    assert.deepEqual(_exported({ types: 'transfer', includeTransfers: 'false' }), []);
+    assert.deepEqual(_exported({ accountIds: OTHER_ACCOUNT }), ['expense', 'transfer']);
+    assert.deepEqual(_exported({ categoryIds: CATEGORY }), ['expense']);
+});
+
+test('rows carry names, both transfer sides and positive amounts', () => {
+    const names = { [ACCOUNT]: 'Kaspi', [OTHER_ACCOUNT]: 'Halyk', [CATEGORY]: 'Аренда' };
+    const nameOf = (id) => names[id] || '';
+
+    const expense = toExportRow(EVENTS[1], nameOf);
+    assert.equal(expense.type, 'Расход');
+    assert.equal(expense.amount, 200);
+    assert.equal(expense.account, 'Halyk');
+    assert.equal(expense.category, 'Аренда');
+    assert.equal(expense.fromAccount, '');
+
+    const transfer = toExportRow({ ...EVENTS[2], transferPurpose: 'internal' }, nameOf);
+    assert.deepEqual([transfer.type, transfer.fromAccount, transfer.toAccount, transfer.transferPurpose], ['Перевод', 'Halyk', 'Kaspi', 'Внутренний']);
+});
+
+test('CSV opens in Excel: BOM, ";" separator, decimal comma and quoted cells', async () => {
+    const rows = [{ id: 'e1', date: new Date(2026, 2, 5), type: 'Доход', amount: 1500.5, description: 'Оплата; "срочно"' }];
+    const { count, text } = await _collect(writeCsv, rows);
+    const lines = text.split('\r\n');
+
+    assert.equal(count, 1);
+    assert.ok(lines[0].startsWith('\uFEFFДата;Тип;Сумма;'));
+    assert.ok(lines[1].startsWith('05.03.2026;Доход;1500,5;'));
+    assert.ok(lines[1].includes('"Оплата; ""срочно"""'));
+    assert.equal(lines[2], '');
+});
+
+test('JSON is one array of rows', async () => {
+    const { count, text } = await _collect(writeJson, [{ id: 'a' }, { id: 'b' }]);
+    assert.equal(count, 2);
+    assert.deepEqual(JSON.parse(text), [{ id: 'a' }, { id: 'b' }]);
+    assert.deepEqual(JSON.parse((await _collect(writeJson, [])).text), []);
+});
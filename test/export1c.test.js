@@ -0,0 +1,107 @@
+// test/export1c.test.js
+// 1C export: windows-1251 encoding, stable references, payment documents built from operations,
+// and the ClientBank / EnterpriseData writers.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const {
+    encodeWindows1251,
+    oneCRef,
+    loadOneCContext,
+    toOneCDocument,
+    writeClientBank,
+    writeEnterpriseData
+} = require('../utils/export1c');
+const { parseStatement } = require('../utils/import');
+const { createMemoryModel } = require('./helpers/memoryModel');
+
+const _models = () => ({
+    Account: createMemoryModel([
+        { _id: 'bank', userId: 'u1', name: 'Kaspi', accountNumber: 'KZ001', companyId: 'co' },
+        { _id: 'bank2', userId: 'u1', name: 'Halyk', accountNumber: 'KZ002', companyId: 'co' },
+        { _id: 'cash', userId: 'u1', name: 'Касса', isCashRegister: true, companyId: 'co' }
+    ]),
+    Company: createMemoryModel([{ _id: 'co', userId: 'u1', name: 'ТОО «Ромашка»', identificationNumber: '111111111111' }]),
+    Contractor: createMemoryModel([
+        { _id: 'supplier', userId: 'u1', name: 'ТОО Поставщик', identificationNumber: '222222222222', contractNumber: '17', contractDate: new Date(2026, 0, 15) }
+    ]),
+    Individual: createMemoryModel([]),
+    Category: createMemoryModel([{ _id: 'rent', userId: 'u1', name: 'Аренда' }, { _id: 'misc', userId: 'u1', name: 'Прочее' }]),
+    CategoryMapping: createMemoryModel([{ userId: 'u1', kind: '1c_cost_item', categoryId: 'rent', code: '00012' }])
+});
+
+const _collect = async (write, documents, meta) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    const result = await write(stream, documents, meta);
+    return { result, buffer: Buffer.concat(chunks) };
+};
+
+const EXPENSE = {
+    _id: 'e1', type: 'expense', amount: -45000, date: new Date(2026, 2, 12), accountId: 'bank',
+    contractorId: 'supplier', categoryId: 'rent', description: 'Аренда за март', bankReference: '101'
+};
+
+test('windows-1251 keeps Cyrillic and replaces Kazakh letters with the closest Russian one', () => {
+    assert.deepEqual([...encodeWindows1251('Дата №')], [0xC4, 0xE0, 0xF2, 0xE0, 0x20, 0xB9]);
+    assert.equal(new TextDecoder('windows-1251').decode(encodeWindows1251('Қазақстан ✓')), 'Казакстан ?');
+});
+
+test('references are stable GUIDs per kind and id', () => {
+    assert.match(oneCRef('event', 'e1'), /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.equal(oneCRef('event', 'e1'), oneCRef('event', { _id: 'e1' }));
+    assert.notEqual(oneCRef('event', 'e1'), oneCRef('account', 'e1'));
+});
+
+test('operations become payment documents with counterparty, contract and mapped cost item', async () => {
+    const ctx = await loadOneCContext(_models(), 'u1');
+
+    const outgoing = toOneCDocument(EXPENSE, ctx);
+    assert.equal(outgoing.direction, 'outgoing');
+    assert.equal(outgoing.amount, '45000.00');
+    assert.equal(outgoing.organization.name, 'ТОО «Ромашка»');
+    assert.equal(outgoing.counterparty.bin, '222222222222');
+    assert.deepEqual(outgoing.costItem, { id: 'rent', code: '00012', name: 'Аренда' });
+    assert.equal(outgoing.purpose, 'Аренда за март, по договору № 17 от 15.01.2026');
+
+    assert.deepEqual(toOneCDocument({ ...EXPENSE, categoryId: null, categoryIds: ['misc'] }, ctx).costItem, { id: 'misc', code: null, name: 'Прочее' });
+    assert.equal(toOneCDocument({ ...EXPENSE, accountId: null }, ctx), null);
+    assert.equal(toOneCDocument({ _id: 't', type: 'transfer', isTransfer: true, amount: 1, fromAccountId: 'bank', toAccountId: 'gone' }, ctx), null);
+});
+
+test('the ClientBank file skips cash-only operations and reads back through the statement import', async () => {
+    const ctx = await loadOneCContext(_models(), 'u1');
+    const documents = [
+        toOneCDocument(EXPENSE, ctx),
+        toOneCDocument({ _id: 'e2', type: 'income', amount: 1000, date: new Date(2026, 2, 13), accountId: 'cash' }, ctx),
+        toOneCDocument({ _id: 'e3', type: 'transfer', isTransfer: true, amount: 5000, date: new Date(2026, 2, 14), fromAccountId: 'bank', toAccountId: 'bank2' }, ctx)
+    ];
+    const { result, buffer } = await _collect(writeClientBank, documents, { accounts: [ctx.accounts.get('bank')], sender: 'Test' });
+    assert.deepEqual(result, { exported: 2, skipped: 1 });
+
+    const parsed = await parseStatement({ fileName: 'kl_to_1c.txt', buffer });
+    assert.equal(parsed.format, '1c_client_bank');
+    assert.deepEqual(parsed.rows.map((row) => [row.type, row.amount, row.contractor, row.bankReference]), [
+        ['expense', 45000, 'ТОО Поставщик', '101/12.03.2026'],
+        ['expense', 5000, 'ТОО «Ромашка»', '2/14.03.2026']
+    ]);
+});
+
+test('EnterpriseData lists each referenced directory once after the documents', async () => {
+    const ctx = await loadOneCContext(_models(), 'u1');
+    const documents = [toOneCDocument(EXPENSE, ctx), toOneCDocument({ ...EXPENSE, _id: 'e2', description: 'A & B <c>' }, ctx), null];
+    const { result, buffer } = await _collect(writeEnterpriseData, documents);
+    const xml = buffer.toString('utf8');
+    const count = (pattern) => xml.split(pattern).length - 1;
+
+    assert.deepEqual(result, { exported: 2, skipped: 1 });
+    assert.equal(count('<Документ.СписаниеБезналичныхДенежныхСредств>'), 2);
+    assert.equal(count('<Справочник.Контрагенты>'), 1);
+    assert.equal(count('<Справочник.Договоры>'), 1);
+    assert.equal(count('<Справочник.СтатьиДвиженияДенежныхСредств>'), 1);
+    assert.ok(xml.includes('<ВидОперации>ОплатаПоставщику</ВидОперации>'));
+    assert.ok(xml.includes('A &amp; B &lt;c&gt;'));
+    assert.ok(xml.trimEnd().endsWith('</Body>\n</Message>'));
+});
@@ -0,0 +1,68 @@
+// test/fx.test.js
+// Exchange rates: the NBK feed and the offline file formats, manual rate validation, the currency
+// of an operation and conversion through tenge with the last rate on or before the day.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    normalizeCurrency, normalizeRateFields, parseNbkRatesXml, parseRatesFile, eventCurrencyOf, createFxService
+} = require('../utils/fx');
+const { createMemoryModel } = require('./helpers/memoryModel');
+
+const _status = (statusCode) => (err) => err.statusCode === statusCode;
+const _rate = (currency, date, rate, userId = null) => ({ currency, date, rate, userId, source: userId ? 'manual' : 'nbk' });
+
+test('rates are read from the NBK feed and from JSON / CSV files', () => {
+    const feed = parseNbkRatesXml(`<rates><date>18.10.2026</date>
+        <item><title>USD</title><description>480,15</description><quant>1</quant></item>
+        <item><title>RUB</title><description>590.00</description><quant>100</quant></item>
+        <item><title>XX</title><description>1</description></item></rates>`);
+    assert.deepEqual(feed, { date: new Date(2026, 9, 18), rates: [{ currency: 'USD', rate: 480.15 }, { currency: 'RUB', rate: 5.9 }] });
+
+    assert.deepEqual(parseRatesFile('{"2026-10-19": {"usd": 470.5, "EUR": 0}}', 'rates.json').map((row) => [row.currency, row.rate]), [['USD', 470.5]]);
+    assert.deepEqual(parseRatesFile('date;currency;rate\n19.10.2026;EUR;520,25\n\n', 'rates.csv'), [
+        { date: new Date(2026, 9, 19), currency: 'EUR', rate: 520.25 }
+    ]);
+});
+
+test('a manual rate needs a foreign currency and a positive rate', () => {
+    assert.deepEqual(normalizeRateFields({ currency: ' usd ', date: new Date(2026, 9, 10, 15), rate: '485' }), {
+        currency: 'USD', date: new Date(2026, 9, 10), rate: 485
+    });
+    assert.throws(() => normalizeRateFields({ currency: 'KZT', rate: 1 }), _status(400));
+    assert.throws(() => normalizeRateFields({ currency: 'dollar', rate: 1 }), _status(400));
+    assert.throws(() => normalizeRateFields({ currency: 'USD', rate: 0 }), _status(400));
+    assert.throws(() => normalizeRateFields({ currency: 'USD', rate: 1, date: 'вчера' }), _status(400));
+});
+
+test('an operation is in its own currency, else in its account currency, else in the base one', () => {
+    const accounts = new Map([['usd-acc', 'USD']]);
+    assert.equal(normalizeCurrency('eur'), 'EUR');
+    assert.equal(normalizeCurrency('€'), null);
+    assert.equal(eventCurrencyOf({ currency: 'eur', accountId: 'usd-acc' }, accounts, 'KZT'), 'EUR');
+    assert.equal(eventCurrencyOf({ fromAccountId: 'usd-acc' }, accounts, 'KZT'), 'USD');
+    assert.equal(eventCurrencyOf({ accountId: 'other' }, accounts, 'KZT'), 'KZT');
+});
+
+test('conversion uses the last rate on or before the day, the workspace rate wins on its day', async () => {
+    const ExchangeRate = createMemoryModel([
+        _rate('USD', new Date(2026, 9, 1), 470),
+        _rate('EUR', new Date(2026, 9, 5), 520),
+        _rate('USD', new Date(2026, 9, 10), 480)
+    ]);
+    const fx = createFxService({ ExchangeRate });
+    await fx.setManualRate({ userId: 'u2', currency: 'USD', date: new Date(2026, 9, 10), rate: 999 });
+    await fx.setManualRate({ userId: 'u1', currency: 'USD', date: new Date(2026, 9, 10), rate: 485 });
+    assert.equal(ExchangeRate.docs.length, 5);
+
+    const rates = await fx.loadRates('u1', ['usd', 'EUR', 'KZT'], new Date(2026, 9, 19));
+    assert.equal(rates.convert(100, 'USD', 'KZT', new Date(2026, 9, 5)), 47000);
+    assert.equal(rates.convert(100, 'USD', 'KZT', new Date(2026, 9, 12)), 48500);
+    assert.equal(rates.convert(520, 'USD', 'EUR', new Date(2026, 9, 12)), 485);
+    assert.equal(rates.convert(100, 'KZT', 'kzt', new Date(2026, 8, 1)), 100);
+    assert.deepEqual(rates.missing, new Set());
+
+    assert.equal(rates.convert(100, 'USD', 'KZT', new Date(2026, 8, 30)), null);
+    assert.equal(rates.rateOf('GBP', new Date(2026, 9, 12)), null);
+    assert.deepEqual(rates.missing, new Set(['USD', 'GBP']));
+});
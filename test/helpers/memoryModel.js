@@ -0,0 +1,166 @@
+// test/helpers/memoryModel.js
+// In-memory stand-in for the few Mongoose model calls the utils make (find / findOne / updateMany /
+// deleteMany / findOneAndUpdate / create / save / lean().cursor() ...), so services built on injected models run without MongoDB.
+// Queries support equality (array fields match any element), $in, $nin, $ne, $gt, $gte, $lt, $lte, $exists and $or;
+// updates support plain sets, $set, $unset, $inc, $pull and $addToSet.
+
+const _same = (a, b) => {
+    if (a instanceof Date || b instanceof Date) return a != null && b != null && +new Date(a) === +new Date(b);
+    return String(a ?? null) === String(b ?? null);
+};
+
+// Values at a dotted path; arrays on the way are flattened, a missing value is null
+const _valuesAt = (doc, path) => {
+    let values = [doc];
+    path.split('.').forEach((key) => {
+        values = values.flatMap((value) => {
+            const next = value == null ? null : value[key];
+            return Array.isArray(next) ? (next.length ? next : [undefined]) : [next];
+        });
+    });
+    return values.map((value) => (value === undefined ? null : value));
+};
+
+const _isOperator = (cond) => cond && typeof cond === 'object' && !Array.isArray(cond) && !(cond instanceof Date)
+    && Object.keys(cond).length > 0 && Object.keys(cond).every((key) => key.startsWith('$'));
+
+const _compare = (values, op, arg) => {
+    switch (op) {
+    case '$in': return values.some((value) => arg.some((item) => _same(value, item)));
+    case '$nin': return !values.some((value) => arg.some((item) => _same(value, item)));
+    case '$ne': return !values.some((value) => _same(value, arg));
+    case '$gt': return values.some((value) => value != null && value > arg);
+    case '$gte': return values.some((value) => value != null && value >= arg);
+    case '$lt': return values.some((value) => value != null && value < arg);
+    case '$lte': return values.some((value) => value != null && value <= arg);
+    case '$exists': return values.some((value) => value != null) === !!arg;
+    default: throw new Error(`memoryModel: unsupported operator ${op}`);
+    }
+};
+
+function matches(doc, query = {}) {
+    return Object.entries(query).every(([key, cond]) => {
+        if (key === '$or') return cond.some((sub) => matches(doc, sub));
+        if (key === '$and') return cond.every((sub) => matches(doc, sub));
+        const values = _valuesAt(doc, key);
+        if (_isOperator(cond)) return Object.entries(cond).every(([op, arg]) => _compare(values, op, arg));
+        return values.some((value) => _same(value, cond));
+    });
+}
+
+function _applyUpdate(doc, update) {
+    const before = JSON.stringify(doc);
+    Object.entries(update).forEach(([key, value]) => {
+        if (key === '$set') Object.assign(doc, value);
+        else if (key === '$unset') Object.keys(value).forEach((field) => delete doc[field]);
+        else if (key === '$inc') Object.entries(value).forEach(([field, by]) => { doc[field] = (doc[field] || 0) + by; });
+        else if (key === '$pull') Object.entries(value).forEach(([field, item]) => { doc[field] = (doc[field] || []).filter((row) => !_same(row, item)); });
+        else if (key === '$addToSet') {
+            Object.entries(value).forEach(([field, item]) => {
+                doc[field] = doc[field] || [];
+                if (!doc[field].some((row) => _same(row, item))) doc[field].push(item);
+            });
+        } else doc[key] = value;
+    });
+    return JSON.stringify(doc) !== before;
+}
+
+/**
+ * @param {Array} rows - initial documents
+ * @param {Object} options - { name: modelName, defaults: fields of new documents }
+ * @returns {Function} model class; Model.docs holds the stored documents
+ */
+function createMemoryModel(rows = [], { name = 'Model', defaults = {} } = {}) {
+    let seq = 0;
+    const docs = [];
+
+    class Model {
+        constructor(data = {}) {
+            seq += 1;
+            Object.assign(this, { _id: `${name.toLowerCase()}${seq}` }, structuredClone(defaults), data);
+        }
+
+        async save() {
+            if (!docs.includes(this)) docs.push(this);
+            return this;
+        }
+
+        toObject() {
+            return { ...this };
+        }
+
+        set(fields) {
+            Object.assign(this, fields);
+            return this;
+        }
+    }
+
+    // A query resolves to the live documents, lean() and cursor() to copies of them
+    const _query = (result, single = false) => {
+        const pick = () => (single ? (result[0] || null) : result);
+        const copies = () => {
+            const value = pick();
+            return Array.isArray(value) ? value.map((doc) => ({ ...doc })) : (value && { ...value });
+        };
+        const query = {
+            select: () => query,
+            sort: () => query,
+            limit: () => query,
+            populate: () => query,
+            lean: () => {
+                const lean = Object.assign(Promise.resolve(copies()), {
+                    batchSize: () => lean,
+                    cursor: () => [].concat(copies() || []).values()
+                });
+                return lean;
+            },
+            then: (resolve, reject) => Promise.resolve(pick()).then(resolve, reject)
+        };
+        return query;
+    };
+
+    Object.assign(Model, {
+        modelName: name,
+        docs,
+        find: (query) => _query(docs.filter((doc) => matches(doc, query))),
+        findOne: (query) => _query(docs.filter((doc) => matches(doc, query)), true),
+        findById: (id) => _query(docs.filter((doc) => _same(doc._id, id)), true),
+        exists: async (query) => (docs.some((doc) => matches(doc, query)) ? { _id: docs.find((doc) => matches(doc, query))._id } : null),
+        countDocuments: async (query) => docs.filter((doc) => matches(doc, query)).length,
+        distinct: async (field, query) => [...new Set(docs.filter((doc) => matches(doc, query)).flatMap((doc) => _valuesAt(doc, field)).filter((value) => value != null))],
+        create: async (data) => (Array.isArray(data) ? Promise.all(data.map((row) => new Model(row).save())) : new Model(data).save()),
+        insertMany: async (data) => Promise.all(data.map((row) => new Model(row).save())),
+        updateMany: async (query, update) => ({
+            modifiedCount: docs.filter((doc) => matches(doc, query)).filter((doc) => _applyUpdate(doc, update)).length
+        }),
+        updateOne: async (query, update) => {
+            const doc = docs.find((row) => matches(row, query));
+            return { modifiedCount: doc && _applyUpdate(doc, update) ? 1 : 0 };
+        },
+        // Plain fields of the query seed an upserted document
+        findOneAndUpdate: async (query, update, { upsert = false } = {}) => {
+            let doc = docs.find((row) => matches(row, query));
+            if (!doc && upsert) {
+                doc = new Model(Object.fromEntries(Object.entries(query).filter(([key, cond]) => !key.startsWith('$') && !_isOperator(cond))));
+                docs.push(doc);
+            }
+            if (doc) _applyUpdate(doc, update);
+            return doc || null;
+        },
+        deleteMany: async (query) => {
+            const removed = docs.filter((doc) => matches(doc, query));
+            removed.forEach((doc) => docs.splice(docs.indexOf(doc), 1));
+            return { deletedCount: removed.length };
+        },
+        deleteOne: async (query) => {
+            const doc = docs.find((row) => matches(row, query));
+            if (doc) docs.splice(docs.indexOf(doc), 1);
+            return { deletedCount: doc ? 1 : 0 };
+        }
+    });
+
+    rows.forEach((row) => docs.push(Object.assign(new Model(), row)));
+    return Model;
+}
+
+module.exports = { createMemoryModel, matches };
@@ -0,0 +1,120 @@
+// test/importParsers.test.js
+// Statement readers and parsers: amounts and dates in bank notations, CSV and encodings,
+// format detection and the 1C exchange file.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAmount, parseDate, parseCsv, decodeText } = require('../utils/import/readers');
+const { parseStatement } = require('../utils/import');
+
+const _day = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+test('amounts are read in space-, comma- and dot-grouped notations', () => {
+    assert.equal(parseAmount('1 234 567,89'), 1234567.89);
+    assert.equal(parseAmount('-1,234.56'), -1234.56);
+    assert.equal(parseAmount('1.234.567,89'), 1234567.89);
+    assert.equal(parseAmount('(500.00)'), -500);
+    assert.equal(parseAmount('15000'), 15000);
+    assert.equal(parseAmount(''), null);
+    assert.equal(parseAmount('итого'), null);
+});
+
+test('dates are read from day-first, ISO and Excel serial values', () => {
+    assert.deepEqual(_day(parseDate('31.01.2026')), [2026, 1, 31]);
+    assert.deepEqual(_day(parseDate('05.02.26 14:05')), [2026, 2, 5]);
+    assert.equal(parseDate('05.02.26 14:05').getHours(), 14);
+    assert.deepEqual(_day(parseDate('2026-03-15')), [2026, 3, 15]);
+    assert.deepEqual(_day(parseDate(46023)), [2026, 1, 1]);
+    assert.equal(parseDate('не дата'), null);
+    assert.equal(parseDate(''), null);
+});
+
+test('CSV keeps quoted delimiters and detects the separator', () => {
+    assert.deepEqual(parseCsv('a;b;c\n1;"x; y";"say ""hi"""\n'), [['a', 'b', 'c'], ['1', 'x; y', 'say "hi"']]);
+    assert.deepEqual(parseCsv('a,b\r\n1,2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('Windows-1251 files are decoded when they are not valid UTF-8', () => {
+    // "Дата" in Windows-1251
+    assert.equal(decodeText(Buffer.from([0xC4, 0xE0, 0xF2, 0xE0])), 'Дата');
+    assert.equal(decodeText(Buffer.from('\uFEFFСумма', 'utf8')), 'Сумма');
+});
+
+test('a bank signature wins over the generic table parser', async () => {
+    const csv = [
+        'Выписка Kaspi Business',
+        'Дата и время;Операция;Сумма ₸;Детали операции',
+        '10.03.2026 09:15;Покупка;-15 000,00;Аренда офиса',
+        '11.03.2026 10:00;Пополнение;250 000,00;Оплата по счету 12',
+        ';;235 000,00;'
+    ].join('\n');
+    const result = await parseStatement({ fileName: 'kaspi.csv', buffer: Buffer.from(csv, 'utf8') });
+
+    assert.equal(result.format, 'kaspi');
+    assert.deepEqual(result.candidates.map((item) => item.id), ['kaspi', 'generic_table']);
+    assert.equal(result.rows.length, 2);
+    assert.deepEqual(result.rows.map((row) => [row.type, row.amount]), [['expense', 15000], ['income', 250000]]);
+    assert.equal(result.rows[0].description, 'Аренда офиса');
+    // The totals row has no date
+    assert.equal(result.warnings.length, 1);
+});
+
+test('debit and credit columns give the direction', async () => {
+    const csv = 'Дата,Дебет,Кредит,Контрагент\n01.04.2026,1000,,ТОО Ромашка\n02.04.2026,,2500,ИП Лютик\n';
+    const result = await parseStatement({ fileName: 'bank.csv', buffer: Buffer.from(csv, 'utf8'), options: { accountName: 'Основной' } });
+
+    assert.equal(result.format, 'generic_table');
+    assert.deepEqual(result.rows.map((row) => [row.type, row.amount, row.contractor, row.account]), [
+        ['expense', 1000, 'ТОО Ромашка', 'Основной'],
+        ['income', 2500, 'ИП Лютик', 'Основной']
+    ]);
+});
+
+test('the 1C exchange file resolves direction from the own account', async () => {
+    const text = [
+        '1CClientBankExchange',
+        'ВерсияФормата=1.03',
+        'СекцияРасчСчет',
+        'РасчСчет=KZ001',
+        'КонецРасчСчет',
+        'СекцияДокумент=Платежное поручение',
+        'Номер=17',
+        'Дата=12.03.2026',
+        'Сумма=45000.00',
+        'ПлательщикСчет=KZ001',
+        'ПолучательСчет=KZ999',
+        'ПолучательНаименование=ТОО Поставщик',
+        'ПолучательБИН=123 456 789 012',
+        'НазначениеПлатежа=Оплата по договору',
+        'КонецДокумента',
+        'СекцияДокумент=Платежное поручение',
+        'Номер=18',
+        'Сумма=45000.00',
+        'КонецДокумента',
+        'КонецФайла'
+    ].join('\r\n');
+    const result = await parseStatement({ fileName: 'kl_to_1c.txt', buffer: Buffer.from(text, 'utf8') });
+
+    assert.equal(result.format, '1c_client_bank');
+    assert.equal(result.rows.length, 1);
+    const [row] = result.rows;
+    assert.equal(row.type, 'expense');
+    assert.equal(row.amount, 45000);
+    assert.equal(row.account, 'KZ001');
+    assert.equal(row.contractor, 'ТОО Поставщик');
+    assert.equal(row.counterpartyBin, '123456789012');
+    assert.equal(row.bankReference, '17/12.03.2026');
+    assert.deepEqual(result.meta.ownAccounts, ['KZ001']);
+    assert.equal(result.warnings.length, 1);
+});
+
+test('unreadable files are rejected with a status', async () => {
+    const reject = (params, statusCode) => assert.rejects(parseStatement(params), (err) => err.statusCode === statusCode);
+
+    await reject({ fileName: 'empty.csv', buffer: Buffer.alloc(0) }, 400);
+    await reject({ fileName: 'old.xls', buffer: Buffer.from('data') }, 415);
+    await reject({ fileName: 'notes.txt', buffer: Buffer.from('просто текст\nбез колонок') }, 415);
+    await reject({ fileName: 'list.csv', buffer: Buffer.from('Имя;Город\nАнна;Алматы') }, 422);
+    await reject({ fileName: 'bank.csv', buffer: Buffer.from('Дата;Сумма\n01.04.2026;100'), format: 'missing' }, 400);
+    await reject({ fileName: 'bank.csv', buffer: Buffer.from('Дата;Сумма\n01.04.2026;100'), format: '1c_client_bank' }, 415);
+});
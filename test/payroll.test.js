@@ -0,0 +1,63 @@
+// test/payroll.test.js
+// Payroll calculation: OPV, IPN with the standard deduction, SO and OSMS with their caps,
+// proration for partial months and payment dates.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculatePayroll, grossForMonth, payrollDatesOf, parsePayrollMonth } = require('../utils/payroll');
+
+const _day = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+test('a regular salary: withholdings, net pay and employer contributions', () => {
+    assert.deepEqual(calculatePayroll(500000, { year: 2026 }), {
+        gross: 500000,
+        opv: 50000,
+        ipn: 32025, // (500 000 - 50 000 - 30 МРП) * 10%
+        net: 417975,
+        so: 22500,
+        osms: 15000,
+        employerCost: 537500
+    });
+});
+
+test('the standard deduction depends on the year and can be turned off', () => {
+    assert.equal(calculatePayroll(500000, { year: 2026, applyStandardDeduction: false }).ipn, 45000);
+    assert.equal(calculatePayroll(500000, { year: 2025 }).ipn, 39495.2);
+    // Years after the last known one use its values
+    assert.equal(calculatePayroll(500000, { year: 2030 }).ipn, 32025);
+});
+
+test('contribution bases are capped and SO has a floor of one МЗП', () => {
+    const high = calculatePayroll(5000000, { year: 2026 });
+    assert.equal(high.opv, 425000); // 50 МЗП
+    assert.equal(high.so, 29750); // 7 МЗП
+    assert.equal(high.osms, 102000); // 40 МЗП
+
+    const low = calculatePayroll(50000, { year: 2026 });
+    assert.deepEqual([low.opv, low.ipn, low.so, low.osms, low.net], [5000, 0, 4250, 1500, 45000]);
+
+    assert.equal(calculatePayroll(0, { year: 2026 }).employerCost, 0);
+});
+
+test('gross is prorated by the calendar days employed in the month', () => {
+    const march = parsePayrollMonth('2026-03');
+    assert.equal(grossForMonth({ salary: 310000, hireDate: new Date(2026, 0, 1) }, march), 310000);
+    assert.equal(grossForMonth({ salary: 310000, hireDate: new Date(2026, 2, 16) }, march), 160000);
+    assert.equal(grossForMonth({ salary: 310000, hireDate: new Date(2025, 0, 1), terminationDate: new Date(2026, 2, 10) }, march), 100000);
+    assert.equal(grossForMonth({ salary: 310000, terminationDate: new Date(2026, 1, 28) }, march), 0);
+    assert.equal(grossForMonth({ salary: 310000, hireDate: new Date(2026, 3, 1) }, march), 0);
+});
+
+test('salary is paid on payDay of the next month, the rest by the 25th', () => {
+    const dates = payrollDatesOf({ payDay: 31 }, parsePayrollMonth('2026-01'));
+    assert.deepEqual(_day(dates.salary), [2026, 2, 28]);
+    ['ipn', 'opv', 'so', 'osms'].forEach((part) => assert.deepEqual(_day(dates[part]), [2026, 2, 25]));
+    assert.deepEqual(_day(payrollDatesOf({}, parsePayrollMonth('2026-12')).salary), [2027, 1, 10]);
+});
+
+test('parsePayrollMonth rejects anything but YYYY-MM', () => {
+    assert.deepEqual(parsePayrollMonth('2026-03').key, '2026-03');
+    ['2026-13', '2026-3', 'март'].forEach((value) => {
+        assert.throws(() => parsePayrollMonth(value), (err) => err.statusCode === 400);
+    });
+});
@@ -0,0 +1,39 @@
+// test/periodLock.test.js
+// Period close: who may change an operation of the closed period and how a bulk change is checked before its first write.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeClosedPeriodDate, isInClosedPeriod, assertPeriodOpen, assertPeriodOpenForEvents } = require('../utils/periodLock');
+
+const closedPeriodDate = new Date(2026, 2, 31);
+const _closed = (err) => err.statusCode === 403 && err.code === 'PERIOD_CLOSED';
+
+test('the closing day belongs to the closed period', () => {
+    assert.equal(isInClosedPeriod(new Date(2026, 2, 31, 23, 30), closedPeriodDate), true);
+    assert.equal(isInClosedPeriod(new Date(2026, 3, 1), closedPeriodDate), false);
+    assert.equal(isInClosedPeriod(new Date(2020, 0, 1), null), false);
+    assert.equal(normalizeClosedPeriodDate('2026-03-31T15:00:00').getHours(), 0);
+    assert.equal(normalizeClosedPeriodDate(''), null);
+    assert.equal(normalizeClosedPeriodDate('abc'), undefined);
+});
+
+test('a closed operation is changed only by an admin after an unlock, which is then spent', () => {
+    const existingEvent = { _id: 'e1', date: new Date(2026, 2, 10) };
+    assert.throws(() => assertPeriodOpen({ closedPeriodDate, role: 'manager', existingEvent }), _closed);
+    assert.throws(() => assertPeriodOpen({ closedPeriodDate, role: 'admin', existingEvent }), _closed);
+    assert.equal(assertPeriodOpen({ closedPeriodDate, role: 'admin', existingEvent: { ...existingEvent, periodUnlockedAt: new Date() } }), true);
+    assert.equal(assertPeriodOpen({ closedPeriodDate, role: 'manager', existingEvent: { date: new Date(2026, 3, 2) } }), false);
+    assert.throws(() => assertPeriodOpen({ closedPeriodDate, role: 'admin', nextDate: new Date(2026, 2, 1) }), _closed);
+    assert.equal(assertPeriodOpen({ closedPeriodDate: null, role: 'manager', existingEvent }), false);
+});
+
+test('a bulk change is rejected as a whole and reports the spent unlocks', () => {
+    const events = [
+        { _id: 'open', date: new Date(2026, 3, 5) },
+        { _id: 'unlocked', date: new Date(2026, 2, 5), periodUnlockedAt: new Date() }
+    ];
+    assert.deepEqual([...assertPeriodOpenForEvents({ closedPeriodDate, role: 'admin', events, nextDates: [new Date(2026, 4, 1)] })], ['unlocked']);
+    assert.throws(() => assertPeriodOpenForEvents({ closedPeriodDate, role: 'manager', events }), _closed);
+    assert.throws(() => assertPeriodOpenForEvents({ closedPeriodDate, role: 'admin', nextDates: [new Date(2026, 4, 1), new Date(2026, 1, 1)] }), _closed);
+    assert.equal(assertPeriodOpenForEvents({ closedPeriodDate: null, role: 'manager', events }).size, 0);
+});
@@ -0,0 +1,58 @@
+// test/profitLoss.test.js
+// P&L classification: what is a P&L item, which line it goes to and with which sign.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyPnlItem } = require('../utils/reports/profitLoss');
+
+const ACCOUNT = '64b000000000000000000001';
+const RENT = '64b0000000000000000000a1';
+const GOODS = '64b0000000000000000000a2';
+const RETAIL = '64b0000000000000000000b1';
+
+const _ctx = (basis = 'accrual', mapping = []) => ({ basis, lineByCategory: new Map(mapping), retailId: RETAIL });
+const _event = (fields = {}) => ({ type: 'expense', amount: -1000, accountId: ACCOUNT, categoryId: RENT, ...fields });
+
+test('unmapped income is revenue, unmapped expenses are operating expenses', () => {
+    assert.deepEqual(classifyPnlItem(_event({ type: 'income', amount: 5000 }), _ctx()), { line: 'revenue', amount: 5000, categoryId: RENT });
+    assert.deepEqual(classifyPnlItem(_event(), _ctx()), { line: 'operating_expenses', amount: 1000, categoryId: RENT });
+});
+
+test('the category mapping decides the line, refunds reduce it', () => {
+    const ctx = _ctx('accrual', [[GOODS, 'cost_of_sales']]);
+    assert.equal(classifyPnlItem(_event({ categoryId: GOODS }), ctx).line, 'cost_of_sales');
+    assert.deepEqual(classifyPnlItem(_event({ type: 'income', amount: 300, categoryId: GOODS }), ctx), { line: 'cost_of_sales', amount: -300, categoryId: GOODS });
+    assert.equal(classifyPnlItem(_event({ amount: -200, categoryId: null, categoryIds: [] }), ctx).categoryId, 'none');
+});
+
+test('transfers, split parents, excluded operations and loan principal are not P&L items', () => {
+    const ctx = _ctx();
+    [
+        _event({ isTransfer: true }),
+        _event({ type: 'transfer' }),
+        _event({ transferGroupId: 'tg-1' }),
+        _event({ isSplitParent: true }),
+        _event({ excludeFromTotals: true }),
+        _event({ type: 'income', creditPart: 'receipt' }),
+        _event({ creditPart: 'principal' })
+    ].forEach((event) => assert.equal(classifyPnlItem(event, ctx), null));
+    assert.equal(classifyPnlItem(_event({ creditPart: 'interest' }), ctx).line, 'operating_expenses');
+    // An offset (взаимозачет) stays in P&L even when excluded from totals
+    assert.notEqual(classifyPnlItem(_event({ excludeFromTotals: true, offsetIncomeId: 'inc-1' }), ctx), null);
+});
+
+test('accrual basis recognizes deals by work acts, cash basis by receipts', () => {
+    const act = _event({ type: 'income', amount: 8000, isWorkAct: true, accountId: null });
+    const tranche = _event({ type: 'income', amount: 8000, isDealTranche: true, dealId: 'deal-1' });
+
+    assert.equal(classifyPnlItem(act, _ctx('accrual')).line, 'revenue');
+    assert.equal(classifyPnlItem(tranche, _ctx('accrual')), null);
+    assert.equal(classifyPnlItem(act, _ctx('cash')), null);
+    assert.equal(classifyPnlItem(tranche, _ctx('cash')).line, 'revenue');
+});
+
+test('planned taxes go to taxes and retail write-offs to cost of sales', () => {
+    assert.equal(classifyPnlItem(_event({ taxKey: '910:2026:H1' }), _ctx()).line, 'taxes');
+    assert.equal(classifyPnlItem(_event({ taxKey: '910:2026:H1' }), _ctx('accrual', [[RENT, 'operating_expenses']])).line, 'operating_expenses');
+    assert.equal(classifyPnlItem(_event({ accountId: null, counterpartyIndividualId: RETAIL }), _ctx()).line, 'cost_of_sales');
+});
@@ -0,0 +1,101 @@
+// test/projectProfitability.test.js
+// Project profitability: allocation rule validation, direct costs including split parts, and
+// overhead allocated by revenue share or fixed percent so that the totals add up to net profit.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAllocationRules, createProjectProfitabilityReport } = require('../utils/reports/projectProfitability');
+const { createMemoryModel } = require('./helpers/memoryModel');
+
+const P1 = '64b0000000000000000000b1';
+const P2 = '64b0000000000000000000b2';
+const RENT = '64b0000000000000000000a1';
+const SALARY = '64b0000000000000000000a2';
+const MATERIALS = '64b0000000000000000000a3';
+
+const _status = (statusCode) => (err) => err.statusCode === statusCode;
+const _event = (_id, fields) => ({ _id, userId: 'u1', date: new Date(2026, 2, 10), accountId: 'acc', ...fields });
+
+test('allocation rules are validated', () => {
+    assert.deepEqual(normalizeAllocationRules([
+        { categoryId: null, method: 'revenue_share', shares: [{ projectId: P1, percent: 10 }] },
+        { categoryId: SALARY, method: 'fixed_percent', shares: [{ projectId: P1, percent: '60' }, { projectId: P2, percent: 40 }] }
+    ]), [
+        { categoryId: null, method: 'revenue_share', shares: [] },
+        { categoryId: SALARY, method: 'fixed_percent', shares: [{ projectId: P1, percent: 60 }, { projectId: P2, percent: 40 }] }
+    ]);
+
+    const fixed = (shares) => [{ categoryId: SALARY, method: 'fixed_percent', shares }];
+    assert.throws(() => normalizeAllocationRules(null), _status(400));
+    assert.throws(() => normalizeAllocationRules([{ method: 'revenue_share' }, { method: 'revenue_share' }]), _status(400));
+    assert.throws(() => normalizeAllocationRules([{ method: 'headcount' }]), _status(400));
+    assert.throws(() => normalizeAllocationRules(fixed([])), _status(400));
+    assert.throws(() => normalizeAllocationRules(fixed([{ projectId: P1, percent: 70 }, { projectId: P2, percent: 40 }])), _status(400));
+    assert.throws(() => normalizeAllocationRules(fixed([{ projectId: P1, percent: 10 }, { projectId: P1, percent: 10 }])), _status(400));
+});
+
+test('margins, unassigned revenue and unallocated overhead add up to net profit', async () => {
+    const report = createProjectProfitabilityReport({
+        Event: createMemoryModel([
+            _event('sale1', { type: 'income', amount: 6000, projectId: P1 }),
+            _event('sale2', { type: 'income', amount: 2000, projectId: P2 }),
+            _event('sale3', { type: 'income', amount: 500 }),
+            _event('materials', { type: 'expense', amount: -1000, projectId: P1, categoryId: MATERIALS }),
+            _event('rent', { type: 'expense', amount: -800, categoryId: RENT }),
+            _event('salary', { type: 'expense', amount: -400, categoryId: SALARY }),
+            _event('misc', { type: 'expense', amount: -100 }),
+            // Legacy split without children: spread by splitMeta, the remainder stays on the parent's project
+            _event('legacy', { type: 'expense', amount: -300, projectId: P2, categoryId: MATERIALS, isSplitParent: true, splitMeta: [{ projectId: P1, amount: 200 }] }),
+            _event('split', { type: 'expense', amount: -900, projectId: P1, categoryId: MATERIALS, isSplitParent: true }),
+            _event('part', { type: 'expense', amount: -900, projectId: P2, categoryId: MATERIALS, isSplitChild: true, parentOpId: 'split', accountId: null }),
+            _event('transfer', { type: 'expense', amount: -5000, isTransfer: true }),
+            _event('april', { type: 'income', amount: 7000, projectId: P2, date: new Date(2026, 3, 2) })
+        ]),
+        Category: createMemoryModel([{ _id: RENT, name: 'Аренда' }, { _id: SALARY, name: 'Зарплата' }]),
+        Project: createMemoryModel([{ _id: P1, name: 'Ремонт' }, { _id: P2, name: 'Отделка' }]),
+        OverheadAllocationRule: createMemoryModel([
+            { userId: 'u1', categoryId: null, method: 'revenue_share', shares: [] },
+            { userId: 'u1', categoryId: SALARY, method: 'fixed_percent', shares: [{ projectId: P1, percent: 50 }] }
+        ]),
+        profitLossReport: { loadContext: async (userIdQuery, basis) => ({ basis, lineByCategory: new Map(), retailId: null }) }
+    });
+
+    const result = await report.build({ userIdQuery: 'u1', dateFrom: new Date(2026, 2, 1), dateTo: new Date(2026, 2, 31, 23, 59) });
+
+    assert.deepEqual(result.projects.map((row) => [row.name, row.revenue, row.directCosts, row.overhead, row.margin]), [
+        ['Ремонт', 6000, 1200, 875, 3925],
+        ['Отделка', 2000, 1000, 225, 775]
+    ]);
+    assert.deepEqual(result.overhead.categories.map((line) => [line.name, line.amount, line.allocated, line.method, line.isDefaultRule]), [
+        ['Аренда', 800, 800, 'revenue_share', true],
+        ['Зарплата', 400, 200, 'fixed_percent', false],
+        ['Без категории', 100, 100, 'revenue_share', true]
+    ]);
+    assert.deepEqual(result.totals, {
+        revenue: 8000,
+        directCosts: 2200,
+        overhead: 1100,
+        margin: 4700,
+        unassignedRevenue: 500,
+        unallocatedOverhead: 200,
+        marginPercent: 58.75,
+        netProfit: 5000
+    });
+});
+
+test('overhead without a rule stays unallocated', async () => {
+    const report = createProjectProfitabilityReport({
+        Event: createMemoryModel([
+            _event('sale', { type: 'income', amount: 1000, projectId: P1 }),
+            _event('rent', { type: 'expense', amount: -300, categoryId: RENT })
+        ]),
+        Category: createMemoryModel([{ _id: RENT, name: 'Аренда' }]),
+        Project: createMemoryModel([{ _id: P1, name: 'Ремонт' }]),
+        OverheadAllocationRule: createMemoryModel([]),
+        profitLossReport: { loadContext: async (userIdQuery, basis) => ({ basis, lineByCategory: new Map(), retailId: null }) }
+    });
+
+    const result = await report.build({ userIdQuery: 'u1', dateFrom: new Date(2026, 2, 1), dateTo: new Date(2026, 2, 31) });
+    assert.deepEqual([result.projects[0].margin, result.totals.unallocatedOverhead, result.totals.netProfit], [1000, 300, 700]);
+    assert.equal(result.overhead.categories[0].method, null);
+});
@@ -0,0 +1,62 @@
+// test/recurrence.test.js
+// Recurrence expansion: occurrence dates per frequency, end date / count limits, rule validation.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRecurrenceRule, getOccurrenceDate, listOccurrences } = require('../utils/recurrence');
+
+const _day = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+test('monthly occurrences keep the day and clamp it to the month end', () => {
+    const rule = normalizeRecurrenceRule({ frequency: 'monthly', startDate: new Date(2026, 0, 31, 10, 0) });
+    assert.deepEqual(_day(getOccurrenceDate(rule, 1)), [2026, 2, 28]);
+    assert.deepEqual(_day(getOccurrenceDate(rule, 2)), [2026, 3, 31]);
+    assert.deepEqual(_day(getOccurrenceDate(rule, 12)), [2027, 1, 31]);
+    assert.equal(getOccurrenceDate(rule, 1).getHours(), 10);
+});
+
+test('daily and weekly occurrences step by the interval', () => {
+    const daily = normalizeRecurrenceRule({ frequency: 'daily', interval: 3, startDate: new Date(2026, 1, 27) });
+    assert.deepEqual(_day(getOccurrenceDate(daily, 1)), [2026, 3, 2]);
+
+    const weekly = normalizeRecurrenceRule({ frequency: 'weekly', interval: 2, startDate: new Date(2026, 0, 5) });
+    assert.deepEqual(_day(getOccurrenceDate(weekly, 2)), [2026, 2, 2]);
+});
+
+test('last working day skips weekends and a first month already past the start', () => {
+    // 31.01.2026 is a Saturday, 28.02.2026 too
+    const rule = normalizeRecurrenceRule({ frequency: 'last_working_day', startDate: new Date(2026, 0, 31) });
+    const occurrences = listOccurrences(rule, new Date(2026, 3, 30, 23, 59));
+    assert.deepEqual(occurrences.map((row) => _day(row.date)), [[2026, 2, 27], [2026, 3, 31], [2026, 4, 30]]);
+    assert.deepEqual(occurrences.map((row) => row.index), [0, 1, 2]);
+});
+
+test('listOccurrences stops at the horizon, the end date and the count', () => {
+    const startDate = new Date(2026, 0, 10);
+    const horizon = new Date(2026, 11, 31);
+
+    const open = normalizeRecurrenceRule({ frequency: 'monthly', startDate });
+    assert.equal(listOccurrences(open, new Date(2026, 2, 9)).length, 2);
+
+    const withEnd = normalizeRecurrenceRule({ frequency: 'monthly', startDate, endDate: new Date(2026, 3, 10) });
+    assert.equal(listOccurrences(withEnd, horizon).length, 4);
+
+    const withCount = normalizeRecurrenceRule({ frequency: 'monthly', startDate, count: 3 });
+    const occurrences = listOccurrences(withCount, horizon);
+    assert.equal(occurrences.length, 3);
+    assert.deepEqual(_day(occurrences[2].date), [2026, 3, 10]);
+});
+
+test('normalizeRecurrenceRule rejects invalid rules with a 400', () => {
+    const startDate = new Date(2026, 0, 10);
+    const invalid = [
+        { frequency: 'yearly', startDate },
+        { frequency: 'monthly', interval: 0, startDate },
+        { frequency: 'monthly', startDate: 'not a date' },
+        { frequency: 'monthly', startDate, endDate: new Date(2025, 11, 31) },
+        { frequency: 'monthly', startDate, count: 0 }
+    ];
+    invalid.forEach((input) => {
+        assert.throws(() => normalizeRecurrenceRule(input), (err) => err.statusCode === 400);
+    });
+});
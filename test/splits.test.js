@@ -0,0 +1,57 @@
+// test/splits.test.js
+// Splits across projects: which operations can be split, part validation against the parent amount,
+// and the child Events that keep the money side on the parent.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assertSplittable, normalizeSplitParts, buildSplitChildData, buildSplitMeta } = require('../utils/splits');
+
+const P1 = '64b0000000000000000000b1';
+const P2 = '64b0000000000000000000b2';
+
+const _status = (statusCode) => (err) => err.statusCode === statusCode;
+const PARENT = {
+    _id: 'parent', userId: 'u1', type: 'expense', amount: -1000, date: new Date(2026, 2, 10), categoryId: 'rent',
+    accountId: 'acc', contractorId: 'c1', description: 'Аренда'
+};
+
+test('transfers, split parts and recurring occurrences cannot be split', () => {
+    assert.doesNotThrow(() => assertSplittable(PARENT));
+    assert.throws(() => assertSplittable({ ...PARENT, isTransfer: true }), _status(400));
+    assert.throws(() => assertSplittable({ ...PARENT, transferGroupId: 'tg' }), _status(400));
+    assert.throws(() => assertSplittable({ ...PARENT, isSplitChild: true }), _status(400));
+    assert.throws(() => assertSplittable({ ...PARENT, recurrenceId: 'r1' }), _status(400));
+    assert.throws(() => assertSplittable({ ...PARENT, type: 'work_act' }), _status(400));
+});
+
+test('parts take the parent sign and must sum to its amount', () => {
+    const parts = normalizeSplitParts(PARENT, [{ projectId: P1, amount: '600.004' }, { projectId: P2, amount: -400, description: 'Склад' }]);
+    assert.deepEqual(parts, [
+        { projectId: P1, amount: -600, description: null },
+        { projectId: P2, amount: -400, description: 'Склад' }
+    ]);
+    assert.deepEqual(buildSplitMeta(parts), [{ projectId: P1, amount: 600 }, { projectId: P2, amount: 400 }]);
+
+    assert.throws(() => normalizeSplitParts(PARENT, [{ projectId: P1, amount: 1000 }]), _status(400));
+    assert.throws(() => normalizeSplitParts(PARENT, [{ projectId: P1, amount: 500 }, { projectId: 'bad', amount: 500 }]), _status(400));
+    assert.throws(() => normalizeSplitParts(PARENT, [{ projectId: P1, amount: 500 }, { projectId: P1, amount: 500 }]), _status(400));
+    assert.throws(() => normalizeSplitParts(PARENT, [{ projectId: P1, amount: 1000 }, { projectId: P2, amount: 0 }]), _status(400));
+    assert.throws(() => normalizeSplitParts(PARENT, [{ projectId: P1, amount: 600 }, { projectId: P2, amount: 300 }]), _status(400));
+});
+
+test('a child carries the project share but not the account or counterparty', () => {
+    const [part] = normalizeSplitParts(PARENT, [{ projectId: P1, amount: 700 }, { projectId: P2, amount: 300 }]);
+    const child = buildSplitChildData(PARENT, part);
+    assert.deepEqual(child, {
+        type: 'expense',
+        date: PARENT.date,
+        categoryId: 'rent',
+        description: 'Аренда',
+        userId: 'u1',
+        amount: -700,
+        projectId: P1,
+        isSplitChild: true,
+        parentOpId: 'parent'
+    });
+    assert.equal(buildSplitChildData(PARENT, { ...part, description: 'Офис' }).description, 'Офис');
+});
@@ -0,0 +1,74 @@
+// test/taxes.test.js
+// Tax engine: periods and due dates per regime, attribution of income to the cash register,
+// company or entrepreneur, accrued vs forecast tax and payments matched by taxKey.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { taxPeriodsOf, taxKeyOf, parseTaxYear, createTaxService } = require('../utils/taxes');
+const { createMemoryModel } = require('./helpers/memoryModel');
+
+const _status = (statusCode) => (err) => err.statusCode === statusCode;
+const _event = (_id, fields) => ({ _id, userId: 'u1', ...fields });
+
+test('simplified is paid per half-year, the general regime per year', () => {
+    assert.deepEqual(taxPeriodsOf('simplified', 2026).map((period) => [period.key, period.dueDate]), [
+        ['2026-H1', new Date(2026, 7, 25, 12)],
+        ['2026-H2', new Date(2027, 1, 25, 12)]
+    ]);
+    assert.deepEqual(taxPeriodsOf('our', 2026).map((period) => [period.key, period.dueDate]), [['2026', new Date(2027, 3, 10, 12)]]);
+    assert.deepEqual(taxPeriodsOf('none', 2026), []);
+    assert.equal(taxKeyOf('company', 'co', '2026-H1'), 'company:co:2026-H1');
+
+    assert.equal(parseTaxYear('2025'), 2025);
+    assert.equal(parseTaxYear(undefined), new Date().getFullYear());
+    assert.throws(() => parseTaxYear('1999'), _status(400));
+    assert.throws(() => parseTaxYear('2026.5'), _status(400));
+});
+
+test('income is taxed once by its owner, payments and planned payments are matched by taxKey', async () => {
+    const service = createTaxService({
+        Account: createMemoryModel([
+            { _id: 'A', userId: 'u1', name: 'Kaspi', companyId: 'CO' },
+            { _id: 'K', userId: 'u1', name: 'Касса', companyId: 'CO', isCashRegister: true, taxRegime: 'simplified', taxPercent: 2 },
+            { _id: 'B', userId: 'u1', name: 'Счет ИП', individualId: 'IP' }
+        ]),
+        Company: createMemoryModel([{ _id: 'CO', userId: 'u1', name: 'ТОО Ромашка', legalForm: 'too', taxRegime: 'simplified', taxPercent: 3 }]),
+        Individual: createMemoryModel([
+            { _id: 'IP', userId: 'u1', name: 'ИП Иванов', legalForm: 'ip', taxRegime: 'our', taxPercent: 10 },
+            { _id: 'N', userId: 'u1', name: 'Петров', taxRegime: 'none' }
+        ]),
+        Event: createMemoryModel([
+            _event('sale', { type: 'income', amount: 100000, accountId: 'A', date: new Date(2026, 2, 1) }),
+            _event('cash', { type: 'income', amount: 50000, accountId: 'K', date: new Date(2026, 3, 1) }),
+            _event('autumn', { type: 'income', amount: 40000, accountId: 'A', date: new Date(2026, 9, 1) }),
+            _event('act', { type: 'income', amount: 99999, accountId: 'A', isWorkAct: true, date: new Date(2026, 2, 2) }),
+            _event('excluded', { type: 'income', amount: 5000, accountId: 'A', excludeFromTotals: true, date: new Date(2026, 2, 3) }),
+            _event('loan', { type: 'income', amount: 7000, accountId: 'A', creditPart: 'receipt', date: new Date(2026, 2, 4) }),
+            _event('personal', { type: 'income', amount: 8000, individualId: 'N', date: new Date(2026, 2, 5) }),
+            _event('ip-sale', { type: 'income', amount: 200000, accountId: 'B', date: new Date(2026, 4, 1) }),
+            _event('ip-cost', { type: 'expense', amount: -80000, accountId: 'B', date: new Date(2026, 5, 1) }),
+            _event('ip-later', { type: 'expense', amount: -20000, accountId: 'B', date: new Date(2026, 10, 1) }),
+            _event('tax-h1', { type: 'expense', amount: -3000, accountId: 'A', taxKey: 'company:CO:2026-H1', date: new Date(2026, 7, 20) }),
+            _event('tax-h2', { type: 'expense', amount: -1200, accountId: 'A', taxKey: 'company:CO:2026-H2', date: new Date(2027, 1, 25) })
+        ])
+    });
+
+    const result = await service.summary({ userIdQuery: 'u1', year: 2026, asOf: new Date(2026, 8, 1, 12) });
+    assert.deepEqual(result.entities.map((entity) => [entity.name, entity.form, entity.payAccountId]), [
+        ['ИП Иванов', '220', 'B'],
+        ['ТОО Ромашка', '910', 'A'],
+        ['Касса', '910', 'K']
+    ]);
+
+    const [ip, company, register] = result.entities;
+    assert.deepEqual((({ income, expenses, base, accrued, forecast }) => ({ income, expenses, base, accrued, forecast }))(ip.periods[0]), {
+        income: 200000, expenses: 100000, base: 100000, accrued: 12000, forecast: 10000
+    });
+    assert.deepEqual(company.periods.map((period) => [period.income, period.incomeToDate, period.forecast, period.paid, period.due, period.isOverdue]), [
+        [100000, 100000, 3000, 3000, 0, false],
+        [40000, 0, 1200, 0, 1200, false]
+    ]);
+    assert.deepEqual(company.periods[1].plannedEventIds, ['tax-h2']);
+    assert.deepEqual([register.periods[0].forecast, register.periods[0].isOverdue], [1000, true]);
+    assert.deepEqual(result.totals, { income: 390000, accrued: 16000, forecast: 15200, paid: 3000, due: 12200 });
+});
@@ -0,0 +1,71 @@
+// test/transfers.test.js
+// Transfer amounts: same-currency and cross-currency resolution, validation, and the event shapes built from them.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveTransferAmounts, buildTransferEventData, buildTransferFeeEventData } = require('../utils/transfers');
+
+const KZT = { fromCurrency: 'KZT', toCurrency: 'KZT' };
+const _status = (statusCode) => (err) => err.statusCode === statusCode;
+
+test('a same-currency transfer has no credited amount or rate', () => {
+    assert.deepEqual(resolveTransferAmounts({ amount: -1500, fee: '200' }, KZT), {
+        fromAmount: 1500, toAmount: null, exchangeRate: null, fee: 200
+    });
+    assert.equal(resolveTransferAmounts({ amount: 1500, toAmount: 1500 }, KZT).toAmount, null);
+    assert.equal(resolveTransferAmounts({ amount: 1500 }, { fromCurrency: 'KZT' }).fee, 0);
+    assert.throws(() => resolveTransferAmounts({ amount: 1500, toAmount: 1300 }, KZT), _status(400));
+});
+
+test('a cross-currency transfer takes toAmount, then exchangeRate, then the market rate', () => {
+    const currencies = { fromCurrency: 'USD', toCurrency: 'KZT', marketRate: 500 };
+    assert.deepEqual(resolveTransferAmounts({ fromAmount: 100, toAmount: 49000, exchangeRate: 480 }, currencies), {
+        fromAmount: 100, toAmount: 49000, exchangeRate: 490, fee: 0
+    });
+    assert.deepEqual(resolveTransferAmounts({ amount: 100.5, exchangeRate: 480.13 }, currencies), {
+        fromAmount: 100.5, toAmount: 48253.07, exchangeRate: 48253.07 / 100.5, fee: 0
+    });
+    assert.equal(resolveTransferAmounts({ amount: 100 }, currencies).toAmount, 50000);
+    assert.throws(
+        () => resolveTransferAmounts({ amount: 100 }, { fromCurrency: 'USD', toCurrency: 'KZT' }),
+        (err) => err.statusCode === 400 && /USD\/KZT/.test(err.message)
+    );
+});
+
+test('invalid amounts, fees and rates are rejected', () => {
+    [{}, { amount: 0 }, { amount: 'abc' }, { amount: 100, fee: 'x' }, { amount: 100, toAmount: 'x' }, { amount: 100, exchangeRate: 'x' }]
+        .forEach((params) => assert.throws(() => resolveTransferAmounts(params, KZT), _status(400)));
+    [0, '0', '', null].forEach((fee) => assert.equal(resolveTransferAmounts({ amount: 100, fee }, KZT).fee, 0));
+});
+
+test('cross-currency amounts are stored on the transfer event, the fee is a linked expense', () => {
+    const transfer = buildTransferEventData({
+        amount: -100, toAmount: 49000, exchangeRate: 490, fromAccountId: 'a1', toAccountId: 'null', fromCompanyId: 'c1'
+    });
+    assert.equal(transfer.type, 'transfer');
+    assert.deepEqual([transfer.amount, transfer.fromAmount, transfer.toAmount, transfer.exchangeRate], [100, 100, 49000, 490]);
+    assert.equal(transfer.toAccountId, null);
+    assert.equal(transfer.description, 'Внутренний перевод');
+    assert.equal(buildTransferEventData({ amount: 100 }).toAmount, undefined);
+
+    const fee = buildTransferFeeEventData({ ...transfer, _id: 't1' }, { fee: 200, categoryId: 'cat' });
+    assert.deepEqual(fee, {
+        type: 'expense',
+        amount: -200,
+        accountId: 'a1',
+        companyId: 'c1',
+        individualId: null,
+        categoryId: 'cat',
+        relatedEventId: 't1',
+        description: 'Комиссия за перевод: Внутренний перевод'
+    });
+});
+
+test('a personal withdrawal stays on the source account', () => {
+    const withdrawal = buildTransferEventData({
+        amount: 300, fromAccountId: 'a1', transferPurpose: 'personal', transferReason: 'personal_use'
+    });
+    assert.equal(withdrawal.isWithdrawal, true);
+    assert.equal(withdrawal.accountId, 'a1');
+    assert.equal(withdrawal.categoryId, null);
+});
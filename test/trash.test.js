@@ -0,0 +1,133 @@
+// test/trash.test.js
+// Trash bin: operations and entities are stamped instead of deleted, restore brings back exactly what
+// the entry removed, purge deletes for good.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTrashService } = require('../utils/trash');
+const { createMemoryModel } = require('./helpers/memoryModel');
+
+const _setup = ({ events = [], contractors = [], categories = [] } = {}) => {
+    const Event = createMemoryModel(events, { name: 'Event' });
+    const TrashEntry = createMemoryModel([], { name: 'TrashEntry', defaults: { eventIds: [], nullifiedRefs: [] } });
+    const Contractor = createMemoryModel(contractors, { name: 'Contractor' });
+    const Category = createMemoryModel(categories, { name: 'Category' });
+    const service = createTrashService({ Event, TrashEntry, entityModels: { contractor: Contractor, category: Category } });
+    return { Event, TrashEntry, Contractor, Category, service };
+};
+
+const _event = (Event, id) => Event.docs.find((doc) => doc._id === id);
+
+test('trashed operations take their split parts along and come back on restore', async () => {
+    const { Event, TrashEntry, service } = _setup({
+        events: [
+            { _id: 'parent', userId: 'u1', isSplitParent: true, date: new Date(2026, 2, 1) },
+            { _id: 'part', userId: 'u1', parentOpId: 'parent', date: new Date(2026, 2, 1) },
+            { _id: 'other', userId: 'u1', date: new Date(2026, 2, 2) }
+        ]
+    });
+
+    const trashed = await service.trashOperations({ events: [_event(Event, 'parent')], userId: 'u1', deletedBy: 'm1', label: 'Аренда' });
+    assert.deepEqual(trashed.eventIds, ['parent', 'part']);
+    assert.equal(_event(Event, 'part').isDeleted, true);
+    assert.equal(_event(Event, 'part').trashEntryId, trashed.entry._id);
+    assert.equal(_event(Event, 'other').isDeleted, undefined);
+
+    const restored = await service.restoreEntry(trashed.entry);
+    assert.deepEqual(restored.eventIds, ['parent', 'part']);
+    assert.equal(_event(Event, 'parent').isDeleted, false);
+    assert.equal(_event(Event, 'part').trashEntryId, null);
+    assert.equal(TrashEntry.docs.length, 0);
+});
+
+test('an entity deleted without its operations clears the references and restore relinks the untouched ones', async () => {
+    const { Event, Category, service } = _setup({
+        categories: [{ _id: 'cat', userId: 'u1', name: 'Аренда' }],
+        events: [
+            { _id: 'e1', userId: 'u1', categoryId: 'cat', categoryIds: ['cat', 'other'] },
+            { _id: 'e2', userId: 'u1', categoryId: 'cat', categoryIds: ['cat'] },
+            { _id: 'e3', userId: 'u1', categoryId: 'other', categoryIds: ['other'] }
+        ]
+    });
+
+    const trashed = await service.trashEntity({ entityType: 'category', id: 'cat', userId: 'u1', deletedBy: 'a1', deleteOperations: false });
+    assert.deepEqual(trashed.nullifiedEventIds, ['e1', 'e2']);
+    assert.deepEqual(trashed.eventIds, []);
+    assert.equal(_event(Event, 'e1').categoryId, null);
+    assert.deepEqual(_event(Event, 'e1').categoryIds, ['other']);
+    assert.equal(Category.docs[0].isDeleted, true);
+
+    // Set to another category since the delete: restore leaves it alone
+    _event(Event, 'e2').categoryId = 'other';
+    const restored = await service.restoreEntry(trashed.entry);
+    assert.deepEqual(restored.relinkedEventIds.sort(), ['e1', 'e2']);
+    assert.equal(_event(Event, 'e1').categoryId, 'cat');
+    assert.equal(_event(Event, 'e2').categoryId, 'other');
+    assert.deepEqual(_event(Event, 'e2').categoryIds, ['cat']);
+    assert.equal(restored.entity.isDeleted, false);
+});
+
+test('an entity deleted with its operations trashes them, unless one is in the closed period', async () => {
+    const events = [
+        { _id: 'march', userId: 'u1', contractorId: 'c1', date: new Date(2026, 2, 10) },
+        { _id: 'may', userId: 'u1', contractorId: 'c1', date: new Date(2026, 4, 10) }
+    ];
+    const contractors = [{ _id: 'c1', userId: 'u1', name: 'ТОО Арендодатель' }];
+
+    const locked = _setup({ events, contractors });
+    await assert.rejects(
+        locked.service.trashEntity({
+            entityType: 'contractor', id: 'c1', userId: 'u1', deletedBy: 'm1', deleteOperations: true,
+            closedPeriodDate: new Date(2026, 2, 31), role: 'manager'
+        }),
+        (err) => err.statusCode === 403
+    );
+    assert.equal(locked.TrashEntry.docs.length, 0);
+    assert.ok(locked.Event.docs.every((doc) => !doc.isDeleted));
+    assert.equal(locked.Contractor.docs[0].isDeleted, undefined);
+
+    const open = _setup({ events, contractors });
+    const trashed = await open.service.trashEntity({ entityType: 'contractor', id: 'c1', userId: 'u1', deletedBy: 'm1', deleteOperations: true });
+    assert.deepEqual(trashed.eventIds, ['march', 'may']);
+    assert.ok(open.Event.docs.every((doc) => doc.isDeleted));
+    assert.equal(await open.service.trashEntity({ entityType: 'contractor', id: 'c1', userId: 'u1', deleteOperations: true }), null);
+});
+
+test('purge deletes the trashed rows for good, expired entries go by retention', async () => {
+    const { Event, TrashEntry, Contractor, service } = _setup({
+        contractors: [{ _id: 'c1', userId: 'u1', name: 'ИП Поставщик' }],
+        events: [{ _id: 'e1', userId: 'u1', contractorId: 'c1' }, { _id: 'e2', userId: 'u1' }]
+    });
+    const trashed = await service.trashEntity({ entityType: 'contractor', id: 'c1', userId: 'u1', deleteOperations: true });
+    assert.equal(await service.purgeEntry(trashed.entry), 1);
+    assert.deepEqual(Event.docs.map((doc) => doc._id), ['e2']);
+    assert.equal(Contractor.docs.length, 0);
+
+    const old = await service.trashOperations({ events: [Event.docs[0]], userId: 'u1' });
+    old.entry.deletedAt = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+    assert.equal(await service.purgeExpired(30), 1);
+    assert.equal(Event.docs.length, 0);
+    assert.equal(TrashEntry.docs.length, 0);
+});
+
+test('operations deleted for good by an import rollback drop out of their trash entries', async () => {
+    const { TrashEntry, Event, service } = _setup({
+        categories: [{ _id: 'cat', userId: 'u1', name: 'Аренда' }],
+        events: [
+            { _id: 'e1', userId: 'u1' },
+            { _id: 'e2', userId: 'u1' },
+            { _id: 'e3', userId: 'u1', categoryId: 'cat', categoryIds: ['cat'] }
+        ]
+    });
+    const operations = await service.trashOperations({ events: [_event(Event, 'e1'), _event(Event, 'e2')], userId: 'u1' });
+    const category = await service.trashEntity({ entityType: 'category', id: 'cat', userId: 'u1', deleteOperations: false });
+
+    assert.equal(await service.forgetEvents(['e1', 'e3']), 0);
+    assert.deepEqual(operations.entry.eventIds, ['e2']);
+    // The category entry stays restorable without the relink
+    assert.deepEqual(category.entry.nullifiedRefs, []);
+
+    assert.equal(await service.forgetEvents(['e2']), 1);
+    assert.deepEqual(TrashEntry.docs.map((doc) => doc._id), [category.entry._id]);
+    assert.equal(await service.forgetEvents([]), 0);
+});
@@ -0,0 +1,252 @@
+// utils/bills.js
+// Bills from contractors (accounts payable): amount, due date and the contract they fall under.
+//
+// Payments are expense Events linked by billId, a bill can be paid in parts. Paid and unpaid
+// amounts are computed from the linked operations, never stored on the Bill, so editing or deleting
+// a payment is reflected right away. A bill is open until cancelled; its state follows the payments:
+//   unpaid -> partial -> paid (cancelled bills are out of every report)
+// Accounts-payable aging buckets unpaid amounts by days past due, same buckets as receivables.
+
+const { NOT_DELETED } = require('./trash');
+const { AGING_BUCKETS, agingBucketOf } = require('./deals');
+const { periodStart } = require('./reports/periods');
+
+const BILL_STATUSES = ['open', 'cancelled'];
+const BILL_STATES = ['unpaid', 'partial', 'paid', 'cancelled'];
+const PAYMENT_FIELDS = 'date amount type billId accountId description';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const _id = (value) => (value ? String(value._id || value) : '');
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const _isObjectId = (value) => /^[0-9a-fA-F]{24}$/.test(String(value || ''));
+
+const _error = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const _date = (value, label) => {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) throw _error(`Invalid ${label}: ${value}`);
+    return date;
+};
+
+/**
+ * Validate bill fields from a request body
+ * @param {Object} body - { contractorId, number, description, amount, issueDate, dueDate,
+ *                          contractNumber, contractDate, projectId, categoryId, status }
+ * @param {Object} options - { partial: true for updates (only the fields present are checked) }
+ * @returns {Object} fields to save
+ */
+function normalizeBillFields(body = {}, { partial = false } = {}) {
+    const fields = {};
+    const has = (key) => !partial || body[key] !== undefined;
+
+    ['contractorId', 'projectId', 'categoryId'].forEach((key) => {
+        if (!has(key)) return;
+        const value = _id(body[key]);
+        if (value && !_isObjectId(value)) throw _error(`Invalid ${key}: ${value}`);
+        fields[key] = value || null;
+    });
+    if (has('contractorId') && !fields.contractorId) throw _error('Bill needs a contractorId');
+
+    ['number', 'description', 'contractNumber'].forEach((key) => {
+        if (has(key)) fields[key] = body[key] ? String(body[key]).trim() : null;
+    });
+
+    if (has('amount')) {
+        const amount = Number(body.amount);
+        if (!Number.isFinite(amount) || amount <= 0) throw _error(`Invalid bill amount: ${body.amount}`);
+        fields.amount = _round(amount);
+    }
+
+    if (has('issueDate')) fields.issueDate = body.issueDate ? _date(body.issueDate, 'issueDate') : new Date();
+    if (has('dueDate')) fields.dueDate = _date(body.dueDate, 'dueDate');
+    if (has('contractDate')) fields.contractDate = body.contractDate ? _date(body.contractDate, 'contractDate') : null;
+    if (fields.issueDate && fields.dueDate && fields.dueDate < periodStart(fields.issueDate, 'day')) {
+        throw _error('dueDate cannot be earlier than issueDate');
+    }
+
+    if (body.status !== undefined || !partial) {
+        const status = body.status || 'open';
+        if (!BILL_STATUSES.includes(status)) throw _error(`Bill status must be one of: ${BILL_STATUSES.join(', ')}`);
+        fields.status = status;
+    }
+    return fields;
+}
+
+/**
+ * Bill figures from its payments
+ * @param {Object} bill - lean Bill
+ * @param {Array} payments - lean payment Events of the bill
+ * @param {Date} asOf
+ * @returns {Object} bill with paid, unpaid, state, daysOverdue, bucket
+ */
+function summarizeBill(bill, payments, asOf) {
+    const paid = payments.reduce((total, event) => total + Math.abs(Number(event.amount) || 0), 0);
+    const unpaid = Math.max((Number(bill.amount) || 0) - paid, 0);
+    const isOpen = unpaid >= 0.005 && bill.status !== 'cancelled';
+    const daysOverdue = Math.floor((asOf - new Date(bill.dueDate)) / DAY_MS);
+
+    let state = 'unpaid';
+    if (bill.status === 'cancelled') state = 'cancelled';
+    else if (!isOpen) state = 'paid';
+    else if (paid >= 0.005) state = 'partial';
+
+    return {
+        ...bill,
+        paid: _round(paid),
+        unpaid: isOpen ? _round(unpaid) : 0,
+        overpaid: _round(Math.max(paid - (Number(bill.amount) || 0), 0)),
+        state,
+        isOverdue: isOpen && daysOverdue > 0,
+        daysOverdue: isOpen ? Math.max(daysOverdue, 0) : 0,
+        bucket: isOpen ? agingBucketOf(daysOverdue) : null
+    };
+}
+
+/**
+ * @param {Object} deps - { Bill, Event, Contractor, Project }
+ */
+function createBillService({ Bill, Event, Contractor, Project }) {
+    /**
+     * Payment Events of the bills, dated up to asOf (all when asOf is null)
+     * @returns {Promise<Map>} billId -> Array of Events
+     */
+    async function loadPayments(userIdQuery, billIds, asOf = null) {
+        const byBill = new Map(billIds.map((id) => [String(id), []]));
+        if (billIds.length === 0) return byBill;
+
+        const events = await Event.find({
+            userId: userIdQuery,
+            ...NOT_DELETED,
+            billId: { $in: billIds },
+            ...(asOf ? { date: { $lte: asOf } } : {})
+        }).select(PAYMENT_FIELDS).sort({ date: 1 }).lean();
+
+        events.forEach((event) => {
+            const rows = byBill.get(_id(event.billId));
+            if (rows) rows.push(event);
+        });
+        return byBill;
+    }
+
+    async function _names(Model, ids) {
+        const list = [...new Set(ids.filter(Boolean).map(String))];
+        if (list.length === 0) return new Map();
+        const docs = await Model.find({ _id: { $in: list } }).select('name').lean();
+        return new Map(docs.map((doc) => [String(doc._id), doc.name || '']));
+    }
+
+    /**
+     * Bills with their figures and contractor / project names
+     * @param {Object} params - { userIdQuery, asOf, filter (extra Bill query), state }
+     * @returns {Promise<Array>}
+     */
+    async function list({ userIdQuery, asOf = new Date(), filter = {}, state = null }) {
+        const bills = await Bill.find({ userId: userIdQuery, ...NOT_DELETED, ...filter }).sort({ dueDate: 1, _id: 1 }).lean();
+        const payments = await loadPayments(userIdQuery, bills.map((bill) => bill._id), asOf);
+        const rows = bills
+            .map((bill) => summarizeBill(bill, payments.get(String(bill._id)), asOf))
+            .filter((bill) => !state || bill.state === state);
+
+        const [contractorNames, projectNames] = await Promise.all([
+            _names(Contractor, rows.map((bill) => _id(bill.contractorId))),
+            _names(Project, rows.map((bill) => _id(bill.projectId)))
+        ]);
+        return rows.map((bill) => ({
+            ...bill,
+            contractorName: contractorNames.get(_id(bill.contractorId)) || '',
+            projectName: projectNames.get(_id(bill.projectId)) || null
+        }));
+    }
+
+    /**
+     * Accounts-payable aging per contractor
+     * @param {Object} params - { userIdQuery, asOf }
+     * @returns {Promise<Object>} { asOf, buckets, contractors, totals }
+     */
+    async function aging({ userIdQuery, asOf }) {
+        // Bills issued after the date are not payables yet
+        const bills = (await list({ userIdQuery, asOf, filter: { status: 'open', issueDate: { $lte: asOf } } }))
+            .filter((bill) => bill.unpaid > 0);
+
+        const contractors = new Map();
+        bills.forEach((bill) => {
+            const key = _id(bill.contractorId);
+            if (!contractors.has(key)) {
+                contractors.set(key, {
+                    contractorId: bill.contractorId,
+                    name: bill.contractorName,
+                    notDue: 0,
+                    buckets: Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket.key, 0])),
+                    bills: []
+                });
+            }
+            const row = contractors.get(key);
+            if (bill.bucket) row.buckets[bill.bucket] += bill.unpaid;
+            else row.notDue += bill.unpaid;
+            row.bills.push(bill);
+        });
+
+        const rows = [...contractors.values()].map((row) => {
+            const overdue = Object.values(row.buckets).reduce((total, value) => total + value, 0);
+            return {
+                ...row,
+                notDue: _round(row.notDue),
+                buckets: Object.fromEntries(Object.entries(row.buckets).map(([key, value]) => [key, _round(value)])),
+                overdue: _round(overdue),
+                total: _round(row.notDue + overdue)
+            };
+        }).sort((a, b) => b.overdue - a.overdue || b.total - a.total);
+
+        const sum = (pick) => _round(rows.reduce((total, row) => total + pick(row), 0));
+        return {
+            asOf,
+            buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+            contractors: rows,
+            totals: {
+                notDue: sum((row) => row.notDue),
+                buckets: Object.fromEntries(AGING_BUCKETS.map(({ key }) => [key, sum((row) => row.buckets[key])])),
+                overdue: sum((row) => row.overdue),
+                total: sum((row) => row.total)
+            }
+        };
+    }
+
+    /**
+     * Unpaid bills due in the week (Monday to Sunday) of a date, and the ones already overdue before it
+     * @param {Object} params - { userIdQuery, date }
+     * @returns {Promise<Object>} { weekStart, weekEnd, bills, overdue, totals }
+     */
+    async function dueThisWeek({ userIdQuery, date = new Date() }) {
+        const weekStart = periodStart(date, 'week');
+        const weekEnd = new Date(weekStart);
+        weekEnd.setDate(weekEnd.getDate() + 6);
+        weekEnd.setHours(23, 59, 59, 999);
+
+        const bills = (await list({ userIdQuery, filter: { status: 'open', dueDate: { $lte: weekEnd } } }))
+            .filter((bill) => bill.unpaid > 0);
+        const thisWeek = bills.filter((bill) => new Date(bill.dueDate) >= weekStart);
+        const overdue = bills.filter((bill) => new Date(bill.dueDate) < weekStart);
+        const sum = (rows) => _round(rows.reduce((total, bill) => total + bill.unpaid, 0));
+        return {
+            weekStart,
+            weekEnd,
+            bills: thisWeek,
+            overdue,
+            totals: { dueThisWeek: sum(thisWeek), overdue: sum(overdue), total: sum(bills) }
+        };
+    }
+
+    return { loadPayments, list, aging, dueThisWeek };
+}
+
+module.exports = {
+    BILL_STATUSES,
+    BILL_STATES,
+    normalizeBillFields,
+    summarizeBill,
+    createBillService
+};
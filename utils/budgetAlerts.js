@@ -0,0 +1,134 @@
+// utils/budgetAlerts.js
+// Budget alerts: an operation that pushes an expense budget past its alert threshold
+// (alertThreshold, % of the amount used), its forecast over the amount or its actual spending over
+// the amount raises an alert. Alerts are kept in the BudgetAlert feed; an alert is active until the
+// budget gets back under its level (resolvedAt) or someone dismisses it (dismissedAt).
+// One alert is raised per budget and level, so repeated edits do not spam the feed.
+
+const { NOT_DELETED } = require('./trash');
+const { budgetMatchesEvent } = require('./budgets');
+
+const BUDGET_ALERT_KINDS = ['threshold', 'forecast_over', 'over_budget']; // by severity
+
+const _money = (value) => Math.round(Number(value) || 0).toLocaleString('ru-RU');
+
+const ACTIVE = { resolvedAt: null, dismissedAt: null };
+
+// Highest level a budget row (from the variance report) has reached, -1 when none
+const _levelOf = (row) => {
+    if (row.amount <= 0) return row.actual > 0 ? BUDGET_ALERT_KINDS.indexOf('over_budget') : -1;
+    if (row.actual > row.amount) return BUDGET_ALERT_KINDS.indexOf('over_budget');
+    if (row.forecast > row.amount) return BUDGET_ALERT_KINDS.indexOf('forecast_over');
+    if (row.alertThreshold && row.actual >= row.amount * row.alertThreshold / 100) return BUDGET_ALERT_KINDS.indexOf('threshold');
+    return -1;
+};
+
+const _label = (row) => [row.categoryName, row.projectName].filter(Boolean).join(' / ') || row.name || 'Бюджет';
+
+const _message = (kind, row) => {
+    const label = `«${_label(row)}» за ${row.period}`;
+    if (kind === 'over_budget') return `Перерасход бюджета ${label}: ${_money(row.actual)} из ${_money(row.amount)}`;
+    if (kind === 'forecast_over') return `С учетом плановых операций бюджет ${label} будет превышен: ${_money(row.forecast)} из ${_money(row.amount)}`;
+    return `Бюджет ${label} израсходован на ${row.usedPercent}% (порог ${row.alertThreshold}%)`;
+};
+
+/**
+ * @param {Object} deps - { Budget, BudgetAlert, budgetVariance }
+ */
+function createBudgetAlerts({ Budget, BudgetAlert, budgetVariance }) {
+    /**
+     * Re-check the expense budgets touched by operations and raise / resolve alerts
+     * @param {Object} params - { userId, userIdQuery, workspaceId, events (new and previous versions), createdBy }
+     * @returns {Promise<Array>} alerts raised by this check
+     */
+    async function checkEvents({ userId, userIdQuery, workspaceId = null, events, createdBy = null }) {
+        const rows = (Array.isArray(events) ? events : []).filter((event) => event && event.date && event.type === 'expense');
+        if (rows.length === 0) return [];
+
+        const dates = rows.map((event) => new Date(event.date));
+        const candidates = await Budget.find({
+            userId: userIdQuery,
+            ...NOT_DELETED,
+            type: 'expense',
+            dateFrom: { $lte: new Date(Math.max(...dates)) },
+            dateTo: { $gte: new Date(Math.min(...dates)) }
+        }).select('type dateFrom dateTo categoryId projectId').lean();
+        const budgetIds = candidates.filter((budget) => rows.some((event) => budgetMatchesEvent(budget, event))).map((budget) => budget._id);
+        if (budgetIds.length === 0) return [];
+
+        const [variance, openAlerts] = await Promise.all([
+            budgetVariance.build({ userIdQuery, budgetIds }),
+            BudgetAlert.find({ userId: userIdQuery, budgetId: { $in: budgetIds }, resolvedAt: null }).lean()
+        ]);
+
+        const raised = [];
+        const now = new Date();
+        const triggerEventId = rows[0]._id || null;
+        for (const row of variance.budgets) {
+            const level = _levelOf(row);
+            const open = openAlerts.filter((alert) => String(alert.budgetId) === String(row._id));
+
+            // Budget went back under a level: those alerts are no longer relevant
+            const recovered = open.filter((alert) => BUDGET_ALERT_KINDS.indexOf(alert.kind) > level);
+            if (recovered.length) {
+                await BudgetAlert.updateMany({ _id: { $in: recovered.map((alert) => alert._id) } }, { resolvedAt: now });
+            }
+
+            const stillOpen = open.filter((alert) => !recovered.includes(alert));
+            const reached = Math.max(-1, ...stillOpen.map((alert) => BUDGET_ALERT_KINDS.indexOf(alert.kind)));
+            if (level < 0 || level <= reached) continue;
+
+            const kind = BUDGET_ALERT_KINDS[level];
+            const alert = await BudgetAlert.create({
+                userId,
+                workspaceId,
+                budgetId: row._id,
+                kind,
+                period: row.period,
+                categoryId: row.categoryId,
+                projectId: row.projectId,
+                label: _label(row),
+                message: _message(kind, row),
+                amount: row.amount,
+                actual: row.actual,
+                planned: row.planned,
+                usedPercent: row.usedPercent,
+                eventId: triggerEventId,
+                createdBy,
+                createdAt: now
+            });
+            raised.push(alert.toObject());
+        }
+        return raised;
+    }
+
+    /**
+     * Alert feed, newest first
+     * @param {Object} params - { userIdQuery, activeOnly, limit }
+     * @returns {Promise<Array>}
+     */
+    async function list({ userIdQuery, activeOnly = true, limit = 100 }) {
+        const query = { userId: userIdQuery, ...(activeOnly ? ACTIVE : {}) };
+        return BudgetAlert.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+    }
+
+    /**
+     * Hide an alert from the active feed
+     * @param {Object} params - { id, userIdQuery, dismissedBy }
+     * @returns {Promise<Object|null>} null if not found
+     */
+    async function dismiss({ id, userIdQuery, dismissedBy }) {
+        return BudgetAlert.findOneAndUpdate(
+            { _id: id, userId: userIdQuery },
+            { dismissedAt: new Date(), dismissedBy },
+            { new: true }
+        ).lean();
+    }
+
+    return { checkEvents, list, dismiss };
+}
+
+module.exports = {
+    BUDGET_ALERT_KINDS,
+    createBudgetAlerts
+};
@@ -0,0 +1,235 @@
+// utils/budgets.js
+// Budgets per category and/or project for a period (month "2026-03", quarter "2026-Q1", year "2026")
+// and the plan-vs-actual variance report.
+//
+// Budgets are cash budgets: an operation counts against every budget of its type whose period
+// contains its date and whose category / project match. Operations dated up to now are "actual",
+// future ones are "planned" (forecast = actual + planned). Transfers, work acts, split parents and
+// excludeFromTotals operations (except offsets) are not budget items, same as in the P&L.
+
+const { NOT_DELETED } = require('./trash');
+const { periodRangeOfKey } = require('./reports/periods');
+
+const BUDGET_TYPES = ['income', 'expense'];
+const BUDGET_STATUSES = ['ok', 'forecast_over', 'over_budget', 'forecast_below', 'below_plan'];
+
+const EVENT_FIELDS = 'date type amount categoryId categoryIds projectId isTransfer transferGroupId isWorkAct isSplitParent excludeFromTotals offsetIncomeId';
+
+const _id = (value) => (value ? String(value._id || value) : '');
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const _isObjectId = (value) => /^[0-9a-fA-F]{24}$/.test(String(value || ''));
+
+const _error = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * Validate budget fields from a request body; period is turned into dateFrom / dateTo
+ * @param {Object} body - { name, type, period, categoryId, projectId, amount, alertThreshold }
+ * @param {Object} options - { partial: true for updates (only the fields present are checked) }
+ * @returns {Object} fields to save
+ */
+function normalizeBudgetFields(body = {}, { partial = false } = {}) {
+    const fields = {};
+    const has = (key) => !partial || body[key] !== undefined;
+
+    if (has('name')) fields.name = body.name ? String(body.name).trim() : null;
+
+    if (has('type')) {
+        if (!BUDGET_TYPES.includes(body.type)) throw _error(`Budget type must be one of: ${BUDGET_TYPES.join(', ')}`);
+        fields.type = body.type;
+    }
+
+    if (has('period')) {
+        const range = periodRangeOfKey(body.period);
+        if (!range) throw _error(`Invalid budget period: ${body.period}`);
+        fields.period = String(body.period).trim().toUpperCase();
+        fields.dateFrom = range.dateFrom;
+        fields.dateTo = range.dateTo;
+    }
+
+    ['categoryId', 'projectId'].forEach((key) => {
+        if (!has(key)) return;
+        const value = _id(body[key]);
+        if (value && !_isObjectId(value)) throw _error(`Invalid ${key}: ${value}`);
+        fields[key] = value || null;
+    });
+    if (!partial && !fields.categoryId && !fields.projectId) throw _error('Budget needs a categoryId or a projectId');
+
+    if (has('amount')) {
+        const amount = Number(body.amount);
+        if (!Number.isFinite(amount) || amount < 0) throw _error(`Invalid budget amount: ${body.amount}`);
+        fields.amount = amount;
+    }
+
+    if (has('alertThreshold')) {
+        const empty = body.alertThreshold === null || body.alertThreshold === '' || body.alertThreshold === undefined;
+        const threshold = Number(body.alertThreshold);
+        if (!empty && (!Number.isFinite(threshold) || threshold <= 0 || threshold > 100)) {
+            throw _error(`alertThreshold must be a percent between 0 and 100: ${body.alertThreshold}`);
+        }
+        fields.alertThreshold = empty ? null : threshold;
+    }
+
+    return fields;
+}
+
+const _isBudgetItem = (event) => !(event.isTransfer || event.type === 'transfer' || event.transferGroupId)
+    && !event.isWorkAct
+    && !event.isSplitParent
+    && !(event.excludeFromTotals && !event.offsetIncomeId);
+
+const _budgetTypeOf = (event) => {
+    if (event.type === 'income' || event.type === 'prepayment') return 'income';
+    return event.type === 'expense' ? 'expense' : null;
+};
+
+/**
+ * Whether an operation falls into a budget (type, period, category and project); budget items are checked separately
+ * @param {Object} budget - lean Budget
+ * @param {Object} event - lean Event (references may be populated)
+ * @returns {Boolean}
+ */
+function budgetMatchesEvent(budget, event) {
+    if (budget.type !== _budgetTypeOf(event)) return false;
+    const date = new Date(event.date);
+    if (date < new Date(budget.dateFrom) || date > new Date(budget.dateTo)) return false;
+    if (budget.categoryId && _id(budget.categoryId) !== (_id(event.categoryId) || _id((event.categoryIds || [])[0]))) return false;
+    return !budget.projectId || _id(budget.projectId) === _id(event.projectId);
+}
+
+const _statusOf = (row, now) => {
+    if (row.type === 'expense') {
+        if (row.actual > row.amount) return 'over_budget';
+        return row.forecast > row.amount ? 'forecast_over' : 'ok';
+    }
+    if (row.forecast >= row.amount) return 'ok';
+    return row.dateTo <= now ? 'below_plan' : 'forecast_below';
+};
+
+/**
+ * @param {Object} deps - { Event, Budget, Category, Project }
+ */
+function createBudgetVariance({ Event, Budget, Category, Project }) {
+    /**
+     * Budgets overlapping a range (or the given budgets) with their actual and planned amounts
+     * @param {Object} params - { userIdQuery, dateFrom, dateTo, now, type?, categoryId?, projectId?, budgetIds? }
+     * @returns {Promise<Object>} { dateFrom, dateTo, asOf, budgets, totals, overBudgetCategories }
+     */
+    async function build({ userIdQuery, dateFrom = null, dateTo = null, now = new Date(), type = null, categoryId = null, projectId = null, budgetIds = null }) {
+        const query = { userId: userIdQuery, ...NOT_DELETED };
+        if (budgetIds) query._id = { $in: budgetIds };
+        if (dateFrom && dateTo) Object.assign(query, { dateFrom: { $lte: dateTo }, dateTo: { $gte: dateFrom } });
+        if (type) query.type = type;
+        if (categoryId) query.categoryId = categoryId;
+        if (projectId) query.projectId = projectId;
+        const budgets = await Budget.find(query).sort({ dateFrom: 1, _id: 1 }).lean();
+
+        const rows = budgets.map((budget) => ({
+            budget,
+            categoryId: _id(budget.categoryId),
+            projectId: _id(budget.projectId),
+            actual: 0,
+            planned: 0
+        }));
+
+        if (rows.length) {
+            // Budgets are matched over their whole period, even when it sticks out of the requested range
+            const scanFrom = new Date(Math.min(...budgets.map((budget) => new Date(budget.dateFrom).getTime())));
+            const scanTo = new Date(Math.max(...budgets.map((budget) => new Date(budget.dateTo).getTime())));
+            const cursor = Event.find({
+                userId: userIdQuery,
+                ...NOT_DELETED,
+                date: { $gte: scanFrom, $lte: scanTo },
+                type: { $in: ['income', 'expense', 'prepayment'] },
+                isTransfer: { $ne: true }
+            })
+                .select(EVENT_FIELDS)
+                .lean()
+                .batchSize(500)
+                .cursor();
+
+            for await (const event of cursor) {
+                if (!_isBudgetItem(event)) continue;
+                const amount = Math.abs(Number(event.amount) || 0);
+                const field = new Date(event.date) <= now ? 'actual' : 'planned';
+                rows.forEach((row) => {
+                    if (budgetMatchesEvent(row.budget, event)) row[field] += amount;
+                });
+            }
+        }
+
+        const categoryIds = [...new Set(rows.map((row) => row.categoryId).filter(Boolean))];
+        const projectIds = [...new Set(rows.map((row) => row.projectId).filter(Boolean))];
+        const [categoryDocs, projectDocs] = await Promise.all([
+            categoryIds.length ? Category.find({ _id: { $in: categoryIds } }).select('name').lean() : [],
+            projectIds.length ? Project.find({ _id: { $in: projectIds } }).select('name').lean() : []
+        ]);
+        const nameOf = new Map([...categoryDocs, ...projectDocs].map((doc) => [String(doc._id), doc.name || '']));
+
+        const result = rows.map(({ budget, categoryId: rowCategoryId, projectId: rowProjectId, actual, planned }) => {
+            const amount = Number(budget.amount) || 0;
+            const row = {
+                _id: budget._id,
+                name: budget.name || null,
+                type: budget.type,
+                period: budget.period,
+                dateFrom: budget.dateFrom,
+                dateTo: budget.dateTo,
+                categoryId: rowCategoryId || null,
+                categoryName: rowCategoryId ? (nameOf.get(rowCategoryId) || '') : null,
+                projectId: rowProjectId || null,
+                projectName: rowProjectId ? (nameOf.get(rowProjectId) || '') : null,
+                amount: _round(amount),
+                actual: _round(actual),
+                planned: _round(planned),
+                forecast: _round(actual + planned),
+                remaining: _round(amount - actual),
+                usedPercent: amount > 0 ? _round((actual / amount) * 100) : null,
+                alertThreshold: budget.alertThreshold ?? null
+            };
+            row.status = _statusOf(row, now);
+            return row;
+        });
+
+        const totals = Object.fromEntries(BUDGET_TYPES.map((budgetType) => {
+            const ofType = result.filter((row) => row.type === budgetType);
+            const sum = (field) => _round(ofType.reduce((total, row) => total + row[field], 0));
+            return [budgetType, { amount: sum('amount'), actual: sum('actual'), planned: sum('planned'), forecast: sum('forecast') }];
+        }));
+
+        return {
+            dateFrom,
+            dateTo,
+            asOf: now,
+            budgets: result,
+            totals,
+            overBudgetCategories: result
+                .filter((row) => row.type === 'expense' && row.categoryId && row.status === 'over_budget')
+                .map((row) => ({
+                    budgetId: row._id,
+                    period: row.period,
+                    categoryId: row.categoryId,
+                    categoryName: row.categoryName,
+                    projectId: row.projectId,
+                    projectName: row.projectName,
+                    amount: row.amount,
+                    actual: row.actual,
+                    overBy: _round(row.actual - row.amount)
+                }))
+                .sort((a, b) => b.overBy - a.overBy)
+        };
+    }
+
+    return { build };
+}
+
+module.exports = {
+    BUDGET_TYPES,
+    BUDGET_STATUSES,
+    normalizeBudgetFields,
+    budgetMatchesEvent,
+    createBudgetVariance
+};
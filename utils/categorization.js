@@ -0,0 +1,193 @@
+// utils/categorization.js
+// Auto-categorization: workspace rules (conditions -> actions) plus Contractor/Individual defaults.
+// Rules only fill what an operation is missing: a category picked by the user or present
+// in the statement always wins. Rules run by priority; the first rule to set a field owns it.
+
+const { NOT_DELETED } = require('./trash');
+
+const RULE_TYPES = ['income', 'expense'];
+const RULE_ACTION_FIELDS = ['categoryId', 'projectId', 'contractorId', 'excludeFromTotals'];
+const MAX_REGEX_LENGTH = 500;
+
+const _error = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const _id = (value) => (value ? String(value._id || value) : '');
+const _idList = (value) => (Array.isArray(value) ? value : (value ? [value] : []))
+    .map((item) => _id(item))
+    .filter((item) => /^[0-9a-fA-F]{24}$/.test(item));
+const _number = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Validate and normalize rule conditions/actions from a request body
+ * @param {Object} body - { name, priority, isActive, conditions, actions }
+ * @returns {Object} Rule fields
+ */
+function normalizeCategorizationRule(body = {}) {
+    const conditions = body.conditions || {};
+    const actions = body.actions || {};
+
+    const descriptionRegex = conditions.descriptionRegex ? String(conditions.descriptionRegex).trim() : null;
+    if (descriptionRegex) {
+        if (descriptionRegex.length > MAX_REGEX_LENGTH) throw _error('Description pattern is too long');
+        try { new RegExp(descriptionRegex, 'i'); } catch (err) { throw _error(`Invalid description pattern: ${err.message}`); }
+    }
+
+    const amountMin = _number(conditions.amountMin);
+    const amountMax = _number(conditions.amountMax);
+    if ((amountMin !== null && !Number.isFinite(amountMin)) || (amountMax !== null && !Number.isFinite(amountMax))) {
+        throw _error('Amount range must be numeric');
+    }
+    if (amountMin !== null && amountMax !== null && amountMin > amountMax) throw _error('amountMin is greater than amountMax');
+
+    const types = (Array.isArray(conditions.types) ? conditions.types : (conditions.types ? [conditions.types] : []))
+        .filter((type) => RULE_TYPES.includes(type));
+
+    const normalized = {
+        conditions: {
+            descriptionRegex,
+            contractorIds: _idList(conditions.contractorIds),
+            individualIds: _idList(conditions.individualIds),
+            accountIds: _idList(conditions.accountIds),
+            amountMin,
+            amountMax,
+            types
+        },
+        actions: {
+            categoryId: _id(actions.categoryId) || null,
+            projectId: _id(actions.projectId) || null,
+            contractorId: _id(actions.contractorId) || null,
+            excludeFromTotals: typeof actions.excludeFromTotals === 'boolean' ? actions.excludeFromTotals : null
+        }
+    };
+
+    const c = normalized.conditions;
+    const hasCondition = c.descriptionRegex || c.contractorIds.length || c.individualIds.length || c.accountIds.length
+        || c.amountMin !== null || c.amountMax !== null || c.types.length;
+    if (!hasCondition) throw _error('Rule needs at least one condition');
+    if (!RULE_ACTION_FIELDS.some((field) => normalized.actions[field] !== null)) throw _error('Rule needs at least one action');
+
+    if (body.name !== undefined) normalized.name = String(body.name || '').trim() || null;
+    if (body.priority !== undefined) normalized.priority = Number(body.priority) || 0;
+    if (body.isActive !== undefined) normalized.isActive = body.isActive !== false;
+    return normalized;
+}
+
+/**
+ * Does an operation satisfy all rule conditions
+ * @param {Object} rule - { conditions }
+ * @param {Object} op - Event-like { type, amount, description, accountId, contractorId, individualId, counterpartyIndividualId }
+ * @returns {Boolean}
+ */
+function matchesRule(rule, op) {
+    const c = rule.conditions || {};
+    if (!op || op.isTransfer || !RULE_TYPES.includes(op.type)) return false;
+    if (c.types?.length && !c.types.includes(op.type)) return false;
+
+    const amount = Math.abs(Number(op.amount) || 0);
+    if (c.amountMin !== null && c.amountMin !== undefined && amount < c.amountMin) return false;
+    if (c.amountMax !== null && c.amountMax !== undefined && amount > c.amountMax) return false;
+
+    if (c.accountIds?.length && !c.accountIds.map(String).includes(_id(op.accountId))) return false;
+    if (c.contractorIds?.length && !c.contractorIds.map(String).includes(_id(op.contractorId))) return false;
+    if (c.individualIds?.length) {
+        const ids = c.individualIds.map(String);
+        if (!ids.includes(_id(op.counterpartyIndividualId)) && !ids.includes(_id(op.individualId))) return false;
+    }
+
+    if (c.descriptionRegex) {
+        if (!rule._regex) rule._regex = new RegExp(c.descriptionRegex, 'i');
+        if (!rule._regex.test(String(op.description || ''))) return false;
+    }
+    return true;
+}
+
+const _isBlank = (op, field) => {
+    if (field === 'excludeFromTotals') return op.excludeFromTotals !== true;
+    return !op[field];
+};
+
+/**
+ * Compute the fields rules and counterparty defaults would set on an operation
+ * @param {Object} op - Event-like object
+ * @param {Object} context - { rules, counterpartyDefaults: Map(id -> { categoryId, projectId }) }
+ * @returns {{updates: Object, ruleIds: Array<String>}}
+ */
+function categorizeOperation(op, context) {
+    const updates = {};
+    const ruleIds = [];
+    const current = () => ({ ...op, ...updates });
+
+    for (const rule of context.rules || []) {
+        if (!matchesRule(rule, current())) continue;
+        let applied = false;
+        RULE_ACTION_FIELDS.forEach((field) => {
+            const value = rule.actions?.[field];
+            if (value === null || value === undefined || updates[field] !== undefined) return;
+            if (field === 'excludeFromTotals' && value !== true) return;
+            if (!_isBlank(op, field)) return;
+            updates[field] = value;
+            applied = true;
+        });
+        if (applied) ruleIds.push(String(rule._id));
+    }
+
+    // Contractor / Individual defaults (first default wins) fill what rules left empty
+    const state = current();
+    const counterpartyId = _id(state.contractorId) || _id(state.counterpartyIndividualId);
+    const defaults = counterpartyId ? context.counterpartyDefaults?.get(counterpartyId) : null;
+    if (defaults && RULE_TYPES.includes(op.type) && !op.isTransfer) {
+        if (!state.categoryId && defaults.categoryId) updates.categoryId = defaults.categoryId;
+        if (!state.projectId && defaults.projectId) updates.projectId = defaults.projectId;
+    }
+
+    if (updates.categoryId && !(Array.isArray(op.categoryIds) && op.categoryIds.length)) {
+        updates.categoryIds = [updates.categoryId];
+    }
+    return { updates, ruleIds };
+}
+
+/**
+ * @param {Object} deps - { CategorizationRule, Contractor, Individual }
+ */
+function createCategorizer({ CategorizationRule, Contractor, Individual }) {
+    const _firstDefault = (doc, single, multi) => {
+        const list = Array.isArray(doc[multi]) ? doc[multi] : [];
+        return _id(list[0]) || _id(doc[single]) || null;
+    };
+
+    /**
+     * Load active rules and counterparty defaults once per request
+     * @param {*} userId - composite workspace user id (query value)
+     */
+    async function loadContext(userId) {
+        const [rules, contractors, individuals] = await Promise.all([
+            CategorizationRule.find({ userId, isActive: true }).sort({ priority: 1, createdAt: 1 }).lean(),
+            Contractor.find({ userId, ...NOT_DELETED }).select('defaultProjectId defaultCategoryId defaultProjectIds defaultCategoryIds').lean(),
+            Individual.find({ userId, ...NOT_DELETED }).select('defaultProjectId defaultCategoryId defaultProjectIds defaultCategoryIds').lean()
+        ]);
+
+        const counterpartyDefaults = new Map();
+        [...contractors, ...individuals].forEach((doc) => {
+            const categoryId = _firstDefault(doc, 'defaultCategoryId', 'defaultCategoryIds');
+            const projectId = _firstDefault(doc, 'defaultProjectId', 'defaultProjectIds');
+            if (categoryId || projectId) counterpartyDefaults.set(String(doc._id), { categoryId, projectId });
+        });
+
+        return { rules, counterpartyDefaults };
+    }
+
+    return { loadContext, categorize: categorizeOperation };
+}
+
+module.exports = {
+    RULE_TYPES,
+    RULE_ACTION_FIELDS,
+    normalizeCategorizationRule,
+    matchesRule,
+    categorizeOperation,
+    createCategorizer
+};
@@ -0,0 +1,279 @@
+// utils/credits.js
+// Loans and credits: principal, annual rate, term and repayment schedule.
+//   - annuity: equal monthly payments, the interest part shrinks as the debt goes down
+//   - differentiated: equal principal parts plus interest on the remaining debt
+// Every installment is materialized as planned expense Events linked by creditId: one for the
+// principal part (creditPart 'principal', principal category) and one for the interest
+// (creditPart 'interest', interest category). The loan itself can be registered as an income
+// (creditPart 'receipt'). Receipts and principal repayments are financing, not P&L items.
+// Installments dated up to a date count as paid by that date, same as actuals everywhere else.
+
+const { NOT_DELETED } = require('./trash');
+
+const CREDIT_SCHEDULE_TYPES = ['annuity', 'differentiated'];
+const CREDIT_STATUSES = ['active', 'closed'];
+const CREDIT_PARTS = ['receipt', 'principal', 'interest'];
+const MAX_TERM_MONTHS = 600;
+// Changing any of these rebuilds the installments that are not due yet
+const CREDIT_SCHEDULE_FIELDS = ['principal', 'annualRate', 'termMonths', 'scheduleType', 'startDate', 'firstPaymentDate',
+    'contractorId', 'individualId', 'accountId', 'projectId', 'categoryId', 'interestCategoryId'];
+
+const _id = (value) => (value ? String(value._id || value) : '');
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const _isObjectId = (value) => /^[0-9a-fA-F]{24}$/.test(String(value || ''));
+
+const _error = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const _date = (value, label) => {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) throw _error(`Invalid ${label}: ${value}`);
+    return date;
+};
+
+// Same day of month N months later, clamped to the month end (31.01 -> 28.02)
+const _addMonths = (date, months) => {
+    const source = new Date(date);
+    const target = new Date(source.getFullYear(), source.getMonth() + months, 1, source.getHours(), source.getMinutes());
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(source.getDate(), lastDay));
+    return target;
+};
+
+/**
+ * Date of an installment: monthly from firstPaymentDate, or from a month after the loan was received
+ * @param {Object} credit
+ * @param {Number} index - installment index (0 = first)
+ * @returns {Date}
+ */
+const installmentDateOf = (credit, index = 0) => (credit.firstPaymentDate
+    ? _addMonths(credit.firstPaymentDate, index)
+    : _addMonths(credit.startDate, index + 1));
+
+/**
+ * Validate credit fields from a request body
+ * @param {Object} body - { name, principal, annualRate, termMonths, scheduleType, startDate, firstPaymentDate,
+ *                          contractorId, individualId, accountId, projectId, categoryId, interestCategoryId, status }
+ * @param {Object} options - { partial: true for updates (only the fields present are checked) }
+ * @returns {Object} fields to save
+ */
+function normalizeCreditFields(body = {}, { partial = false } = {}) {
+    const fields = {};
+    const has = (key) => !partial || body[key] !== undefined;
+
+    if (has('name')) {
+        fields.name = String(body.name || '').trim();
+        if (!fields.name) throw _error('Credit name is required');
+    }
+
+    ['contractorId', 'individualId', 'accountId', 'projectId', 'categoryId', 'interestCategoryId'].forEach((key) => {
+        if (!has(key)) return;
+        const value = _id(body[key]);
+        if (value && !_isObjectId(value)) throw _error(`Invalid ${key}: ${value}`);
+        fields[key] = value || null;
+    });
+
+    if (has('principal')) {
+        const principal = Number(body.principal);
+        if (!Number.isFinite(principal) || principal <= 0) throw _error(`Invalid principal: ${body.principal}`);
+        fields.principal = _round(principal);
+    }
+    if (has('annualRate')) {
+        const annualRate = Number(body.annualRate);
+        if (!Number.isFinite(annualRate) || annualRate < 0 || annualRate > 1000) throw _error(`Invalid annualRate: ${body.annualRate}`);
+        fields.annualRate = annualRate;
+    }
+    if (has('termMonths')) {
+        const termMonths = Number(body.termMonths);
+        if (!Number.isInteger(termMonths) || termMonths < 1 || termMonths > MAX_TERM_MONTHS) {
+            throw _error(`termMonths must be an integer between 1 and ${MAX_TERM_MONTHS}`);
+        }
+        fields.termMonths = termMonths;
+    }
+    if (has('scheduleType')) {
+        const scheduleType = body.scheduleType || 'annuity';
+        if (!CREDIT_SCHEDULE_TYPES.includes(scheduleType)) throw _error(`scheduleType must be one of: ${CREDIT_SCHEDULE_TYPES.join(', ')}`);
+        fields.scheduleType = scheduleType;
+    }
+
+    if (has('startDate')) fields.startDate = _date(body.startDate, 'startDate');
+    if (has('firstPaymentDate')) fields.firstPaymentDate = body.firstPaymentDate ? _date(body.firstPaymentDate, 'firstPaymentDate') : null;
+    if (fields.startDate && fields.firstPaymentDate && fields.firstPaymentDate < fields.startDate) {
+        throw _error('firstPaymentDate cannot be earlier than startDate');
+    }
+
+    if (body.status !== undefined || !partial) {
+        const status = body.status || 'active';
+        if (!CREDIT_STATUSES.includes(status)) throw _error(`Credit status must be one of: ${CREDIT_STATUSES.join(', ')}`);
+        fields.status = status;
+    }
+    return fields;
+}
+
+/**
+ * Monthly repayment schedule
+ * @param {Object} params - { principal, annualRate (% per year), termMonths, scheduleType, startDate, firstPaymentDate, startIndex }
+ *                          a schedule that continues an existing one starts at startIndex, with the remaining
+ *                          principal and number of installments
+ * @returns {Array<{index, date, payment, principal, interest, balanceAfter}>}
+ */
+function buildCreditSchedule({ principal, annualRate, termMonths, scheduleType = 'annuity', startDate, firstPaymentDate = null, startIndex = 0 }) {
+    const rate = (Number(annualRate) || 0) / 100 / 12;
+    const count = Number(termMonths) || 0;
+    let balance = _round(principal);
+    if (count < 1 || balance <= 0) return [];
+
+    const annuityPayment = rate > 0
+        ? balance * rate / (1 - Math.pow(1 + rate, -count))
+        : balance / count;
+    const principalPart = balance / count;
+
+    const rows = [];
+    for (let i = 0; i < count; i += 1) {
+        const interest = _round(balance * rate);
+        const isLast = i === count - 1;
+        // The last installment closes the debt, absorbing the rounding of the previous ones
+        let repaid = scheduleType === 'differentiated' ? _round(principalPart) : _round(annuityPayment - interest);
+        if (isLast || repaid > balance) repaid = balance;
+        balance = _round(balance - repaid);
+        rows.push({
+            index: startIndex + i,
+            date: installmentDateOf({ startDate, firstPaymentDate }, startIndex + i),
+            payment: _round(repaid + interest),
+            principal: repaid,
+            interest,
+            balanceAfter: balance
+        });
+    }
+    return rows;
+}
+
+/**
+ * @param {Object} deps - { Credit, Event, Contractor, Individual }
+ */
+function createCreditService({ Credit, Event, Contractor, Individual }) {
+    /**
+     * Schedule operations of the credits (without the loan receipt)
+     * @returns {Promise<Map>} creditId -> Array of Events
+     */
+    async function loadInstallments(userIdQuery, creditIds) {
+        const byCredit = new Map(creditIds.map((id) => [String(id), []]));
+        if (creditIds.length === 0) return byCredit;
+
+        const events = await Event.find({
+            userId: userIdQuery,
+            ...NOT_DELETED,
+            creditId: { $in: creditIds },
+            creditPart: { $in: ['principal', 'interest'] }
+        }).select('date amount creditId creditPart creditPaymentIndex').sort({ date: 1 }).lean();
+
+        events.forEach((event) => {
+            const rows = byCredit.get(_id(event.creditId));
+            if (rows) rows.push(event);
+        });
+        return byCredit;
+    }
+
+    /**
+     * Debt position of a credit as of a date
+     * @param {Object} credit - lean Credit
+     * @param {Array} installments - its schedule Events
+     * @param {Date} asOf
+     * @returns {Object}
+     */
+    function summarize(credit, installments, asOf) {
+        const totals = { principalPaid: 0, interestPaid: 0, principalPlanned: 0, interestPlanned: 0 };
+        const upcoming = new Map(); // installment index -> { date, principal, interest }
+        installments.forEach((event) => {
+            const amount = Math.abs(Number(event.amount) || 0);
+            const isPaid = new Date(event.date) <= asOf;
+            const part = event.creditPart === 'principal' ? 'principal' : 'interest';
+            totals[`${part}${isPaid ? 'Paid' : 'Planned'}`] += amount;
+            if (!isPaid) {
+                const key = event.creditPaymentIndex;
+                if (!upcoming.has(key)) upcoming.set(key, { index: key, date: event.date, principal: 0, interest: 0 });
+                upcoming.get(key)[part] += amount;
+            }
+        });
+        const next = [...upcoming.values()].sort((a, b) => new Date(a.date) - new Date(b.date))[0] || null;
+        const principal = Number(credit.principal) || 0;
+        const isReceived = !credit.startDate || new Date(credit.startDate) <= asOf;
+
+        return {
+            _id: credit._id,
+            name: credit.name,
+            contractorId: credit.contractorId || null,
+            individualId: credit.individualId || null,
+            scheduleType: credit.scheduleType,
+            annualRate: credit.annualRate,
+            termMonths: credit.termMonths,
+            startDate: credit.startDate,
+            status: credit.status,
+            principal: _round(principal),
+            principalPaid: _round(totals.principalPaid),
+            interestPaid: _round(totals.interestPaid),
+            remainingDebt: isReceived ? _round(Math.max(principal - totals.principalPaid, 0)) : 0,
+            interestPlanned: _round(totals.interestPlanned),
+            installmentsLeft: upcoming.size,
+            nextPayment: next ? { ...next, principal: _round(next.principal), interest: _round(next.interest), total: _round(next.principal + next.interest) } : null
+        };
+    }
+
+    /**
+     * Remaining debt per credit as of a date
+     * @param {Object} params - { userIdQuery, asOf, includeClosed }
+     * @returns {Promise<Object>} { asOf, credits, totals }
+     */
+    async function debtReport({ userIdQuery, asOf, includeClosed = false }) {
+        const query = { userId: userIdQuery, ...NOT_DELETED };
+        if (!includeClosed) query.status = 'active';
+        const credits = await Credit.find(query).sort({ startDate: 1 }).lean();
+        const installments = await loadInstallments(userIdQuery, credits.map((credit) => credit._id));
+        const rows = credits.map((credit) => summarize(credit, installments.get(String(credit._id)), asOf));
+
+        const [contractors, individuals] = await Promise.all([
+            _names(Contractor, rows.map((row) => _id(row.contractorId))),
+            _names(Individual, rows.map((row) => _id(row.individualId)))
+        ]);
+        const withNames = rows.map((row) => ({
+            ...row,
+            lenderName: contractors.get(_id(row.contractorId)) || individuals.get(_id(row.individualId)) || null
+        }));
+
+        const sum = (field) => _round(withNames.reduce((total, row) => total + row[field], 0));
+        return {
+            asOf,
+            credits: withNames,
+            totals: {
+                principal: sum('principal'),
+                principalPaid: sum('principalPaid'),
+                interestPaid: sum('interestPaid'),
+                remainingDebt: sum('remainingDebt'),
+                interestPlanned: sum('interestPlanned')
+            }
+        };
+    }
+
+    async function _names(Model, ids) {
+        const list = [...new Set(ids.filter(Boolean))];
+        if (list.length === 0) return new Map();
+        const docs = await Model.find({ _id: { $in: list } }).select('name').lean();
+        return new Map(docs.map((doc) => [String(doc._id), doc.name || '']));
+    }
+
+    return { loadInstallments, summarize, debtReport };
+}
+
+module.exports = {
+    CREDIT_SCHEDULE_TYPES,
+    CREDIT_STATUSES,
+    CREDIT_PARTS,
+    CREDIT_SCHEDULE_FIELDS,
+    normalizeCreditFields,
+    buildCreditSchedule,
+    installmentDateOf,
+    createCreditService
+};
@@ -0,0 +1,346 @@
+// utils/deals.js
+// Deals with a client: contract amount, payment schedule (tranches with due dates) and work acts.
+//
+// Money and delivery live on Events linked by dealId:
+//   - receipts: income Events (isDealTranche), dealTrancheId when registered against a tranche
+//   - work acts: income Events with isWorkAct, revenue recognized without money movement
+// Deal figures are computed from those Events, never stored on the Deal, so edits and deletes of
+// operations are reflected right away:
+//   outstanding = totalAmount - received (left to collect under the contract)
+//   receivable  = acted - received when positive (delivered but unpaid), advance when negative
+//
+// Receivables aging: receipts are applied to the tranches they were registered against, the rest
+// to the earliest unpaid tranches; unpaid tranche amounts are aged by days past their due date.
+
+const { NOT_DELETED } = require('./trash');
+
+const DEAL_STATUSES = ['open', 'closed', 'cancelled'];
+const AGING_BUCKETS = [
+    { key: '0_30', label: '0–30 дней', from: 0, to: 30 },
+    { key: '31_60', label: '31–60 дней', from: 31, to: 60 },
+    { key: '61_90', label: '61–90 дней', from: 61, to: 90 },
+    { key: '90_plus', label: 'Более 90 дней', from: 91, to: Infinity }
+];
+const DEAL_EVENT_FIELDS = 'date amount type isWorkAct dealId dealTrancheId';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const _id = (value) => (value ? String(value._id || value) : '');
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const _isObjectId = (value) => /^[0-9a-fA-F]{24}$/.test(String(value || ''));
+
+const _error = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const _date = (value, label) => {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) throw _error(`Invalid ${label}: ${value}`);
+    return date;
+};
+
+/**
+ * Validate deal fields from a request body
+ * @param {Object} body - { name, contractorId, counterpartyIndividualId, projectId, companyId, categoryId,
+ *                          totalAmount, startDate, status, description, tranches: [{ _id?, title, amount, dueDate }] }
+ * @param {Object} options - { partial: true for updates (only the fields present are checked),
+ *                             current: stored deal of a partial update, the tranches are checked against the merged values }
+ * @returns {Object} fields to save
+ */
+function normalizeDealFields(body = {}, { partial = false, current = null } = {}) {
+    const fields = {};
+    const has = (key) => !partial || body[key] !== undefined;
+
+    if (has('name')) {
+        fields.name = String(body.name || '').trim();
+        if (!fields.name) throw _error('Deal name is required');
+    }
+    if (has('description')) fields.description = body.description ? String(body.description) : null;
+
+    ['contractorId', 'counterpartyIndividualId', 'projectId', 'companyId', 'categoryId'].forEach((key) => {
+        if (!has(key)) return;
+        const value = _id(body[key]);
+        if (value && !_isObjectId(value)) throw _error(`Invalid ${key}: ${value}`);
+        fields[key] = value || null;
+    });
+    if (!partial && !fields.contractorId && !fields.counterpartyIndividualId) {
+        throw _error('Deal needs a client: contractorId or counterpartyIndividualId');
+    }
+
+    if (has('totalAmount') && !(body.totalAmount == null && !partial)) {
+        const totalAmount = Number(body.totalAmount);
+        if (!Number.isFinite(totalAmount) || totalAmount < 0) throw _error(`Invalid totalAmount: ${body.totalAmount}`);
+        fields.totalAmount = _round(totalAmount);
+    }
+
+    if (has('startDate')) fields.startDate = body.startDate ? _date(body.startDate, 'startDate') : new Date();
+
+    if (body.status !== undefined || !partial) {
+        const status = body.status || 'open';
+        if (!DEAL_STATUSES.includes(status)) throw _error(`Deal status must be one of: ${DEAL_STATUSES.join(', ')}`);
+        fields.status = status;
+    }
+
+    if (body.tranches !== undefined || !partial) {
+        const tranches = body.tranches || [];
+        if (!Array.isArray(tranches)) throw _error('tranches must be an array');
+        fields.tranches = tranches.map((tranche, index) => {
+            const amount = Number(tranche.amount);
+            if (!Number.isFinite(amount) || amount <= 0) throw _error(`Invalid amount of tranche ${index + 1}: ${tranche.amount}`);
+            const trancheId = _id(tranche._id);
+            if (trancheId && !_isObjectId(trancheId)) throw _error(`Invalid tranche _id: ${trancheId}`);
+            return {
+                ...(trancheId ? { _id: trancheId } : {}),
+                title: tranche.title ? String(tranche.title).trim() : `Транш ${index + 1}`,
+                amount: _round(amount),
+                dueDate: _date(tranche.dueDate, `dueDate of tranche ${index + 1}`)
+            };
+        });
+        // Without an explicit contract amount the schedule is the contract
+        if (!partial && fields.totalAmount === undefined) {
+            fields.totalAmount = _round(fields.tranches.reduce((total, tranche) => total + tranche.amount, 0));
+        }
+    }
+
+    // An update may change only one side: the other one comes from the stored deal
+    const tranches = fields.tranches !== undefined ? fields.tranches : current?.tranches;
+    const totalAmount = fields.totalAmount !== undefined ? fields.totalAmount : current?.totalAmount;
+    if (Array.isArray(tranches) && totalAmount != null) {
+        const scheduled = tranches.reduce((total, tranche) => total + (Number(tranche.amount) || 0), 0);
+        if (scheduled - totalAmount > 0.005) {
+            throw _error(`Tranches sum to ${_round(scheduled)}, more than the deal amount ${totalAmount}`);
+        }
+    }
+    return fields;
+}
+
+/**
+ * Bucket of a number of days past due, null when not due yet (due today is not overdue)
+ * @param {Number} daysOverdue
+ * @returns {String|null}
+ */
+const agingBucketOf = (daysOverdue) => {
+    if (daysOverdue <= 0) return null;
+    const bucket = AGING_BUCKETS.find((row) => daysOverdue >= row.from && daysOverdue <= row.to);
+    return bucket ? bucket.key : AGING_BUCKETS[AGING_BUCKETS.length - 1].key;
+};
+
+/**
+ * Tranche schedule of a deal with receipts applied
+ * @param {Object} deal - lean Deal
+ * @param {Array} receipts - lean receipt Events of the deal
+ * @param {Date} asOf
+ * @returns {Array} tranches with received, unpaid, daysOverdue, bucket
+ */
+function applyReceiptsToTranches(deal, receipts, asOf) {
+    const tranches = (deal.tranches || [])
+        .map((tranche) => ({
+            _id: tranche._id,
+            title: tranche.title,
+            amount: Number(tranche.amount) || 0,
+            dueDate: tranche.dueDate,
+            received: 0
+        }))
+        .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    const byId = new Map(tranches.map((tranche) => [_id(tranche._id), tranche]));
+
+    // Receipts registered against a tranche go there first, the overflow joins the unassigned pool
+    let pool = 0;
+    receipts.forEach((event) => {
+        const amount = Math.abs(Number(event.amount) || 0);
+        const tranche = byId.get(_id(event.dealTrancheId));
+        if (!tranche) {
+            pool += amount;
+            return;
+        }
+        const applied = Math.min(amount, Math.max(0, tranche.amount - tranche.received));
+        tranche.received += applied;
+        pool += amount - applied;
+    });
+    tranches.forEach((tranche) => {
+        const applied = Math.min(pool, Math.max(0, tranche.amount - tranche.received));
+        tranche.received += applied;
+        pool -= applied;
+    });
+
+    return tranches.map((tranche) => {
+        const unpaid = _round(tranche.amount - tranche.received);
+        const daysOverdue = Math.floor((asOf - new Date(tranche.dueDate)) / DAY_MS);
+        return {
+            ...tranche,
+            amount: _round(tranche.amount),
+            received: _round(tranche.received),
+            unpaid,
+            isPaid: unpaid < 0.005,
+            daysOverdue: unpaid >= 0.005 ? Math.max(daysOverdue, 0) : 0,
+            bucket: unpaid >= 0.005 ? agingBucketOf(daysOverdue) : null
+        };
+    });
+}
+
+/**
+ * @param {Object} deps - { Deal, Event, Contractor, Individual, Project }
+ */
+function createDealService({ Deal, Event, Contractor, Individual, Project }) {
+    // Receipts and work acts of the deals, dated up to asOf
+    async function _loadOperations(userIdQuery, dealIds, asOf) {
+        const byDeal = new Map(dealIds.map((id) => [String(id), { receipts: [], acts: [] }]));
+        if (dealIds.length === 0) return byDeal;
+
+        const events = await Event.find({
+            userId: userIdQuery,
+            ...NOT_DELETED,
+            dealId: { $in: dealIds },
+            type: { $in: ['income', 'prepayment'] },
+            ...(asOf ? { date: { $lte: asOf } } : {})
+        }).select(DEAL_EVENT_FIELDS).sort({ date: 1 }).lean();
+
+        events.forEach((event) => {
+            const row = byDeal.get(_id(event.dealId));
+            if (row) row[event.isWorkAct ? 'acts' : 'receipts'].push(event);
+        });
+        return byDeal;
+    }
+
+    async function _names(Model, ids) {
+        const list = [...new Set(ids.filter(Boolean).map(String))];
+        if (list.length === 0) return new Map();
+        const docs = await Model.find({ _id: { $in: list } }).select('name').lean();
+        return new Map(docs.map((doc) => [String(doc._id), doc.name || '']));
+    }
+
+    const _sum = (events) => events.reduce((total, event) => total + Math.abs(Number(event.amount) || 0), 0);
+
+    /**
+     * Deal figures computed from its operations
+     * @param {Object} deal - lean Deal
+     * @param {Object} operations - { receipts, acts }
+     * @param {Date} asOf
+     * @returns {Object} deal with received, acted, outstanding, receivable, advance, tranches
+     */
+    function summarize(deal, operations, asOf) {
+        const received = _sum(operations.receipts);
+        const acted = _sum(operations.acts);
+        const tranches = applyReceiptsToTranches(deal, operations.receipts, asOf);
+        const totalAmount = Number(deal.totalAmount) || 0;
+        return {
+            ...deal,
+            tranches,
+            received: _round(received),
+            acted: _round(acted),
+            outstanding: _round(Math.max(totalAmount - received, 0)),
+            receivable: _round(Math.max(acted - received, 0)),
+            advance: _round(Math.max(received - acted, 0)),
+            overdue: _round(tranches.filter((tranche) => tranche.bucket).reduce((total, tranche) => total + tranche.unpaid, 0)),
+            unscheduled: _round(Math.max(totalAmount - tranches.reduce((total, tranche) => total + tranche.amount, 0), 0))
+        };
+    }
+
+    /**
+     * Deals of the workspace with their figures
+     * @param {Object} params - { userIdQuery, status, asOf, ids }
+     * @returns {Promise<Array>}
+     */
+    async function list({ userIdQuery, status = null, asOf = new Date(), ids = null }) {
+        const query = { userId: userIdQuery, ...NOT_DELETED };
+        if (status) query.status = status;
+        if (ids) query._id = { $in: ids };
+        const deals = await Deal.find(query).sort({ startDate: -1, _id: -1 }).lean();
+        const operations = await _loadOperations(userIdQuery, deals.map((deal) => deal._id), asOf);
+        return deals.map((deal) => summarize(deal, operations.get(String(deal._id)), asOf));
+    }
+
+    /**
+     * Receivables aging of open deals: unpaid tranche amounts by days past due
+     * @param {Object} params - { userIdQuery, asOf }
+     * @returns {Promise<Object>} { asOf, buckets, clients, totals }
+     */
+    async function aging({ userIdQuery, asOf }) {
+        const deals = await list({ userIdQuery, status: 'open', asOf });
+
+        const clients = new Map(); // contractor | individual -> row
+        deals.forEach((deal) => {
+            const clientKey = _id(deal.contractorId) ? `c:${_id(deal.contractorId)}` : `i:${_id(deal.counterpartyIndividualId)}`;
+            if (!clients.has(clientKey)) {
+                clients.set(clientKey, {
+                    contractorId: deal.contractorId || null,
+                    individualId: deal.contractorId ? null : (deal.counterpartyIndividualId || null),
+                    notDue: 0,
+                    unscheduled: 0,
+                    buckets: Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket.key, 0])),
+                    deals: []
+                });
+            }
+            const client = clients.get(clientKey);
+            const unpaid = deal.tranches.filter((tranche) => !tranche.isPaid);
+            unpaid.forEach((tranche) => {
+                if (tranche.bucket) client.buckets[tranche.bucket] += tranche.unpaid;
+                else client.notDue += tranche.unpaid;
+            });
+            // Outstanding beyond the schedule has no due date
+            const scheduledUnpaid = unpaid.reduce((total, tranche) => total + tranche.unpaid, 0);
+            const unscheduled = Math.max(deal.outstanding - scheduledUnpaid, 0);
+            client.unscheduled += unscheduled;
+
+            if (unpaid.length || unscheduled >= 0.005) {
+                client.deals.push({
+                    dealId: deal._id,
+                    name: deal.name,
+                    projectId: deal.projectId || null,
+                    outstanding: deal.outstanding,
+                    overdue: deal.overdue,
+                    tranches: unpaid
+                });
+            }
+        });
+
+        const rows = [...clients.values()].filter((client) => client.deals.length);
+        const [contractorNames, individualNames, projectNames] = await Promise.all([
+            _names(Contractor, rows.map((row) => row.contractorId)),
+            _names(Individual, rows.map((row) => row.individualId)),
+            _names(Project, rows.flatMap((row) => row.deals.map((deal) => deal.projectId)))
+        ]);
+
+        const result = rows.map((row) => {
+            const buckets = Object.fromEntries(Object.entries(row.buckets).map(([key, value]) => [key, _round(value)]));
+            const overdue = _round(Object.values(row.buckets).reduce((total, value) => total + value, 0));
+            return {
+                contractorId: row.contractorId,
+                individualId: row.individualId,
+                name: row.contractorId ? (contractorNames.get(_id(row.contractorId)) || '') : (individualNames.get(_id(row.individualId)) || ''),
+                notDue: _round(row.notDue),
+                buckets,
+                overdue,
+                unscheduled: _round(row.unscheduled),
+                total: _round(row.notDue + overdue + row.unscheduled),
+                deals: row.deals.map((deal) => ({ ...deal, projectName: projectNames.get(_id(deal.projectId)) || '' }))
+            };
+        }).sort((a, b) => b.overdue - a.overdue || b.total - a.total);
+
+        const sum = (pick) => _round(result.reduce((total, row) => total + pick(row), 0));
+        return {
+            asOf,
+            buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+            clients: result,
+            totals: {
+                notDue: sum((row) => row.notDue),
+                buckets: Object.fromEntries(AGING_BUCKETS.map(({ key }) => [key, sum((row) => row.buckets[key])])),
+                overdue: sum((row) => row.overdue),
+                unscheduled: sum((row) => row.unscheduled),
+                total: sum((row) => row.total)
+            }
+        };
+    }
+
+    return { summarize, list, aging, loadOperations: _loadOperations };
+}
+
+module.exports = {
+    DEAL_STATUSES,
+    AGING_BUCKETS,
+    normalizeDealFields,
+    agingBucketOf,
+    applyReceiptsToTranches,
+    createDealService
+};
@@ -0,0 +1,192 @@
+// utils/eventHistory.js
+// Audit trail for operations: immutable EventRevision records with field-level diffs
+
+// Bookkeeping fields that are not part of the operation itself
+const UNTRACKED_FIELDS = new Set([
+    '_id', '__v', 'userId', 'createdAt',
+    'createdBy', 'createdByRole', 'updatedBy', 'updatedByRole',
+    'isDeleted', 'deletedAt', 'deletedBy', 'trashEntryId',
+    'periodUnlockedAt', 'periodUnlockedBy'
+]);
+
+const MAX_REVISION_ATTEMPTS = 5;
+
+function normalizeComparableEventValue(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(normalizeComparableEventValue);
+    if (value && typeof value === 'object') {
+        if (value._id) return String(value._id);
+        if (typeof value.toString === 'function') {
+            const asString = value.toString();
+            if (asString && asString !== '[object Object]') return asString;
+        }
+    }
+    return value ?? null;
+}
+
+/**
+ * Field-level diff between an existing event and incoming data
+ * @param {Object} existingEvent - Event document or lean object
+ * @param {Object} updatedData - Fields to compare (only these keys are checked)
+ * @returns {Array<{field: String, from: *, to: *}>}
+ */
+function getEventFieldChanges(existingEvent, updatedData = {}) {
+    return Object.keys(updatedData).reduce((changes, key) => {
+        const prevValue = normalizeComparableEventValue(existingEvent?.[key]);
+        const nextValue = normalizeComparableEventValue(updatedData[key]);
+        if (JSON.stringify(prevValue) !== JSON.stringify(nextValue)) {
+            changes.push({ field: key, from: prevValue, to: nextValue });
+        }
+        return changes;
+    }, []);
+}
+
+function hasMeaningfulEventChanges(existingEvent, updatedData = {}) {
+    return getEventFieldChanges(existingEvent, updatedData).length > 0;
+}
+
+/**
+ * Factory for the revision recorder
+ * @param {Object} deps - { Event, EventRevision }
+ */
+function createEventHistory(deps) {
+    const { Event, EventRevision } = deps;
+    const trackedFields = Object.keys(Event.schema.paths).filter((field) => !UNTRACKED_FIELDS.has(field));
+
+    const _toPlain = (event) => (event && typeof event.toObject === 'function')
+        ? event.toObject({ depopulate: true })
+        : (event || {});
+
+    /**
+     * Operation fields that go into a revision snapshot (ids instead of populated docs)
+     * @param {Object} event
+     * @returns {Object}
+     */
+    const pickTrackedFields = (event) => {
+        const plain = _toPlain(event);
+        const snapshot = {};
+        trackedFields.forEach((field) => {
+            if (plain[field] !== undefined) snapshot[field] = normalizeComparableEventValue(plain[field]);
+        });
+        return snapshot;
+    };
+
+    // Next revision per event; several items of one event in a batch get consecutive numbers
+    const _nextRevisionNumbers = async (eventIds) => {
+        const rows = await EventRevision.aggregate([
+            { $match: { eventId: { $in: eventIds } } },
+            { $group: { _id: '$eventId', last: { $max: '$revision' } } }
+        ]);
+        const map = new Map(rows.map((row) => [String(row._id), row.last]));
+        return (id) => {
+            const next = (map.get(String(id)) || 0) + 1;
+            map.set(String(id), next);
+            return next;
+        };
+    };
+
+    const _isDuplicateRevision = (err) => err?.code === 11000 || (err?.writeErrors || []).some((item) => item.code === 11000);
+
+    /**
+     * Store revisions for a batch of events
+     * @param {String} action - create | update | delete | restore | revert | unlock
+     * @param {Array<{event: Object, changes?: Array, meta?: Object}>} items
+     * @param {Object} actor - { userId, workspaceId, actorId, actorRole }
+     */
+    async function _record(action, items, actor = {}) {
+        let pending = items.filter((item) => item?.event?._id);
+        const saved = [];
+
+        // A concurrent write may take the same revision number (unique eventId + revision):
+        // the rejected items are numbered again from the stored revisions
+        for (let attempt = 0; attempt < MAX_REVISION_ATTEMPTS && pending.length > 0; attempt += 1) {
+            const nextRevision = await _nextRevisionNumbers(pending.map((item) => item.event._id));
+            const docs = pending.map((item) => ({
+                eventId: item.event._id,
+                userId: actor.userId ?? _toPlain(item.event).userId,
+                workspaceId: actor.workspaceId || null,
+                revision: nextRevision(item.event._id),
+                action,
+                changes: item.changes || [],
+                snapshot: pickTrackedFields(item.event),
+                meta: item.meta || null,
+                actorId: actor.actorId || null,
+                actorRole: actor.actorRole || null
+            }));
+
+            try {
+                saved.push(...await EventRevision.insertMany(docs, { ordered: false }));
+                pending = [];
+            } catch (err) {
+                if (!_isDuplicateRevision(err)) {
+                    // History must never break the operation itself
+                    console.error('[EventHistory] Failed to store revisions:', err.message);
+                    return saved;
+                }
+                saved.push(...(err.insertedDocs || []));
+                const failed = new Set((err.writeErrors || []).filter((item) => item.code === 11000).map((item) => item.index));
+                pending = err.writeErrors ? pending.filter((item, index) => failed.has(index)) : pending;
+            }
+        }
+
+        if (pending.length > 0) console.error(`[EventHistory] Failed to store ${pending.length} revision(s): revision number conflict`);
+        return saved;
+    }
+
+    const recordCreate = (events, actor, meta = null) => _record(
+        'create',
+        [].concat(events || []).map((event) => ({ event, meta })),
+        actor
+    );
+
+    /**
+     * @param {Object} before - Event state before the update (plain object or document)
+     * @param {Object} after - Event state after the update
+     */
+    const recordUpdate = (before, after, actor, meta = null) => {
+        const changes = getEventFieldChanges(pickTrackedFields(before), pickTrackedFields(after));
+        if (changes.length === 0) return Promise.resolve([]);
+        return _record('update', [{ event: after, changes, meta }], actor);
+    };
+
+    const recordDelete = (events, actor, meta = null) => _record(
+        'delete',
+        [].concat(events || []).map((event) => ({ event, meta })),
+        actor
+    );
+
+    const recordRestore = (events, actor, meta = null) => _record(
+        'restore',
+        [].concat(events || []).map((event) => ({ event, meta })),
+        actor
+    );
+
+    const recordRevert = (before, after, actor, revision) => _record('revert', [{
+        event: after,
+        changes: getEventFieldChanges(pickTrackedFields(before), pickTrackedFields(after)),
+        meta: { revertedToRevision: revision.revision, revertedToRevisionId: revision._id }
+    }], actor);
+
+    // Admin unlock of an operation in a closed period (utils/periodLock.js)
+    const recordUnlock = (event, actor, meta = null) => _record('unlock', [{ event, meta }], actor);
+
+    return {
+        trackedFields,
+        pickTrackedFields,
+        recordCreate,
+        recordUpdate,
+        recordDelete,
+        recordRestore,
+        recordRevert,
+        recordUnlock,
+        record: _record
+    };
+}
+
+module.exports = {
+    UNTRACKED_FIELDS,
+    normalizeComparableEventValue,
+    getEventFieldChanges,
+    hasMeaningfulEventChanges,
+    createEventHistory
+};
@@ -0,0 +1,289 @@
+// utils/export.js
+// Operations export: filters -> Mongo query, Event -> flat row with entity names,
+// and streaming writers (CSV / XLSX / JSON) fed by a Mongo cursor.
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { NOT_DELETED } = require('./trash');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+const EXPORT_TYPES = ['income', 'expense', 'transfer'];
+
+const TYPE_LABELS = { income: 'Доход', expense: 'Расход', transfer: 'Перевод' };
+const TRANSFER_PURPOSE_LABELS = { internal: 'Внутренний', inter_company: 'Межкомпанийский', personal: 'Личный' };
+
+const EXPORT_COLUMNS = [
+    { key: 'date', header: 'Дата', width: 12 },
+    { key: 'type', header: 'Тип', width: 10 },
+    { key: 'amount', header: 'Сумма', width: 14 },
+    { key: 'account', header: 'Счет', width: 22 },
+    { key: 'fromAccount', header: 'Со счета', width: 22 },
+    { key: 'toAccount', header: 'На счет', width: 22 },
+    { key: 'company', header: 'Компания', width: 22 },
+    { key: 'counterparty', header: 'Контрагент', width: 26 },
+    { key: 'project', header: 'Проект', width: 20 },
+    { key: 'category', header: 'Категория', width: 20 },
+    { key: 'description', header: 'Описание', width: 40 },
+    { key: 'transferPurpose', header: 'Вид перевода', width: 16 },
+    { key: 'excludeFromTotals', header: 'Не учитывать в итогах', width: 12 },
+    { key: 'id', header: 'ID', width: 26 }
+];
+
+const _error = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const _list = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map((item) => String(item).trim())
+        .filter(Boolean);
+};
+
+const _ids = (value) => _list(value).filter((item) => /^[0-9a-fA-F]{24}$/.test(item));
+
+const _date = (value, endOfDay = false) => {
+    if (!value) return null;
+    const text = String(value);
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(text)
+        ? new Date(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`)
+        : new Date(text);
+    if (isNaN(date.getTime())) throw _error(`Invalid date: ${value}`);
+    return date;
+};
+
+/**
+ * Parse export filters from a query string
+ * @param {Object} query - req.query
+ * @param {Array<String>} formats - allowed formats, the first one is the default
+ * @returns {Object} { format, dateFrom, dateTo, types, accountIds, projectIds, categoryIds, contractorIds, individualIds, includeTransfers }
+ */
+function parseExportFilters(query = {}, formats = EXPORT_FORMATS) {
+    const format = String(query.format || formats[0]).toLowerCase();
+    if (!formats.includes(format)) throw _error(`Unsupported export format: ${format}`);
+
+    const types = _list(query.types).filter((type) => EXPORT_TYPES.includes(type));
+    return {
+        format,
+        dateFrom: _date(query.dateFrom || query.startDate),
+        dateTo: _date(query.dateTo || query.endDate, true),
+        types,
+        accountIds: _ids(query.accountIds),
+        projectIds: _ids(query.projectIds),
+        categoryIds: _ids(query.categoryIds),
+        contractorIds: _ids(query.contractorIds),
+        individualIds: _ids(query.individualIds),
+        includeTransfers: !['false', '0', 'no'].includes(String(query.includeTransfers ?? 'true').toLowerCase())
+    };
+}
+
+const TRANSFER_CONDITION = { $or: [{ isTransfer: true }, { type: 'transfer' }, { transferGroupId: { $nin: [null, ''] } }] };
+const NOT_TRANSFER_CONDITION = { isTransfer: { $ne: true }, type: { $ne: 'transfer' }, transferGroupId: { $in: [null, ''] } };
+
+/**
+ * Build the Event query for export filters
+ * @param {*} userIdQuery - value for the userId field (see buildUserIdQuery)
+ * @param {Object} filters - parseExportFilters() result
+ * @returns {Object}
+ */
+function buildExportQuery(userIdQuery, filters) {
+    // Split children are allocations of their parent payment: exporting both would count it twice
+    const and = [{ userId: userIdQuery, ...NOT_DELETED, isSplitChild: { $ne: true } }];
+
+    if (filters.dateFrom || filters.dateTo) {
+        const date = {};
+        if (filters.dateFrom) date.$gte = filters.dateFrom;
+        if (filters.dateTo) date.$lte = filters.dateTo;
+        and.push({ date });
+    }
+
+    // Transfers are selected either by the "transfer" type or the includeTransfers flag
+    const plainTypes = filters.types.filter((type) => type !== 'transfer');
+    const wantsTransfers = filters.includeTransfers && (filters.types.length === 0 || filters.types.includes('transfer'));
+    if (filters.types.length > 0 || !filters.includeTransfers) {
+        const typeOr = [];
+        if (plainTypes.length > 0 || filters.types.length === 0) {
+            typeOr.push({ ...NOT_TRANSFER_CONDITION, ...(plainTypes.length ? { type: { $in: plainTypes } } : {}) });
+        }
+        if (wantsTransfers) typeOr.push(TRANSFER_CONDITION);
+        if (typeOr.length === 0) and.push({ _id: null }); // nothing can match
+        else and.push(typeOr.length === 1 ? typeOr[0] : { $or: typeOr });
+    }
+
+    if (filters.accountIds.length) {
+        and.push({ $or: ['accountId', 'fromAccountId', 'toAccountId'].map((field) => ({ [field]: { $in: filters.accountIds } })) });
+    }
+    if (filters.projectIds.length) and.push({ projectId: { $in: filters.projectIds } });
+    if (filters.categoryIds.length) {
+        and.push({ $or: [{ categoryId: { $in: filters.categoryIds } }, { categoryIds: { $in: filters.categoryIds } }] });
+    }
+    if (filters.contractorIds.length || filters.individualIds.length) {
+        const counterpartyOr = [];
+        if (filters.contractorIds.length) counterpartyOr.push({ contractorId: { $in: filters.contractorIds } });
+        if (filters.individualIds.length) {
+            counterpartyOr.push({ counterpartyIndividualId: { $in: filters.individualIds } });
+            counterpartyOr.push({ individualId: { $in: filters.individualIds } });
+        }
+        and.push({ $or: counterpartyOr });
+    }
+
+    return and.length === 1 ? and[0] : { $and: and };
+}
+
+/**
+ * Id -> name lookup for all directory entities of the workspace (trashed ones too: old operations keep their names)
+ * @param {Object} models - { Account, Company, Individual, Contractor, Project, Category }
+ * @param {*} userIdQuery
+ * @returns {Promise<Function>} (id) => name
+ */
+async function loadEntityNames(models, userIdQuery) {
+    const collections = ['Account', 'Company', 'Individual', 'Contractor', 'Project', 'Category'];
+    const lists = await Promise.all(collections.map((name) => models[name].find({ userId: userIdQuery }).select('name').lean()));
+    const names = new Map();
+    lists.forEach((list) => list.forEach((doc) => names.set(String(doc._id), doc.name || '')));
+    return (id) => (id ? names.get(String(id._id || id)) || '' : '');
+}
+
+const _isTransfer = (event) => event.isTransfer === true || event.type === 'transfer';
+
+const _formatDate = (date) => {
+    if (!date) return '';
+    const d = new Date(date);
+    return `${String(d.getDate()).padStart(2, '0')}.${String(d.getMonth() + 1).padStart(2, '0')}.${d.getFullYear()}`;
+};
+
+/**
+ * Flatten an Event into an export row with human-readable names
+ * @param {Object} event - lean Event
+ * @param {Function} nameOf - loadEntityNames() result
+ * @returns {Object}
+ */
+function toExportRow(event, nameOf) {
+    const isTransfer = _isTransfer(event);
+    const type = isTransfer ? 'transfer' : event.type;
+    return {
+        id: String(event._id),
+        date: event.date ? new Date(event.date) : null,
+        type: TYPE_LABELS[type] || type || '',
+        amount: Math.abs(Number(event.amount) || 0),
+        account: nameOf(event.accountId),
+        fromAccount: isTransfer ? nameOf(event.fromAccountId) : '',
+        toAccount: isTransfer ? nameOf(event.toAccountId) : '',
+        company: nameOf(event.companyId) || (isTransfer ? [nameOf(event.fromCompanyId), nameOf(event.toCompanyId)].filter(Boolean).join(' → ') : ''),
+        counterparty: nameOf(event.contractorId) || nameOf(event.counterpartyIndividualId) || nameOf(event.individualId)
+            || (isTransfer ? [nameOf(event.fromIndividualId), nameOf(event.toIndividualId)].filter(Boolean).join(' → ') : ''),
+        project: nameOf(event.projectId),
+        category: nameOf(event.categoryId) || (event.categoryIds || []).map(nameOf).filter(Boolean).join(', '),
+        description: event.description || '',
+        transferPurpose: isTransfer ? (TRANSFER_PURPOSE_LABELS[event.transferPurpose] || event.transferPurpose || '') : '',
+        excludeFromTotals: event.excludeFromTotals ? 'Да' : ''
+    };
+}
+
+const _csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Respect backpressure; a client that disconnects mid-download stops the export
+const _write = async (stream, chunk) => {
+    if (stream.destroyed) throw new Error('Export stream closed');
+    if (stream.write(chunk)) return;
+    const controller = new AbortController();
+    try {
+        await Promise.race([
+            once(stream, 'drain', { signal: controller.signal }),
+            once(stream, 'close', { signal: controller.signal }).then(() => { throw new Error('Export stream closed'); })
+        ]);
+    } finally {
+        controller.abort();
+    }
+};
+
+/**
+ * Stream rows as CSV (";" separated, UTF-8 BOM so Excel opens Cyrillic correctly)
+ * @param {Stream} stream
+ * @param {AsyncIterable<Object>} rows
+ * @returns {Promise<Number>} rows written
+ */
+async function writeCsv(stream, rows) {
+    let count = 0;
+    await _write(stream, '\uFEFF' + EXPORT_COLUMNS.map((column) => _csvCell(column.header)).join(';') + '\r\n');
+    for await (const row of rows) {
+        const cells = EXPORT_COLUMNS.map((column) => {
+            if (column.key === 'date') return _formatDate(row.date);
+            if (column.key === 'amount') return String(row.amount).replace('.', ',');
+            return _csvCell(row[column.key]);
+        });
+        await _write(stream, cells.join(';') + '\r\n');
+        count++;
+    }
+    stream.end();
+    return count;
+}
+
+/**
+ * Stream rows as XLSX (rows are committed one by one, nothing is kept in memory)
+ * @param {Stream} stream
+ * @param {AsyncIterable<Object>} rows
+ * @returns {Promise<Number>} rows written
+ */
+async function writeXlsx(stream, rows) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Операции');
+    sheet.columns = EXPORT_COLUMNS.map((column) => ({ header: column.header, key: column.key, width: column.width }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    let count = 0;
+    for await (const row of rows) {
+        const added = sheet.addRow(row);
+        added.getCell('date').numFmt = 'dd.mm.yyyy';
+        added.getCell('amount').numFmt = '#,##0.00';
+        added.commit();
+        count++;
+    }
+    sheet.commit();
+    await workbook.commit();
+    return count;
+}
+
+/**
+ * Stream rows as a JSON array
+ * @param {Stream} stream
+ * @param {AsyncIterable<Object>} rows
+ * @returns {Promise<Number>} rows written
+ */
+async function writeJson(stream, rows) {
+    let count = 0;
+    await _write(stream, '[');
+    for await (const row of rows) {
+        await _write(stream, (count > 0 ? ',' : '') + JSON.stringify(row));
+        count++;
+    }
+    await _write(stream, ']');
+    stream.end();
+    return count;
+}
+
+const EXPORT_WRITERS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', write: writeCsv },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx', write: writeXlsx },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json', write: writeJson }
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    EXPORT_WRITERS,
+    parseExportFilters,
+    buildExportQuery,
+    loadEntityNames,
+    toExportRow,
+    writeChunk: _write,
+    writeCsv,
+    writeXlsx,
+    writeJson
+};
@@ -0,0 +1,464 @@
+// utils/export1c.js
+// Export of operations for 1C: EnterpriseData XML (documents + counterparties, contracts,
+// cost items) and the ClientBank exchange text (1CClientBankExchange, windows-1251).
+// Categories become 1C cost items through the workspace CategoryMapping ('1c_cost_item').
+
+const crypto = require('crypto');
+const { writeChunk } = require('./export');
+
+const ONE_C_FORMATS = ['enterprise_data', 'client_bank'];
+const COST_ITEM_KIND = '1c_cost_item';
+const ENTERPRISE_DATA_FORMAT = 'http://v8.1c.ru/edi/edi_stnd/EnterpriseData/1.8';
+
+const _id = (value) => (value ? String(value._id || value) : '');
+
+// ============================================
+// Encoding / formatting
+// ============================================
+
+// Kazakh letters are missing in windows-1251: the closest Russian letter keeps names readable
+const KAZAKH_FALLBACK = {
+    'Ә': 'А', 'ә': 'а', 'Ғ': 'Г', 'ғ': 'г', 'Қ': 'К', 'қ': 'к', 'Ң': 'Н', 'ң': 'н',
+    'Ө': 'О', 'ө': 'о', 'Ұ': 'У', 'ұ': 'у', 'Ү': 'У', 'ү': 'у', 'Һ': 'Х', 'һ': 'х'
+};
+const CP1251_EXTRA = {
+    'Ё': 0xA8, 'ё': 0xB8, 'І': 0xB2, 'і': 0xB3, '№': 0xB9, '«': 0xAB, '»': 0xBB,
+    '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, ' ': 0xA0
+};
+
+/**
+ * Encode text as windows-1251 (Node has no built-in encoder for it)
+ * @param {String} text
+ * @returns {Buffer}
+ */
+function encodeWindows1251(text) {
+    const bytes = [];
+    for (const original of String(text)) {
+        const char = KAZAKH_FALLBACK[original] || original;
+        const code = char.charCodeAt(0);
+        if (code < 0x80) bytes.push(code);
+        else if (code >= 0x0410 && code <= 0x044F) bytes.push(code - 0x0410 + 0xC0);
+        else if (CP1251_EXTRA[char] !== undefined) bytes.push(CP1251_EXTRA[char]);
+        else bytes.push(0x3F); // '?'
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Stable 1C reference (GUID) for a local entity: re-exports update objects instead of duplicating them
+ * @param {String} kind - entity kind, keeps ids of different collections apart
+ * @param {*} id
+ * @returns {String}
+ */
+function oneCRef(kind, id) {
+    const hex = crypto.createHash('sha1').update(`${kind}:${_id(id)}`).digest('hex');
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+const _pad = (value) => String(value).padStart(2, '0');
+const _dateRu = (date) => {
+    const d = new Date(date);
+    return `${_pad(d.getDate())}.${_pad(d.getMonth() + 1)}.${d.getFullYear()}`;
+};
+const _dateIso = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${_pad(d.getMonth() + 1)}-${_pad(d.getDate())}T${_pad(d.getHours())}:${_pad(d.getMinutes())}:${_pad(d.getSeconds())}`;
+};
+const _amount = (value) => Math.abs(Number(value) || 0).toFixed(2);
+const _xml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+// ClientBank is "key=value" per line: line breaks inside values would start a new key
+const _line = (value) => String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+
+// ============================================
+// Context: directories and cost item mapping
+// ============================================
+
+/**
+ * Load everything a 1C document refers to (trashed entities too: old operations keep them)
+ * @param {Object} models - { Account, Company, Contractor, Individual, Category, CategoryMapping }
+ * @param {*} userIdQuery - value for the userId field (see buildUserIdQuery)
+ * @returns {Promise<Object>} { accounts, companies, contractors, individuals, categories, costItems } - Maps by id
+ */
+async function loadOneCContext(models, userIdQuery) {
+    const [accounts, companies, contractors, individuals, categories, mappings] = await Promise.all([
+        models.Account.find({ userId: userIdQuery }).select('name accountNumber isCashRegister companyId individualId').lean(),
+        models.Company.find({ userId: userIdQuery }).select('name identificationNumber legalForm').lean(),
+        models.Contractor.find({ userId: userIdQuery }).select('name identificationNumber contractNumber contractDate').lean(),
+        models.Individual.find({ userId: userIdQuery }).select('name identificationNumber legalForm').lean(),
+        models.Category.find({ userId: userIdQuery }).select('name type').lean(),
+        models.CategoryMapping.find({ userId: userIdQuery, kind: COST_ITEM_KIND }).lean()
+    ]);
+    const byId = (list) => new Map(list.map((doc) => [String(doc._id), doc]));
+
+    const categoryMap = byId(categories);
+    const costItems = new Map();
+    mappings.forEach((mapping) => {
+        const category = categoryMap.get(String(mapping.categoryId));
+        costItems.set(String(mapping.categoryId), {
+            code: mapping.code || null,
+            name: mapping.name || category?.name || mapping.code
+        });
+    });
+
+    return {
+        accounts: byId(accounts),
+        companies: byId(companies),
+        contractors: byId(contractors),
+        individuals: byId(individuals),
+        categories: categoryMap,
+        costItems
+    };
+}
+
+const _organization = (ctx, companyId, individualId) => {
+    const company = ctx.companies.get(_id(companyId));
+    if (company) return { kind: 'company', id: _id(company), name: company.name || '', bin: company.identificationNumber || '' };
+    const individual = ctx.individuals.get(_id(individualId));
+    if (individual) return { kind: 'individual', id: _id(individual), name: individual.name || '', bin: individual.identificationNumber || '' };
+    return null;
+};
+
+const _counterparty = (ctx, event) => {
+    const contractor = ctx.contractors.get(_id(event.contractorId));
+    if (contractor) {
+        return {
+            kind: 'contractor',
+            id: _id(contractor),
+            name: contractor.name || '',
+            bin: contractor.identificationNumber || '',
+            contract: contractor.contractNumber || contractor.contractDate
+                ? { number: contractor.contractNumber || '', date: contractor.contractDate || null }
+                : null
+        };
+    }
+    const individual = ctx.individuals.get(_id(event.counterpartyIndividualId || event.individualId));
+    if (individual) return { kind: 'individual', id: _id(individual), name: individual.name || '', bin: individual.identificationNumber || '', contract: null };
+    return null;
+};
+
+const _costItem = (ctx, event) => {
+    const categoryId = _id(event.categoryId) || _id((event.categoryIds || [])[0]);
+    if (!categoryId) return null;
+    const mapped = ctx.costItems.get(categoryId);
+    if (mapped) return { id: categoryId, ...mapped };
+    const category = ctx.categories.get(categoryId);
+    return category ? { id: categoryId, code: null, name: category.name || '' } : null;
+};
+
+const _purpose = (event, counterparty) => {
+    const parts = [event.description || ''];
+    const contract = counterparty?.contract;
+    if (contract && contract.number) {
+        parts.push(`по договору № ${contract.number}${contract.date ? ` от ${_dateRu(contract.date)}` : ''}`);
+    }
+    return _line(parts.filter(Boolean).join(', '));
+};
+
+/**
+ * Describe an Event as a 1C payment document
+ * @param {Object} event - lean Event
+ * @param {Object} ctx - loadOneCContext() result
+ * @returns {Object|null} null when the operation has no account to move money on
+ */
+function toOneCDocument(event, ctx) {
+    const isTransfer = event.isTransfer === true || event.type === 'transfer';
+    const base = {
+        id: _id(event),
+        date: new Date(event.date),
+        number: _line(event.bankReference) || null,
+        amount: _amount(event.amount),
+        purpose: _purpose(event, null)
+    };
+
+    if (isTransfer) {
+        const from = ctx.accounts.get(_id(event.fromAccountId));
+        const to = ctx.accounts.get(_id(event.toAccountId));
+        if (!from || !to) return null;
+        return {
+            ...base,
+            direction: 'transfer',
+            transferPurpose: event.transferPurpose || null,
+            account: from,
+            toAccount: to,
+            organization: _organization(ctx, event.fromCompanyId || from.companyId, event.fromIndividualId || from.individualId),
+            toOrganization: _organization(ctx, event.toCompanyId || to.companyId, event.toIndividualId || to.individualId),
+            counterparty: null,
+            costItem: null
+        };
+    }
+
+    if (!['income', 'expense'].includes(event.type)) return null;
+    const account = ctx.accounts.get(_id(event.accountId));
+    if (!account) return null;
+    const counterparty = _counterparty(ctx, event);
+    return {
+        ...base,
+        direction: event.type === 'income' ? 'incoming' : 'outgoing',
+        account,
+        organization: _organization(ctx, event.companyId || account.companyId, account.individualId),
+        counterparty,
+        costItem: _costItem(ctx, event),
+        purpose: _purpose(event, counterparty)
+    };
+}
+
+// ============================================
+// ClientBank (1CClientBankExchange)
+// ============================================
+
+const _clientBankParty = (prefix, account, party) => [
+    `${prefix}Счет=${_line(account?.accountNumber)}`,
+    `${prefix}=${_line(party?.name || account?.name)}`,
+    `${prefix}ИНН=${_line(party?.bin)}`
+];
+
+const _clientBankDocument = (doc) => {
+    // Side of our account: outgoing payments and transfers are paid from it, incoming ones are received
+    let payer;
+    let recipient;
+    if (doc.direction === 'incoming') {
+        payer = _clientBankParty('Плательщик', null, doc.counterparty);
+        recipient = _clientBankParty('Получатель', doc.account, doc.organization);
+    } else if (doc.direction === 'outgoing') {
+        payer = _clientBankParty('Плательщик', doc.account, doc.organization);
+        recipient = _clientBankParty('Получатель', null, doc.counterparty);
+    } else {
+        payer = _clientBankParty('Плательщик', doc.account, doc.organization);
+        recipient = _clientBankParty('Получатель', doc.toAccount, doc.toOrganization);
+    }
+
+    return [
+        'СекцияДокумент=Платежное поручение',
+        `Номер=${doc.number}`,
+        `Дата=${_dateRu(doc.date)}`,
+        `Сумма=${doc.amount}`,
+        ...payer,
+        ...recipient,
+        ...(doc.direction !== 'incoming' ? [`ДатаСписано=${_dateRu(doc.date)}`] : []),
+        ...(doc.direction !== 'outgoing' ? [`ДатаПоступило=${_dateRu(doc.date)}`] : []),
+        `НазначениеПлатежа=${doc.purpose}`,
+        'КонецДокумента'
+    ];
+};
+
+/**
+ * Stream documents as a 1CClientBankExchange file. Operations that touch no bank account
+ * (cash register only) are skipped: the format carries bank documents.
+ * @param {Stream} stream
+ * @param {AsyncIterable<Object>} documents - toOneCDocument() results
+ * @param {Object} meta - { dateFrom, dateTo, accounts: [Account] (accounts to list in the header), sender }
+ * @returns {Promise<{exported: Number, skipped: Number}>}
+ */
+async function writeClientBank(stream, documents, meta = {}) {
+    const now = new Date();
+    const header = [
+        '1CClientBankExchange',
+        'ВерсияФормата=1.03',
+        'Кодировка=Windows',
+        `Отправитель=${_line(meta.sender)}`,
+        'Получатель=',
+        `ДатаСоздания=${_dateRu(now)}`,
+        `ВремяСоздания=${_pad(now.getHours())}:${_pad(now.getMinutes())}:${_pad(now.getSeconds())}`,
+        ...(meta.dateFrom ? [`ДатаНачала=${_dateRu(meta.dateFrom)}`] : []),
+        ...(meta.dateTo ? [`ДатаКонца=${_dateRu(meta.dateTo)}`] : []),
+        ...(meta.accounts || []).filter((account) => account.accountNumber).map((account) => `РасчСчет=${_line(account.accountNumber)}`)
+    ];
+    await writeChunk(stream, encodeWindows1251(header.join('\r\n') + '\r\n'));
+
+    let exported = 0;
+    let skipped = 0;
+    for await (const doc of documents) {
+        const isBank = doc && (!doc.account.isCashRegister || (doc.direction === 'transfer' && !doc.toAccount.isCashRegister));
+        if (!isBank) {
+            skipped++;
+            continue;
+        }
+        exported++;
+        const numbered = { ...doc, number: doc.number || String(exported) };
+        await writeChunk(stream, encodeWindows1251(_clientBankDocument(numbered).join('\r\n') + '\r\n'));
+    }
+
+    await writeChunk(stream, encodeWindows1251('КонецФайла\r\n'));
+    stream.end();
+    return { exported, skipped };
+}
+
+// ============================================
+// EnterpriseData XML
+// ============================================
+
+const OPERATION_KINDS = {
+    outgoing: 'ОплатаПоставщику',
+    incoming: 'ОплатаОтПокупателя',
+    transfer: 'ПереводНаДругойСчет',
+    personal: 'ПрочееСписание'
+};
+
+const _refXml = (tag, ref, fields) => [
+    `<${tag}>`,
+    `<Ссылка>${ref}</Ссылка>`,
+    ...Object.entries(fields).filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => `<${key}>${_xml(value)}</${key}>`),
+    `</${tag}>`
+].join('');
+
+const _organizationXml = (tag, organization) => (organization
+    ? _refXml(tag, oneCRef(organization.kind, organization.id), { Наименование: organization.name, ИНН: organization.bin })
+    : '');
+
+const _accountXml = (bankTag, cashTag, account) => (account.isCashRegister
+    ? _refXml(cashTag, oneCRef('account', account._id), { Наименование: account.name })
+    : _refXml(bankTag, oneCRef('account', account._id), { НомерСчета: account.accountNumber, Наименование: account.name }));
+
+const _documentXml = (doc) => {
+    const isIncoming = doc.direction === 'incoming';
+    const isCash = doc.account.isCashRegister;
+    const tag = isCash
+        ? (isIncoming ? 'Документ.ПКО' : 'Документ.РКО')
+        : (isIncoming ? 'Документ.ПоступлениеБезналичныхДенежныхСредств' : 'Документ.СписаниеБезналичныхДенежныхСредств');
+    const operationKind = doc.direction === 'transfer' && doc.transferPurpose === 'personal'
+        ? OPERATION_KINDS.personal
+        : OPERATION_KINDS[doc.direction];
+
+    const parts = [
+        `<${tag}>`,
+        '<КлючевыеСвойства>',
+        `<Ссылка>${oneCRef('event', doc.id)}</Ссылка>`,
+        `<Дата>${_dateIso(doc.date)}</Дата>`,
+        `<Номер>${_xml(doc.number || '')}</Номер>`,
+        _organizationXml('Организация', doc.organization),
+        '</КлючевыеСвойства>',
+        `<ВидОперации>${operationKind}</ВидОперации>`,
+        `<СуммаДокумента>${doc.amount}</СуммаДокумента>`,
+        _accountXml('БанковскийСчетОрганизации', 'Касса', doc.account)
+    ];
+
+    if (doc.direction === 'transfer') {
+        parts.push(_accountXml('БанковскийСчетПолучателя', 'КассаПолучатель', doc.toAccount));
+        if (doc.toOrganization && doc.toOrganization.id !== doc.organization?.id) {
+            parts.push(_organizationXml('ОрганизацияПолучатель', doc.toOrganization));
+        }
+    }
+    if (doc.counterparty) {
+        parts.push(_refXml('Контрагент', oneCRef(doc.counterparty.kind, doc.counterparty.id), {
+            Наименование: doc.counterparty.name,
+            ИНН: doc.counterparty.bin
+        }));
+        if (doc.counterparty.contract) {
+            parts.push(_refXml('Договор', oneCRef('contract', doc.counterparty.id), {
+                Номер: doc.counterparty.contract.number,
+                Дата: doc.counterparty.contract.date ? _dateIso(doc.counterparty.contract.date) : null
+            }));
+        }
+    }
+    if (doc.costItem) {
+        parts.push(_refXml('СтатьяДвиженияДенежныхСредств', oneCRef('cost_item', doc.costItem.id), {
+            Код: doc.costItem.code,
+            Наименование: doc.costItem.name
+        }));
+    }
+    parts.push(`<НазначениеПлатежа>${_xml(doc.purpose)}</НазначениеПлатежа>`, `</${tag}>`);
+    return parts.join('');
+};
+
+const _catalogsXml = (refs) => {
+    const items = [];
+    refs.organizations.forEach((organization) => {
+        items.push(`<Справочник.Организации><КлючевыеСвойства>${[
+            `<Ссылка>${oneCRef(organization.kind, organization.id)}</Ссылка>`,
+            `<Наименование>${_xml(organization.name)}</Наименование>`,
+            organization.bin ? `<ИНН>${_xml(organization.bin)}</ИНН>` : ''
+        ].join('')}</КлючевыеСвойства></Справочник.Организации>`);
+    });
+    refs.counterparties.forEach((counterparty) => {
+        items.push(`<Справочник.Контрагенты><КлючевыеСвойства>${[
+            `<Ссылка>${oneCRef(counterparty.kind, counterparty.id)}</Ссылка>`,
+            `<Наименование>${_xml(counterparty.name)}</Наименование>`,
+            counterparty.bin ? `<ИНН>${_xml(counterparty.bin)}</ИНН>` : '',
+            `<ЮридическоеФизическоеЛицо>${counterparty.kind === 'individual' ? 'ФизическоеЛицо' : 'ЮридическоеЛицо'}</ЮридическоеФизическоеЛицо>`
+        ].join('')}</КлючевыеСвойства></Справочник.Контрагенты>`);
+        const contract = counterparty.contract;
+        if (contract) {
+            const name = `Договор${contract.number ? ` № ${contract.number}` : ''}${contract.date ? ` от ${_dateRu(contract.date)}` : ''}`;
+            items.push(`<Справочник.Договоры><КлючевыеСвойства>${[
+                `<Ссылка>${oneCRef('contract', counterparty.id)}</Ссылка>`,
+                `<Наименование>${_xml(name)}</Наименование>`,
+                contract.number ? `<Номер>${_xml(contract.number)}</Номер>` : '',
+                contract.date ? `<Дата>${_dateIso(contract.date)}</Дата>` : '',
+                `<Владелец><Ссылка>${oneCRef(counterparty.kind, counterparty.id)}</Ссылка></Владелец>`
+            ].join('')}</КлючевыеСвойства></Справочник.Договоры>`);
+        }
+    });
+    refs.costItems.forEach((costItem) => {
+        items.push(`<Справочник.СтатьиДвиженияДенежныхСредств><КлючевыеСвойства>${[
+            `<Ссылка>${oneCRef('cost_item', costItem.id)}</Ссылка>`,
+            costItem.code ? `<Код>${_xml(costItem.code)}</Код>` : '',
+            `<Наименование>${_xml(costItem.name)}</Наименование>`
+        ].join('')}</КлючевыеСвойства></Справочник.СтатьиДвиженияДенежныхСредств>`);
+    });
+    return items;
+};
+
+/**
+ * Stream documents as an EnterpriseData message. Directories the documents refer to
+ * (organizations, counterparties with contracts, cost items) are appended after the documents.
+ * @param {Stream} stream
+ * @param {AsyncIterable<Object>} documents - toOneCDocument() results
+ * @returns {Promise<{exported: Number, skipped: Number}>}
+ */
+async function writeEnterpriseData(stream, documents) {
+    await writeChunk(stream, [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<Message xmlns:msg="http://www.1c.ru/SSL/Exchange/Message" xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+        '<msg:Header>',
+        `<msg:Format>${ENTERPRISE_DATA_FORMAT}</msg:Format>`,
+        `<msg:CreationDate>${_dateIso(new Date())}</msg:CreationDate>`,
+        '<msg:AvailableVersion>1.8</msg:AvailableVersion>',
+        '</msg:Header>',
+        `<Body xmlns="${ENTERPRISE_DATA_FORMAT}">`
+    ].join('\n') + '\n');
+
+    const refs = { organizations: new Map(), counterparties: new Map(), costItems: new Map() };
+    let exported = 0;
+    let skipped = 0;
+    for await (const doc of documents) {
+        if (!doc) {
+            skipped++;
+            continue;
+        }
+        exported++;
+        [doc.organization, doc.toOrganization].filter(Boolean).forEach((organization) => {
+            refs.organizations.set(`${organization.kind}:${organization.id}`, organization);
+        });
+        if (doc.counterparty) refs.counterparties.set(`${doc.counterparty.kind}:${doc.counterparty.id}`, doc.counterparty);
+        if (doc.costItem) refs.costItems.set(doc.costItem.id, doc.costItem);
+        await writeChunk(stream, _documentXml(doc) + '\n');
+    }
+
+    for (const item of _catalogsXml(refs)) await writeChunk(stream, item + '\n');
+    await writeChunk(stream, '</Body>\n</Message>\n');
+    stream.end();
+    return { exported, skipped };
+}
+
+const ONE_C_WRITERS = {
+    enterprise_data: { contentType: 'application/xml; charset=utf-8', extension: 'xml', write: writeEnterpriseData },
+    client_bank: { contentType: 'text/plain; charset=windows-1251', extension: 'txt', write: writeClientBank }
+};
+
+module.exports = {
+    ONE_C_FORMATS,
+    ONE_C_WRITERS,
+    COST_ITEM_KIND,
+    encodeWindows1251,
+    oneCRef,
+    loadOneCContext,
+    toOneCDocument,
+    writeClientBank,
+    writeEnterpriseData
+};
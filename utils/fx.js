@@ -0,0 +1,278 @@
+// utils/fx.js
+// Currencies and exchange rates.
+//
+// Every rate is stored as tenge per one unit of the currency, the way the National Bank of Kazakhstan
+// publishes them, so any pair converts through KZT: amount * rate(from) / rate(to). That also covers
+// workspaces whose base currency is not tenge. Rates come from three sources:
+//   - nbk: daily official rates (shared by all workspaces, userId null)
+//   - file: a local JSON/CSV file (FX_RATES_FILE) for offline use, also shared
+//   - manual: entered by a workspace admin, they override shared rates of the same day
+// A date without a rate uses the last rate published before it.
+//
+// An operation is in Event.currency, or in the currency of its account when not set; accounts
+// without a currency and operations without an account are in the workspace base currency.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const DEFAULT_BASE_CURRENCY = 'KZT';
+const FX_RATE_SOURCES = ['nbk', 'file', 'manual'];
+const NBK_RATES_URL = 'https://nationalbank.kz/rss/get_rates.cfm';
+const NBK_TIMEOUT_MS = 10000;
+
+const _pad = (value) => String(value).padStart(2, '0');
+
+const _error = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Currency code in upper case, null when it is not a 3-letter ISO code
+ * @param {*} value
+ * @returns {String|null}
+ */
+const normalizeCurrency = (value) => {
+    const code = String(value || '').trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : null;
+};
+
+// Rates are per calendar day
+const _day = (value) => {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) throw _error(`Invalid date: ${value}`);
+    date.setHours(0, 0, 0, 0);
+    return date;
+};
+
+// "18.10.2026" (NBK) or anything Date understands
+const _parseDate = (value) => {
+    const text = String(value || '').trim();
+    const match = /^(\d{2})\.(\d{2})\.(\d{4})$/.exec(text);
+    return _day(match ? new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1])) : text);
+};
+
+/**
+ * Rates from the NBK XML feed
+ * @param {String} xmlText
+ * @returns {{date: Date|null, rates: Array<{currency, rate}>}} rate is tenge per one unit
+ */
+function parseNbkRatesXml(xmlText) {
+    const xml = String(xmlText || '');
+    const dateText = (xml.match(/<date>([^<]+)<\/date>/i)?.[1] || '').trim();
+    const rates = [];
+    const itemRegex = /<item>([\s\S]*?)<\/item>/gi;
+    let match = itemRegex.exec(xml);
+    while (match) {
+        const raw = match[1];
+        const currency = normalizeCurrency(raw.match(/<title>([^<]+)<\/title>/i)?.[1]);
+        const value = Number((raw.match(/<description>([^<]+)<\/description>/i)?.[1] || '').trim().replace(',', '.'));
+        const quant = Number((raw.match(/<quant>([^<]+)<\/quant>/i)?.[1] || '').trim().replace(',', '.')) || 1;
+        if (currency && value > 0) rates.push({ currency, rate: value / Math.max(quant, 1) });
+        match = itemRegex.exec(xml);
+    }
+    return { date: dateText ? _parseDate(dateText) : null, rates };
+}
+
+/**
+ * Rates from a local file:
+ *   JSON - [{ date, currency, rate }] or { "2026-10-19": { "USD": 470.5, ... } }
+ *   CSV  - date;currency;rate per line (comma or semicolon separated, header optional)
+ * @param {String} text
+ * @param {String} fileName - the extension picks the format
+ * @returns {Array<{date, currency, rate}>}
+ */
+function parseRatesFile(text, fileName = '') {
+    const rows = [];
+    const push = (date, currency, rate) => {
+        const code = normalizeCurrency(currency);
+        const value = Number(String(rate).replace(',', '.'));
+        if (code && value > 0) rows.push({ date: _parseDate(date), currency: code, rate: value });
+    };
+
+    if (path.extname(fileName).toLowerCase() === '.json') {
+        const data = JSON.parse(text);
+        if (Array.isArray(data)) data.forEach((row) => push(row.date, row.currency, row.rate));
+        else Object.entries(data || {}).forEach(([date, rates]) => Object.entries(rates || {}).forEach(([currency, rate]) => push(date, currency, rate)));
+        return rows;
+    }
+
+    String(text).split(/\r?\n/).forEach((line) => {
+        // Semicolon / tab files may use a decimal comma
+        const cells = line.split(/[;\t]/.test(line) ? /[;\t]/ : ',').map((cell) => cell.trim());
+        if (cells.length < 3 || !normalizeCurrency(cells[1])) return; // header or empty line
+        push(cells[0], cells[1], cells[2]);
+    });
+    return rows;
+}
+
+/**
+ * Validate a manually entered rate
+ * @param {Object} body - { currency, date, rate }
+ * @returns {{currency, date, rate}}
+ */
+function normalizeRateFields(body = {}) {
+    const currency = normalizeCurrency(body.currency);
+    if (!currency) throw _error(`Invalid currency: ${body.currency}`);
+    if (currency === 'KZT') throw _error('KZT rate is always 1');
+    const rate = Number(body.rate);
+    if (!Number.isFinite(rate) || rate <= 0) throw _error(`Invalid rate: ${body.rate}`);
+    return { currency, date: _day(body.date || new Date()), rate };
+}
+
+/**
+ * Currency of an operation (see the header)
+ * @param {Object} event
+ * @param {Map} accountCurrencies - accountId -> currency
+ * @param {String} baseCurrency
+ * @returns {String}
+ */
+const eventCurrencyOf = (event, accountCurrencies, baseCurrency) => normalizeCurrency(event.currency)
+    || accountCurrencies.get(String(event.accountId || event.fromAccountId || ''))
+    || baseCurrency;
+
+/**
+ * @param {Object} deps - { ExchangeRate, ratesFile (path of the offline source, optional) }
+ */
+function createFxService({ ExchangeRate, ratesFile = null }) {
+    async function _upsert(rows, { source, userId = null, workspaceId = null, createdBy = null }) {
+        for (const row of rows) {
+            await ExchangeRate.findOneAndUpdate(
+                { userId, currency: row.currency, date: row.date },
+                { $set: { rate: row.rate, source, workspaceId, createdBy, updatedAt: new Date() } },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            );
+        }
+        return rows.length;
+    }
+
+    /**
+     * Official NBK rates of a day
+     * @param {Date} date
+     * @returns {Promise<{date, rates}>}
+     */
+    async function fetchNbkRates(date = new Date()) {
+        const day = _day(date);
+        const fdate = `${_pad(day.getDate())}.${_pad(day.getMonth() + 1)}.${day.getFullYear()}`;
+        const response = await axios.get(NBK_RATES_URL, {
+            params: { fdate },
+            timeout: NBK_TIMEOUT_MS,
+            responseType: 'text',
+            headers: { Accept: 'application/xml,text/xml,*/*' }
+        });
+        const parsed = parseNbkRatesXml(response.data);
+        if (parsed.rates.length === 0) throw _error('National Bank returned no rates', 502);
+        return { date: parsed.date || day, rates: parsed.rates };
+    }
+
+    /**
+     * Load the rates of a local file into the shared rates
+     * @param {String} filePath - defaults to the configured offline source
+     * @returns {Promise<Number>} rates saved
+     */
+    async function importRatesFile(filePath = ratesFile) {
+        if (!filePath) throw _error('No rates file configured (FX_RATES_FILE)', 404);
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        return _upsert(parseRatesFile(text, filePath), { source: 'file' });
+    }
+
+    /**
+     * Save the NBK rates of a day; when the bank is unreachable, fall back to the local file
+     * @param {Date} date
+     * @returns {Promise<{source, date, count, error?}>}
+     */
+    async function syncDailyRates(date = new Date()) {
+        try {
+            const { date: rateDate, rates } = await fetchNbkRates(date);
+            const count = await _upsert(rates.map((row) => ({ ...row, date: rateDate })), { source: 'nbk' });
+            return { source: 'nbk', date: rateDate, count };
+        } catch (err) {
+            if (!ratesFile) throw err;
+            const count = await importRatesFile(ratesFile);
+            return { source: 'file', date: _day(date), count, error: err.message };
+        }
+    }
+
+    /**
+     * Save a rate entered by a workspace admin
+     * @param {Object} params - { userId, workspaceId, createdBy, currency, date, rate }
+     */
+    async function setManualRate({ userId, workspaceId = null, createdBy = null, ...body }) {
+        const row = normalizeRateFields(body);
+        await _upsert([row], { source: 'manual', userId, workspaceId, createdBy });
+        return row;
+    }
+
+    /**
+     * Rates of the currencies up to a date, with lookups by day
+     * @param {*} userIdQuery - workspace scope; its manual rates override the shared ones of the same day
+     * @param {Array<String>} currencies
+     * @param {Date} dateTo
+     * @returns {Promise<Object>} { rateOf(currency, date), convert(amount, from, to, date), missing: Set }
+     */
+    async function loadRates(userIdQuery, currencies, dateTo = new Date()) {
+        const wanted = [...new Set(currencies.map(normalizeCurrency).filter((code) => code && code !== 'KZT'))];
+        const byCurrency = new Map(wanted.map((code) => [code, []]));
+        if (wanted.length) {
+            const rows = await ExchangeRate.find({
+                currency: { $in: wanted },
+                date: { $lte: dateTo },
+                $or: [{ userId: null }, { userId: userIdQuery }]
+            }).select('currency date rate userId').sort({ date: 1 }).lean();
+            rows.forEach((row) => {
+                const list = byCurrency.get(row.currency);
+                const last = list[list.length - 1];
+                if (last && +last.date === +new Date(row.date)) {
+                    if (row.userId != null) last.rate = row.rate; // the workspace rate wins
+                    return;
+                }
+                list.push({ date: new Date(row.date), rate: row.rate });
+            });
+        }
+
+        const missing = new Set();
+        // Tenge per unit on a day: the last rate on or before it
+        const rateOf = (currency, date) => {
+            const code = normalizeCurrency(currency);
+            if (code === 'KZT') return 1;
+            const list = byCurrency.get(code) || [];
+            const time = +new Date(date);
+            let low = 0;
+            let high = list.length - 1;
+            let found = null;
+            while (low <= high) {
+                const middle = (low + high) >> 1;
+                if (+list[middle].date <= time) {
+                    found = list[middle];
+                    low = middle + 1;
+                } else {
+                    high = middle - 1;
+                }
+            }
+            if (!found) missing.add(code);
+            return found ? found.rate : null;
+        };
+        const convert = (amount, from, to, date) => {
+            if (normalizeCurrency(from) === normalizeCurrency(to)) return Number(amount) || 0;
+            const fromRate = rateOf(from, date);
+            const toRate = rateOf(to, date);
+            return fromRate && toRate ? (Number(amount) || 0) * fromRate / toRate : null;
+        };
+        return { rateOf, convert, missing };
+    }
+
+    return { fetchNbkRates, importRatesFile, syncDailyRates, setManualRate, loadRates };
+}
+
+module.exports = {
+    DEFAULT_BASE_CURRENCY,
+    FX_RATE_SOURCES,
+    normalizeCurrency,
+    normalizeRateFields,
+    parseNbkRatesXml,
+    parseRatesFile,
+    eventCurrencyOf,
+    createFxService
+};
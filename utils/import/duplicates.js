@@ -0,0 +1,202 @@
+// utils/import/duplicates.js
+// Duplicate detection for statement import: a stable fingerprint stored on imported Events
+// plus fuzzy matching against existing operations within a date window.
+//
+// Match levels:
+//   'duplicate'          - same fingerprint, same bank reference on the account, or same amount/account
+//                          with matching counterparty or description on the same day
+//   'transfer_leg'       - a transfer row whose other leg already exists as a plain income/expense;
+//                          commit turns that operation into the single transfer Event
+//   'possible_duplicate' - same amount/type/account within the window, nothing contradicting
+
+const crypto = require('crypto');
+const { NOT_DELETED } = require('../trash');
+
+const DEFAULT_MATCH_WINDOW_DAYS = 3;
+const MAX_MATCH_WINDOW_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AMOUNT_EPSILON = 0.005;
+
+const normalizeMatchWindowDays = (value, fallback = DEFAULT_MATCH_WINDOW_DAYS) => {
+    const days = Number(value);
+    if (!Number.isFinite(days) || days < 0) return fallback;
+    return Math.min(Math.floor(days), MAX_MATCH_WINDOW_DAYS);
+};
+
+const normalizeDescription = (value) => String(value || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/[^a-zа-я0-9]+/gi, ' ')
+    .trim();
+
+const hashDescription = (value) => {
+    const text = normalizeDescription(value);
+    return text ? crypto.createHash('sha1').update(text).digest('hex').slice(0, 16) : '';
+};
+
+const _localDayKey = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const _id = (value) => (value ? String(value._id || value) : '');
+
+/**
+ * Fingerprint of an imported operation. Uses resolved entity ids, so the same statement
+ * line produces the same fingerprint on every upload.
+ * @param {Object} op - { date, type, amount, accountId, fromAccountId, toAccountId, contractorId, individualId, description, bankReference }
+ * @returns {String}
+ */
+function buildImportFingerprint(op) {
+    const parts = [
+        _localDayKey(op.date),
+        op.type || '',
+        Math.abs(Number(op.amount) || 0).toFixed(2),
+        op.type === 'transfer' ? `${_id(op.fromAccountId)}>${_id(op.toAccountId)}` : _id(op.accountId),
+        _id(op.contractorId || op.individualId),
+        hashDescription(op.description),
+        String(op.bankReference || '').trim()
+    ];
+    return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+}
+
+const _descriptionsMatch = (a, b) => {
+    const left = normalizeDescription(a);
+    const right = normalizeDescription(b);
+    if (!left || !right) return false;
+    if (left === right) return true;
+    const [shorter, longer] = left.length < right.length ? [left, right] : [right, left];
+    return shorter.length >= 6 && longer.includes(shorter);
+};
+
+const _isTransferEvent = (event) => event.isTransfer === true || event.type === 'transfer';
+
+const _compareTransfer = (candidate, event, dayDiff) => {
+    if (_isTransferEvent(event)) {
+        const sameSides = _id(candidate.fromAccountId) === _id(event.fromAccountId)
+            && _id(candidate.toAccountId) === _id(event.toAccountId);
+        if (!sameSides) return null;
+        return { status: dayDiff === 0 ? 'duplicate' : 'possible_duplicate', reasons: ['transfer', 'amount', 'account'] };
+    }
+    // Either leg may already be in the books as a plain operation (e.g. imported from the other statement)
+    const isOutgoingLeg = event.type === 'expense' && candidate.fromAccountId && _id(event.accountId) === _id(candidate.fromAccountId);
+    const isIncomingLeg = event.type === 'income' && candidate.toAccountId && _id(event.accountId) === _id(candidate.toAccountId);
+    if (!isOutgoingLeg && !isIncomingLeg) return null;
+    if (event.bankReference && candidate.bankReference && _id(event.accountId) === _id(candidate.accountId)
+        && event.bankReference !== candidate.bankReference) return null;
+    return { status: 'transfer_leg', reasons: ['amount', isOutgoingLeg ? 'from_account' : 'to_account'] };
+};
+
+/**
+ * Score one candidate against one existing Event
+ * @returns {{status: String, reasons: Array<String>}|null}
+ */
+function compareWithEvent(candidate, event, windowDays) {
+    if (candidate.fingerprint && event.importFingerprint && candidate.fingerprint === event.importFingerprint) {
+        return { status: 'duplicate', reasons: ['fingerprint'] };
+    }
+    if (Math.abs(Math.abs(Number(candidate.amount)) - Math.abs(Number(event.amount) || 0)) > AMOUNT_EPSILON) return null;
+
+    const dayDiff = Math.abs(new Date(candidate.date).setHours(12, 0, 0, 0) - new Date(event.date).setHours(12, 0, 0, 0)) / DAY_MS;
+    if (dayDiff > windowDays) return null;
+
+    if (candidate.type === 'transfer') return _compareTransfer(candidate, event, dayDiff);
+
+    // A plain statement row already covered by a transfer on the same account
+    if (_isTransferEvent(event)) {
+        const accountId = _id(candidate.accountId);
+        const isLeg = accountId && ((candidate.type === 'expense' && _id(event.fromAccountId) === accountId)
+            || (candidate.type === 'income' && _id(event.toAccountId) === accountId));
+        if (!isLeg) return null;
+        return { status: dayDiff === 0 ? 'duplicate' : 'possible_duplicate', reasons: ['transfer', 'amount', 'account'] };
+    }
+
+    const sameAccount = _id(candidate.accountId) === _id(event.accountId);
+    if (!sameAccount || candidate.type !== event.type) return null;
+
+    if (candidate.bankReference && event.bankReference) {
+        return candidate.bankReference === event.bankReference
+            ? { status: 'duplicate', reasons: ['bankReference'] }
+            : null;
+    }
+
+    const reasons = ['amount', 'account'];
+    const candidateCounterparty = _id(candidate.contractorId || candidate.individualId);
+    const eventCounterparty = _id(event.contractorId || event.individualId);
+    if (candidateCounterparty && eventCounterparty) {
+        if (candidateCounterparty !== eventCounterparty) return null;
+        reasons.push('counterparty');
+    }
+    if (_descriptionsMatch(candidate.description, event.description)) reasons.push('description');
+
+    const isStrong = dayDiff === 0 && (reasons.includes('counterparty') || reasons.includes('description'));
+    return { status: isStrong ? 'duplicate' : 'possible_duplicate', reasons: dayDiff === 0 ? [...reasons, 'date'] : reasons };
+}
+
+const STATUS_RANK = { duplicate: 3, transfer_leg: 2, possible_duplicate: 1 };
+
+/**
+ * @param {Object} deps - { Event }
+ */
+function createDuplicateDetector({ Event }) {
+    /**
+     * Match import candidates against existing operations. Every existing Event is matched
+     * at most once, so two identical legitimate lines are not both hidden by a single operation.
+     * @param {Object} params - { userId (query value), candidates: [{ key, date, type, amount, accountId, fromAccountId?, toAccountId?,
+     *                            contractorId, individualId, description, bankReference, fingerprint }], windowDays }
+     * @returns {Promise<Map>} key -> { status, eventId, reasons }
+     */
+    async function findDuplicates({ userId, candidates, windowDays = DEFAULT_MATCH_WINDOW_DAYS }) {
+        const result = new Map();
+        const valid = candidates.filter((item) => item && item.date && !isNaN(new Date(item.date).getTime()) && Number(item.amount));
+        if (valid.length === 0) return result;
+
+        const times = valid.map((item) => new Date(item.date).getTime());
+        const from = new Date(Math.min(...times) - (windowDays + 1) * DAY_MS);
+        const to = new Date(Math.max(...times) + (windowDays + 1) * DAY_MS);
+        const fingerprints = valid.map((item) => item.fingerprint).filter(Boolean);
+
+        const existing = await Event.find({
+            userId,
+            ...NOT_DELETED,
+            $or: [
+                { date: { $gte: from, $lte: to } },
+                ...(fingerprints.length ? [{ importFingerprint: { $in: fingerprints } }] : [])
+            ]
+        })
+            .select('date type amount accountId fromAccountId toAccountId isTransfer contractorId individualId description bankReference importFingerprint')
+            .lean();
+
+        // Best matches first: fingerprints and bank references claim their Events before fuzzy matches
+        const pairs = [];
+        valid.forEach((candidate) => {
+            existing.forEach((event) => {
+                const match = compareWithEvent(candidate, event, windowDays);
+                if (match) pairs.push({ candidate, event, ...match });
+            });
+        });
+        pairs.sort((a, b) => (STATUS_RANK[b.status] - STATUS_RANK[a.status]) || (b.reasons.length - a.reasons.length));
+
+        const claimed = new Set();
+        pairs.forEach((pair) => {
+            const eventId = String(pair.event._id);
+            if (result.has(pair.candidate.key) || claimed.has(eventId)) return;
+            claimed.add(eventId);
+            result.set(pair.candidate.key, { status: pair.status, eventId, reasons: pair.reasons });
+        });
+
+        return result;
+    }
+
+    return { findDuplicates };
+}
+
+module.exports = {
+    DEFAULT_MATCH_WINDOW_DAYS,
+    MAX_MATCH_WINDOW_DAYS,
+    normalizeMatchWindowDays,
+    normalizeDescription,
+    buildImportFingerprint,
+    compareWithEvent,
+    createDuplicateDetector
+};
@@ -0,0 +1,112 @@
+// utils/import/index.js
+// Bank statement import: parser registry, format detection and parsing into opData rows.
+// A new bank = a new module in ./parsers registered below (or via registerParser); the route stays the same.
+//
+// Parser contract:
+//   { id, name, kinds: ['csv'|'xlsx'|'txt'], detect(input) -> score 0..1, parse(input, options) -> { rows, warnings, meta } }
+//   input = { kind, fileName, text?, table? }
+
+const path = require('path');
+const { decodeText, parseCsv, readXlsx } = require('./readers');
+
+const parsers = [];
+
+const _error = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Register (or replace by id) a statement parser
+ * @param {Object} parser
+ */
+function registerParser(parser) {
+    if (!parser?.id || typeof parser.detect !== 'function' || typeof parser.parse !== 'function') {
+        throw new Error('Statement parser must have id, detect() and parse()');
+    }
+    const existingIndex = parsers.findIndex((item) => item.id === parser.id);
+    if (existingIndex > -1) parsers.splice(existingIndex, 1, parser);
+    else parsers.push(parser);
+}
+
+function listParsers() {
+    return parsers.map((parser) => ({ id: parser.id, name: parser.name, kinds: parser.kinds }));
+}
+
+/**
+ * Read a raw file into the parser input ({ kind, text, table })
+ * @param {Object} file - { fileName, buffer }
+ * @returns {Promise<Object>}
+ */
+async function readStatementFile({ fileName, buffer }) {
+    const ext = path.extname(String(fileName || '')).toLowerCase();
+    const isZip = buffer.length > 3 && buffer[0] === 0x50 && buffer[1] === 0x4B; // XLSX is a zip archive
+
+    if (ext === '.xlsx' || isZip) {
+        return { kind: 'xlsx', fileName, table: await readXlsx(buffer) };
+    }
+    if (ext === '.xls') {
+        throw _error('Старый формат .xls не поддерживается, сохраните выписку как .xlsx или .csv', 415);
+    }
+
+    const text = decodeText(buffer);
+    if (/^\s*1CClientBankExchange/.test(text)) {
+        return { kind: 'txt', fileName, text };
+    }
+    const table = parseCsv(text);
+    // Other .txt files are read as delimited tables when they look like one
+    if (ext === '.txt' && !table.some((cells) => cells.length > 1)) {
+        throw _error('Текстовая выписка не поддерживается: ожидается файл 1CClientBankExchange или таблица с разделителями', 415);
+    }
+    return { kind: 'csv', fileName, text, table };
+}
+
+/**
+ * Detect format and parse a statement file
+ * @param {Object} params - { fileName, buffer, format (optional parser id), options: { accountName } }
+ * @returns {Promise<Object>} { format, formatName, kind, rows, warnings, meta, candidates }
+ */
+async function parseStatement({ fileName, buffer, format = null, options = {} }) {
+    if (!buffer || buffer.length === 0) throw _error('Файл выписки пуст', 400);
+
+    const input = await readStatementFile({ fileName, buffer });
+    const candidates = parsers
+        .map((parser) => ({ parser, score: parser.kinds.includes(input.kind) ? parser.detect(input) : 0 }))
+        .filter((item) => item.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    let selected = null;
+    if (format) {
+        selected = parsers.find((parser) => parser.id === format);
+        if (!selected) throw _error(`Неизвестный формат выписки: ${format}`, 400);
+        if (!selected.kinds.includes(input.kind)) throw _error(`Формат «${selected.name}» не читает файлы этого типа (${input.kind})`, 415);
+    } else {
+        selected = candidates[0]?.parser || null;
+    }
+    if (!selected) throw _error('Формат выписки не распознан', 422);
+
+    const result = selected.parse(input, options);
+
+    return {
+        format: selected.id,
+        formatName: selected.name,
+        kind: input.kind,
+        rows: result.rows || [],
+        warnings: result.warnings || [],
+        meta: result.meta || null,
+        candidates: candidates.map((item) => ({ id: item.parser.id, name: item.parser.name, score: item.score }))
+    };
+}
+
+registerParser(require('./parsers/clientBank1c'));
+registerParser(require('./parsers/kaspi'));
+registerParser(require('./parsers/halyk'));
+registerParser(require('./parsers/genericTable'));
+
+module.exports = {
+    registerParser,
+    listParsers,
+    readStatementFile,
+    parseStatement
+};
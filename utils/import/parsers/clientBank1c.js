@@ -0,0 +1,111 @@
+// utils/import/parsers/clientBank1c.js
+// 1C ClientBank exchange file (1CClientBankExchange, "kl_to_1c.txt"): Key=Value lines
+// with СекцияРасчСчет / СекцияДокумент sections. Used by most KZ banks for 1C export.
+
+const { parseAmount, parseDate } = require('../readers');
+
+const _firstValue = (doc, keys) => {
+    for (const key of keys) {
+        if (doc[key] && String(doc[key]).trim()) return String(doc[key]).trim();
+    }
+    return '';
+};
+
+const PAYER_ACCOUNT_KEYS = ['ПлательщикСчет', 'ПлательщикИИК', 'ПлательщикРасчСчет'];
+const PAYER_NAME_KEYS = ['ПлательщикНаименование', 'Плательщик1', 'Плательщик'];
+const PAYER_BIN_KEYS = ['ПлательщикБИН', 'ПлательщикИИН', 'ПлательщикИНН'];
+const RECEIVER_ACCOUNT_KEYS = ['ПолучательСчет', 'ПолучательИИК', 'ПолучательРасчСчет'];
+const RECEIVER_NAME_KEYS = ['ПолучательНаименование', 'Получатель1', 'Получатель'];
+const RECEIVER_BIN_KEYS = ['ПолучательБИН', 'ПолучательИИН', 'ПолучательИНН'];
+
+/**
+ * Split the exchange file into header values and document sections
+ * @param {String} text
+ * @returns {{header: Object, ownAccounts: Array<String>, documents: Array<Object>}}
+ */
+function readExchangeFile(text) {
+    const header = {};
+    const ownAccounts = [];
+    const documents = [];
+    let current = null;
+    let inAccountSection = false;
+
+    text.split(/\r?\n/).forEach((rawLine) => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        const eq = line.indexOf('=');
+        const key = eq > -1 ? line.slice(0, eq).trim() : line;
+        const value = eq > -1 ? line.slice(eq + 1).trim() : '';
+
+        if (key === 'СекцияДокумент') { current = { _kind: value }; return; }
+        if (key === 'КонецДокумента') { if (current) documents.push(current); current = null; return; }
+        if (key === 'СекцияРасчСчет') { inAccountSection = true; return; }
+        if (key === 'КонецРасчСчет') { inAccountSection = false; return; }
+
+        if (current) { current[key] = value; return; }
+        if (key === 'РасчСчет' && value) ownAccounts.push(value);
+        if (!inAccountSection) header[key] = value;
+    });
+
+    return { header, ownAccounts: Array.from(new Set(ownAccounts)), documents };
+}
+
+const detect = ({ kind, text }) => {
+    if (kind !== 'txt' || typeof text !== 'string') return 0;
+    return /^\s*1CClientBankExchange/.test(text) ? 1 : 0;
+};
+
+const parse = ({ text }, options = {}) => {
+    const { ownAccounts, documents } = readExchangeFile(text);
+    const ownSet = new Set(ownAccounts);
+    const rows = [];
+    const warnings = [];
+
+    documents.forEach((doc, index) => {
+        const amount = parseAmount(doc['Сумма']);
+        const payerAccount = _firstValue(doc, PAYER_ACCOUNT_KEYS);
+        const receiverAccount = _firstValue(doc, RECEIVER_ACCOUNT_KEYS);
+
+        let type = null;
+        if (ownSet.has(payerAccount) && !ownSet.has(receiverAccount)) type = 'expense';
+        else if (ownSet.has(receiverAccount) && !ownSet.has(payerAccount)) type = 'income';
+        else if (doc['ДатаСписано']) type = 'expense';
+        else if (doc['ДатаПоступило']) type = 'income';
+
+        const date = parseDate(type === 'expense' ? (doc['ДатаСписано'] || doc['Дата']) : (doc['ДатаПоступило'] || doc['Дата']));
+
+        if (!date || !amount || !type) {
+            warnings.push({ rowIndex: index, message: `Документ №${doc['Номер'] || '?'} пропущен: не удалось определить дату, сумму или направление` });
+            return;
+        }
+
+        const isExpense = type === 'expense';
+        rows.push({
+            rowIndex: index,
+            date: date.toISOString(),
+            amount: Math.abs(amount),
+            type,
+            account: options.accountName || (isExpense ? payerAccount : receiverAccount) || null,
+            contractor: _firstValue(doc, isExpense ? RECEIVER_NAME_KEYS : PAYER_NAME_KEYS) || null,
+            counterpartyBin: _firstValue(doc, isExpense ? RECEIVER_BIN_KEYS : PAYER_BIN_KEYS).replace(/\D/g, '') || null,
+            counterpartyAccount: (isExpense ? receiverAccount : payerAccount) || null,
+            description: doc['НазначениеПлатежа'] || null,
+            bankReference: doc['Номер'] ? `${doc['Номер']}/${doc['Дата'] || ''}` : null,
+            category: null,
+            project: null,
+            currency: null
+        });
+    });
+
+    return { rows, warnings, meta: { ownAccounts } };
+};
+
+module.exports = {
+    id: '1c_client_bank',
+    name: '1С: Клиент-банк (1CClientBankExchange)',
+    kinds: ['txt'],
+    detect,
+    parse,
+    readExchangeFile
+};
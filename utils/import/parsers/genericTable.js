@@ -0,0 +1,12 @@
+// utils/import/parsers/genericTable.js
+// Any CSV/XLSX with recognizable headers (date + amount or debit/credit). Lowest priority fallback.
+
+const { createTableParser } = require('../tableParser');
+
+module.exports = createTableParser({
+    id: 'generic_table',
+    name: 'CSV / XLSX',
+    kinds: ['csv', 'xlsx'],
+    signature: [],
+    baseScore: 0.3
+});
@@ -0,0 +1,18 @@
+// utils/import/parsers/halyk.js
+// Halyk Bank (Homebank / Onlinebank business) account statement with debit/credit columns
+
+const { createTableParser } = require('../tableParser');
+
+module.exports = createTableParser({
+    id: 'halyk',
+    name: 'Halyk Bank',
+    kinds: ['csv', 'xlsx'],
+    signature: [/halyk/i, /халык/i, /народный банк/i, /HSBKKZKX/i],
+    columns: {
+        debit: ['обороты дебет', 'дебет kzt'],
+        credit: ['обороты кредит', 'кредит kzt'],
+        counterparty: ['наименование получателя отправителя', 'наименование бенефициара отправителя', 'корреспондент'],
+        counterpartyBin: ['бин иин получателя отправителя', 'бин иин корреспондента'],
+        reference: ['номер документа', 'n документа']
+    }
+});
@@ -0,0 +1,18 @@
+// utils/import/parsers/kaspi.js
+// Kaspi Business / Kaspi Pay statement (XLSX or CSV export from the Kaspi Business cabinet)
+
+const { createTableParser } = require('../tableParser');
+
+module.exports = createTableParser({
+    id: 'kaspi',
+    name: 'Kaspi Bank',
+    kinds: ['csv', 'xlsx'],
+    signature: [/kaspi/i, /каспи/i, /CASPKZKA/i],
+    columns: {
+        date: ['дата и время', 'дата и время операции'],
+        amount: ['сумма тг', 'сумма ₸'],
+        type: ['операция'],
+        counterparty: ['отправитель получатель', 'клиент', 'наименование'],
+        description: ['детали операции']
+    }
+});
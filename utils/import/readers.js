@@ -0,0 +1,175 @@
+// utils/import/readers.js
+// Low-level readers shared by statement parsers: text decoding, CSV, XLSX, amounts and dates
+
+const ExcelJS = require('exceljs');
+
+/**
+ * Decode a statement file: UTF-8 (with or without BOM) or Windows-1251 (1C, older bank exports)
+ * @param {Buffer} buffer
+ * @returns {String}
+ */
+function decodeText(buffer) {
+    if (!buffer || buffer.length === 0) return '';
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return buffer.slice(3).toString('utf8');
+    }
+    const utf8 = new TextDecoder('utf-8', { fatal: false }).decode(buffer);
+    // Replacement chars mean the file is not UTF-8
+    if (!utf8.includes('�')) return utf8;
+    return new TextDecoder('windows-1251').decode(buffer);
+}
+
+const _detectDelimiter = (text) => {
+    const sample = text.split(/\r?\n/).slice(0, 10).join('\n');
+    const candidates = [';', ',', '\t'];
+    let best = ';';
+    let bestCount = -1;
+    candidates.forEach((delimiter) => {
+        const count = sample.split(delimiter).length - 1;
+        if (count > bestCount) { best = delimiter; bestCount = count; }
+    });
+    return best;
+};
+
+/**
+ * Parse CSV text into an array of rows (RFC 4180 quotes, auto-detected delimiter)
+ * @param {String} text
+ * @param {String} [delimiter]
+ * @returns {Array<Array<String>>}
+ */
+function parseCsv(text, delimiter) {
+    const sep = delimiter || _detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') { inQuotes = false; }
+            else { cell += ch; }
+            continue;
+        }
+        if (ch === '"') { inQuotes = true; }
+        else if (ch === sep) { row.push(cell); cell = ''; }
+        else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row); row = []; cell = '';
+        } else { cell += ch; }
+    }
+    if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+
+    return rows
+        .map((cells) => cells.map((value) => value.trim()))
+        .filter((cells) => cells.some((value) => value !== ''));
+}
+
+const _cellValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value;
+    if (typeof value === 'object') {
+        if (value.result !== undefined) return _cellValue(value.result); // formula
+        if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+        if (value.text !== undefined) return String(value.text);
+    }
+    return typeof value === 'string' ? value.trim() : value;
+};
+
+/**
+ * Read the first non-empty worksheet of an XLSX file into an array of rows
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<Array<*>>>}
+ */
+async function readXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets.find((ws) => ws.actualRowCount > 0);
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+        const values = Array.isArray(row.values) ? row.values.slice(1) : [];
+        const cells = values.map(_cellValue);
+        if (cells.some((value) => value !== '')) rows.push(cells);
+    });
+    return rows;
+}
+
+/**
+ * Parse amounts like "1 234 567,89", "-1,234.56", "1.234.567,89", "1,234,567", "1 234,00 ₸", "(500.00)"
+ * @param {*} value
+ * @returns {Number|null}
+ */
+function parseAmount(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (value === null || value === undefined) return null;
+    let text = String(value).replace(/[\s  ]/g, '').replace(/[^\d,.\-()]/g, '');
+    if (!text) return null;
+
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    text = text.replace(/[()-]/g, '');
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    if (lastComma > -1 && lastDot > -1) {
+        // The later separator is the decimal one
+        text = lastComma > lastDot ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+    } else if (lastComma > -1) {
+        // A repeated separator groups thousands, a single one is decimal
+        text = text.indexOf(',') === lastComma ? text.replace(',', '.') : text.replace(/,/g, '');
+    } else if (lastDot > -1 && text.indexOf('.') !== lastDot) {
+        text = text.replace(/\./g, '');
+    }
+
+    const number = Number(text);
+    if (!Number.isFinite(number)) return null;
+    return negative ? -number : number;
+}
+
+/**
+ * Parse dates like "31.01.2026", "31.01.26 14:05", "2026-01-31", Excel dates
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    if (typeof value === 'number') {
+        // Excel serial date
+        const date = new Date(Math.round((value - 25569) * 86400 * 1000));
+        return isNaN(date.getTime()) ? null : date;
+    }
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    let match = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    if (match) {
+        const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+        const date = new Date(year, Number(match[2]) - 1, Number(match[1]), Number(match[4] || 12), Number(match[5] || 0));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?/);
+    if (match) {
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4] || 12), Number(match[5] || 0));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    return null;
+}
+
+const normalizeHeader = (value) => String(value || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/[^a-zа-я0-9]+/gi, ' ')
+    .trim();
+
+module.exports = {
+    decodeText,
+    parseCsv,
+    readXlsx,
+    parseAmount,
+    parseDate,
+    normalizeHeader
+};
@@ -0,0 +1,147 @@
+// utils/import/tableParser.js
+// Declarative parser for tabular statements (CSV/XLSX): a bank is described by
+// a signature and header synonyms, the mapping into opData rows is shared.
+
+const { parseAmount, parseDate, normalizeHeader } = require('./readers');
+
+const HEADER_SCAN_ROWS = 30;
+
+// Synonyms shared by all tabular formats (normalized via normalizeHeader)
+const COMMON_COLUMNS = {
+    date: ['дата', 'дата операции', 'дата документа', 'дата проводки', 'дата транзакции', 'date', 'operation date'],
+    amount: ['сумма', 'сумма операции', 'сумма в валюте счета', 'amount', 'sum'],
+    debit: ['дебет', 'расход', 'списание', 'сумма дебет', 'debit', 'outflow'],
+    credit: ['кредит', 'приход', 'поступление', 'сумма кредит', 'credit', 'inflow'],
+    type: ['тип', 'тип операции', 'вид операции', 'type'],
+    counterparty: ['контрагент', 'получатель', 'отправитель', 'наименование контрагента', 'корреспондент', 'counterparty', 'payee'],
+    counterpartyBin: ['бин', 'иин', 'бин иин', 'иин бин', 'бин иин контрагента', 'bin', 'iin'],
+    description: ['назначение платежа', 'назначение', 'описание', 'детали', 'детали платежа', 'комментарий', 'description', 'details', 'purpose'],
+    reference: ['номер документа', 'номер', 'референс', 'id транзакции', 'reference', 'document number'],
+    counterpartyAccount: ['счет контрагента', 'iban контрагента', 'счет получателя', 'счет отправителя', 'иик контрагента', 'counterparty account'],
+    account: ['счет', 'iban', 'номер счета', 'account'],
+    category: ['категория', 'статья', 'category'],
+    project: ['проект', 'project'],
+    currency: ['валюта', 'currency']
+};
+
+const EXPENSE_TYPES = ['расход', 'списание', 'покупка', 'оплата', 'снятие', 'expense', 'debit'];
+
+const _findColumn = (headers, synonyms) => {
+    const exact = headers.findIndex((header) => synonyms.includes(header));
+    if (exact > -1) return exact;
+    return headers.findIndex((header) => header && synonyms.some((synonym) => header.startsWith(synonym)));
+};
+
+// A sign always wins; unsigned amounts fall back to the operation type column
+const _resolveType = (rawType, signedAmount) => {
+    if (signedAmount < 0) return 'expense';
+    const text = normalizeHeader(rawType);
+    if (text && EXPENSE_TYPES.some((word) => text.includes(word))) return 'expense';
+    return 'income';
+};
+
+/**
+ * Create a parser for a tabular statement format
+ * @param {Object} config - { id, name, kinds, signature: RegExp[], columns: {field: synonyms[]}, baseScore }
+ * @returns {Object} Parser: { id, name, kinds, detect(input), parse(input, options) }
+ */
+function createTableParser(config) {
+    const columns = {};
+    Object.keys(COMMON_COLUMNS).forEach((field) => {
+        columns[field] = [...(config.columns?.[field] || []), ...COMMON_COLUMNS[field]].map(normalizeHeader);
+    });
+
+    const locateHeader = (table) => {
+        const limit = Math.min(table.length, HEADER_SCAN_ROWS);
+        for (let i = 0; i < limit; i++) {
+            const headers = table[i].map(normalizeHeader);
+            const map = {};
+            Object.keys(columns).forEach((field) => { map[field] = _findColumn(headers, columns[field]); });
+            if (map.amount > -1 && (map.amount === map.debit || map.amount === map.credit)) map.amount = -1;
+            if (map.account > -1 && map.account === map.counterpartyAccount) map.account = -1;
+            const hasAmount = map.amount > -1 || (map.debit > -1 && map.credit > -1);
+            if (map.date > -1 && hasAmount) return { headerIndex: i, map };
+        }
+        return null;
+    };
+
+    const detect = ({ kind, table }) => {
+        if (!config.kinds.includes(kind) || !Array.isArray(table)) return 0;
+        const header = locateHeader(table);
+        if (!header) return 0;
+
+        const signatures = config.signature || [];
+        if (signatures.length === 0) return config.baseScore || 0.3;
+
+        const preamble = table.slice(0, header.headerIndex + 5).map((row) => row.join(' ')).join(' ');
+        return signatures.some((regex) => regex.test(preamble)) ? 0.9 : 0;
+    };
+
+    const parse = ({ table }, options = {}) => {
+        const header = locateHeader(table);
+        if (!header) return { rows: [], warnings: [{ message: 'Не найдена строка заголовков (дата и сумма)' }] };
+
+        const { headerIndex, map } = header;
+        const cell = (row, field) => (map[field] > -1 ? row[map[field]] : '');
+        const rows = [];
+        const warnings = [];
+
+        table.slice(headerIndex + 1).forEach((row, offset) => {
+            const rowIndex = headerIndex + 1 + offset;
+            const date = parseDate(cell(row, 'date'));
+
+            // Statement debit = money leaving the account, credit = money coming in
+            let signedAmount = null;
+            if (map.debit > -1 && map.credit > -1) {
+                const debit = Math.abs(parseAmount(cell(row, 'debit')) || 0);
+                const credit = Math.abs(parseAmount(cell(row, 'credit')) || 0);
+                signedAmount = credit - debit;
+            }
+            if (!signedAmount && map.amount > -1) {
+                signedAmount = parseAmount(cell(row, 'amount'));
+            }
+
+            // Totals and footer rows have no date
+            if (!date) {
+                if (signedAmount) warnings.push({ rowIndex, message: 'Строка без даты пропущена' });
+                return;
+            }
+            if (!signedAmount) {
+                warnings.push({ rowIndex, message: 'Строка с нулевой суммой пропущена' });
+                return;
+            }
+
+            const type = _resolveType(cell(row, 'type'), signedAmount);
+            rows.push({
+                rowIndex,
+                date: date.toISOString(),
+                amount: Math.abs(signedAmount),
+                type,
+                account: options.accountName || String(cell(row, 'account') || options.detectedAccount || '').trim() || null,
+                contractor: String(cell(row, 'counterparty') || '').trim() || null,
+                counterpartyBin: String(cell(row, 'counterpartyBin') || '').replace(/\D/g, '') || null,
+                counterpartyAccount: String(cell(row, 'counterpartyAccount') || '').replace(/\s+/g, '').toUpperCase() || null,
+                description: String(cell(row, 'description') || '').trim() || null,
+                bankReference: String(cell(row, 'reference') || '').trim() || null,
+                category: String(cell(row, 'category') || '').trim() || null,
+                project: String(cell(row, 'project') || '').trim() || null,
+                currency: String(cell(row, 'currency') || '').trim().toUpperCase() || null
+            });
+        });
+
+        return { rows, warnings };
+    };
+
+    return {
+        id: config.id,
+        name: config.name,
+        kinds: config.kinds,
+        detect,
+        parse
+    };
+}
+
+module.exports = {
+    COMMON_COLUMNS,
+    createTableParser
+};
@@ -0,0 +1,335 @@
+// utils/payroll.js
+// Payroll: employees (linked to an Individual), salary terms and the monthly payroll run.
+//
+// A run turns the gross salary of every employee into planned expense Events of the month
+// (employeeId + payrollMonth + payrollPart):
+//   - salary: net pay to the employee (gross minus withholdings), flagged isSalary
+//   - ipn, opv: withheld from the gross and paid to the budget / pension fund
+//   - so, osms: employer contributions on top of the gross
+// so the operations add up to the real cost: gross + SO + OSMS. Salary is paid on the employee's
+// payDay of the next month, withholdings and contributions by the 25th of the next month.
+// Employees hired or dismissed mid-month get the gross prorated by calendar days.
+
+const { NOT_DELETED } = require('./trash');
+
+const PAYROLL_PARTS = ['salary', 'ipn', 'opv', 'so', 'osms'];
+const PAYROLL_CATEGORY_NAMES = {
+    salary: 'Зарплата',
+    ipn: 'ИПН',
+    opv: 'ОПВ',
+    so: 'Социальные отчисления',
+    osms: 'ОСМС'
+};
+const PAYROLL_PART_LABELS = {
+    salary: 'зарплата к выплате',
+    ipn: 'ИПН',
+    opv: 'ОПВ',
+    so: 'социальные отчисления',
+    osms: 'отчисления ОСМС'
+};
+// МРП, МЗП and the standard IPN deduction (in МРП) by year; later years use the last known values
+const PAYROLL_YEAR_PARAMS = {
+    2025: { mrp: 3932, mzp: 85000, deductionMrp: 14 },
+    2026: { mrp: 4325, mzp: 85000, deductionMrp: 30 }
+};
+// Rates and their bases: OPV up to 50 МЗП, SO on gross minus OPV within 1–7 МЗП, OSMS up to 40 МЗП
+const PAYROLL_RATES = { opv: 0.10, ipn: 0.10, so: 0.05, osms: 0.03 };
+const CONTRIBUTIONS_DUE_DAY = 25;
+const DEFAULT_PAY_DAY = 10;
+
+const _id = (value) => (value ? String(value._id || value) : '');
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const _isObjectId = (value) => /^[0-9a-fA-F]{24}$/.test(String(value || ''));
+const _pad = (value) => String(value).padStart(2, '0');
+
+const _error = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const _date = (value, label) => {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) throw _error(`Invalid ${label}: ${value}`);
+    return date;
+};
+
+/**
+ * Statutory values of a year
+ * @param {Number} year
+ * @returns {{mrp, mzp, deductionMrp}}
+ */
+function payrollParamsOf(year) {
+    const known = Object.keys(PAYROLL_YEAR_PARAMS).map(Number).sort((a, b) => a - b);
+    const match = known.filter((value) => value <= year).pop() || known[0];
+    return PAYROLL_YEAR_PARAMS[match];
+}
+
+/**
+ * Month of a payroll run from 'YYYY-MM' (current month by default)
+ * @param {String} value
+ * @returns {{key, year, month, dateFrom, dateTo}}
+ */
+function parsePayrollMonth(value) {
+    let year;
+    let month;
+    if (value === undefined || value === null || value === '') {
+        const now = new Date();
+        year = now.getFullYear();
+        month = now.getMonth();
+    } else {
+        const match = /^(\d{4})-(\d{2})$/.exec(String(value));
+        if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) throw _error(`Invalid month: ${value}, expected YYYY-MM`);
+        year = Number(match[1]);
+        month = Number(match[2]) - 1;
+    }
+    return {
+        key: `${year}-${_pad(month + 1)}`,
+        year,
+        month,
+        dateFrom: new Date(year, month, 1),
+        dateTo: new Date(year, month + 1, 0, 23, 59, 59, 999)
+    };
+}
+
+/**
+ * Validate employee fields from a request body
+ * @param {Object} body - { individualId, companyId, accountId, projectId, position, salary, payDay,
+ *                          hireDate, terminationDate, applyStandardDeduction }
+ * @param {Object} options - { partial: true for updates (only the fields present are checked) }
+ * @returns {Object} fields to save
+ */
+function normalizeEmployeeFields(body = {}, { partial = false } = {}) {
+    const fields = {};
+    const has = (key) => !partial || body[key] !== undefined;
+
+    ['individualId', 'companyId', 'accountId', 'projectId'].forEach((key) => {
+        if (!has(key)) return;
+        const value = _id(body[key]);
+        if (value && !_isObjectId(value)) throw _error(`Invalid ${key}: ${value}`);
+        fields[key] = value || null;
+    });
+    if (has('individualId') && !fields.individualId) throw _error('Employee needs an individualId');
+
+    if (has('position')) fields.position = body.position ? String(body.position).trim() : null;
+
+    if (has('salary')) {
+        const salary = Number(body.salary);
+        if (!Number.isFinite(salary) || salary < 0) throw _error(`Invalid salary: ${body.salary}`);
+        fields.salary = _round(salary);
+    }
+    if (has('payDay')) {
+        const payDay = body.payDay === undefined || body.payDay === null || body.payDay === '' ? DEFAULT_PAY_DAY : Number(body.payDay);
+        if (!Number.isInteger(payDay) || payDay < 1 || payDay > 31) throw _error('payDay must be an integer between 1 and 31');
+        fields.payDay = payDay;
+    }
+
+    if (has('hireDate')) fields.hireDate = body.hireDate ? _date(body.hireDate, 'hireDate') : new Date();
+    if (has('terminationDate')) fields.terminationDate = body.terminationDate ? _date(body.terminationDate, 'terminationDate') : null;
+    if (fields.hireDate && fields.terminationDate && fields.terminationDate < fields.hireDate) {
+        throw _error('terminationDate cannot be earlier than hireDate');
+    }
+
+    if (body.applyStandardDeduction !== undefined || !partial) {
+        fields.applyStandardDeduction = body.applyStandardDeduction !== false && body.applyStandardDeduction !== 'false';
+    }
+    return fields;
+}
+
+/**
+ * Withholdings and contributions of a monthly gross salary
+ * @param {Number} gross
+ * @param {Object} options - { year, applyStandardDeduction }
+ * @returns {{gross, opv, ipn, net, so, osms, employerCost}}
+ */
+function calculatePayroll(gross, { year = new Date().getFullYear(), applyStandardDeduction = true } = {}) {
+    const { mrp, mzp, deductionMrp } = payrollParamsOf(year);
+    const amount = _round(Math.max(Number(gross) || 0, 0));
+    if (amount === 0) return { gross: 0, opv: 0, ipn: 0, net: 0, so: 0, osms: 0, employerCost: 0 };
+
+    const opv = _round(Math.min(amount, 50 * mzp) * PAYROLL_RATES.opv);
+    const deduction = applyStandardDeduction ? deductionMrp * mrp : 0;
+    const ipn = _round(Math.max(amount - opv - deduction, 0) * PAYROLL_RATES.ipn);
+    const so = _round(Math.min(Math.max(amount - opv, mzp), 7 * mzp) * PAYROLL_RATES.so);
+    const osms = _round(Math.min(amount, 40 * mzp) * PAYROLL_RATES.osms);
+
+    return {
+        gross: amount,
+        opv,
+        ipn,
+        net: _round(amount - opv - ipn),
+        so,
+        osms,
+        employerCost: _round(amount + so + osms)
+    };
+}
+
+/**
+ * Gross salary of an employee for a month, prorated by the calendar days employed
+ * @param {Object} employee
+ * @param {Object} month - parsePayrollMonth result
+ * @returns {Number} 0 when not employed that month
+ */
+function grossForMonth(employee, month) {
+    const salary = Number(employee.salary) || 0;
+    const hireDate = employee.hireDate ? new Date(employee.hireDate) : month.dateFrom;
+    const terminationDate = employee.terminationDate ? new Date(employee.terminationDate) : null;
+    if (salary <= 0 || hireDate > month.dateTo || (terminationDate && terminationDate < month.dateFrom)) return 0;
+
+    const daysInMonth = month.dateTo.getDate();
+    const firstDay = hireDate > month.dateFrom ? hireDate.getDate() : 1;
+    const lastDay = terminationDate && terminationDate < month.dateTo ? terminationDate.getDate() : daysInMonth;
+    return _round(salary * (lastDay - firstDay + 1) / daysInMonth);
+}
+
+/**
+ * Payment dates of a month's payroll: salary on payDay, the rest by the 25th of the next month
+ * @returns {Object} part -> Date
+ */
+function payrollDatesOf(employee, month) {
+    const lastDay = new Date(month.year, month.month + 2, 0).getDate();
+    const payDay = Math.min(Number(employee.payDay) || DEFAULT_PAY_DAY, lastDay);
+    const contributionsDate = new Date(month.year, month.month + 1, CONTRIBUTIONS_DUE_DAY, 12);
+    return {
+        salary: new Date(month.year, month.month + 1, payDay, 12),
+        ipn: contributionsDate,
+        opv: contributionsDate,
+        so: contributionsDate,
+        osms: contributionsDate
+    };
+}
+
+/**
+ * @param {Object} deps - { Employee, Event, Individual }
+ */
+function createPayrollService({ Employee, Event, Individual }) {
+    async function _names(ids) {
+        const list = [...new Set(ids.filter(Boolean).map(String))];
+        if (list.length === 0) return new Map();
+        const docs = await Individual.find({ _id: { $in: list } }).select('name identificationNumber').lean();
+        return new Map(docs.map((doc) => [String(doc._id), doc]));
+    }
+
+    /**
+     * Employees with a salary for the month
+     * @param {Object} params - { userIdQuery, month, employeeIds }
+     * @returns {Promise<Array>} employees with gross and name
+     */
+    async function employeesForMonth({ userIdQuery, month, employeeIds = null }) {
+        const query = { userId: userIdQuery, ...NOT_DELETED };
+        if (employeeIds) query._id = { $in: employeeIds };
+        const employees = await Employee.find(query).lean();
+        const names = await _names(employees.map((employee) => _id(employee.individualId)));
+        return employees
+            .map((employee) => ({
+                ...employee,
+                name: names.get(_id(employee.individualId))?.name || '',
+                gross: grossForMonth(employee, month)
+            }))
+            .filter((employee) => employee.gross > 0)
+            .sort((a, b) => a.name.localeCompare(b.name, 'ru'));
+    }
+
+    /**
+     * Payroll register of a month: per employee gross, withholdings, net pay and employer contributions,
+     * taken from the run's operations
+     * @param {Object} params - { userIdQuery, month, asOf }
+     * @returns {Promise<Object>} { month, employees, notRun, totals }
+     */
+    async function register({ userIdQuery, month, asOf = new Date() }) {
+        const events = await Event.find({
+            userId: userIdQuery,
+            ...NOT_DELETED,
+            payrollMonth: month.key,
+            payrollPart: { $in: PAYROLL_PARTS }
+        }).select('date amount employeeId payrollPart accountId').sort({ date: 1 }).lean();
+
+        const byEmployee = new Map();
+        events.forEach((event) => {
+            const key = _id(event.employeeId);
+            if (!byEmployee.has(key)) {
+                byEmployee.set(key, {
+                    employeeId: key,
+                    ...Object.fromEntries(PAYROLL_PARTS.map((part) => [part, 0])),
+                    paid: 0,
+                    toPay: 0,
+                    salaryDate: null
+                });
+            }
+            const row = byEmployee.get(key);
+            const amount = Math.abs(Number(event.amount) || 0);
+            row[event.payrollPart] += amount;
+            if (new Date(event.date) <= asOf) row.paid += amount;
+            else row.toPay += amount;
+            if (event.payrollPart === 'salary') row.salaryDate = event.date;
+        });
+
+        const employees = byEmployee.size
+            ? await Employee.find({ _id: { $in: [...byEmployee.keys()] } }).select('individualId position').lean()
+            : [];
+        const employeeById = new Map(employees.map((employee) => [String(employee._id), employee]));
+        const names = await _names(employees.map((employee) => _id(employee.individualId)));
+
+        const rows = [...byEmployee.values()].map((row) => {
+            const employee = employeeById.get(row.employeeId) || {};
+            const individual = names.get(_id(employee.individualId)) || {};
+            return {
+                employeeId: row.employeeId,
+                individualId: employee.individualId || null,
+                name: individual.name || '',
+                identificationNumber: individual.identificationNumber || null,
+                position: employee.position || null,
+                gross: _round(row.salary + row.ipn + row.opv),
+                opv: _round(row.opv),
+                ipn: _round(row.ipn),
+                net: _round(row.salary),
+                so: _round(row.so),
+                osms: _round(row.osms),
+                employerCost: _round(row.salary + row.ipn + row.opv + row.so + row.osms),
+                salaryDate: row.salaryDate,
+                paid: _round(row.paid),
+                toPay: _round(row.toPay)
+            };
+        }).sort((a, b) => a.name.localeCompare(b.name, 'ru'));
+
+        // Employees with a salary this month that the run has not covered
+        const notRun = (await employeesForMonth({ userIdQuery, month }))
+            .filter((employee) => !byEmployee.has(String(employee._id)))
+            .map((employee) => ({ employeeId: employee._id, name: employee.name, gross: employee.gross }));
+
+        const sum = (field) => _round(rows.reduce((total, row) => total + row[field], 0));
+        return {
+            month: month.key,
+            asOf,
+            employees: rows,
+            notRun,
+            totals: {
+                gross: sum('gross'),
+                opv: sum('opv'),
+                ipn: sum('ipn'),
+                net: sum('net'),
+                so: sum('so'),
+                osms: sum('osms'),
+                employerCost: sum('employerCost'),
+                paid: sum('paid'),
+                toPay: sum('toPay')
+            }
+        };
+    }
+
+    return { employeesForMonth, register };
+}
+
+module.exports = {
+    PAYROLL_PARTS,
+    PAYROLL_CATEGORY_NAMES,
+    PAYROLL_PART_LABELS,
+    PAYROLL_RATES,
+    payrollParamsOf,
+    parsePayrollMonth,
+    normalizeEmployeeFields,
+    calculatePayroll,
+    grossForMonth,
+    payrollDatesOf,
+    createPayrollService
+};
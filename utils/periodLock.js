@@ -0,0 +1,91 @@
+// utils/periodLock.js
+// Period close: operations dated on or before the workspace closedPeriodDate (settings) are read-only.
+//   - nobody adds an operation to a closed period or moves one into it; statement import skips such rows
+//   - managers never change or delete an operation of a closed period
+//   - an admin does so only after POST /api/events/:id/unlock, stored in the audit trail as an 'unlock'
+//     revision; the unlock is spent by the next change of that operation
+//   - a change of many operations (series, trash, import rollback, generated schedules, cascades) is
+//     checked as a whole before its first write: one locked operation rejects all of it
+
+const _pad = (value) => String(value).padStart(2, '0');
+
+const _error = (message, statusCode = 403) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = 'PERIOD_CLOSED';
+    return error;
+};
+
+/**
+ * Closed period date from a request value: the start of that day, null to reopen everything
+ * @param {*} value
+ * @returns {Date|null|undefined} undefined when the value is not a date
+ */
+function normalizeClosedPeriodDate(value) {
+    if (value === null || value === '') return null;
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) return undefined;
+    date.setHours(0, 0, 0, 0);
+    return date;
+}
+
+/**
+ * Whether a date falls into the closed period (the closing day included)
+ * @param {Date|String} date
+ * @param {Date|String|null} closedPeriodDate
+ * @returns {Boolean}
+ */
+function isInClosedPeriod(date, closedPeriodDate) {
+    if (!closedPeriodDate || !date) return false;
+    const end = new Date(closedPeriodDate);
+    end.setHours(23, 59, 59, 999);
+    return new Date(date) <= end;
+}
+
+const formatClosedPeriodDate = (closedPeriodDate) => {
+    const date = new Date(closedPeriodDate);
+    return `${_pad(date.getDate())}.${_pad(date.getMonth() + 1)}.${date.getFullYear()}`;
+};
+
+/**
+ * Throw a 403 when a change touches the closed period (see the header)
+ * @param {Object} params - { closedPeriodDate, role, existingEvent? (changed or deleted), nextDate? (date after the change) }
+ * @returns {Boolean} true when an unlocked operation of the closed period is changed and its unlock has to be spent
+ */
+function assertPeriodOpen({ closedPeriodDate, role, existingEvent = null, nextDate = null }) {
+    if (!closedPeriodDate) return false;
+    const until = formatClosedPeriodDate(closedPeriodDate);
+
+    const isClosedEvent = !!existingEvent && isInClosedPeriod(existingEvent.date, closedPeriodDate);
+    if (isClosedEvent) {
+        if (role !== 'admin') throw _error(`Период по ${until} закрыт: операция доступна только для чтения`);
+        if (!existingEvent.periodUnlockedAt) throw _error(`Период по ${until} закрыт: сначала разблокируйте операцию`);
+    }
+    if (!isClosedEvent && nextDate && isInClosedPeriod(nextDate, closedPeriodDate)) {
+        throw _error(`Период по ${until} закрыт: нельзя добавить операцию с этой датой`);
+    }
+    return isClosedEvent;
+}
+
+/**
+ * assertPeriodOpen for a change of many operations, before any of them is written
+ * @param {Object} params - { closedPeriodDate, role, events? (changed or deleted), nextDates? (of added or moved operations) }
+ * @returns {Set<String>} ids of the unlocked operations whose unlock is spent by the change
+ */
+function assertPeriodOpenForEvents({ closedPeriodDate, role, events = [], nextDates = [] }) {
+    const spent = new Set();
+    if (!closedPeriodDate) return spent;
+    events.forEach((existingEvent) => {
+        if (assertPeriodOpen({ closedPeriodDate, role, existingEvent })) spent.add(String(existingEvent._id));
+    });
+    nextDates.forEach((nextDate) => assertPeriodOpen({ closedPeriodDate, role, nextDate }));
+    return spent;
+}
+
+module.exports = {
+    normalizeClosedPeriodDate,
+    isInClosedPeriod,
+    formatClosedPeriodDate,
+    assertPeriodOpen,
+    assertPeriodOpenForEvents
+};
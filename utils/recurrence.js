@@ -0,0 +1,247 @@
+// utils/recurrence.js
+// Recurrence rules for repeating operations (rent, salaries, subscriptions)
+// and the materializer that turns a rule into real Event documents.
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'last_working_day'];
+const DEFAULT_HORIZON_DAYS = 365;
+const MAX_OCCURRENCES = 1000;
+
+// Event fields copied from the source operation into the series template
+const RECURRENCE_TEMPLATE_FIELDS = [
+    'type', 'amount', 'description',
+    'categoryId', 'categoryIds', 'accountId', 'companyId', 'individualId',
+    'contractorId', 'counterpartyIndividualId', 'projectId',
+    'isTransfer', 'isWithdrawal', 'destination', 'transferPurpose', 'transferReason',
+    'fromAccountId', 'toAccountId', 'fromCompanyId', 'toCompanyId', 'fromIndividualId', 'toIndividualId',
+    'excludeFromTotals', 'isSalary'
+];
+
+const _badRequest = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const _daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+const _lastWorkingDayOfMonth = (year, month, hours, minutes) => {
+    const date = new Date(year, month, _daysInMonth(year, month), hours, minutes);
+    while (date.getDay() === 0 || date.getDay() === 6) {
+        date.setDate(date.getDate() - 1);
+    }
+    return date;
+};
+
+/**
+ * Validate and normalize a recurrence rule coming from the client
+ * @param {Object} input - { frequency, interval, startDate, endDate, count }
+ * @returns {Object} Normalized rule fields (throws Error with statusCode 400 on invalid input)
+ */
+function normalizeRecurrenceRule(input = {}) {
+    const frequency = String(input.frequency || '').trim();
+    if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+        throw _badRequest(`Unknown recurrence frequency: ${input.frequency}`);
+    }
+
+    const interval = input.interval == null || input.interval === '' ? 1 : Number(input.interval);
+    if (!Number.isInteger(interval) || interval < 1) {
+        throw _badRequest('Recurrence interval must be a positive integer');
+    }
+
+    const startDate = new Date(input.startDate);
+    if (isNaN(startDate.getTime())) {
+        throw _badRequest('Recurrence startDate is invalid');
+    }
+
+    let endDate = null;
+    if (input.endDate) {
+        endDate = new Date(input.endDate);
+        if (isNaN(endDate.getTime())) throw _badRequest('Recurrence endDate is invalid');
+        endDate.setHours(23, 59, 59, 999);
+        if (endDate < startDate) throw _badRequest('Recurrence endDate is before startDate');
+    }
+
+    let count = null;
+    if (input.count != null && input.count !== '') {
+        count = Number(input.count);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+            throw _badRequest(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`);
+        }
+    }
+
+    return { frequency, interval, startDate, endDate, count };
+}
+
+/**
+ * Compute the date of the N-th occurrence of a rule (index 0 = startDate)
+ * @param {Object} rule - Normalized rule
+ * @param {Number} index - Occurrence index
+ * @returns {Date|null}
+ */
+function getOccurrenceDate(rule, index) {
+    const start = new Date(rule.startDate);
+    const interval = rule.interval || 1;
+    const hours = start.getHours();
+    const minutes = start.getMinutes();
+
+    if (rule.frequency === 'daily') {
+        return new Date(start.getFullYear(), start.getMonth(), start.getDate() + index * interval, hours, minutes);
+    }
+    if (rule.frequency === 'weekly') {
+        return new Date(start.getFullYear(), start.getMonth(), start.getDate() + index * interval * 7, hours, minutes);
+    }
+
+    const monthOffset = start.getMonth() + index * interval;
+    const year = start.getFullYear() + Math.floor(monthOffset / 12);
+    const month = ((monthOffset % 12) + 12) % 12;
+
+    if (rule.frequency === 'monthly') {
+        const day = Math.min(start.getDate(), _daysInMonth(year, month));
+        return new Date(year, month, day, hours, minutes);
+    }
+    if (rule.frequency === 'last_working_day') {
+        return _lastWorkingDayOfMonth(year, month, hours, minutes);
+    }
+    return null;
+}
+
+/**
+ * List occurrences of a rule up to a date, honoring endDate and count
+ * @param {Object} rule - Normalized rule
+ * @param {Date} until - Upper bound for generation (horizon)
+ * @returns {Array<{index: Number, date: Date}>}
+ */
+function listOccurrences(rule, until) {
+    const limitDate = rule.endDate && new Date(rule.endDate) < until ? new Date(rule.endDate) : until;
+    const start = new Date(rule.startDate);
+    const occurrences = [];
+
+    // For last_working_day the first month may already be past startDate: skip it without consuming count
+    let index = 0;
+    let offset = 0;
+    while (occurrences.length < MAX_OCCURRENCES) {
+        if (rule.count && index >= rule.count) break;
+        const date = getOccurrenceDate(rule, offset);
+        offset += 1;
+        if (!date) break;
+        if (date < start) continue;
+        if (date > limitDate) break;
+        occurrences.push({ index, date });
+        index += 1;
+    }
+
+    return occurrences;
+}
+
+/**
+ * Pick template fields from an Event (document or lean object)
+ * @param {Object} event
+ * @returns {Object}
+ */
+function buildRecurrenceTemplate(event) {
+    const template = {};
+    RECURRENCE_TEMPLATE_FIELDS.forEach((field) => {
+        if (event?.[field] === undefined) return;
+        const value = event[field];
+        template[field] = (value && typeof value === 'object' && value._id) ? value._id : value;
+    });
+    return template;
+}
+
+/**
+ * Factory for the materializer that writes occurrences into the Event collection
+ * @param {Object} deps - { Event, RecurrenceRule, getFirstFreeCellIndex, getDateKey, getDayOfYear }
+ */
+function createRecurrenceMaterializer(deps) {
+    const { Event, RecurrenceRule, getFirstFreeCellIndex, getDateKey, getDayOfYear } = deps;
+
+    /**
+     * Create missing occurrences of a rule up to the horizon
+     * @param {Object} rule - RecurrenceRule document
+     * @param {Object} options - { horizonDays, fromIndex, createdBy, createdByRole }
+     * @returns {Promise<Array>} Created Event documents
+     */
+    async function materializeRule(rule, options = {}) {
+        const horizonDays = options.horizonDays || DEFAULT_HORIZON_DAYS;
+        const until = new Date();
+        until.setDate(until.getDate() + horizonDays);
+        until.setHours(23, 59, 59, 999);
+
+        const existing = await Event.find({ recurrenceId: rule._id }).select('recurrenceIndex').lean();
+        const takenIndexes = new Set(existing.map((row) => row.recurrenceIndex));
+        (rule.excludedIndexes || []).forEach((idx) => takenIndexes.add(idx));
+
+        const fromIndex = options.fromIndex || 0;
+        const occurrences = listOccurrences(rule, until);
+        const created = [];
+
+        for (const occurrence of occurrences) {
+            if (occurrence.index < fromIndex || takenIndexes.has(occurrence.index)) continue;
+
+            const dateKey = getDateKey(occurrence.date);
+            const cellIndex = await getFirstFreeCellIndex(dateKey, rule.userId);
+            const event = new Event({
+                ...rule.template,
+                date: occurrence.date,
+                dateKey,
+                dayOfYear: getDayOfYear(occurrence.date),
+                cellIndex,
+                userId: rule.userId,
+                recurrenceId: rule._id,
+                recurrenceIndex: occurrence.index,
+                createdBy: options.createdBy || rule.createdBy,
+                createdByRole: options.createdByRole || rule.createdByRole
+            });
+            await event.save();
+            created.push(event);
+        }
+
+        const lastIndex = occurrences.length ? occurrences[occurrences.length - 1].index : -1;
+        rule.generatedUntil = until;
+        rule.isCompleted = Boolean(
+            (rule.endDate && new Date(rule.endDate) <= until) ||
+            (rule.count && lastIndex + 1 >= rule.count)
+        );
+        await rule.save();
+
+        return created;
+    }
+
+    /**
+     * Daily job: extend open-ended series so the timeline always has a year of planned rent/salaries
+     * @returns {Promise<Array>} Created Event documents
+     */
+    async function extendOpenRules() {
+        const horizon = new Date();
+        horizon.setDate(horizon.getDate() + DEFAULT_HORIZON_DAYS - 1);
+
+        const rules = await RecurrenceRule.find({
+            isActive: true,
+            isCompleted: { $ne: true },
+            $or: [{ generatedUntil: null }, { generatedUntil: { $lt: horizon } }]
+        });
+
+        const created = [];
+        for (const rule of rules) {
+            try {
+                created.push(...await materializeRule(rule));
+            } catch (err) {
+                console.error('[Recurrence] Failed to extend rule:', rule._id, err.message);
+            }
+        }
+        return created;
+    }
+
+    return { materializeRule, extendOpenRules };
+}
+
+module.exports = {
+    RECURRENCE_FREQUENCIES,
+    RECURRENCE_TEMPLATE_FIELDS,
+    DEFAULT_HORIZON_DAYS,
+    normalizeRecurrenceRule,
+    getOccurrenceDate,
+    listOccurrences,
+    buildRecurrenceTemplate,
+    createRecurrenceMaterializer
+};
@@ -0,0 +1,228 @@
+// utils/reports/balanceSheet.js
+// Management balance sheet as of a date. Balances come from the /api/snapshot aggregation
+// (utils/snapshot.js), so cash and contractor figures match the timeline.
+//
+//   Assets       cash on accounts (initial balance + snapshot account balance, excluded accounts aside;
+//                foreign-currency accounts at the rate of the date),
+//                receivables from open deals, advances paid to contractors
+//   Liabilities  payables to contractors, advances received on deals, remaining debt on loans
+//   Equity       retained earnings (accrual P&L up to the date) and owner equity
+//
+// Deals: receipts and revenue work acts linked to a Deal (dealId) are grouped by that deal; older
+// operations without a Deal keep the legacy grouping by counterparty + project pair (receipts are
+// isDealTranche / prepayment incomes).
+// Contractor positions count only for contractors with supplier work acts (expense + isWorkAct):
+// without acts their expenses are settled on payment. Owner equity is the balancing figure:
+// initial balances, contributions and withdrawals are not P&L items.
+
+const { NOT_DELETED } = require('../trash');
+const { isPersonalWithdrawalEvent } = require('./cashFlow');
+const { isDealReceipt } = require('./profitLoss');
+const { createCreditService } = require('../credits');
+const { DEFAULT_BASE_CURRENCY } = require('../fx');
+
+const _id = (value) => (value ? String(value._id || value) : '');
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const _sum = (rows, field) => _round(rows.reduce((total, row) => total + row[field], 0));
+
+/**
+ * @param {Object} deps - { Event, Account, Contractor, Individual, Project, Deal, Credit, snapshotService, profitLossReport }
+ */
+function createBalanceSheetReport({ Event, Account, Contractor, Individual, Project, Deal, Credit, snapshotService, profitLossReport }) {
+    const creditService = createCreditService({ Credit, Event, Contractor, Individual });
+
+    // One pass over deal receipts, work acts and owner withdrawals up to the date
+    async function _scanObligations(userIdQuery, asOf) {
+        const deals = new Map(); // dealId or counterparty|project -> { dealId, contractorId, individualId, projectId, totalAmount, received, acted }
+        const supplierActs = new Map(); // contractorId -> amount
+        const dealReceiptsByContractor = new Map();
+        let ownerWithdrawals = 0;
+
+        const cursor = Event.find({
+            userId: userIdQuery,
+            ...NOT_DELETED,
+            date: { $lte: asOf },
+            $or: [
+                { isWorkAct: true },
+                { dealId: { $ne: null } },
+                { totalDealAmount: { $gt: 0 } },
+                { isDealTranche: true },
+                { type: 'prepayment' },
+                { transferPurpose: 'personal', transferReason: 'personal_use' }
+            ]
+        })
+            .select('type amount isTransfer transferPurpose transferReason isWorkAct totalDealAmount isDealTranche dealId contractorId counterpartyIndividualId projectId')
+            .lean()
+            .batchSize(500)
+            .cursor();
+
+        for await (const event of cursor) {
+            const amount = Math.abs(Number(event.amount) || 0);
+            if (isPersonalWithdrawalEvent(event)) {
+                ownerWithdrawals += amount;
+                continue;
+            }
+
+            const contractorId = _id(event.contractorId);
+            if (event.isWorkAct && event.type === 'expense') {
+                if (contractorId) supplierActs.set(contractorId, (supplierActs.get(contractorId) || 0) + amount);
+                continue;
+            }
+
+            const individualId = contractorId ? '' : _id(event.counterpartyIndividualId);
+            const dealId = _id(event.dealId);
+            const key = dealId ? `deal:${dealId}` : `${contractorId || individualId}|${_id(event.projectId)}`;
+            if (!deals.has(key)) {
+                deals.set(key, { dealId: dealId || null, contractorId: contractorId || null, individualId: individualId || null, projectId: _id(event.projectId) || null, totalAmount: 0, received: 0, acted: 0 });
+            }
+            const deal = deals.get(key);
+            deal.totalAmount = Math.max(deal.totalAmount, Number(event.totalDealAmount) || 0);
+            if (event.isWorkAct) {
+                deal.acted += amount;
+            } else if (isDealReceipt(event)) {
+                deal.received += amount;
+                if (contractorId) dealReceiptsByContractor.set(contractorId, (dealReceiptsByContractor.get(contractorId) || 0) + amount);
+            }
+        }
+
+        // Contract amount and client of a Deal come from the Deal itself
+        const dealIds = [...deals.values()].map((deal) => deal.dealId).filter(Boolean);
+        if (dealIds.length) {
+            const docs = await Deal.find({ _id: { $in: dealIds } }).select('name totalAmount contractorId counterpartyIndividualId projectId').lean();
+            docs.forEach((doc) => {
+                const deal = deals.get(`deal:${doc._id}`);
+                deal.name = doc.name || null;
+                deal.totalAmount = Number(doc.totalAmount) || 0;
+                deal.contractorId = _id(doc.contractorId) || null;
+                deal.individualId = deal.contractorId ? null : (_id(doc.counterpartyIndividualId) || null);
+                deal.projectId = _id(doc.projectId) || null;
+            });
+        }
+
+        return { deals: [...deals.values()], supplierActs, dealReceiptsByContractor, ownerWithdrawals };
+    }
+
+    async function _names(Model, ids) {
+        const list = [...new Set(ids.filter(Boolean))];
+        if (list.length === 0) return new Map();
+        const docs = await Model.find({ _id: { $in: list } }).select('name').lean();
+        return new Map(docs.map((doc) => [String(doc._id), doc.name || '']));
+    }
+
+    /**
+     * Build the balance sheet
+     * @param {Object} params - { userId (as used by /api/snapshot), userIdQuery, asOf, includeExcluded, baseCurrency }
+     * @returns {Promise<Object>} { asOf, baseCurrency, assets, liabilities, equity, excludedAccounts }
+     */
+    async function build({ userId, userIdQuery, asOf, includeExcluded = false, baseCurrency = DEFAULT_BASE_CURRENCY }) {
+        const [balances, accounts, obligations, pnl, debt] = await Promise.all([
+            snapshotService.computeBalances(userId, asOf, { baseCurrency }),
+            Account.find({ userId: userIdQuery, ...NOT_DELETED }).select('name initialBalance isExcluded isCashRegister').sort({ order: 1 }).lean(),
+            _scanObligations(userIdQuery, asOf),
+            profitLossReport.totalsUpTo({ userIdQuery, dateTo: asOf, basis: 'accrual' }),
+            creditService.debtReport({ userIdQuery, asOf })
+        ]);
+
+        // Cash, foreign-currency accounts at the rate of the date
+        const cashRows = accounts.map((account) => {
+            const currency = balances.accountCurrencies[String(account._id)] || baseCurrency;
+            const original = (Number(account.initialBalance) || 0) + (balances.accountBalances[String(account._id)] || 0);
+            const rate = currency === baseCurrency ? 1 : balances.ratesToBase[currency];
+            return {
+                accountId: account._id,
+                name: account.name || '',
+                isCashRegister: !!account.isCashRegister,
+                isExcluded: !!account.isExcluded,
+                currency,
+                originalBalance: _round(original),
+                balance: _round(original * (rate || 0))
+            };
+        });
+        const cash = cashRows.filter((row) => includeExcluded || !row.isExcluded);
+
+        // Deals: delivered but unpaid is a receivable, paid but undelivered is an advance received
+        const openDeals = obligations.deals
+            .map((deal) => ({ ...deal, outstanding: deal.acted - deal.received }))
+            .filter((deal) => Math.abs(deal.outstanding) >= 0.005);
+
+        // Contractors with supplier acts: acts minus net payments (snapshot balance without deal receipts)
+        const contractorPositions = [...obligations.supplierActs.entries()].map(([contractorId, acted]) => {
+            const cashBalance = (balances.contractorBalances[contractorId] || 0) - (obligations.dealReceiptsByContractor.get(contractorId) || 0);
+            return { contractorId, acted, paid: -cashBalance, position: acted + cashBalance };
+        }).filter((row) => Math.abs(row.position) >= 0.005);
+
+        const [contractorNames, individualNames, projectNames] = await Promise.all([
+            _names(Contractor, [...openDeals.map((deal) => deal.contractorId), ...contractorPositions.map((row) => row.contractorId)]),
+            _names(Individual, openDeals.map((deal) => deal.individualId)),
+            _names(Project, openDeals.map((deal) => deal.projectId))
+        ]);
+
+        const dealRow = (deal, amount) => ({
+            dealId: deal.dealId,
+            dealName: deal.name || null,
+            contractorId: deal.contractorId,
+            individualId: deal.individualId,
+            projectId: deal.projectId,
+            name: contractorNames.get(deal.contractorId || '') || individualNames.get(deal.individualId || '') || 'Без контрагента',
+            projectName: projectNames.get(deal.projectId || '') || null,
+            totalAmount: _round(deal.totalAmount),
+            received: _round(deal.received),
+            acted: _round(deal.acted),
+            amount: _round(amount)
+        });
+        const contractorRow = (row, amount) => ({
+            contractorId: row.contractorId,
+            name: contractorNames.get(row.contractorId) || '',
+            acted: _round(row.acted),
+            paid: _round(row.paid),
+            amount: _round(amount)
+        });
+
+        const receivables = openDeals.filter((deal) => deal.outstanding > 0).map((deal) => dealRow(deal, deal.outstanding));
+        const advancesReceived = openDeals.filter((deal) => deal.outstanding < 0).map((deal) => dealRow(deal, -deal.outstanding));
+        const payables = contractorPositions.filter((row) => row.position > 0).map((row) => contractorRow(row, row.position));
+        const advancesPaid = contractorPositions.filter((row) => row.position < 0).map((row) => contractorRow(row, -row.position));
+
+        const assets = {
+            cash: { total: _sum(cash, 'balance'), accounts: cash },
+            receivables: { total: _sum(receivables, 'amount'), deals: receivables },
+            advancesPaid: { total: _sum(advancesPaid, 'amount'), contractors: advancesPaid }
+        };
+        assets.total = _round(assets.cash.total + assets.receivables.total + assets.advancesPaid.total);
+
+        const loans = debt.credits
+            .filter((credit) => credit.remainingDebt >= 0.005)
+            .map((credit) => ({ creditId: credit._id, name: credit.name, lenderName: credit.lenderName, principal: credit.principal, amount: credit.remainingDebt }));
+
+        const liabilities = {
+            payables: { total: _sum(payables, 'amount'), contractors: payables },
+            advancesReceived: { total: _sum(advancesReceived, 'amount'), deals: advancesReceived },
+            loans: { total: _sum(loans, 'amount'), credits: loans }
+        };
+        liabilities.total = _round(liabilities.payables.total + liabilities.advancesReceived.total + liabilities.loans.total);
+
+        const retainedEarnings = pnl.net_profit;
+        const equity = {
+            retainedEarnings,
+            ownerEquity: _round(assets.total - liabilities.total - retainedEarnings),
+            ownerWithdrawals: _round(obligations.ownerWithdrawals),
+            total: _round(assets.total - liabilities.total)
+        };
+
+        return {
+            asOf,
+            baseCurrency,
+            assets,
+            liabilities,
+            equity,
+            excludedAccounts: includeExcluded ? [] : cashRows.filter((row) => row.isExcluded),
+            missingRates: balances.missingRates
+        };
+    }
+
+    return { build };
+}
+
+module.exports = {
+    createBalanceSheetReport
+};
@@ -0,0 +1,276 @@
+// utils/reports/cashFlow.js
+// Cash-flow statement (ДДС): opening balance, inflows / outflows by category, transfers and
+// closing balance per period for a set of accounts.
+//
+// Money movements follow the /api/snapshot account pipeline:
+//   - income / expense move their account; work acts move no money
+//   - a transfer moves money from one account to the other (the destination gets toAmount of a
+//     cross-currency transfer); a personal withdrawal (transferPurpose 'personal' +
+//     transferReason 'personal_use') only leaves the source account
+//   - excluded accounts (isExcluded) are outside the statement unless asked for
+// On top of that:
+//   - excludeFromTotals operations still move the balance but are kept out of the category lines
+//     (reported as "excluded")
+//   - a split parent counts in full under its category: its parts only spread it over projects,
+//     share its category and carry no account, so they never reach the statement
+//   - offset expenses (offsetIncomeId, взаимозачет) are netted against the category of the linked
+//     income instead of counting as outflows
+//   - transfers between two accounts of the statement cancel out and are reported as "internal"
+
+const { NOT_DELETED } = require('../trash');
+const { buildPeriods, periodKeyOf } = require('./periods');
+
+const NO_CATEGORY = 'none';
+
+const _id = (value) => (value ? String(value._id || value) : '');
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const isTransferEvent = (event) => event.isTransfer === true || event.type === 'transfer';
+const isPersonalWithdrawalEvent = (event) => isTransferEvent(event)
+    && event.transferPurpose === 'personal'
+    && event.transferReason === 'personal_use';
+
+/**
+ * Account balance changes caused by one Event (same rules as the /api/snapshot "accounts" facet)
+ * @param {Object} event - lean Event
+ * @returns {Array<{accountId: String, amount: Number, kind: String}>}
+ *          kind: income | expense | transfer_in | transfer_out | withdrawal
+ */
+function accountImpacts(event) {
+    const amount = Math.abs(Number(event.amount) || 0);
+    if (isTransferEvent(event)) {
+        const from = _id(event.fromAccountId);
+        const to = _id(event.toAccountId);
+        if (isPersonalWithdrawalEvent(event)) return from ? [{ accountId: from, amount: -amount, kind: 'withdrawal' }] : [];
+        return [
+            ...(from ? [{ accountId: from, amount: -amount, kind: 'transfer_out' }] : []),
+            ...(to ? [{ accountId: to, amount: event.toAmount != null ? Math.abs(Number(event.toAmount) || 0) : amount, kind: 'transfer_in' }] : [])
+        ];
+    }
+    if (!event.accountId || event.isWorkAct) return [];
+
+    const isIncome = event.type === 'income';
+    // Legacy inter-company transfers are stored as an income + expense pair sharing transferGroupId
+    const kind = event.transferGroupId
+        ? (isIncome ? 'transfer_in' : 'transfer_out')
+        : (isIncome ? 'income' : 'expense');
+    return [{ accountId: _id(event.accountId), amount: isIncome ? amount : -amount, kind }];
+}
+
+const EVENT_FIELDS = 'date type amount toAmount accountId fromAccountId toAccountId isTransfer transferPurpose transferReason transferGroupId '
+    + 'isWorkAct categoryId categoryIds excludeFromTotals offsetIncomeId';
+
+const _emptyPeriod = (period) => ({
+    key: period.key,
+    dateFrom: period.dateFrom,
+    dateTo: period.dateTo,
+    opening: 0,
+    inflows: 0,
+    outflows: 0,
+    offsets: 0,
+    transfers: { in: 0, out: 0, withdrawals: 0, internal: 0, net: 0 },
+    excluded: { inflows: 0, outflows: 0 },
+    closing: 0
+});
+
+/**
+ * @param {Object} deps - { Event, Account, Category }
+ */
+function createCashFlowReport({ Event, Account, Category }) {
+    /**
+     * Accounts the statement covers
+     * @param {Object} params - { userIdQuery, accountIds?, allowedAccountIds? (manager access), includeExcluded? }
+     */
+    async function resolveAccounts({ userIdQuery, accountIds = [], allowedAccountIds = null, includeExcluded = false }) {
+        const query = { userId: userIdQuery, ...NOT_DELETED };
+        if (!includeExcluded && accountIds.length === 0) query.isExcluded = { $ne: true };
+        let accounts = await Account.find(query).select('name initialBalance isExcluded isCashRegister companyId').lean();
+        if (accountIds.length) accounts = accounts.filter((account) => accountIds.includes(String(account._id)));
+        if (allowedAccountIds) accounts = accounts.filter((account) => allowedAccountIds.includes(String(account._id)));
+        return accounts;
+    }
+
+    const _eventsQuery = (userIdQuery, accountIds, date) => ({
+        userId: userIdQuery,
+        ...NOT_DELETED,
+        date,
+        $or: [
+            { accountId: { $in: accountIds } },
+            { fromAccountId: { $in: accountIds } },
+            { toAccountId: { $in: accountIds } }
+        ]
+    });
+
+    /**
+     * Build the statement
+     * @param {Object} params - { userIdQuery, dateFrom, dateTo, groupBy, accountIds?, allowedAccountIds?, includeExcluded? }
+     * @returns {Promise<Object>} { dateFrom, dateTo, groupBy, accounts, periods, categories, totals }
+     */
+    async function build(params) {
+        const { userIdQuery, dateFrom, dateTo, groupBy } = params;
+        const periods = buildPeriods(dateFrom, dateTo, groupBy).map(_emptyPeriod);
+        const periodByKey = new Map(periods.map((period) => [period.key, period]));
+
+        const accounts = await resolveAccounts(params);
+        const scope = new Set(accounts.map((account) => String(account._id)));
+        const scopeIds = accounts.map((account) => account._id);
+
+        // Opening balance: initial balances plus every movement before the range
+        let opening = accounts.reduce((sum, account) => sum + (Number(account.initialBalance) || 0), 0);
+        if (scopeIds.length) {
+            const before = Event.find(_eventsQuery(userIdQuery, scopeIds, { $lt: dateFrom })).select(EVENT_FIELDS).lean().cursor();
+            for await (const event of before) {
+                accountImpacts(event).forEach((impact) => { if (scope.has(impact.accountId)) opening += impact.amount; });
+            }
+        }
+
+        const categoryLines = new Map(); // categoryId -> { inflows, outflows, byPeriod: Map(key -> { inflows, outflows }) }
+        const _categoryCell = (categoryId, key) => {
+            if (!categoryLines.has(categoryId)) categoryLines.set(categoryId, { inflows: 0, outflows: 0, byPeriod: new Map() });
+            const line = categoryLines.get(categoryId);
+            if (!line.byPeriod.has(key)) line.byPeriod.set(key, { inflows: 0, outflows: 0 });
+            return { line, cell: line.byPeriod.get(key) };
+        };
+        const _addCategory = (categoryId, key, field, amount) => {
+            const { line, cell } = _categoryCell(categoryId, key);
+            line[field] += amount;
+            cell[field] += amount;
+        };
+
+        const offsetExpenses = [];
+        const incomeCategory = new Map(); // income id -> category, for offsets inside the range
+
+        if (scopeIds.length) {
+            const cursor = Event.find(_eventsQuery(userIdQuery, scopeIds, { $gte: dateFrom, $lte: dateTo }))
+                .select(EVENT_FIELDS)
+                .sort({ date: 1 })
+                .lean()
+                .cursor();
+
+            for await (const event of cursor) {
+                const period = periodByKey.get(periodKeyOf(event.date, groupBy));
+                if (!period) continue;
+                const categoryId = _id(event.categoryId) || _id((event.categoryIds || [])[0]) || NO_CATEGORY;
+                if (event.type === 'income') incomeCategory.set(_id(event), categoryId);
+
+                const impacts = accountImpacts(event).filter((impact) => scope.has(impact.accountId));
+                if (impacts.length === 0) continue;
+
+                if (isTransferEvent(event) && impacts.length === 2) {
+                    period.transfers.internal += Math.abs(impacts[0].amount);
+                    continue;
+                }
+
+                for (const impact of impacts) {
+                    const amount = Math.abs(impact.amount);
+                    if (impact.kind === 'withdrawal') period.transfers.withdrawals += amount;
+                    else if (impact.kind === 'transfer_in') period.transfers.in += amount;
+                    else if (impact.kind === 'transfer_out') period.transfers.out += amount;
+                    else if (event.excludeFromTotals && !event.offsetIncomeId) {
+                        period.excluded[impact.kind === 'income' ? 'inflows' : 'outflows'] += amount;
+                    } else if (impact.kind === 'expense' && event.offsetIncomeId) {
+                        offsetExpenses.push({ period, amount, incomeId: _id(event.offsetIncomeId), categoryId });
+                    } else if (impact.kind === 'income') {
+                        period.inflows += amount;
+                        _addCategory(categoryId, period.key, 'inflows', amount);
+                    } else {
+                        period.outflows += amount;
+                        _addCategory(categoryId, period.key, 'outflows', amount);
+                    }
+                }
+            }
+        }
+
+        // Offsets reduce the inflow of the income they settle (the income may lie outside the range)
+        const missingIncomeIds = [...new Set(offsetExpenses.map((item) => item.incomeId))].filter((id) => !incomeCategory.has(id));
+        if (missingIncomeIds.length) {
+            const incomes = await Event.find({ _id: { $in: missingIncomeIds } }).select('categoryId categoryIds').lean();
+            incomes.forEach((income) => incomeCategory.set(_id(income), _id(income.categoryId) || _id((income.categoryIds || [])[0]) || NO_CATEGORY));
+        }
+        offsetExpenses.forEach(({ period, amount, incomeId, categoryId }) => {
+            period.offsets += amount;
+            period.inflows -= amount;
+            _addCategory(incomeCategory.get(incomeId) || categoryId, period.key, 'inflows', -amount);
+        });
+
+        // Running balance through the periods
+        let balance = opening;
+        periods.forEach((period) => {
+            period.transfers.net = period.transfers.in - period.transfers.out - period.transfers.withdrawals;
+            period.opening = balance;
+            balance += period.inflows - period.outflows + period.transfers.net + period.excluded.inflows - period.excluded.outflows;
+            period.closing = balance;
+        });
+
+        const categoryIds = [...categoryLines.keys()].filter((id) => id !== NO_CATEGORY);
+        const categoryDocs = categoryIds.length
+            ? await Category.find({ _id: { $in: categoryIds } }).select('name type').lean()
+            : [];
+        const categoryById = new Map(categoryDocs.map((category) => [String(category._id), category]));
+
+        const categories = [...categoryLines.entries()].map(([categoryId, line]) => {
+            const category = categoryById.get(categoryId);
+            const byPeriod = {};
+            line.byPeriod.forEach((cell, key) => {
+                byPeriod[key] = { inflows: _round(cell.inflows), outflows: _round(cell.outflows), net: _round(cell.inflows - cell.outflows) };
+            });
+            return {
+                categoryId: categoryId === NO_CATEGORY ? null : categoryId,
+                name: categoryId === NO_CATEGORY ? 'Без категории' : (category?.name || ''),
+                type: category?.type || null,
+                inflows: _round(line.inflows),
+                outflows: _round(line.outflows),
+                net: _round(line.inflows - line.outflows),
+                byPeriod
+            };
+        }).sort((a, b) => (b.inflows + b.outflows) - (a.inflows + a.outflows));
+
+        const sum = (pick) => _round(periods.reduce((total, period) => total + pick(period), 0));
+        const totals = {
+            opening: _round(opening),
+            inflows: sum((period) => period.inflows),
+            outflows: sum((period) => period.outflows),
+            offsets: sum((period) => period.offsets),
+            transfers: {
+                in: sum((period) => period.transfers.in),
+                out: sum((period) => period.transfers.out),
+                withdrawals: sum((period) => period.transfers.withdrawals),
+                internal: sum((period) => period.transfers.internal),
+                net: sum((period) => period.transfers.net)
+            },
+            excluded: {
+                inflows: sum((period) => period.excluded.inflows),
+                outflows: sum((period) => period.excluded.outflows)
+            },
+            closing: _round(balance)
+        };
+
+        return {
+            dateFrom,
+            dateTo,
+            groupBy,
+            accounts: accounts.map((account) => ({ _id: account._id, name: account.name, isExcluded: !!account.isExcluded })),
+            periods: periods.map((period) => ({
+                ...period,
+                opening: _round(period.opening),
+                inflows: _round(period.inflows),
+                outflows: _round(period.outflows),
+                offsets: _round(period.offsets),
+                transfers: Object.fromEntries(Object.entries(period.transfers).map(([key, value]) => [key, _round(value)])),
+                excluded: { inflows: _round(period.excluded.inflows), outflows: _round(period.excluded.outflows) },
+                closing: _round(period.closing)
+            })),
+            categories,
+            totals
+        };
+    }
+
+    return { build, resolveAccounts };
+}
+
+module.exports = {
+    accountImpacts,
+    isTransferEvent,
+    isPersonalWithdrawalEvent,
+    createCashFlowReport
+};
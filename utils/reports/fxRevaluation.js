@@ -0,0 +1,136 @@
+// utils/reports/fxRevaluation.js
+// Exchange differences on foreign-currency accounts for a period, in the workspace base currency.
+//
+// Each account keeps its book value at the moving average rate: money coming in adds its amount at
+// the rate of the day, money going out leaves at the average rate.
+//   - realized: outflows of the period valued at the rate of their day minus their average cost
+//   - unrealized: balance at the rate of the date minus its book value; the period figure is its change
+//     between the start and the end of the period
+// Balance changes follow the snapshot rules (accountImpacts from the cash-flow report).
+
+const { NOT_DELETED } = require('../trash');
+const { normalizeCurrency } = require('../fx');
+const { accountImpacts } = require('./cashFlow');
+
+const EVENT_FIELDS = 'date type amount toAmount accountId fromAccountId toAccountId isTransfer transferPurpose transferReason transferGroupId isWorkAct';
+
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * @param {Object} deps - { Event, Account, fxService }
+ */
+function createFxRevaluationReport({ Event, Account, fxService }) {
+    // Balance changes of an operation on the foreign-currency accounts
+    const _movements = (event, accountIds) => accountImpacts(event).filter((row) => accountIds.has(row.accountId) && row.amount !== 0);
+
+    /**
+     * Build the report
+     * @param {Object} params - { userIdQuery, dateFrom, dateTo, baseCurrency }
+     * @returns {Promise<Object>} { dateFrom, dateTo, baseCurrency, accounts, totals, missingRates }
+     */
+    async function build({ userIdQuery, dateFrom, dateTo, baseCurrency }) {
+        const accounts = (await Account.find({ userId: userIdQuery, ...NOT_DELETED }).select('name currency initialBalance').sort({ order: 1 }).lean())
+            .map((account) => ({ ...account, currency: normalizeCurrency(account.currency) || baseCurrency }))
+            .filter((account) => account.currency !== baseCurrency);
+        const accountIds = new Set(accounts.map((account) => String(account._id)));
+        const rates = await fxService.loadRates(userIdQuery, [...accounts.map((account) => account.currency), baseCurrency], dateTo);
+
+        const states = new Map();
+        const periodStart = new Date(dateFrom.getTime() - 1);
+        const rateOf = (account, date) => rates.convert(1, account.currency, baseCurrency, date);
+        const unrealizedOf = (state, account, date) => state.balance * (rateOf(account, date) || 0) - state.book;
+
+        const events = accounts.length
+            ? await Event.find({
+                userId: userIdQuery,
+                ...NOT_DELETED,
+                date: { $lte: dateTo },
+                $or: [
+                    { accountId: { $in: [...accountIds] } },
+                    { fromAccountId: { $in: [...accountIds] } },
+                    { toAccountId: { $in: [...accountIds] } }
+                ]
+            }).select(EVENT_FIELDS).sort({ date: 1 }).lean()
+            : [];
+
+        // The initial balance enters at the rate of the first operation
+        accounts.forEach((account) => {
+            const id = String(account._id);
+            const first = events.find((event) => _movements(event, new Set([id])).length > 0);
+            const initial = Number(account.initialBalance) || 0;
+            const rate = rateOf(account, first ? first.date : dateTo) || 0;
+            states.set(id, { balance: initial, book: initial * rate, realized: 0, unrealizedAtStart: null });
+        });
+        const accountById = new Map(accounts.map((account) => [String(account._id), account]));
+
+        const _closeStart = () => states.forEach((state, id) => {
+            if (state.unrealizedAtStart === null) state.unrealizedAtStart = unrealizedOf(state, accountById.get(id), periodStart);
+        });
+
+        for (const event of events) {
+            const date = new Date(event.date);
+            if (date >= dateFrom) _closeStart();
+            for (const { accountId, amount } of _movements(event, accountIds)) {
+                const state = states.get(accountId);
+                const spot = rateOf(accountById.get(accountId), date);
+                if (spot === null) continue;
+                if (amount > 0) {
+                    state.balance += amount;
+                    state.book += amount * spot;
+                    continue;
+                }
+                const outflow = -amount;
+                const average = state.balance > 0 ? state.book / state.balance : spot;
+                const covered = Math.min(outflow, Math.max(state.balance, 0));
+                if (date >= dateFrom) state.realized += covered * (spot - average);
+                state.book -= covered * average + (outflow - covered) * spot;
+                state.balance -= outflow;
+            }
+        }
+        _closeStart();
+
+        const rows = accounts.map((account) => {
+            const state = states.get(String(account._id));
+            const rate = rateOf(account, dateTo);
+            const unrealized = unrealizedOf(state, account, dateTo);
+            const unrealizedChange = unrealized - state.unrealizedAtStart;
+            return {
+                accountId: account._id,
+                name: account.name || '',
+                currency: account.currency,
+                balance: _round(state.balance),
+                rate,
+                averageRate: state.balance > 0 ? state.book / state.balance : null,
+                valueBase: _round(state.balance * (rate || 0)),
+                bookValueBase: _round(state.book),
+                realized: _round(state.realized),
+                unrealized: _round(unrealized),
+                unrealizedChange: _round(unrealizedChange),
+                total: _round(state.realized + unrealizedChange)
+            };
+        });
+
+        const sum = (field) => _round(rows.reduce((total, row) => total + row[field], 0));
+        return {
+            dateFrom,
+            dateTo,
+            baseCurrency,
+            accounts: rows,
+            totals: {
+                valueBase: sum('valueBase'),
+                bookValueBase: sum('bookValueBase'),
+                realized: sum('realized'),
+                unrealized: sum('unrealized'),
+                unrealizedChange: sum('unrealizedChange'),
+                total: sum('total')
+            },
+            missingRates: [...rates.missing]
+        };
+    }
+
+    return { build };
+}
+
+module.exports = {
+    createFxRevaluationReport
+};
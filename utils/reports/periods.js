@@ -0,0 +1,140 @@
+// utils/reports/periods.js
+// Report ranges and period buckets (day / week / month / quarter) in server local time.
+
+const REPORT_GROUPINGS = ['day', 'week', 'month', 'quarter'];
+const MAX_PERIODS = 400;
+
+const _error = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const _pad = (value) => String(value).padStart(2, '0');
+const _dayKey = (d) => `${d.getFullYear()}-${_pad(d.getMonth() + 1)}-${_pad(d.getDate())}`;
+
+const _date = (value, endOfDay = false) => {
+    if (!value) return null;
+    const text = String(value);
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(text)
+        ? new Date(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`)
+        : new Date(text);
+    if (isNaN(date.getTime())) throw _error(`Invalid date: ${value}`);
+    return date;
+};
+
+/**
+ * Start of the period that contains a date
+ * @param {Date} date
+ * @param {String} groupBy - day | week | month | quarter
+ * @returns {Date}
+ */
+function periodStart(date, groupBy) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    if (groupBy === 'week') d.setDate(d.getDate() - ((d.getDay() + 6) % 7)); // weeks start on Monday
+    if (groupBy === 'month') d.setDate(1);
+    if (groupBy === 'quarter') d.setMonth(Math.floor(d.getMonth() / 3) * 3, 1);
+    return d;
+}
+
+const _nextStart = (start, groupBy) => {
+    const d = new Date(start);
+    if (groupBy === 'day') d.setDate(d.getDate() + 1);
+    if (groupBy === 'week') d.setDate(d.getDate() + 7);
+    if (groupBy === 'month') d.setMonth(d.getMonth() + 1, 1);
+    if (groupBy === 'quarter') d.setMonth(d.getMonth() + 3, 1);
+    return d;
+};
+
+/**
+ * Period key: "2026-03-15" (day), "2026-03-09" (Monday of the week), "2026-03" (month), "2026-Q1" (quarter)
+ * @param {Date} date
+ * @param {String} groupBy
+ * @returns {String}
+ */
+function periodKeyOf(date, groupBy) {
+    const start = periodStart(date, groupBy);
+    if (groupBy === 'month') return `${start.getFullYear()}-${_pad(start.getMonth() + 1)}`;
+    if (groupBy === 'quarter') return `${start.getFullYear()}-Q${Math.floor(start.getMonth() / 3) + 1}`;
+    return _dayKey(start);
+}
+
+/**
+ * Periods covering a range; the first and last periods are clipped to the range
+ * @param {Date} dateFrom
+ * @param {Date} dateTo
+ * @param {String} groupBy
+ * @returns {Array<{key: String, dateFrom: Date, dateTo: Date}>}
+ */
+function buildPeriods(dateFrom, dateTo, groupBy) {
+    const periods = [];
+    let start = periodStart(dateFrom, groupBy);
+    while (start <= dateTo) {
+        const next = _nextStart(start, groupBy);
+        periods.push({
+            key: periodKeyOf(start, groupBy),
+            dateFrom: start < dateFrom ? new Date(dateFrom) : start,
+            dateTo: next > dateTo ? new Date(dateTo) : new Date(next.getTime() - 1)
+        });
+        if (periods.length > MAX_PERIODS) throw _error(`Too many periods: use a larger grouping than "${groupBy}"`);
+        start = next;
+    }
+    return periods;
+}
+
+/**
+ * Date range of a period key: "2026-03-15" (day), "2026-03" (month), "2026-Q1" (quarter), "2026" (year)
+ * @param {String} key
+ * @returns {{dateFrom: Date, dateTo: Date}|null} null for an unknown format
+ */
+function periodRangeOfKey(key) {
+    const text = String(key || '').trim().toUpperCase();
+    let match;
+    let start;
+    let next;
+    if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+        start = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        next = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+    } else if ((match = text.match(/^(\d{4})-(\d{2})$/)) && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+        start = new Date(Number(match[1]), Number(match[2]) - 1, 1);
+        next = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+    } else if ((match = text.match(/^(\d{4})-Q([1-4])$/))) {
+        start = new Date(Number(match[1]), (Number(match[2]) - 1) * 3, 1);
+        next = new Date(start.getFullYear(), start.getMonth() + 3, 1);
+    } else if ((match = text.match(/^(\d{4})$/))) {
+        start = new Date(Number(match[1]), 0, 1);
+        next = new Date(start.getFullYear() + 1, 0, 1);
+    } else {
+        return null;
+    }
+    if (isNaN(start.getTime())) return null;
+    return { dateFrom: start, dateTo: new Date(next.getTime() - 1) };
+}
+
+/**
+ * Parse dateFrom / dateTo / groupBy from a query string. Defaults to the current year by month.
+ * @param {Object} query - req.query
+ * @param {Object} defaults - { groupBy }
+ * @returns {{dateFrom: Date, dateTo: Date, groupBy: String}}
+ */
+function parseReportRange(query = {}, defaults = {}) {
+    const groupBy = String(query.groupBy || defaults.groupBy || 'month').toLowerCase();
+    if (!REPORT_GROUPINGS.includes(groupBy)) throw _error(`Unsupported groupBy: ${groupBy}`);
+
+    const now = new Date();
+    const dateFrom = _date(query.dateFrom || query.startDate) || new Date(now.getFullYear(), 0, 1);
+    const dateTo = _date(query.dateTo || query.endDate, true) || new Date(now.getFullYear(), 11, 31, 23, 59, 59, 999);
+    if (dateFrom > dateTo) throw _error('dateFrom is after dateTo');
+    return { dateFrom, dateTo, groupBy };
+}
+
+module.exports = {
+    REPORT_GROUPINGS,
+    MAX_PERIODS,
+    periodStart,
+    periodKeyOf,
+    buildPeriods,
+    periodRangeOfKey,
+    parseReportRange
+};
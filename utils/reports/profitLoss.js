@@ -0,0 +1,250 @@
+// utils/reports/profitLoss.js
+// Profit & Loss: revenue, cost of sales, operating expenses, taxes and net profit per period,
+// optionally broken down by project or company.
+//
+// Two bases:
+//   - accrual (default): revenue from deals is recognized by work acts (isWorkAct), so deal
+//     prepayments and tranches are advances, not revenue; other income counts when received
+//   - cash: every income receipt is revenue, work acts are ignored
+// Categories are assigned to lines through the workspace CategoryMapping ('pnl_line'); unmapped
+// income categories go to revenue, expense categories to operating expenses and retail write-offs
+// to cost of sales. Transfers, withdrawals, split parents, excludeFromTotals operations
+// (except offsets), loan receipts and principal repayments (creditPart) are not P&L items.
+// Planned tax payments (taxKey) go to taxes unless their category is mapped elsewhere.
+
+const { NOT_DELETED } = require('../trash');
+const { RETAIL_NAME_REGEX } = require('../snapshot');
+const { buildPeriods, periodKeyOf } = require('./periods');
+
+const PNL_MAPPING_KIND = 'pnl_line';
+const PNL_LINES = ['revenue', 'cost_of_sales', 'operating_expenses', 'taxes', 'excluded'];
+const PNL_BASES = ['accrual', 'cash'];
+const PNL_BREAKDOWNS = ['project', 'company'];
+const INCOME_LINES = ['revenue'];
+
+const PNL_LINE_LABELS = {
+    revenue: 'Выручка',
+    cost_of_sales: 'Себестоимость',
+    operating_expenses: 'Операционные расходы',
+    taxes: 'Налоги',
+    excluded: 'Не учитывается в P&L'
+};
+
+const NO_CATEGORY = 'none';
+const PNL_EVENT_FIELDS = 'date type amount accountId categoryId categoryIds projectId companyId counterpartyIndividualId isWorkAct '
+    + 'isTransfer transferGroupId isSplitParent excludeFromTotals offsetIncomeId totalDealAmount isDealTranche dealId creditPart taxKey';
+
+const _id = (value) => (value ? String(value._id || value) : '');
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Receipts of a Deal (dealId) and legacy deal markers on the operation itself
+const isDealReceipt = (event) => event.type === 'prepayment'
+    || event.isDealTranche === true
+    || !!event.dealId
+    || Number(event.totalDealAmount) > 0;
+
+const _emptyTotals = () => ({ revenue: 0, cost_of_sales: 0, operating_expenses: 0, taxes: 0 });
+
+// Derived lines are computed from the base ones, never accumulated
+const _withResults = (totals) => {
+    const result = Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, _round(value)]));
+    result.gross_profit = _round(totals.revenue - totals.cost_of_sales);
+    result.operating_profit = _round(result.gross_profit - totals.operating_expenses);
+    result.net_profit = _round(result.operating_profit - totals.taxes);
+    return result;
+};
+
+/**
+ * Which P&L line an operation belongs to, and its signed contribution to that line
+ * @param {Object} event - lean Event
+ * @param {Object} ctx - { basis, lineByCategory: Map, retailId }
+ * @returns {{line: String, amount: Number, categoryId: String}|null} null when the operation is not a P&L item
+ */
+function classifyPnlItem(event, ctx) {
+    if (event.isTransfer || event.type === 'transfer' || event.transferGroupId) return null;
+    if (event.isSplitParent || (event.excludeFromTotals && !event.offsetIncomeId)) return null;
+    // Loan receipts and principal repayments are financing; only the interest is an expense
+    if (event.creditPart === 'receipt' || event.creditPart === 'principal') return null;
+
+    const isIncome = event.type === 'income' || event.type === 'prepayment';
+    if (!isIncome && event.type !== 'expense') return null;
+
+    if (event.isWorkAct) {
+        if (ctx.basis !== 'accrual') return null;
+    } else if (isIncome && ctx.basis === 'accrual' && isDealReceipt(event)) {
+        return null; // advance: recognized through work acts
+    }
+
+    const categoryId = _id(event.categoryId) || _id((event.categoryIds || [])[0]) || NO_CATEGORY;
+    const isWriteOff = !isIncome && !event.accountId && ctx.retailId && _id(event.counterpartyIndividualId) === ctx.retailId;
+    const line = ctx.lineByCategory.get(categoryId)
+        || (event.taxKey && !isIncome ? 'taxes' : null)
+        || (event.isWorkAct || isIncome ? 'revenue' : (isWriteOff ? 'cost_of_sales' : 'operating_expenses'));
+
+    // Refunds reduce their line: income on an expense line and expenses on revenue count negative
+    const amount = Math.abs(Number(event.amount) || 0);
+    const sameDirection = INCOME_LINES.includes(line) === isIncome;
+    return { line, amount: sameDirection ? amount : -amount, categoryId };
+}
+
+/**
+ * @param {Object} deps - { Event, Account, Category, Project, Company, Individual, CategoryMapping }
+ */
+function createProfitLossReport({ Event, Account, Category, Project, Company, Individual, CategoryMapping }) {
+    /**
+     * Category -> P&L line mapping of the workspace
+     * @param {*} userIdQuery
+     * @returns {Promise<Map>}
+     */
+    async function loadLineMapping(userIdQuery) {
+        const mappings = await CategoryMapping.find({ userId: userIdQuery, kind: PNL_MAPPING_KIND }).lean();
+        return new Map(mappings.filter((mapping) => PNL_LINES.includes(mapping.code))
+            .map((mapping) => [String(mapping.categoryId), mapping.code]));
+    }
+
+    /**
+     * Classification context for classifyPnlItem
+     * @param {*} userIdQuery
+     * @param {String} basis - accrual | cash
+     * @returns {Promise<Object>} { basis, lineByCategory, retailId }
+     */
+    async function loadContext(userIdQuery, basis) {
+        const [lineByCategory, retail] = await Promise.all([
+            loadLineMapping(userIdQuery),
+            Individual.findOne({ userId: userIdQuery, name: { $regex: RETAIL_NAME_REGEX } }).select('_id').lean()
+        ]);
+        return { basis, lineByCategory, retailId: retail ? String(retail._id) : null };
+    }
+
+    const _itemsCursor = (userIdQuery, date) => Event.find({
+        userId: userIdQuery,
+        ...NOT_DELETED,
+        date,
+        type: { $in: ['income', 'expense', 'prepayment'] },
+        isTransfer: { $ne: true }
+    })
+        .select(PNL_EVENT_FIELDS)
+        .lean()
+        .batchSize(500)
+        .cursor();
+
+    /**
+     * Cumulative P&L up to a date, without periods (retained earnings of the balance sheet)
+     * @param {Object} params - { userIdQuery, dateTo, basis }
+     * @returns {Promise<Object>} line totals with gross / operating / net profit
+     */
+    async function totalsUpTo({ userIdQuery, dateTo, basis = 'accrual' }) {
+        const ctx = await loadContext(userIdQuery, basis);
+        const totals = _emptyTotals();
+        for await (const event of _itemsCursor(userIdQuery, { $lte: dateTo })) {
+            const item = classifyPnlItem(event, ctx);
+            if (item && item.line !== 'excluded') totals[item.line] += item.amount;
+        }
+        return _withResults(totals);
+    }
+
+    /**
+     * Build the report
+     * @param {Object} params - { userIdQuery, dateFrom, dateTo, groupBy, basis, breakdown (project | company | null) }
+     * @returns {Promise<Object>} { dateFrom, dateTo, groupBy, basis, periods, totals, categories, breakdown }
+     */
+    async function build({ userIdQuery, dateFrom, dateTo, groupBy, basis = 'accrual', breakdown = null }) {
+        const periods = buildPeriods(dateFrom, dateTo, groupBy).map((period) => ({ ...period, totals: _emptyTotals() }));
+        const periodByKey = new Map(periods.map((period) => [period.key, period]));
+
+        const [ctx, accounts] = await Promise.all([
+            loadContext(userIdQuery, basis),
+            breakdown === 'company' ? Account.find({ userId: userIdQuery }).select('companyId').lean() : []
+        ]);
+        const accountCompany = new Map(accounts.map((account) => [String(account._id), _id(account.companyId)]));
+
+        const categoryLines = new Map(); // categoryId -> { line, total, byPeriod }
+        const breakdownRows = new Map(); // projectId | companyId -> { totals, byPeriod }
+        let excluded = 0;
+
+        const cursor = _itemsCursor(userIdQuery, { $gte: dateFrom, $lte: dateTo });
+        for await (const event of cursor) {
+            const item = classifyPnlItem(event, ctx);
+            if (!item) continue;
+            if (item.line === 'excluded') {
+                excluded += Math.abs(item.amount);
+                continue;
+            }
+            const period = periodByKey.get(periodKeyOf(event.date, groupBy));
+            if (!period) continue;
+            period.totals[item.line] += item.amount;
+
+            if (!categoryLines.has(item.categoryId)) categoryLines.set(item.categoryId, { line: item.line, total: 0, byPeriod: {} });
+            const categoryLine = categoryLines.get(item.categoryId);
+            categoryLine.total += item.amount;
+            categoryLine.byPeriod[period.key] = (categoryLine.byPeriod[period.key] || 0) + item.amount;
+
+            if (breakdown) {
+                const key = breakdown === 'project'
+                    ? _id(event.projectId)
+                    : (_id(event.companyId) || accountCompany.get(_id(event.accountId)) || '');
+                if (!breakdownRows.has(key)) breakdownRows.set(key, { totals: _emptyTotals(), byPeriod: {} });
+                const row = breakdownRows.get(key);
+                row.totals[item.line] += item.amount;
+                if (!row.byPeriod[period.key]) row.byPeriod[period.key] = _emptyTotals();
+                row.byPeriod[period.key][item.line] += item.amount;
+            }
+        }
+
+        const categoryIds = [...categoryLines.keys()].filter((id) => id !== NO_CATEGORY);
+        const breakdownIds = [...breakdownRows.keys()].filter(Boolean);
+        const BreakdownModel = breakdown === 'project' ? Project : Company;
+        const [categoryDocs, breakdownDocs] = await Promise.all([
+            categoryIds.length ? Category.find({ _id: { $in: categoryIds } }).select('name').lean() : [],
+            breakdown && breakdownIds.length ? BreakdownModel.find({ _id: { $in: breakdownIds } }).select('name').lean() : []
+        ]);
+        const nameOf = new Map([...categoryDocs, ...breakdownDocs].map((doc) => [String(doc._id), doc.name || '']));
+
+        const totals = _emptyTotals();
+        periods.forEach((period) => Object.keys(totals).forEach((line) => { totals[line] += period.totals[line]; }));
+
+        return {
+            dateFrom,
+            dateTo,
+            groupBy,
+            basis,
+            lines: PNL_LINES.filter((line) => line !== 'excluded').map((line) => ({ key: line, label: PNL_LINE_LABELS[line] })),
+            periods: periods.map((period) => ({
+                key: period.key,
+                dateFrom: period.dateFrom,
+                dateTo: period.dateTo,
+                ..._withResults(period.totals)
+            })),
+            totals: { ..._withResults(totals), excluded: _round(excluded) },
+            categories: [...categoryLines.entries()].map(([categoryId, line]) => ({
+                categoryId: categoryId === NO_CATEGORY ? null : categoryId,
+                name: categoryId === NO_CATEGORY ? 'Без категории' : (nameOf.get(categoryId) || ''),
+                line: line.line,
+                total: _round(line.total),
+                byPeriod: Object.fromEntries(Object.entries(line.byPeriod).map(([key, value]) => [key, _round(value)]))
+            })).sort((a, b) => PNL_LINES.indexOf(a.line) - PNL_LINES.indexOf(b.line) || Math.abs(b.total) - Math.abs(a.total)),
+            breakdown: breakdown
+                ? [...breakdownRows.entries()].map(([id, row]) => ({
+                    [`${breakdown}Id`]: id || null,
+                    name: id ? (nameOf.get(id) || '') : (breakdown === 'project' ? 'Без проекта' : 'Без компании'),
+                    ..._withResults(row.totals),
+                    byPeriod: Object.fromEntries(Object.entries(row.byPeriod).map(([key, value]) => [key, _withResults(value)]))
+                })).sort((a, b) => b.net_profit - a.net_profit)
+                : null
+        };
+    }
+
+    return { build, totalsUpTo, loadLineMapping, loadContext };
+}
+
+module.exports = {
+    PNL_MAPPING_KIND,
+    PNL_LINES,
+    PNL_LINE_LABELS,
+    PNL_BASES,
+    PNL_BREAKDOWNS,
+    PNL_EVENT_FIELDS,
+    isDealReceipt,
+    classifyPnlItem,
+    createProfitLossReport
+};
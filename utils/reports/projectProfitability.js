@@ -0,0 +1,248 @@
+// utils/reports/projectProfitability.js
+// Project profitability: revenue, direct costs, allocated overhead and margin per project.
+//
+// Operations are classified like the P&L (same basis, line mapping and exclusions):
+//   - revenue and costs that carry a project are that project's revenue / direct costs
+//   - costs without a project form the overhead pool, per category
+//   - revenue without a project is reported as unassigned, it gets no overhead
+// Split operations are attributed by their parts: split children (isSplitChild) carry their own
+// project; a legacy split parent without children is spread by its splitMeta [{ projectId, amount }],
+// the remainder staying on the parent's project.
+//
+// Overhead is allocated by the workspace OverheadAllocationRule set: a rule for the category of the
+// overhead wins over the default rule (categoryId null); overhead without a rule stays unallocated.
+//   - revenue_share: in proportion to project revenue over the range
+//   - fixed_percent: fixed shares per project, the rest of 100% stays unallocated
+// Project margins + unassigned revenue - unallocated overhead = P&L net profit of the range
+// (plus childless legacy split parents, which the P&L leaves out).
+
+const { NOT_DELETED } = require('../trash');
+const { PNL_EVENT_FIELDS, classifyPnlItem } = require('./profitLoss');
+
+const OVERHEAD_METHODS = ['revenue_share', 'fixed_percent'];
+const NO_CATEGORY = 'none';
+const EVENT_FIELDS = `${PNL_EVENT_FIELDS} isSplitChild parentOpId splitMeta`;
+
+const _id = (value) => (value ? String(value._id || value) : '');
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const _isObjectId = (value) => /^[0-9a-fA-F]{24}$/.test(String(value || ''));
+
+const _error = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * Validate allocation rules from a request body
+ * @param {Array} rules - [{ categoryId (null = default), method, shares: [{ projectId, percent }] }]
+ * @returns {Array} normalized rules
+ */
+function normalizeAllocationRules(rules) {
+    if (!Array.isArray(rules)) throw _error('rules array is required');
+    const seen = new Set();
+    return rules.map((rule) => {
+        const categoryId = _id(rule.categoryId) || null;
+        if (categoryId && !_isObjectId(categoryId)) throw _error(`Invalid categoryId: ${categoryId}`);
+        if (seen.has(categoryId || NO_CATEGORY)) throw _error(`Duplicate rule for category: ${categoryId || 'default'}`);
+        seen.add(categoryId || NO_CATEGORY);
+        if (!OVERHEAD_METHODS.includes(rule.method)) throw _error(`Unsupported allocation method: ${rule.method}`);
+
+        if (rule.method !== 'fixed_percent') return { categoryId, method: rule.method, shares: [] };
+
+        const shares = (Array.isArray(rule.shares) ? rule.shares : []).map((share) => ({
+            projectId: _id(share.projectId),
+            percent: Number(share.percent)
+        }));
+        if (shares.length === 0) throw _error('fixed_percent rule needs project shares');
+        shares.forEach((share) => {
+            if (!_isObjectId(share.projectId)) throw _error(`Invalid projectId: ${share.projectId}`);
+            if (!Number.isFinite(share.percent) || share.percent <= 0) throw _error(`Invalid percent for project ${share.projectId}`);
+        });
+        if (new Set(shares.map((share) => share.projectId)).size !== shares.length) throw _error('Duplicate project in shares');
+        if (shares.reduce((total, share) => total + share.percent, 0) > 100.0001) throw _error('Project shares exceed 100%');
+        return { categoryId, method: rule.method, shares };
+    });
+}
+
+// Parts of a legacy split parent: [{ projectId, amount }] with the sign of the classified item
+const _splitParts = (event, amount) => {
+    const sign = amount < 0 ? -1 : 1;
+    const parts = (event.splitMeta || [])
+        .map((part) => ({ projectId: _id(part.projectId), amount: sign * Math.abs(Number(part.amount) || 0) }))
+        .filter((part) => part.amount !== 0);
+    const remainder = amount - parts.reduce((total, part) => total + part.amount, 0);
+    if (Math.abs(remainder) >= 0.005) parts.push({ projectId: _id(event.projectId), amount: remainder });
+    return parts;
+};
+
+/**
+ * @param {Object} deps - { Event, Category, Project, OverheadAllocationRule, profitLossReport }
+ */
+function createProjectProfitabilityReport({ Event, Category, Project, OverheadAllocationRule, profitLossReport }) {
+    /**
+     * Allocation rules of the workspace
+     * @param {*} userIdQuery
+     * @returns {Promise<Array>}
+     */
+    async function loadRules(userIdQuery) {
+        return OverheadAllocationRule.find({ userId: userIdQuery }).lean();
+    }
+
+    /**
+     * Build the report
+     * @param {Object} params - { userIdQuery, dateFrom, dateTo, basis }
+     * @returns {Promise<Object>} { dateFrom, dateTo, basis, projects, overhead, totals }
+     */
+    async function build({ userIdQuery, dateFrom, dateTo, basis = 'accrual' }) {
+        const [ctx, rules] = await Promise.all([
+            profitLossReport.loadContext(userIdQuery, basis),
+            loadRules(userIdQuery)
+        ]);
+
+        const projects = new Map(); // projectId -> { revenue, directCosts }
+        const overheadPool = new Map(); // categoryId -> amount
+        let unassignedRevenue = 0;
+
+        const _add = (projectId, categoryId, line, amount) => {
+            if (!projectId) {
+                if (line === 'revenue') unassignedRevenue += amount;
+                else overheadPool.set(categoryId, (overheadPool.get(categoryId) || 0) + amount);
+                return;
+            }
+            if (!projects.has(projectId)) projects.set(projectId, { revenue: 0, directCosts: 0 });
+            projects.get(projectId)[line === 'revenue' ? 'revenue' : 'directCosts'] += amount;
+        };
+
+        const splitParents = new Map(); // parent id -> { event, item }
+        const parentsWithChildren = new Set();
+
+        const cursor = Event.find({
+            userId: userIdQuery,
+            ...NOT_DELETED,
+            date: { $gte: dateFrom, $lte: dateTo },
+            type: { $in: ['income', 'expense', 'prepayment'] },
+            isTransfer: { $ne: true }
+        })
+            .select(EVENT_FIELDS)
+            .lean()
+            .batchSize(500)
+            .cursor();
+
+        for await (const event of cursor) {
+            if (event.isSplitChild && event.parentOpId) parentsWithChildren.add(_id(event.parentOpId));
+            if (event.isSplitParent) {
+                // The P&L skips parents; kept aside in case the split has no children
+                const item = classifyPnlItem({ ...event, isSplitParent: false }, ctx);
+                if (item && item.line !== 'excluded') splitParents.set(_id(event), { event, item });
+                continue;
+            }
+            const item = classifyPnlItem(event, ctx);
+            if (!item || item.line === 'excluded') continue;
+            _add(_id(event.projectId), item.categoryId, item.line, item.amount);
+        }
+
+        const childless = [...splitParents.keys()].filter((id) => !parentsWithChildren.has(id));
+        if (childless.length) {
+            // Children outside the range still mean the parent is split by them
+            const children = await Event.find({ parentOpId: { $in: childless }, ...NOT_DELETED }).select('parentOpId').lean();
+            children.forEach((child) => parentsWithChildren.add(_id(child.parentOpId)));
+        }
+        splitParents.forEach(({ event, item }, id) => {
+            if (parentsWithChildren.has(id)) return;
+            _splitParts(event, item.amount).forEach((part) => _add(part.projectId, item.categoryId, item.line, part.amount));
+        });
+
+        // Overhead allocation
+        const ruleByCategory = new Map(rules.map((rule) => [_id(rule.categoryId) || NO_CATEGORY, rule]));
+        const defaultRule = ruleByCategory.get(NO_CATEGORY) || null;
+        const revenueBase = [...projects.entries()].filter(([, row]) => row.revenue > 0);
+        const revenueTotal = revenueBase.reduce((total, [, row]) => total + row.revenue, 0);
+        const overheadByProject = new Map();
+        const _allocate = (projectId, amount) => overheadByProject.set(projectId, (overheadByProject.get(projectId) || 0) + amount);
+
+        const overheadLines = [...overheadPool.entries()].map(([categoryId, amount]) => {
+            const rule = (categoryId !== NO_CATEGORY && ruleByCategory.get(categoryId)) || defaultRule;
+            let allocated = 0;
+            if (rule && rule.method === 'revenue_share' && revenueTotal > 0) {
+                revenueBase.forEach(([projectId, row]) => _allocate(projectId, amount * row.revenue / revenueTotal));
+                allocated = amount;
+            } else if (rule && rule.method === 'fixed_percent') {
+                (rule.shares || []).forEach((share) => {
+                    const part = amount * (Number(share.percent) || 0) / 100;
+                    _allocate(_id(share.projectId), part);
+                    allocated += part;
+                });
+            }
+            return { categoryId, amount, allocated, method: rule ? rule.method : null, isDefaultRule: !!rule && rule === defaultRule };
+        });
+
+        const projectIds = [...new Set([...projects.keys(), ...overheadByProject.keys()])];
+        const categoryIds = overheadLines.map((line) => line.categoryId).filter((id) => id !== NO_CATEGORY);
+        const [projectDocs, categoryDocs] = await Promise.all([
+            projectIds.length ? Project.find({ _id: { $in: projectIds } }).select('name').lean() : [],
+            categoryIds.length ? Category.find({ _id: { $in: categoryIds } }).select('name').lean() : []
+        ]);
+        const nameOf = new Map([...projectDocs, ...categoryDocs].map((doc) => [String(doc._id), doc.name || '']));
+
+        const projectRows = projectIds.map((projectId) => {
+            const row = projects.get(projectId) || { revenue: 0, directCosts: 0 };
+            const overhead = overheadByProject.get(projectId) || 0;
+            const grossMargin = row.revenue - row.directCosts;
+            const margin = grossMargin - overhead;
+            return {
+                projectId,
+                name: nameOf.get(projectId) || '',
+                revenue: _round(row.revenue),
+                directCosts: _round(row.directCosts),
+                grossMargin: _round(grossMargin),
+                overhead: _round(overhead),
+                margin: _round(margin),
+                marginPercent: row.revenue > 0 ? _round((margin / row.revenue) * 100) : null
+            };
+        }).sort((a, b) => b.margin - a.margin);
+
+        const sum = (rows, field) => _round(rows.reduce((total, row) => total + row[field], 0));
+        const overheadTotal = sum(overheadLines, 'amount');
+        const overheadAllocated = sum(overheadLines, 'allocated');
+        const totals = {
+            revenue: sum(projectRows, 'revenue'),
+            directCosts: sum(projectRows, 'directCosts'),
+            overhead: sum(projectRows, 'overhead'),
+            margin: sum(projectRows, 'margin'),
+            unassignedRevenue: _round(unassignedRevenue),
+            unallocatedOverhead: _round(overheadTotal - overheadAllocated)
+        };
+        totals.marginPercent = totals.revenue > 0 ? _round((totals.margin / totals.revenue) * 100) : null;
+        totals.netProfit = _round(totals.margin + totals.unassignedRevenue - totals.unallocatedOverhead);
+
+        return {
+            dateFrom,
+            dateTo,
+            basis,
+            projects: projectRows,
+            overhead: {
+                total: overheadTotal,
+                allocated: overheadAllocated,
+                unallocated: totals.unallocatedOverhead,
+                categories: overheadLines.map((line) => ({
+                    categoryId: line.categoryId === NO_CATEGORY ? null : line.categoryId,
+                    name: line.categoryId === NO_CATEGORY ? 'Без категории' : (nameOf.get(line.categoryId) || ''),
+                    amount: _round(line.amount),
+                    allocated: _round(line.allocated),
+                    method: line.method,
+                    isDefaultRule: line.isDefaultRule
+                })).sort((a, b) => b.amount - a.amount)
+            },
+            totals
+        };
+    }
+
+    return { build, loadRules };
+}
+
+module.exports = {
+    OVERHEAD_METHODS,
+    normalizeAllocationRules,
+    createProjectProfitabilityReport
+};
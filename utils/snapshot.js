@@ -0,0 +1,251 @@
+// utils/snapshot.js
+// Balances as of a date, shared by GET /api/snapshot and the reports that must reconcile with it
+// (balance sheet). One aggregation over all operations up to the date:
+//   - accounts: income/expense on the account, transfers move money between accounts,
+//     a personal withdrawal only leaves the source account, work acts move no money;
+//     a cross-currency transfer credits the destination with toAmount (utils/transfers.js)
+//   - companies / individuals: the same for owners; retail write-offs are not money
+//   - contractors / projects: income minus expense, without transfers, write-offs and work acts
+//   - categories: income / expense totals without transfers and write-offs
+// Account balances stay in the account currency; everything is also converted to the workspace base
+// currency at the rate of the snapshot date (accountBalancesBase and the other *Balances), with the
+// original amounts of foreign-currency operations in foreignBalances. Amounts in a currency without a rate
+// for that date are not in the base figures: they are listed in unconvertedBalances (and the currencies
+// in missingRates), so a client can tell an understated balance from a real one.
+
+const { NOT_DELETED } = require('./trash');
+const { DEFAULT_BASE_CURRENCY, normalizeCurrency } = require('./fx');
+
+const RETAIL_NAME_REGEX = /^(розничные клиенты|розница)$/i;
+
+/**
+ * @param {Object} deps - { Event, Individual, Account, fxService }
+ */
+function createSnapshotService({ Event, Individual, Account, fxService }) {
+    /**
+     * Cumulative balances per entity up to a moment
+     * @param {*} userId - composite workspace user id
+     * @param {Date} now - inclusive upper bound
+     * @param {Object} options - { baseCurrency }
+     * @returns {Promise<Object>} { accountBalances, companyBalances, individualBalances, contractorBalances, projectBalances, categoryTotals,
+     *                              baseCurrency, accountCurrencies, accountBalancesBase, totalBalanceBase, ratesToBase, foreignBalances,
+     *                              unconvertedBalances, missingRates }
+     */
+    async function computeBalances(userId, now, { baseCurrency = DEFAULT_BASE_CURRENCY } = {}) {
+        const retailInd = await Individual.findOne({ userId, name: { $regex: RETAIL_NAME_REGEX } });
+        const retailIdObj = retailInd ? retailInd._id : null;
+
+        // Operations without a currency are in the currency of their account (see utils/fx.js)
+        const accounts = await Account.find({ userId }).select('currency initialBalance isExcluded isDeleted').lean();
+        const accountCurrencies = new Map(accounts.map((account) => [String(account._id), normalizeCurrency(account.currency) || baseCurrency]));
+        const foreignAccounts = new Map();
+        accounts.forEach((account) => {
+            const currency = accountCurrencies.get(String(account._id));
+            if (currency === baseCurrency) return;
+            if (!foreignAccounts.has(currency)) foreignAccounts.set(currency, []);
+            foreignAccounts.get(currency).push(account._id);
+        });
+        const accountCurrencyExpr = (accountIdExpr) => (foreignAccounts.size
+            ? {
+                $switch: {
+                    branches: [...foreignAccounts.entries()].map(([currency, ids]) => ({
+                        case: { $in: [accountIdExpr, ids] },
+                        then: currency
+                    })),
+                    default: baseCurrency
+                }
+            }
+            : baseCurrency);
+
+        const aggregationResult = await Event.aggregate([
+            { $match: { userId: userId, date: { $lte: now }, ...NOT_DELETED } }, // 🔥 FIX: Use string userId, not ObjectId
+            {
+                $project: {
+                    type: 1, amount: 1, isTransfer: 1,
+                    transferPurpose: 1, transferReason: 1,
+                    categoryId: 1, accountId: 1, fromAccountId: 1, toAccountId: 1,
+                    companyId: 1, fromCompanyId: 1, toCompanyId: 1,
+                    individualId: 1, fromIndividualId: 1, toIndividualId: 1, counterpartyIndividualId: 1,
+                    contractorId: 1, projectId: 1,
+                    currency: { $ifNull: ["$currency", accountCurrencyExpr({ $ifNull: ["$accountId", "$fromAccountId"] })] },
+                    absAmount: { $abs: "$amount" },
+                    // Destination leg of a transfer: toAmount in the destination account currency when it differs
+                    toAbsAmount: { $abs: { $ifNull: ["$toAmount", "$amount"] } },
+                    toCurrency: { $cond: [{ $gt: ["$toAmount", null] }, accountCurrencyExpr("$toAccountId"), null] },
+                    isSystemWithdrawalTransfer: {
+                        $and: [
+                            { $or: ["$isTransfer", { $eq: ["$type", "transfer"] }] },
+                            { $eq: ["$transferPurpose", "personal"] },
+                            { $eq: ["$transferReason", "personal_use"] }
+                        ]
+                    },
+                    isWorkAct: { $ifNull: ["$isWorkAct", false] },
+                    isWriteOff: { $and: [{ $eq: ["$type", "expense"] }, { $not: ["$accountId"] }, { $eq: ["$counterpartyIndividualId", retailIdObj] }] }
+                }
+            },
+            {
+                $facet: {
+                    accounts: [
+                        {
+                            $project: {
+                                impacts: {
+                                    $cond: {
+                                        if: { $or: ["$isTransfer", { $eq: ["$type", "transfer"] }] },
+                                        then: {
+                                            $cond: {
+                                                if: "$isSystemWithdrawalTransfer",
+                                                then: [{ id: "$fromAccountId", val: { $multiply: ["$absAmount", -1] } }],
+                                                else: [{ id: "$fromAccountId", val: { $multiply: ["$absAmount", -1] } }, { id: "$toAccountId", val: "$toAbsAmount" }]
+                                            }
+                                        },
+                                        else: { $cond: { if: { $and: ["$accountId", { $eq: ["$isWorkAct", false] }] }, then: [{ id: "$accountId", val: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", { $multiply: ["$absAmount", -1] }] } }], else: [] } }
+                                    }
+                                }
+                            }
+                        },
+                        { $unwind: "$impacts" }, { $match: { "impacts.id": { $ne: null } } }, { $group: { _id: "$impacts.id", total: { $sum: "$impacts.val" } } }
+                    ],
+                    companies: [
+                        {
+                            $project: {
+                                impacts: {
+                                    $cond: {
+                                        if: { $or: ["$isTransfer", { $eq: ["$type", "transfer"] }] },
+                                        then: {
+                                            $cond: {
+                                                if: "$isSystemWithdrawalTransfer",
+                                                then: [{ id: "$fromCompanyId", val: { $multiply: ["$absAmount", -1] }, currency: "$currency" }],
+                                                else: [{ id: "$fromCompanyId", val: { $multiply: ["$absAmount", -1] }, currency: "$currency" }, { id: "$toCompanyId", val: "$toAbsAmount", currency: { $ifNull: ["$toCurrency", "$currency"] } }]
+                                            }
+                                        },
+                                        else: { $cond: { if: { $or: ["$isWriteOff", "$isWorkAct"] }, then: [], else: [{ id: "$companyId", val: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", { $multiply: ["$absAmount", -1] }] }, currency: "$currency" }] } }
+                                    }
+                                }
+                            }
+                        },
+                        { $unwind: "$impacts" }, { $match: { "impacts.id": { $ne: null } } }, { $group: { _id: { id: "$impacts.id", currency: "$impacts.currency" }, total: { $sum: "$impacts.val" } } }
+                    ],
+                    individuals: [
+                        {
+                            $project: {
+                                impacts: {
+                                    $cond: {
+                                        if: { $or: ["$isTransfer", { $eq: ["$type", "transfer"] }] },
+                                        then: {
+                                            $cond: {
+                                                if: "$isSystemWithdrawalTransfer",
+                                                then: [{ id: "$fromIndividualId", val: { $multiply: ["$absAmount", -1] }, currency: "$currency" }],
+                                                else: [{ id: "$fromIndividualId", val: { $multiply: ["$absAmount", -1] }, currency: "$currency" }, { id: "$toIndividualId", val: "$toAbsAmount", currency: { $ifNull: ["$toCurrency", "$currency"] } }]
+                                            }
+                                        },
+                                        else: { $cond: { if: "$isWriteOff", then: [], else: [{ id: "$individualId", val: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", { $multiply: ["$absAmount", -1] }] }, currency: "$currency" }, { id: "$counterpartyIndividualId", val: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", { $multiply: ["$absAmount", -1] }] }, currency: "$currency" }] } }
+                                    }
+                                }
+                            }
+                        },
+                        { $unwind: "$impacts" }, { $match: { "impacts.id": { $ne: null } } }, { $group: { _id: { id: "$impacts.id", currency: "$impacts.currency" }, total: { $sum: "$impacts.val" } } }
+                    ],
+                    contractors: [
+                        { $match: { isTransfer: { $ne: true }, type: { $ne: 'transfer' }, isWriteOff: false, isWorkAct: false, contractorId: { $ne: null } } },
+                        { $group: { _id: { id: "$contractorId", currency: "$currency" }, total: { $sum: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", { $multiply: ["$absAmount", -1] }] } } } }
+                    ],
+                    projects: [
+                        { $match: { isTransfer: { $ne: true }, type: { $ne: 'transfer' }, isWriteOff: false, isWorkAct: false, projectId: { $ne: null } } },
+                        { $group: { _id: { id: "$projectId", currency: "$currency" }, total: { $sum: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", { $multiply: ["$absAmount", -1] }] } } } }
+                    ],
+                    categories: [
+                        { $match: { isTransfer: { $ne: true }, type: { $ne: 'transfer' }, isWriteOff: false, categoryId: { $ne: null } } },
+                        { $group: { _id: { id: "$categoryId", currency: "$currency" }, income: { $sum: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", 0] } }, expense: { $sum: { $cond: [{ $eq: ["$type", "expense"] }, "$absAmount", 0] } }, total: { $sum: { $cond: [{ $eq: ["$type", "income"] }, "$absAmount", { $multiply: ["$absAmount", -1] }] } } } }
+                    ]
+                }
+            }
+        ]);
+
+        const results = aggregationResult[0];
+        const accountBalances = {}; const companyBalances = {}; const individualBalances = {}; const contractorBalances = {}; const projectBalances = {}; const categoryTotals = {};
+
+        results.accounts.forEach(item => { const id = item._id.toString(); if (accountBalances[id] === undefined) accountBalances[id] = 0; accountBalances[id] += item.total; });
+
+        // Base currency at the rate of the snapshot date; a currency without a rate is left out and reported
+        const currencies = new Set([...accountCurrencies.values()]);
+        Object.values(results).forEach((rows) => rows.forEach((item) => { if (item._id?.currency) currencies.add(item._id.currency); }));
+        currencies.delete(baseCurrency);
+        const rates = currencies.size ? await fxService.loadRates(userId, [...currencies, baseCurrency], now) : null;
+        const toBase = (amount, currency) => (currency === baseCurrency ? amount : rates.convert(amount, currency, baseCurrency, now));
+
+        const foreignBalances = {};
+        const unconvertedBalances = {};
+        const addByCurrency = (balances, group, id, currency, total) => {
+            if (!balances[group]) balances[group] = {};
+            if (!balances[group][id]) balances[group][id] = {};
+            balances[group][id][currency] = total;
+        };
+        const addForeign = (group, id, currency, total) => {
+            if (currency !== baseCurrency) addByCurrency(foreignBalances, group, id, currency, total);
+        };
+        // The base amount, or null when the currency has no rate: the amount is then listed as unconverted
+        const convert = (group, id, currency, total) => {
+            const value = toBase(total, currency);
+            if (value === null) addByCurrency(unconvertedBalances, group, id, currency, total);
+            return value;
+        };
+        const collect = (rows, target, group) => rows.forEach((item) => {
+            const id = item._id.id.toString();
+            addForeign(group, id, item._id.currency, item.total);
+            target[id] = (target[id] || 0) + (convert(group, id, item._id.currency, item.total) ?? 0);
+        });
+        collect(results.companies, companyBalances, 'companies');
+        collect(results.individuals, individualBalances, 'individuals');
+        collect(results.contractors, contractorBalances, 'contractors');
+        collect(results.projects, projectBalances, 'projects');
+        results.categories.forEach(item => {
+            const id = item._id.id.toString();
+            addForeign('categories', id, item._id.currency, item.total);
+            const row = categoryTotals[id] || (categoryTotals[id] = { income: 0, expense: 0, total: 0 });
+            if (convert('categories', id, item._id.currency, item.total) === null) return;
+            ['income', 'expense', 'total'].forEach((field) => { row[field] += toBase(item[field], item._id.currency); });
+        });
+
+        // Base units per unit of each currency on the snapshot date
+        const ratesToBase = Object.fromEntries([...currencies].map((currency) => [currency, toBase(1, currency)]));
+
+        const accountBalancesBase = {};
+        let totalBalanceBase = 0;
+        accounts.forEach((account) => {
+            const id = String(account._id);
+            const currency = accountCurrencies.get(id);
+            const counted = !account.isDeleted && !account.isExcluded;
+            if (accountBalances[id] !== undefined || counted) {
+                // An account without a rate is left out of accountBalancesBase and of the total
+                const value = convert('accounts', id, currency, accountBalances[id] || 0);
+                if (value !== null && accountBalances[id] !== undefined) accountBalancesBase[id] = value;
+            }
+            if (!counted) return;
+            totalBalanceBase += toBase((Number(account.initialBalance) || 0) + (accountBalances[id] || 0), currency) || 0;
+        });
+
+        return {
+            accountBalances,
+            companyBalances,
+            individualBalances,
+            contractorBalances,
+            projectBalances,
+            categoryTotals,
+            baseCurrency,
+            accountCurrencies: Object.fromEntries(accountCurrencies),
+            accountBalancesBase,
+            totalBalanceBase,
+            ratesToBase,
+            foreignBalances,
+            unconvertedBalances,
+            missingRates: rates ? [...rates.missing] : []
+        };
+    }
+
+    return { computeBalances };
+}
+
+module.exports = {
+    RETAIL_NAME_REGEX,
+    createSnapshotService
+};
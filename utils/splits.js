@@ -0,0 +1,97 @@
+// utils/splits.js
+// Management splits of an operation across projects.
+// The parent keeps the money side (account, counterparties) and is marked isSplitParent with
+// splitMeta [{ projectId, amount }]; every part is a child Event (isSplitChild, parentOpId) with the
+// project share. Children copy only what reports need from the parent (type, date, category,
+// description): accounts and counterparties stay on the parent so balances are not counted twice.
+// Reports skip the parent and count the children (see utils/reports/profitLoss.js).
+
+const SPLIT_CHILD_FIELDS = ['type', 'date', 'dateKey', 'dayOfYear', 'categoryId', 'categoryIds', 'description', 'isWorkAct', 'isSalary', 'workspaceId'];
+const SPLIT_TOLERANCE = 0.01;
+
+const _id = (value) => (value ? String(value._id || value) : '');
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const _isObjectId = (value) => /^[0-9a-fA-F]{24}$/.test(String(value || ''));
+
+const _error = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Whether an operation can be split at all
+ * @param {Object} event - parent Event
+ * @throws {Error} statusCode 400 for transfers, split children and recurring occurrences
+ */
+function assertSplittable(event) {
+    if (event.isTransfer || event.type === 'transfer' || event.transferGroupId) throw _error('Transfers cannot be split');
+    if (event.isSplitChild) throw _error('A split part cannot be split again');
+    if (event.recurrenceId) throw _error('Recurring operations cannot be split');
+    if (!['income', 'expense', 'prepayment'].includes(event.type)) throw _error(`Operations of type ${event.type} cannot be split`);
+}
+
+/**
+ * Validate split parts against the parent amount
+ * @param {Object} parent - parent Event
+ * @param {Array} parts - [{ projectId, amount, description? }], amounts as positive numbers
+ * @returns {Array<{projectId: String, amount: Number, description: String|null}>} parts with the parent's sign
+ */
+function normalizeSplitParts(parent, parts) {
+    if (!Array.isArray(parts) || parts.length < 2) throw _error('A split needs at least two parts');
+
+    const sign = Number(parent.amount) < 0 ? -1 : 1;
+    const normalized = parts.map((part) => {
+        const projectId = _id(part.projectId);
+        const amount = Math.abs(Number(part.amount));
+        if (!_isObjectId(projectId)) throw _error(`Invalid projectId: ${projectId || '(empty)'}`);
+        if (!Number.isFinite(amount) || amount <= 0) throw _error(`Invalid amount for project ${projectId}: ${part.amount}`);
+        return { projectId, amount: _round(sign * amount), description: part.description ? String(part.description) : null };
+    });
+
+    if (new Set(normalized.map((part) => part.projectId)).size !== normalized.length) throw _error('Each project can appear in a split only once');
+
+    const total = normalized.reduce((sum, part) => sum + Math.abs(part.amount), 0);
+    const parentTotal = Math.abs(Number(parent.amount) || 0);
+    if (Math.abs(total - parentTotal) > SPLIT_TOLERANCE) {
+        throw _error(`Split parts sum to ${_round(total)}, the operation amount is ${_round(parentTotal)}`);
+    }
+    return normalized;
+}
+
+/**
+ * Fields of a child Event for one split part
+ * @param {Object} parent - parent Event (plain object)
+ * @param {Object} part - normalized part
+ * @returns {Object}
+ */
+function buildSplitChildData(parent, part) {
+    const data = {};
+    SPLIT_CHILD_FIELDS.forEach((field) => {
+        if (parent[field] !== undefined) data[field] = parent[field];
+    });
+    return {
+        ...data,
+        userId: parent.userId,
+        amount: part.amount,
+        projectId: part.projectId,
+        description: part.description || parent.description || null,
+        isSplitChild: true,
+        parentOpId: parent._id
+    };
+}
+
+/**
+ * splitMeta stored on the parent
+ * @param {Array} parts - normalized parts
+ * @returns {Array<{projectId: String, amount: Number}>}
+ */
+const buildSplitMeta = (parts) => parts.map((part) => ({ projectId: part.projectId, amount: Math.abs(part.amount) }));
+
+module.exports = {
+    SPLIT_CHILD_FIELDS,
+    assertSplittable,
+    normalizeSplitParts,
+    buildSplitChildData,
+    buildSplitMeta
+};
@@ -0,0 +1,265 @@
+// utils/taxes.js
+// Kazakhstan tax engine driven by taxRegime / taxPercent of Company, Individual and cash-register Account.
+//
+// Every income operation is taxed once, by the first entity with a regime that owns it:
+//   1. a cash register (Account.isCashRegister) with its own taxRegime
+//   2. the company of the operation or of its account
+//   3. the individual (entrepreneur) of the operation or of its account; regime 'none' is not taxed
+// Regimes:
+//   - simplified: form 910, taxPercent of income per half-year; paid by 25 August (H1) and 25 February (H2)
+//   - our (general): taxPercent of income minus expenses per year; form 100 (КПН) for TOO, 220 (ИПН) otherwise;
+//     paid by 10 April of the next year
+// Income is cash-based: receipts count, work acts, transfers, split parts, loan receipts and excluded
+// operations do not. Operations dated up to asOf are actual ("accrued"), the rest of the period is the
+// forecast. Planned tax payments are expense Events marked with taxKey (entity + period), so
+// regenerating them updates the same operations instead of adding new ones.
+
+const { NOT_DELETED } = require('./trash');
+
+const TAX_REGIMES = ['none', 'our', 'simplified'];
+const TAX_CATEGORY_NAME = 'Налоги';
+const EVENT_FIELDS = 'date type amount accountId companyId individualId isTransfer transferGroupId isWorkAct isSplitChild '
+    + 'excludeFromTotals offsetIncomeId creditPart taxKey';
+
+const _id = (value) => (value ? String(value._id || value) : '');
+const _round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const _error = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+/**
+ * Tax periods of a regime within a year, with their payment due dates
+ * @param {String} regime - simplified | our
+ * @param {Number} year
+ * @returns {Array<{key, label, dateFrom, dateTo, dueDate}>}
+ */
+function taxPeriodsOf(regime, year) {
+    if (regime === 'simplified') {
+        return [
+            { key: `${year}-H1`, label: `1 полугодие ${year}`, dateFrom: new Date(year, 0, 1), dateTo: new Date(year, 5, 30, 23, 59, 59, 999), dueDate: new Date(year, 7, 25, 12) },
+            { key: `${year}-H2`, label: `2 полугодие ${year}`, dateFrom: new Date(year, 6, 1), dateTo: new Date(year, 11, 31, 23, 59, 59, 999), dueDate: new Date(year + 1, 1, 25, 12) }
+        ];
+    }
+    if (regime === 'our') {
+        return [{ key: `${year}`, label: `${year} год`, dateFrom: new Date(year, 0, 1), dateTo: new Date(year, 11, 31, 23, 59, 59, 999), dueDate: new Date(year + 1, 3, 10, 12) }];
+    }
+    return [];
+}
+
+const _formOf = (regime, legalForm) => {
+    if (regime === 'simplified') return '910';
+    return legalForm === 'too' ? '100' : '220';
+};
+
+/**
+ * Key of the planned payment of an entity for a period, stored on the tax Event
+ * @returns {String} e.g. "company:<id>:2026-H1"
+ */
+const taxKeyOf = (entityType, entityId, periodKey) => `${entityType}:${entityId}:${periodKey}`;
+
+/**
+ * Year from a query value, current year by default
+ * @param {*} value
+ * @returns {Number}
+ */
+function parseTaxYear(value) {
+    if (value === undefined || value === null || value === '') return new Date().getFullYear();
+    const year = Number(value);
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) throw _error(`Invalid year: ${value}`);
+    return year;
+}
+
+/**
+ * @param {Object} deps - { Event, Account, Company, Individual }
+ */
+function createTaxService({ Event, Account, Company, Individual }) {
+    // Taxable entities of the workspace and the rule that attributes an operation to one of them
+    async function _loadEntities(userIdQuery) {
+        const [accounts, companies, individuals] = await Promise.all([
+            Account.find({ userId: userIdQuery, ...NOT_DELETED }).select('name companyId individualId isCashRegister isExcluded taxRegime taxPercent').sort({ order: 1 }).lean(),
+            Company.find({ userId: userIdQuery, ...NOT_DELETED }).select('name legalForm taxRegime taxPercent').lean(),
+            Individual.find({ userId: userIdQuery, ...NOT_DELETED }).select('name legalForm taxRegime taxPercent').lean()
+        ]);
+
+        const entities = new Map(); // entityType:id -> entity
+        const _add = (entityType, doc, legalForm) => {
+            const regime = doc.taxRegime || 'none';
+            if (regime === 'none' || !TAX_REGIMES.includes(regime)) return;
+            entities.set(`${entityType}:${doc._id}`, {
+                entityType,
+                entityId: String(doc._id),
+                name: doc.name || '',
+                regime,
+                taxPercent: Number(doc.taxPercent) || 0,
+                form: _formOf(regime, legalForm),
+                payAccountId: null
+            });
+        };
+
+        const companyById = new Map(companies.map((company) => [String(company._id), company]));
+        companies.forEach((company) => _add('company', company, company.legalForm));
+        individuals.forEach((individual) => _add('individual', individual, individual.legalForm));
+        accounts.filter((account) => account.isCashRegister && account.taxRegime)
+            .forEach((account) => _add('account', account, companyById.get(_id(account.companyId))?.legalForm));
+
+        // Tax is paid from the cash register itself or the first regular account of the owner
+        const accountById = new Map(accounts.map((account) => [String(account._id), account]));
+        entities.forEach((entity) => {
+            if (entity.entityType === 'account') {
+                entity.payAccountId = entity.entityId;
+                return;
+            }
+            const ownerField = entity.entityType === 'company' ? 'companyId' : 'individualId';
+            const account = accounts.find((row) => !row.isCashRegister && !row.isExcluded && _id(row[ownerField]) === entity.entityId)
+                || accounts.find((row) => _id(row[ownerField]) === entity.entityId);
+            entity.payAccountId = account ? String(account._id) : null;
+        });
+
+        const entityOf = (event) => {
+            const account = accountById.get(_id(event.accountId));
+            const candidates = [
+                account && account.isCashRegister ? `account:${account._id}` : null,
+                _id(event.companyId) ? `company:${_id(event.companyId)}` : null,
+                account && _id(account.companyId) ? `company:${_id(account.companyId)}` : null,
+                _id(event.individualId) ? `individual:${_id(event.individualId)}` : null,
+                account && _id(account.individualId) ? `individual:${_id(account.individualId)}` : null
+            ];
+            const key = candidates.find((candidate) => candidate && entities.has(candidate));
+            return key ? entities.get(key) : null;
+        };
+
+        return { entities, entityOf };
+    }
+
+    const _isTaxable = (event) => !(event.isTransfer || event.type === 'transfer' || event.transferGroupId
+        || event.isWorkAct || event.isSplitChild || event.taxKey
+        || (event.excludeFromTotals && !event.offsetIncomeId)
+        || event.creditPart === 'receipt' || event.creditPart === 'principal');
+
+    /**
+     * Accrued and forecast tax per entity per period of a year
+     * @param {Object} params - { userIdQuery, year, asOf }
+     * @returns {Promise<Object>} { year, asOf, entities, totals }
+     */
+    async function summary({ userIdQuery, year, asOf = new Date() }) {
+        const { entities, entityOf } = await _loadEntities(userIdQuery);
+        const yearFrom = new Date(year, 0, 1);
+        const yearTo = new Date(year, 11, 31, 23, 59, 59, 999);
+
+        // entityKey -> periodKey -> figures
+        const rows = new Map();
+        entities.forEach((entity, key) => {
+            rows.set(key, new Map(taxPeriodsOf(entity.regime, year).map((period) => [period.key, {
+                ...period,
+                income: 0,
+                incomeToDate: 0,
+                expenses: 0,
+                expensesToDate: 0,
+                paid: 0,
+                plannedEventIds: []
+            }])));
+        });
+        const _periodOf = (entityKey, date) => [...rows.get(entityKey).values()].find((period) => date >= period.dateFrom && date <= period.dateTo);
+
+        const cursor = Event.find({
+            userId: userIdQuery,
+            ...NOT_DELETED,
+            date: { $gte: yearFrom, $lte: yearTo },
+            type: { $in: ['income', 'prepayment', 'expense'] }
+        })
+            .select(EVENT_FIELDS)
+            .lean()
+            .batchSize(500)
+            .cursor();
+
+        for await (const event of cursor) {
+            if (!_isTaxable(event)) continue;
+            const entity = entityOf(event);
+            if (!entity) continue;
+            const entityKey = `${entity.entityType}:${entity.entityId}`;
+            const period = _periodOf(entityKey, new Date(event.date));
+            if (!period) continue;
+
+            const amount = Math.abs(Number(event.amount) || 0);
+            const isActual = new Date(event.date) <= asOf;
+            if (event.type === 'expense') {
+                period.expenses += amount;
+                if (isActual) period.expensesToDate += amount;
+            } else {
+                period.income += amount;
+                if (isActual) period.incomeToDate += amount;
+            }
+        }
+
+        // Tax payments of the year's periods can fall into the next year (H2, general regime)
+        const taxEvents = await Event.find({
+            userId: userIdQuery,
+            ...NOT_DELETED,
+            taxKey: { $in: [...entities.values()].flatMap((entity) => taxPeriodsOf(entity.regime, year)
+                .map((period) => taxKeyOf(entity.entityType, entity.entityId, period.key))) }
+        }).select('date amount taxKey').lean();
+        taxEvents.forEach((event) => {
+            const [entityType, entityId, periodKey] = String(event.taxKey).split(':');
+            const period = rows.get(`${entityType}:${entityId}`)?.get(periodKey);
+            if (!period) return;
+            if (new Date(event.date) <= asOf) period.paid += Math.abs(Number(event.amount) || 0);
+            else period.plannedEventIds.push(event._id);
+        });
+
+        const result = [...entities.entries()].map(([key, entity]) => {
+            const periods = [...rows.get(key).values()].map((period) => {
+                const rate = entity.taxPercent / 100;
+                // General regime taxes the profit, the simplified one the income
+                const base = entity.regime === 'our' ? Math.max(period.income - period.expenses, 0) : period.income;
+                const baseToDate = entity.regime === 'our' ? Math.max(period.incomeToDate - period.expensesToDate, 0) : period.incomeToDate;
+                const forecast = _round(base * rate);
+                return {
+                    key: period.key,
+                    label: period.label,
+                    dateFrom: period.dateFrom,
+                    dateTo: period.dateTo,
+                    dueDate: period.dueDate,
+                    taxKey: taxKeyOf(entity.entityType, entity.entityId, period.key),
+                    income: _round(period.income),
+                    incomeToDate: _round(period.incomeToDate),
+                    expenses: entity.regime === 'our' ? _round(period.expenses) : null,
+                    base: _round(base),
+                    accrued: _round(baseToDate * rate),
+                    forecast,
+                    paid: _round(period.paid),
+                    due: _round(Math.max(forecast - period.paid, 0)),
+                    isOverdue: period.dueDate < asOf && forecast - period.paid >= 0.005,
+                    plannedEventIds: period.plannedEventIds
+                };
+            });
+            const sum = (field) => _round(periods.reduce((total, period) => total + period[field], 0));
+            return {
+                ...entity,
+                periods,
+                totals: { income: sum('income'), accrued: sum('accrued'), forecast: sum('forecast'), paid: sum('paid'), due: sum('due') }
+            };
+        }).sort((a, b) => b.totals.forecast - a.totals.forecast);
+
+        const sum = (field) => _round(result.reduce((total, entity) => total + entity.totals[field], 0));
+        return {
+            year,
+            asOf,
+            entities: result,
+            totals: { income: sum('income'), accrued: sum('accrued'), forecast: sum('forecast'), paid: sum('paid'), due: sum('due') }
+        };
+    }
+
+    return { summary };
+}
+
+module.exports = {
+    TAX_REGIMES,
+    TAX_CATEGORY_NAME,
+    taxPeriodsOf,
+    taxKeyOf,
+    parseTaxYear,
+    createTaxService
+};
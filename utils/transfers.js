@@ -0,0 +1,152 @@
+// utils/transfers.js
+// Transfer Event shape shared by POST /api/transfers and statement import.
+// A transfer is one Event (type 'transfer') carrying both sides; a personal withdrawal
+// (personal + personal_use) also sits on the source account via accountId.
+// Between accounts of different currencies amount is the debited fromAmount (source currency),
+// toAmount is credited in the destination currency and exchangeRate = toAmount / fromAmount.
+// A bank fee is a separate expense on the source account linked through relatedEventId.
+
+const TRANSFER_PURPOSES = ['internal', 'inter_company', 'personal'];
+const TRANSFER_FEE_CATEGORY_NAME = 'Банковские комиссии';
+
+const safeId = (val) => (val && val !== 'null' && val !== 'undefined' && val !== '') ? val : null;
+
+const isPersonalWithdrawal = ({ transferPurpose, transferReason } = {}) => (
+    transferPurpose === 'personal' && transferReason === 'personal_use'
+);
+
+const getTransferDescription = ({ transferPurpose, fromIndividualId } = {}) => {
+    if (transferPurpose === 'personal') return 'Перевод на личную карту (Развитие бизнеса)';
+    if (transferPurpose === 'inter_company') {
+        return fromIndividualId ? 'Вложение средств (Личные -> Бизнес)' : 'Межкомпанийский перевод';
+    }
+    return 'Внутренний перевод';
+};
+
+const _error = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const _round = (value) => Math.round(value * 100) / 100;
+
+const _positive = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Math.abs(Number(value));
+    return Number.isFinite(number) && number > 0 ? number : NaN;
+};
+
+const createTransferGroupId = () => `tr_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Debited and credited amounts of a transfer
+ * @param {Object} params - { amount, fromAmount?, toAmount?, exchangeRate?, fee? }
+ * @param {Object} currencies - { fromCurrency, toCurrency, marketRate? (toCurrency per fromCurrency on the day) }
+ * @returns {{fromAmount: Number, toAmount: Number|null, exchangeRate: Number|null, fee: Number}}
+ *          toAmount / exchangeRate are null for a same-currency transfer
+ */
+function resolveTransferAmounts(params = {}, { fromCurrency = null, toCurrency = null, marketRate = null } = {}) {
+    const fromAmount = _positive(params.fromAmount ?? params.amount);
+    if (!fromAmount) throw _error(`Invalid amount: ${params.fromAmount ?? params.amount}`);
+    const fee = Number(params.fee) === 0 ? 0 : (_positive(params.fee) ?? 0);
+    if (Number.isNaN(fee)) throw _error(`Invalid fee: ${params.fee}`);
+
+    const toAmount = _positive(params.toAmount);
+    const exchangeRate = _positive(params.exchangeRate);
+    if (Number.isNaN(toAmount)) throw _error(`Invalid toAmount: ${params.toAmount}`);
+    if (Number.isNaN(exchangeRate)) throw _error(`Invalid exchangeRate: ${params.exchangeRate}`);
+
+    if (!toCurrency || fromCurrency === toCurrency) {
+        if (toAmount && _round(toAmount) !== _round(fromAmount)) {
+            throw _error('Accounts are in the same currency: toAmount must equal the amount (use fee for the bank charge)');
+        }
+        return { fromAmount, toAmount: null, exchangeRate: null, fee };
+    }
+
+    const rate = toAmount ? null : (exchangeRate || marketRate);
+    if (!toAmount && !rate) throw _error(`No ${fromCurrency}/${toCurrency} rate for this date: pass toAmount or exchangeRate`);
+    const credited = toAmount || _round(fromAmount * rate);
+    return { fromAmount, toAmount: credited, exchangeRate: credited / fromAmount, fee };
+}
+
+/**
+ * Event fields of a transfer (without date, cellIndex, userId and creator fields)
+ * @param {Object} params - { amount, toAmount?, exchangeRate?, fromAccountId, toAccountId, fromCompanyId, toCompanyId,
+ *                            fromIndividualId, toIndividualId, categoryId, transferPurpose, transferReason, description }
+ * @returns {Object}
+ */
+function buildTransferEventData(params = {}) {
+    const sides = {
+        fromAccountId: safeId(params.fromAccountId),
+        toAccountId: safeId(params.toAccountId),
+        fromCompanyId: safeId(params.fromCompanyId),
+        toCompanyId: safeId(params.toCompanyId),
+        fromIndividualId: safeId(params.fromIndividualId),
+        toIndividualId: safeId(params.toIndividualId)
+    };
+
+    if (isPersonalWithdrawal(params)) {
+        return {
+            type: 'transfer', amount: Math.abs(params.amount),
+            isTransfer: true,
+            isWithdrawal: true,
+            accountId: sides.fromAccountId,
+            companyId: sides.fromCompanyId,
+            individualId: sides.fromIndividualId,
+            ...sides,
+            transferPurpose: 'personal',
+            transferReason: 'personal_use',
+            categoryId: null,
+            destination: 'Личные нужды',
+            description: params.description || 'Вывод на личные цели'
+        };
+    }
+
+    const transferPurpose = params.transferPurpose || 'internal';
+    const crossCurrency = params.toAmount != null
+        ? { fromAmount: Math.abs(params.amount), toAmount: Math.abs(params.toAmount), exchangeRate: params.exchangeRate ?? null }
+        : {};
+    return {
+        type: 'transfer', amount: Math.abs(params.amount),
+        ...crossCurrency,
+        ...sides,
+        categoryId: safeId(params.categoryId),
+        isTransfer: true,
+        transferPurpose,
+        transferReason: params.transferReason || null,
+        transferGroupId: createTransferGroupId(),
+        description: params.description || getTransferDescription({ transferPurpose, fromIndividualId: sides.fromIndividualId })
+    };
+}
+
+/**
+ * Bank fee of a transfer: an expense on the source account, in its currency
+ * @param {Object} transfer - saved transfer Event (or its fields)
+ * @param {Object} params - { fee, categoryId }
+ * @returns {Object} Event fields (without date, cellIndex, userId and creator fields)
+ */
+function buildTransferFeeEventData(transfer, { fee, categoryId = null } = {}) {
+    return {
+        type: 'expense',
+        amount: -Math.abs(fee),
+        accountId: transfer.fromAccountId || null,
+        companyId: transfer.fromCompanyId || null,
+        individualId: transfer.fromIndividualId || null,
+        categoryId,
+        relatedEventId: transfer._id || null,
+        description: `Комиссия за перевод: ${transfer.description || ''}`.trim()
+    };
+}
+
+module.exports = {
+    TRANSFER_PURPOSES,
+    TRANSFER_FEE_CATEGORY_NAME,
+    safeId,
+    isPersonalWithdrawal,
+    getTransferDescription,
+    createTransferGroupId,
+    resolveTransferAmounts,
+    buildTransferEventData,
+    buildTransferFeeEventData
+};
@@ -0,0 +1,312 @@
+// utils/trash.js
+// Soft delete ("trash bin") for operations and directory entities.
+// Deleted rows stay in their collections with isDeleted=true; a TrashEntry groups
+// everything removed by one user action so it can be restored or purged together.
+
+const { assertPeriodOpenForEvents } = require('./periodLock');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Event fields that point to each directory entity type (nullified on "keep operations" delete)
+const ENTITY_REFERENCE_FIELDS = {
+    account: ['accountId', 'fromAccountId', 'toAccountId'],
+    company: ['companyId', 'fromCompanyId', 'toCompanyId'],
+    individual: ['individualId', 'counterpartyIndividualId', 'fromIndividualId', 'toIndividualId'],
+    contractor: ['contractorId'],
+    project: ['projectId'],
+    category: ['categoryId', 'categoryIds'],
+    budget: [],
+    deal: ['dealId'],
+    bill: ['billId'],
+    credit: ['creditId'],
+    employee: ['employeeId']
+};
+
+// Records other than operations that point to each directory entity type: model name -> fields.
+// RecurrenceRule templates carry the Event reference fields above under 'template.'
+const ENTITY_DEPENDENT_FIELDS = {
+    account: {
+        Credit: ['accountId'],
+        Employee: ['accountId'],
+        CategorizationRule: ['conditions.accountIds']
+    },
+    company: {
+        Account: ['companyId'],
+        Deal: ['companyId'],
+        Employee: ['companyId']
+    },
+    individual: {
+        Account: ['individualId'],
+        Deal: ['counterpartyIndividualId'],
+        Credit: ['individualId'],
+        Employee: ['individualId'],
+        CategorizationRule: ['conditions.individualIds']
+    },
+    contractor: {
+        Account: ['contractorId'],
+        Deal: ['contractorId'],
+        Bill: ['contractorId'],
+        Credit: ['contractorId'],
+        CategorizationRule: ['conditions.contractorIds', 'actions.contractorId']
+    },
+    project: {
+        Contractor: ['defaultProjectId', 'defaultProjectIds'],
+        Individual: ['defaultProjectId', 'defaultProjectIds'],
+        Deal: ['projectId'],
+        Bill: ['projectId'],
+        Credit: ['projectId'],
+        Employee: ['projectId'],
+        Budget: ['projectId'],
+        CategorizationRule: ['actions.projectId'],
+        OverheadAllocationRule: ['shares.projectId']
+    },
+    category: {
+        Contractor: ['defaultCategoryId', 'defaultCategoryIds'],
+        Individual: ['defaultCategoryId', 'defaultCategoryIds'],
+        Deal: ['categoryId'],
+        Bill: ['categoryId'],
+        Credit: ['categoryId', 'interestCategoryId'],
+        Budget: ['categoryId'],
+        CategorizationRule: ['actions.categoryId'],
+        CategoryMapping: ['categoryId'],
+        OverheadAllocationRule: ['categoryId']
+    }
+};
+
+// Reference fields holding an array of ids: the id is pulled / added back instead of set to null
+const ARRAY_REFERENCE_FIELDS = new Set(['categoryIds']);
+
+const NOT_DELETED = { isDeleted: { $ne: true } };
+
+/**
+ * Factory for the trash service
+ * @param {Object} deps - { Event, TrashEntry, entityModels: { account: Account, ... } }
+ */
+function createTrashService(deps) {
+    const { Event, TrashEntry, entityModels } = deps;
+
+    const _stamp = (entry) => ({
+        isDeleted: true,
+        deletedAt: entry.deletedAt,
+        deletedBy: entry.deletedBy,
+        trashEntryId: entry._id
+    });
+
+    const _unstamp = { isDeleted: false, deletedAt: null, deletedBy: null, trashEntryId: null };
+
+    /**
+     * Move operations to trash (split children of parents are included automatically)
+     * @param {Object} params - { events, userId, workspaceId, deletedBy, entityType, label }
+     * @returns {Promise<{entry: Object, eventIds: Array, dates: Array}>}
+     */
+    async function trashOperations({ events, userId, workspaceId, deletedBy, entityType = 'operation', label = null }) {
+        const rows = Array.isArray(events) ? events.filter(Boolean) : [];
+        const parentIds = rows.filter((row) => row.isSplitParent).map((row) => row._id);
+        const children = parentIds.length > 0
+            ? await Event.find({ parentOpId: { $in: parentIds }, ...NOT_DELETED }).select('_id date').lean()
+            : [];
+        const allRows = [...rows, ...children];
+
+        const entry = await TrashEntry.create({
+            userId,
+            workspaceId: workspaceId || null,
+            entityType,
+            entityId: rows.length === 1 ? rows[0]._id : null,
+            label: label || rows[0]?.description || null,
+            eventIds: allRows.map((row) => row._id),
+            deletedBy,
+            deletedAt: new Date()
+        });
+
+        await Event.updateMany({ _id: { $in: entry.eventIds } }, _stamp(entry));
+
+        return {
+            entry,
+            eventIds: entry.eventIds.map(String),
+            dates: allRows.map((row) => row.date).filter(Boolean)
+        };
+    }
+
+    /**
+     * Move a directory entity to trash, either trashing its operations or nullifying references
+     * @param {Object} params - { entityType, id, userId, workspaceId, deletedBy, deleteOperations,
+     *                            closedPeriodDate?, role? (the operations it trashes or edits pass the period lock first) }
+     * @returns {Promise<Object|null>} { entry, entity, eventIds, nullifiedEventIds, dates } or null if not found
+     */
+    async function trashEntity({ entityType, id, userId, workspaceId, deletedBy, deleteOperations, closedPeriodDate = null, role = null }) {
+        const model = entityModels[entityType];
+        const fields = ENTITY_REFERENCE_FIELDS[entityType] || [];
+        const entity = await model.findOne({ _id: id, userId, ...NOT_DELETED });
+        if (!entity) return null;
+
+        // Entities without Event references (budgets) are trashed alone
+        const relatedOps = fields.length === 0 ? [] : await Event.find({
+            userId,
+            ...NOT_DELETED,
+            $or: fields.map((field) => ({ [field]: id }))
+        }).select('_id date periodUnlockedAt isSplitParent ' + fields.join(' ')).lean();
+
+        const entry = new TrashEntry({
+            userId,
+            workspaceId: workspaceId || null,
+            entityType,
+            entityId: entity._id,
+            label: entity.name || null,
+            deletedBy,
+            deletedAt: new Date()
+        });
+
+        let eventIds = [];
+        let nullifiedEventIds = [];
+        let spentUnlocks = new Set();
+
+        if (deleteOperations) {
+            const parentIds = relatedOps.filter((op) => op.isSplitParent).map((op) => op._id);
+            const children = parentIds.length > 0
+                ? await Event.find({ parentOpId: { $in: parentIds }, ...NOT_DELETED }).select('_id date periodUnlockedAt').lean()
+                : [];
+            assertPeriodOpenForEvents({ closedPeriodDate, role, events: [...relatedOps, ...children] });
+            entry.eventIds = [...relatedOps, ...children].map((op) => op._id);
+            eventIds = entry.eventIds.map(String);
+        } else {
+            spentUnlocks = assertPeriodOpenForEvents({ closedPeriodDate, role, events: relatedOps });
+            entry.nullifiedRefs = [];
+            relatedOps.forEach((op) => {
+                fields.forEach((field) => {
+                    const refersToEntity = ARRAY_REFERENCE_FIELDS.has(field)
+                        ? (op[field] || []).some((value) => String(value) === String(id))
+                        : op[field] && String(op[field]) === String(id);
+                    if (refersToEntity) entry.nullifiedRefs.push({ eventId: op._id, field });
+                });
+            });
+            nullifiedEventIds = [...new Set(entry.nullifiedRefs.map((ref) => String(ref.eventId)))];
+        }
+
+        await entry.save();
+
+        if (deleteOperations) {
+            if (entry.eventIds.length > 0) await Event.updateMany({ _id: { $in: entry.eventIds } }, _stamp(entry));
+        } else {
+            // Only the recorded operations: trashed ones keep their reference and come back with their own entry
+            for (const field of fields) {
+                const refIds = entry.nullifiedRefs.filter((ref) => ref.field === field).map((ref) => ref.eventId);
+                if (refIds.length === 0) continue;
+                const update = ARRAY_REFERENCE_FIELDS.has(field) ? { $pull: { [field]: id } } : { [field]: null };
+                await Event.updateMany({ _id: { $in: refIds }, ...NOT_DELETED }, update);
+            }
+            if (spentUnlocks.size > 0) {
+                await Event.updateMany({ _id: { $in: [...spentUnlocks] } }, { periodUnlockedAt: null, periodUnlockedBy: null });
+            }
+        }
+
+        await model.updateOne({ _id: entity._id }, _stamp(entry));
+
+        return {
+            entry,
+            entity,
+            eventIds,
+            nullifiedEventIds,
+            dates: relatedOps.map((op) => op.date).filter(Boolean)
+        };
+    }
+
+    /**
+     * Restore everything removed by a trash entry (entity, cascaded operations, nullified references)
+     * @param {Object} entry - TrashEntry document
+     * @returns {Promise<{entity: Object|null, eventIds: Array, relinkedEventIds: Array}>}
+     */
+    async function restoreEntry(entry) {
+        let entity = null;
+        const model = entityModels[entry.entityType];
+        if (model && entry.entityId) {
+            await model.updateOne({ _id: entry.entityId }, _unstamp);
+            entity = await model.findById(entry.entityId).lean();
+        }
+
+        if (entry.eventIds?.length) {
+            await Event.updateMany({ _id: { $in: entry.eventIds }, trashEntryId: entry._id }, _unstamp);
+        }
+
+        const relinked = new Set();
+        for (const ref of entry.nullifiedRefs || []) {
+            // Only relink if nobody has set another value since the delete
+            const result = ARRAY_REFERENCE_FIELDS.has(ref.field)
+                ? await Event.updateOne({ _id: ref.eventId }, { $addToSet: { [ref.field]: entry.entityId } })
+                : await Event.updateOne({ _id: ref.eventId, [ref.field]: null }, { [ref.field]: entry.entityId });
+            if (result.modifiedCount > 0) relinked.add(String(ref.eventId));
+        }
+
+        await TrashEntry.deleteOne({ _id: entry._id });
+
+        return {
+            entity,
+            eventIds: (entry.eventIds || []).map(String),
+            relinkedEventIds: Array.from(relinked)
+        };
+    }
+
+    /**
+     * Permanently delete the rows of a trash entry
+     * @param {Object} entry - TrashEntry document
+     * @returns {Promise<Number>} Number of hard-deleted operations
+     */
+    async function purgeEntry(entry) {
+        const result = await Event.deleteMany({ trashEntryId: entry._id, isDeleted: true });
+        const model = entityModels[entry.entityType];
+        if (model && entry.entityId) {
+            await model.deleteOne({ _id: entry.entityId, isDeleted: true });
+        }
+        await TrashEntry.deleteOne({ _id: entry._id });
+        return result.deletedCount || 0;
+    }
+
+    /**
+     * Forget hard-deleted operations: they are dropped from the trash entries that list them,
+     * and an entry left with nothing to restore is removed
+     * @param {Array} eventIds
+     * @returns {Promise<Number>} Number of removed entries
+     */
+    async function forgetEvents(eventIds) {
+        if (!eventIds?.length) return 0;
+        const gone = new Set(eventIds.map(String));
+        const entries = await TrashEntry.find({
+            $or: [{ eventIds: { $in: eventIds } }, { 'nullifiedRefs.eventId': { $in: eventIds } }]
+        });
+        let removed = 0;
+        for (const entry of entries) {
+            entry.eventIds = entry.eventIds.filter((id) => !gone.has(String(id)));
+            entry.nullifiedRefs = (entry.nullifiedRefs || []).filter((ref) => !gone.has(String(ref.eventId)));
+            if (!(entityModels[entry.entityType] && entry.entityId) && entry.eventIds.length === 0) {
+                await TrashEntry.deleteOne({ _id: entry._id });
+                removed += 1;
+            } else {
+                await entry.save();
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Retention job: purge trash entries older than the retention period
+     * @param {Number} retentionDays
+     * @returns {Promise<Number>} Number of purged entries
+     */
+    async function purgeExpired(retentionDays = DEFAULT_RETENTION_DAYS) {
+        const threshold = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+        const expired = await TrashEntry.find({ deletedAt: { $lt: threshold } });
+        for (const entry of expired) {
+            await purgeEntry(entry);
+        }
+        return expired.length;
+    }
+
+    return { trashOperations, trashEntity, restoreEntry, purgeEntry, forgetEvents, purgeExpired };
+}
+
+module.exports = {
+    DEFAULT_RETENTION_DAYS,
+    ENTITY_REFERENCE_FIELDS,
+    ENTITY_DEPENDENT_FIELDS,
+    NOT_DELETED,
+    createTrashService
+};